@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * @file Executable of the `password-toolkit` command.
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { run } = require('../src/cli');
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Stop quietly when the output is closed early, e.g. when it is piped to `head`
+process.stdout.on('error', error => {
+  if (error.code !== 'EPIPE') {
+    throw error;
+  }
+  process.exit(process.exitCode);
+});
+
+run(process.argv.slice(2), process).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,482 @@
+/**
+ * @file Adapters of the evaluation for HTTP frameworks and schema validators.
+ *
+ * This file contains the factories that plug `evaluateDetailed()` into the
+ * places where services validate signup and change-password requests:
+ *
+ * - A Connect/Express-style middleware, that rejects a weak password with a
+ * structured `422` response. It reads the JSON body itself when no body
+ * parser ran before it, so it also works with the `http` module of Node.js.
+ * - An Ajv keyword and an Ajv format, for JSON Schema validation.
+ * - A Joi extension and a Yup test, for schema validators.
+ *
+ * Every adapter rejects a password longer than 256 characters without
+ * evaluating it, since the evaluation of a long input can block the event
+ * loop.
+ *
+ * None of them requires the framework or the validator: they return the
+ * plain functions and definitions those libraries accept.
+ *
+ * @private
+ * @module PasswordToolKit/adapters
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { PasswordToolKitTypeError, PasswordToolKitRangeError } = require('./errors');
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Default minimum level of an accepted password.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const DEFAULT_MIN_LEVEL = 3;
+
+/**
+ * Largest JSON body, in bytes, read by the middleware when no body parser ran
+ * before it.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MAX_BODY_BYTES = 100 * 1024;
+
+/**
+ * Longest password evaluated by the adapters. The evaluation runs on the event
+ * loop, so longer passwords are rejected before it.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MAX_PASSWORD_LENGTH = 256;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks the options of an adapter and returns them with their defaults.
+ *
+ * @private
+ * @function
+ * @param {*} options - The options of the adapter.
+ * @returns {object} The `minLevel`, `field`, `keyword` and `context` of the adapter.
+ * @throws {TypeError} If the options are not an object or an option has the wrong type.
+ * @throws {RangeError} If the "minLevel" option is not a level from 0 to 5.
+ * @example
+ * ```js
+ * const { minLevel, field } = checkAdapterOptions({ minLevel: 4 });
+ * // Expected value: 4, 'password'
+ * ```
+ */
+const checkAdapterOptions = options => {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_OPTIONS',
+      'The "options" value must be an object.',
+    );
+  }
+  const {
+    minLevel = DEFAULT_MIN_LEVEL,
+    field = 'password',
+    keyword = 'passwordLevel',
+    context = () => ({}),
+  } = options;
+  if (!Number.isInteger(minLevel)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_MIN_LEVEL',
+      'The "minLevel" option must be an integer.',
+    );
+  }
+  if (minLevel < 0 || minLevel > 5) {
+    throw new PasswordToolKitRangeError(
+      'ERR_PTK_INVALID_MIN_LEVEL',
+      'The "minLevel" option must be a level from 0 to 5.',
+    );
+  }
+  if (typeof field !== 'string' || field === '') {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_FIELD',
+      'The "field" option must be a non-empty string.',
+    );
+  }
+  if (typeof keyword !== 'string' || keyword === '') {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_KEYWORD',
+      'The "keyword" option must be a non-empty string.',
+    );
+  }
+  if (typeof context !== 'function') {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_CONTEXT',
+      'The "context" option must be a function.',
+    );
+  }
+  return { minLevel, field, keyword, context };
+};
+
+/**
+ * Evaluates the password of an adapter with `evaluateDetailed()`, unless it is
+ * longer than the adapters accept.
+ *
+ * @private
+ * @function
+ * @param {object} toolkit - The `PasswordToolKit` instance.
+ * @param {string} password - The password to evaluate.
+ * @param {object} context - The evaluation context of the password.
+ * @returns {object|null} The detailed evaluation, or `null` if the password is too long.
+ * @example
+ * ```js
+ * evaluateBounded(passwordToolKit, 'x'.repeat(300), {}); // Expected value: null
+ * ```
+ */
+const evaluateBounded = (toolkit, password, context) =>
+  password.length > MAX_PASSWORD_LENGTH ? null : toolkit.evaluateDetailed(password, context);
+
+/**
+ * Returns the message of a password that is too long to be evaluated.
+ *
+ * @private
+ * @function
+ * @param {string} field - The name of the password field.
+ * @returns {string} The message.
+ * @example
+ * ```js
+ * getTooLongMessage('password'); // Expected value: 'The "password" field must not exceed 256 characters.'
+ * ```
+ */
+const getTooLongMessage = field =>
+  `The "${field}" field must not exceed ${MAX_PASSWORD_LENGTH} characters.`;
+
+/**
+ * Returns the value at a dot-separated path of an object.
+ *
+ * @private
+ * @function
+ * @param {*} target - The object to read.
+ * @param {string} path - The path of the value, e.g. `'user.password'`.
+ * @returns {*} The value, or `undefined` if the path does not exist.
+ * @example
+ * ```js
+ * getPath({ user: { password: 'Ma$bel-561' } }, 'user.password'); // Expected value: 'Ma$bel-561'
+ * ```
+ */
+const getPath = (target, path) =>
+  path
+    .split('.')
+    .reduce(
+      (value, key) =>
+        typeof value === 'object' && value !== null && Reflect.has(value, key)
+          ? value[key]
+          : undefined,
+      target,
+    );
+
+/**
+ * Reads the JSON body of a request. A body larger than the accepted size is
+ * rejected as soon as it is known, and the rest of it is discarded.
+ *
+ * @private
+ * @function
+ * @param {object} request - The incoming request.
+ * @returns {Promise<object|null>} Resolves with the parsed body, or `null` if it is not a JSON object.
+ * @throws {RangeError} If the body is larger than the accepted size.
+ * @example
+ * ```js
+ * readJsonBody(request).then(body => console.error(body));
+ * ```
+ */
+const readJsonBody = request =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        request.removeListener('data', onData);
+        request.resume();
+        reject(
+          new PasswordToolKitRangeError(
+            'ERR_PTK_BODY_TOO_LARGE',
+            `The request body must not exceed ${MAX_BODY_BYTES} bytes.`,
+          ),
+        );
+        return;
+      }
+      chunks.push(chunk);
+    };
+    request.on('data', onData);
+    request.on('error', reject);
+    request.on('end', () => {
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        resolve(typeof body === 'object' && body !== null && !Array.isArray(body) ? body : null);
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+
+/**
+ * Sends a JSON response with both Express and the `http` module of Node.js.
+ *
+ * @private
+ * @function
+ * @param {object} response - The server response.
+ * @param {number} status - The status code of the response.
+ * @param {object} body - The body of the response.
+ * @returns {void}
+ * @example
+ * ```js
+ * sendJson(response, 422, { error: { code: 'ERR_PTK_WEAK_PASSWORD' } });
+ * ```
+ */
+const sendJson = (response, status, body) => {
+  response.statusCode = status;
+  response.setHeader('Content-Type', 'application/json; charset=utf-8');
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Creates a Connect/Express-style middleware that rejects a request when the
+ * password of its body is below the minimum level. An accepted request gets
+ * the evaluation in `request.passwordEvaluation`.
+ *
+ * @private
+ * @function
+ * @param {object} toolkit - The `PasswordToolKit` instance.
+ * @param {object} options - The `minLevel`, `field` and `context` of the middleware.
+ * @returns {function(object, object, Function): Promise<void>} The middleware.
+ * @example
+ * ```js
+ * app.post('/signup', createMiddleware(passwordToolKit, { minLevel: 4 }), signup);
+ * ```
+ */
+const createMiddleware = (toolkit, options) => {
+  const { minLevel, field, context } = checkAdapterOptions(options);
+  return async (request, response, next) => {
+    try {
+      const body = request.body === undefined ? await readJsonBody(request) : request.body;
+      if (typeof body !== 'object' || body === null) {
+        sendJson(response, 400, {
+          error: {
+            code: 'ERR_PTK_INVALID_BODY',
+            message: 'The request body must be a JSON object.',
+          },
+        });
+        return;
+      }
+      const password = getPath(body, field);
+      if (typeof password !== 'string') {
+        sendJson(response, 422, {
+          error: {
+            code: 'ERR_PTK_MISSING_PASSWORD',
+            field,
+            message: `The "${field}" field must be a string.`,
+          },
+        });
+        return;
+      }
+      const evaluation = evaluateBounded(toolkit, password, context(body, request));
+      if (evaluation === null) {
+        sendJson(response, 422, {
+          error: { code: 'ERR_PTK_PASSWORD_TOO_LONG', field, message: getTooLongMessage(field) },
+        });
+        return;
+      }
+      if (evaluation.level < minLevel) {
+        sendJson(response, 422, {
+          error: {
+            code: 'ERR_PTK_WEAK_PASSWORD',
+            field,
+            message: evaluation.suggestion,
+            level: evaluation.level,
+            minLevel,
+            quality: evaluation.quality,
+            score: evaluation.score,
+            findings: evaluation.findings,
+          },
+        });
+        return;
+      }
+      request.passwordEvaluation = evaluation;
+      next();
+    } catch (error) {
+      if (error.code === 'ERR_PTK_BODY_TOO_LARGE') {
+        sendJson(response, 413, { error: { code: error.code, message: error.message } });
+        return;
+      }
+      next(error);
+    }
+  };
+};
+
+/**
+ * Creates the definition of an Ajv keyword whose value is the minimum level of
+ * the password, e.g. `{ type: 'string', passwordLevel: 3 }`.
+ *
+ * @private
+ * @function
+ * @param {object} toolkit - The `PasswordToolKit` instance.
+ * @param {object} options - The `field`, `keyword` and `context` of the definition.
+ * @returns {object} The keyword definition for `ajv.addKeyword()`.
+ * @example
+ * ```js
+ * ajv.addKeyword(createAjvKeyword(passwordToolKit, {}));
+ * ```
+ */
+const createAjvKeyword = (toolkit, options) => {
+  const { field, keyword, context } = checkAdapterOptions(options);
+  const validate = (minLevel, data, parentSchema, dataContext = {}) => {
+    const evaluation = evaluateBounded(toolkit, data, context(dataContext.parentData));
+    if (evaluation === null) {
+      validate.errors = [
+        {
+          keyword,
+          message: getTooLongMessage(field),
+          params: { code: 'ERR_PTK_PASSWORD_TOO_LONG', maxLength: MAX_PASSWORD_LENGTH },
+        },
+      ];
+      return false;
+    }
+    validate.errors =
+      evaluation.level < minLevel
+        ? [
+            {
+              keyword,
+              message: evaluation.suggestion,
+              params: { level: evaluation.level, minLevel, quality: evaluation.quality },
+            },
+          ]
+        : null;
+    return evaluation.level >= minLevel;
+  };
+  return {
+    keyword,
+    type: 'string',
+    schemaType: 'number',
+    metaSchema: { type: 'integer', minimum: 0, maximum: 5 },
+    errors: true,
+    validate,
+  };
+};
+
+/**
+ * Creates the definition of an Ajv format that accepts the passwords of the
+ * minimum level.
+ *
+ * @private
+ * @function
+ * @param {object} toolkit - The `PasswordToolKit` instance.
+ * @param {object} options - The `minLevel` and `context` of the format.
+ * @returns {object} The format definition for `ajv.addFormat()`.
+ * @example
+ * ```js
+ * ajv.addFormat('strong-password', createAjvFormat(passwordToolKit, { minLevel: 4 }));
+ * ```
+ */
+const createAjvFormat = (toolkit, options) => {
+  const { minLevel, context } = checkAdapterOptions(options);
+  return {
+    type: 'string',
+    validate: data => {
+      const evaluation = evaluateBounded(toolkit, data, context());
+      return evaluation !== null && evaluation.level >= minLevel;
+    },
+  };
+};
+
+/**
+ * Creates a Joi extension that adds the `password()` type, a string of the
+ * minimum level.
+ *
+ * @private
+ * @function
+ * @param {object} toolkit - The `PasswordToolKit` instance.
+ * @param {object} options - The `minLevel`, `field` and `context` of the type.
+ * @returns {function(object): object} The extension for `Joi.extend()`.
+ * @example
+ * ```js
+ * const Joi = BaseJoi.extend(createJoiExtension(passwordToolKit, { minLevel: 4 }));
+ * ```
+ */
+const createJoiExtension = (toolkit, options) => {
+  const { minLevel, field, context } = checkAdapterOptions(options);
+  return joi => ({
+    type: 'password',
+    base: joi.string(),
+    messages: { 'password.weak': '{{#suggestion}}', 'password.tooLong': '{{#message}}' },
+    validate: (value, helpers) => {
+      const evaluation = evaluateBounded(toolkit, value, context(helpers.state.ancestors[0]));
+      if (evaluation === null) {
+        return {
+          value,
+          errors: helpers.error('password.tooLong', {
+            message: getTooLongMessage(field),
+            maxLength: MAX_PASSWORD_LENGTH,
+          }),
+        };
+      }
+      if (evaluation.level < minLevel) {
+        return {
+          value,
+          errors: helpers.error('password.weak', {
+            suggestion: evaluation.suggestion,
+            level: evaluation.level,
+            minLevel,
+          }),
+        };
+      }
+      return { value };
+    },
+  });
+};
+
+/**
+ * Creates the options of a Yup test that accepts the passwords of the minimum
+ * level. Missing values are accepted, so they are left to `required()`.
+ *
+ * @private
+ * @function
+ * @param {object} toolkit - The `PasswordToolKit` instance.
+ * @param {object} options - The `minLevel`, `field`, `keyword` and `context` of the test.
+ * @returns {object} The options for `schema.test()`.
+ * @example
+ * ```js
+ * const schema = yup.string().required().test(createYupTest(passwordToolKit, {}));
+ * ```
+ */
+const createYupTest = (toolkit, options) => {
+  const { minLevel, field, keyword, context } = checkAdapterOptions(options);
+  return {
+    name: keyword,
+    test: (value, testContext) => {
+      if (value === undefined || value === null) {
+        return true;
+      }
+      const evaluation = evaluateBounded(toolkit, value, context(testContext.parent));
+      if (evaluation === null) {
+        return testContext.createError({
+          message: getTooLongMessage(field),
+          params: { code: 'ERR_PTK_PASSWORD_TOO_LONG', maxLength: MAX_PASSWORD_LENGTH },
+        });
+      }
+      if (evaluation.level < minLevel) {
+        return testContext.createError({
+          message: evaluation.suggestion,
+          params: { level: evaluation.level, minLevel },
+        });
+      }
+      return true;
+    },
+  };
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.createMiddleware = createMiddleware;
+exports.createAjvKeyword = createAjvKeyword;
+exports.createAjvFormat = createAjvFormat;
+exports.createJoiExtension = createJoiExtension;
+exports.createYupTest = createYupTest;
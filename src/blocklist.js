@@ -0,0 +1,325 @@
+/**
+ * @file Blocklist of common passwords and dictionary words.
+ *
+ * This file contains the blocklist stage of the password evaluation. It ships
+ * a list of the 10,000 most common passwords, taken from the frequency lists
+ * of zxcvbn (MIT License, Copyright (c) 2012-2016 Dan Wheeler and Dropbox,
+ * Inc.), and stores it in a trie together with the extra dictionaries
+ * provided in the settings.
+ *
+ * Passwords are matched case-insensitively. A password is a common password
+ * when it is on the list, either as a whole or after stripping the digits and
+ * symbols that people usually append, e.g. `Password1!`. Dictionary words are
+ * matched anywhere inside the password. Both lookups are repeated with the
+ * leetspeak substitutions undone, so `P@55w0rd` is found as `password`.
+ *
+ * @private
+ * @module PasswordToolKit/blocklist
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+const { readFileSync } = require('node:fs');
+const { join } = require('node:path');
+
+// » IMPORT MODULES
+const { unleet, getUsedSubstitutions } = require('./leet');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * A part of the password found in the blocklist.
+ *
+ * @typedef  {object} DictionaryMatch
+ * @property {string} type            - Always `'dictionary'`.
+ * @property {string} token           - The matched part of the password.
+ * @property {number} start           - The index of the first character of the match.
+ * @property {number} end             - The index after the last character of the match.
+ * @property {string} dictionary      - The name of the dictionary, `'common'` for the common passwords.
+ * @property {number} rank            - The position of the word in its dictionary, starting at 1.
+ * @property {string} [word]          - The word found, only set when leetspeak substitutions were undone.
+ * @property {object} [substitutions] - The letter of every leetspeak character of the token, keyed by character.
+ * @property {number} entropyBits     - The entropy of the match in bits.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * File of the common passwords, sorted from the most to the least common.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const COMMON_PASSWORDS_FILE = join(__dirname, 'data', 'common-passwords.txt');
+
+/**
+ * Regular expression that matches the digits and symbols that are commonly
+ * appended to a password.
+ *
+ * @private
+ * @constant
+ * @type {RegExp}
+ */
+const SUFFIX = /[\d\W_]+$/;
+
+/**
+ * Minimum length of the words that are looked up in the blocklist.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MIN_WORD_LENGTH = 3;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Prefix tree of words. Every word keeps the name of its dictionary and its
+ * rank, so lookups also tell where the word comes from.
+ *
+ * @private
+ * @class Trie
+ */
+class Trie {
+  /**
+   * Creates an empty trie.
+   *
+   * @example
+   * ```js
+   * const trie = new Trie();
+   * ```
+   */
+  constructor() {
+    this.root = Object.create(null);
+    this.size = 0;
+  }
+
+  /**
+   * Adds a word to the trie. Words already present keep their first entry.
+   *
+   * @param {string} word - The word to add.
+   * @param {object} entry - The dictionary name and rank of the word.
+   * @returns {Trie} The trie itself.
+   * @example
+   * ```js
+   * trie.add('password', { dictionary: 'common', rank: 2 });
+   * ```
+   */
+  add(word, entry) {
+    let node = this.root;
+    for (let i = 0; i < word.length; i += 1) {
+      if (!node[word[i]]) {
+        node[word[i]] = Object.create(null);
+      }
+      node = node[word[i]];
+    }
+    if (!node.$entry) {
+      node.$entry = entry;
+      this.size += 1;
+    }
+    return this;
+  }
+
+  /**
+   * Returns the entry of a word, or `null` if the word is not in the trie.
+   *
+   * @param {string} word - The word to look up.
+   * @returns {object|null} The dictionary name and rank of the word.
+   * @example
+   * ```js
+   * trie.get('password'); // Expected value: { dictionary: 'common', rank: 2 }
+   * ```
+   */
+  get(word) {
+    let node = this.root;
+    for (let i = 0; i < word.length && node; i += 1) {
+      node = node[word[i]];
+    }
+    return (node && node.$entry) || null;
+  }
+
+  /**
+   * Returns every word of the trie found inside the text.
+   *
+   * @param {string} text - The text to search.
+   * @returns {Array<object>} The `start`, `end` and entry of every word found.
+   * @example
+   * ```js
+   * trie.search('mypassword'); // Expected value: [{ start: 2, end: 10, dictionary: 'common', rank: 2 }]
+   * ```
+   */
+  search(text) {
+    const found = [];
+    for (let start = 0; start < text.length; start += 1) {
+      let node = this.root;
+      for (let end = start; end < text.length && node; end += 1) {
+        node = node[text[end]];
+        if (node && node.$entry && end + 1 - start >= MIN_WORD_LENGTH) {
+          found.push({ start, end: end + 1, ...node.$entry });
+        }
+      }
+    }
+    return found;
+  }
+}
+
+/**
+ * Trie of the common passwords, loaded from disk the first time it is needed.
+ *
+ * @private
+ * @type {Trie|null}
+ */
+let commonPasswords = null;
+
+/**
+ * Returns the trie of the common passwords.
+ *
+ * @private
+ * @function
+ * @returns {Trie} The trie of the common passwords.
+ * @example
+ * ```js
+ * getCommonPasswords().get('qwerty'); // Expected value: { dictionary: 'common', rank: 4 }
+ * ```
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Trie();
+    readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+      .split('\n')
+      .filter(word => word.length > 0)
+      .forEach((word, index) =>
+        commonPasswords.add(word, { dictionary: 'common', rank: index + 1 }),
+      );
+  }
+  return commonPasswords;
+};
+
+/**
+ * Creates the trie of the extra dictionaries provided in the settings.
+ *
+ * @private
+ * @function
+ * @param {object} dictionaries - Lists of words keyed by dictionary name.
+ * @returns {Trie} The trie of the dictionaries.
+ * @example
+ * ```js
+ * const trie = createDictionaries({ company: ['acme', 'roadrunner'] });
+ * ```
+ */
+const createDictionaries = dictionaries => {
+  const trie = new Trie();
+  Object.entries(dictionaries).forEach(([dictionary, words]) => {
+    words.forEach((word, index) => trie.add(word.toLowerCase(), { dictionary, rank: index + 1 }));
+  });
+  return trie;
+};
+
+/**
+ * Creates the match of a blocklisted part of the password. The entropy is the
+ * number of bits needed to pick the word from its dictionary, plus one bit
+ * when the word contains uppercase letters, plus one bit for every leetspeak
+ * substitution.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password being evaluated.
+ * @param {object} found - The `start`, `end`, dictionary name and rank of the word.
+ * @param {number} size - The number of words of the dictionary.
+ * @param {object} candidate - The looked up `text` and its leetspeak `substitutions`.
+ * @returns {DictionaryMatch} The match.
+ * @example
+ * ```js
+ * const found = { start: 0, end: 8, dictionary: 'common', rank: 2 };
+ * const match = createMatch('Password1', found, 10000, { text: 'password1', substitutions: {} });
+ * ```
+ */
+const createMatch = (password, found, size, candidate) => {
+  const token = password.slice(found.start, found.end);
+  const substitutions = getUsedSubstitutions(token, candidate.substitutions);
+  const leetBits = Object.keys(substitutions).length;
+  const rankBits = Math.log2(found.dictionary === 'common' ? found.rank : size);
+  return {
+    type: 'dictionary',
+    token,
+    start: found.start,
+    end: found.end,
+    dictionary: found.dictionary,
+    rank: found.rank,
+    ...(leetBits > 0 && { word: candidate.text.slice(found.start, found.end), substitutions }),
+    entropyBits: Math.max(rankBits, 0) + (token === token.toLowerCase() ? 0 : 1) + leetBits,
+  };
+};
+
+/**
+ * Searches the words of a dictionary trie anywhere inside the password, as it
+ * is first, then with its leetspeak substitutions undone, and returns the
+ * first word found.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to search.
+ * @param {Trie} dictionaries - The trie of the dictionaries.
+ * @returns {DictionaryMatch|null} The match, or `null` if no word is found.
+ * @example
+ * ```js
+ * findDictionaryWord('I<3acme', createDictionaries({ company: ['acme'] })); // Expected value: { token: 'acme', ... }
+ * ```
+ */
+const findDictionaryWord = (password, dictionaries) => {
+  if (dictionaries.size === 0) {
+    return null;
+  }
+  const lowered = password.toLowerCase();
+  const searches = [{ text: lowered, substitutions: {} }, ...unleet(lowered)];
+  for (let i = 0; i < searches.length; i += 1) {
+    const [found] = dictionaries.search(searches[i].text);
+    if (found) {
+      return createMatch(password, found, dictionaries.size, searches[i]);
+    }
+  }
+  return null;
+};
+
+/**
+ * Looks the password up in the common passwords and in the extra
+ * dictionaries. The password is also looked up with its leetspeak
+ * substitutions undone, and the common password with the lowest entropy is
+ * returned before the first dictionary word found.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to look up.
+ * @param {Trie} [dictionaries] - The trie of the extra dictionaries.
+ * @returns {DictionaryMatch|null} The match, or `null` if the password is not blocklisted.
+ * @example
+ * ```js
+ * findBlocklisted('Qwerty123$'); // Expected value: { type: 'dictionary', token: 'Qwerty', ... }
+ * ```
+ */
+const findBlocklisted = (password, dictionaries) => {
+  const common = getCommonPasswords();
+  const lowered = password.toLowerCase();
+  const stripped = lowered.replace(SUFFIX, '');
+  const candidates = [
+    { text: lowered, substitutions: {} },
+    { text: stripped, substitutions: {} },
+    ...unleet(lowered),
+    ...unleet(stripped),
+  ];
+  const [cheapest] = candidates
+    .filter(({ text }) => text.length >= MIN_WORD_LENGTH && common.get(text))
+    .map(candidate => {
+      const found = { start: 0, end: candidate.text.length, ...common.get(candidate.text) };
+      return createMatch(password, found, common.size, candidate);
+    })
+    .sort((a, b) => a.entropyBits - b.entropyBits);
+  if (cheapest) {
+    return cheapest;
+  }
+  return dictionaries ? findDictionaryWord(password, dictionaries) : null;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.Trie = Trie;
+exports.createDictionaries = createDictionaries;
+exports.findBlocklisted = findBlocklisted;
+exports.findDictionaryWord = findDictionaryWord;
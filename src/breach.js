@@ -0,0 +1,197 @@
+/**
+ * @file Breached-password check with the k-anonymity range protocol.
+ *
+ * This file contains the providers used to check if a password has appeared in
+ * a data breach. The password is hashed with SHA-1, and only the first five
+ * characters of the hash, the prefix, are sent to the provider. The provider
+ * answers with every hash suffix of that range and its breach count, so the
+ * password never leaves the process.
+ *
+ * Range bodies use the format of the Pwned Passwords API: one `SUFFIX:COUNT`
+ * pair per line.
+ *
+ * @private
+ * @module PasswordToolKit/breach
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+const { createHash } = require('node:crypto');
+const { readFile, stat } = require('node:fs/promises');
+const { join } = require('node:path');
+const http = require('node:http');
+const https = require('node:https');
+
+// » IMPORT MODULES
+const { PasswordToolKitBreachError } = require('./errors');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Object that returns the breached hash suffixes of a range.
+ *
+ * @typedef  {object}                            BreachProvider
+ * @property {function(string): Promise<string>} range          - Resolves with the range body of a 5-character hash prefix.
+ */
+
+/**
+ * Options of the HTTP range provider.
+ *
+ * @typedef  {object} HttpRangeOptions
+ * @property {string} [url]            - The base URL of the range API, the prefix is appended to it.
+ * @property {object} [headers]        - Extra headers sent with every request.
+ * @property {number} [timeout]        - The maximum time of a request in milliseconds.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Base URL of the Pwned Passwords range API.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const PWNED_PASSWORDS_URL = 'https://api.pwnedpasswords.com/range/';
+
+/**
+ * Length of the hash prefix sent to the provider.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const PREFIX_LENGTH = 5;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Creates a provider that reads the ranges from a local directory. Every range
+ * is stored in a file named after its prefix, e.g. `21BD1.txt`, which is the
+ * layout produced by the Pwned Passwords downloader. A prefix without a file
+ * has no breached passwords.
+ *
+ * @function
+ * @param {string} directory - The directory that contains the range files.
+ * @returns {BreachProvider} The file range provider.
+ * @example
+ * ```js
+ * const breachProvider = createFileRangeProvider('/var/lib/pwned-passwords');
+ * const passwordToolKit = new PasswordToolKit({ breachProvider });
+ * ```
+ */
+const createFileRangeProvider = directory => ({
+  async range(prefix) {
+    await stat(directory);
+    try {
+      return await readFile(join(directory, `${prefix}.txt`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return '';
+      }
+      throw error;
+    }
+  },
+});
+
+/**
+ * Creates a provider that requests the ranges from an HTTP API that follows
+ * the Pwned Passwords range protocol.
+ *
+ * @function
+ * @param {HttpRangeOptions} [options] - The options of the provider.
+ * @returns {BreachProvider} The HTTP range provider.
+ * @example
+ * ```js
+ * const breachProvider = createHttpRangeProvider({ headers: { 'Add-Padding': 'true' } });
+ * const passwordToolKit = new PasswordToolKit({ breachProvider });
+ * ```
+ */
+const createHttpRangeProvider = (options = {}) => {
+  const { url = PWNED_PASSWORDS_URL, headers = {}, timeout = 10000 } = options;
+  return {
+    range(prefix) {
+      const target = new URL(`${url}${prefix}`);
+      const client = target.protocol === 'http:' ? http : https;
+      return new Promise((resolve, reject) => {
+        const request = client.get(target, { headers, timeout }, response => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => {
+            if (response.statusCode !== 200) {
+              reject(
+                new PasswordToolKitBreachError(
+                  'ERR_PTK_BREACH_STATUS',
+                  `The range request failed with status ${response.statusCode}.`,
+                ),
+              );
+              return;
+            }
+            resolve(Buffer.concat(chunks).toString('utf8'));
+          });
+          response.on('error', reject);
+        });
+        request.on('timeout', () =>
+          request.destroy(
+            new PasswordToolKitBreachError(
+              'ERR_PTK_BREACH_TIMEOUT',
+              'The range request timed out.',
+            ),
+          ),
+        );
+        request.on('error', reject);
+      });
+    },
+  };
+};
+
+/**
+ * Checks if the value can be used as a breach provider.
+ *
+ * @private
+ * @function
+ * @param {*} target - The value to check.
+ * @returns {boolean} Returns `true` if the value is a breach provider, otherwise `false`.
+ * @example
+ * ```js
+ * isBreachProvider(createHttpRangeProvider()); // Expected value: true
+ * ```
+ */
+const isBreachProvider = target =>
+  typeof target === 'object' && target !== null && typeof target.range === 'function';
+
+/**
+ * Returns the number of times the password appears in the breaches known by
+ * the provider. Without a provider nothing can be checked, so it rejects
+ * instead of reporting the password as not breached.
+ *
+ * @private
+ * @function
+ * @param {BreachProvider|null} provider - The provider of the ranges.
+ * @param {string} password - The password to check.
+ * @returns {Promise<number>} The breach count of the password.
+ * @throws {Error} If there is no provider.
+ * @example
+ * ```js
+ * countBreaches(createHttpRangeProvider(), 'password').then(count => count); // Expected value: > 0
+ * ```
+ */
+const countBreaches = async (provider, password) => {
+  if (provider === null) {
+    throw new PasswordToolKitBreachError(
+      'ERR_PTK_BREACH_UNCONFIGURED',
+      'The breach check needs a "breachProvider" or a "breachDirectory" setting.',
+    );
+  }
+  const hash = createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+  const prefix = hash.slice(0, PREFIX_LENGTH);
+  const suffix = hash.slice(PREFIX_LENGTH);
+  const body = await provider.range(prefix);
+  const line = String(body)
+    .split(/\r?\n/)
+    .find(entry => entry.slice(0, suffix.length).toUpperCase() === suffix);
+  return line ? Number.parseInt(line.split(':')[1], 10) || 0 : 0;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.createFileRangeProvider = createFileRangeProvider;
+exports.createHttpRangeProvider = createHttpRangeProvider;
+exports.isBreachProvider = isBreachProvider;
+exports.countBreaches = countBreaches;
@@ -0,0 +1,449 @@
+/**
+ * @file Checks of the password evaluation.
+ *
+ * This file contains the analysis of a password, which finds its known
+ * patterns and estimates its strength, and the list of checks run on that
+ * analysis. Every check has a stable code, the highest level a password that
+ * fails it can get, a severity, a weight used to compute the score, and the
+ * message ID of the suggestion shown to the user.
+ *
+ * The checks are listed in the order used by `evaluate()`: the first check
+ * that fails gives the level, quality and suggestion of the evaluation.
+ *
+ * @private
+ * @module PasswordToolKit/checks
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { estimate } = require('./estimate');
+const { createTranslator } = require('./i18n');
+const { getTraits } = require('./traits');
+const { suggestionIds, qualityIds } = require('./defaults');
+const { findBlocklisted } = require('./blocklist');
+const { findKeyboardWalks } = require('./keyboard');
+const { findPatterns } = require('./matching');
+const { isUserInputs, findUserInputs } = require('./context');
+const { isHistory, findSimilarPrevious } = require('./history');
+const { parsePasswordRules, followsPasswordRules } = require('./passwordrules');
+const { PasswordToolKitTypeError } = require('./errors');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The known patterns of a password and its estimated strength.
+ *
+ * @private
+ * @typedef  {object}        Analysis
+ * @property {string}        password     - The analyzed password.
+ * @property {object}        context      - The evaluation context.
+ * @property {object|null}   blocklisted  - The blocklisted part of the password.
+ * @property {Array<object>} userInputs   - The user inputs found in the password.
+ * @property {Array<object>} previous     - The previous passwords similar to the password.
+ * @property {boolean}       followsRules - Indicates whether the password follows the password rules of the context.
+ * @property {Array<object>} walks        - The keyboard walks found in the password.
+ * @property {Array<object>} patterns     - The sequences, dates and years found in the password.
+ * @property {object}        traits       - The character classes, repeated characters and common patterns of the password.
+ * @property {object}        strength     - The estimate of the password and all its `matches`.
+ */
+
+/**
+ * A check of the password evaluation.
+ *
+ * @private
+ * @typedef  {object}                      Check
+ * @property {string}                      code     - The stable machine-readable code of the check.
+ * @property {number}                      level    - The highest level of a password that fails the check.
+ * @property {string}                      severity - The severity of a failure: `'high'`, `'medium'` or `'low'`.
+ * @property {number}                      weight   - The points a failure takes from the score.
+ * @property {string}                      message  - The message ID of the suggestion.
+ * @property {object}                      [values] - The values of the placeholders of the suggestion.
+ * @property {function(Analysis): boolean} test     - Returns `true` if the password fails the check.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Minimum length of a password.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MIN_LENGTH = 8;
+
+/**
+ * Entropy in bits of a password with the highest score.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MAX_SCORE_BITS = 80;
+
+/**
+ * Index of the quality of every level.
+ *
+ * @private
+ * @constant
+ * @type {Array<number>}
+ */
+const qualityIndexes = [0, 1, 1, 2, 3, 4];
+
+/**
+ * Checks of the password evaluation, in the order used by `evaluate()`.
+ *
+ * @private
+ * @constant
+ * @type {Array<Check>}
+ */
+const checks = [
+  {
+    code: 'TOO_SHORT',
+    level: 0,
+    severity: 'high',
+    weight: 40,
+    message: 'suggestion.tooShort',
+    values: { min: MIN_LENGTH },
+    test: ({ password }) => password.length < MIN_LENGTH,
+  },
+  {
+    code: 'PASSWORD_RULES',
+    level: 0,
+    severity: 'high',
+    weight: 40,
+    message: 'suggestion.passwordRules',
+    test: ({ followsRules }) => !followsRules,
+  },
+  {
+    code: 'BLOCKLISTED',
+    level: 1,
+    severity: 'high',
+    weight: 40,
+    message: 'suggestion.blocklisted',
+    test: ({ blocklisted }) => blocklisted !== null,
+  },
+  {
+    code: 'USER_INPUT',
+    level: 1,
+    severity: 'high',
+    weight: 40,
+    message: 'suggestion.userInputs',
+    test: ({ userInputs }) => userInputs.length > 0,
+  },
+  {
+    code: 'PREVIOUS_PASSWORD',
+    level: 1,
+    severity: 'high',
+    weight: 40,
+    message: 'suggestion.previousPassword',
+    test: ({ previous }) => previous.length > 0,
+  },
+  {
+    code: 'NO_MIXED_CASE',
+    level: 1,
+    severity: 'medium',
+    weight: 15,
+    message: 'suggestion.noMixedCase',
+    test: ({ traits }) => traits.lowercases === 0 || traits.uppercases === 0,
+  },
+  {
+    code: 'NO_DIGIT',
+    level: 2,
+    severity: 'medium',
+    weight: 10,
+    message: 'suggestion.noDigit',
+    test: ({ traits }) => traits.numbers === 0,
+  },
+  {
+    code: 'NO_SYMBOL',
+    level: 3,
+    severity: 'medium',
+    weight: 10,
+    message: 'suggestion.noSymbol',
+    test: ({ traits }) => traits.symbols === 0,
+  },
+  {
+    code: 'KEYBOARD_WALK',
+    level: 3,
+    severity: 'medium',
+    weight: 15,
+    message: 'suggestion.keyboardWalk',
+    test: ({ walks }) => walks.length > 0,
+  },
+  {
+    code: 'SEQUENCE',
+    level: 3,
+    severity: 'medium',
+    weight: 15,
+    message: 'suggestion.sequence',
+    test: analysis => analysis.patterns.some(match => match.type === 'sequence'),
+  },
+  {
+    code: 'REPEATED_CHARS',
+    level: 4,
+    severity: 'low',
+    weight: 5,
+    message: 'suggestion.repeatedChars',
+    test: ({ traits }) => traits.duplicates > 0,
+  },
+  {
+    code: 'DATE',
+    level: 4,
+    severity: 'low',
+    weight: 10,
+    message: 'suggestion.date',
+    test: analysis =>
+      analysis.patterns.some(match => match.type === 'date' || match.type === 'year'),
+  },
+  {
+    code: 'COMMON_PATTERN',
+    level: 4,
+    severity: 'low',
+    weight: 5,
+    message: 'suggestion.commonPattern',
+    test: ({ traits }) => traits.commonPattern,
+  },
+];
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks the arguments shared by every method that evaluates passwords: the
+ * password and the evaluation context.
+ *
+ * @private
+ * @function
+ * @param {*} password - The password to check.
+ * @param {*} context - The evaluation context to check.
+ * @returns {void}
+ * @throws {TypeError} If the password is not a string or the context is not valid.
+ * @example
+ * ```js
+ * checkEvaluationInputs('Ma$bel-561', { userInputs: ['mabel'], locale: 'es' });
+ * ```
+ */
+const checkEvaluationInputs = (password, context) => {
+  // Check if the password is string
+  if (typeof password !== 'string') {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_PASSWORD',
+      `The "password" value must be a string type.`,
+    );
+  }
+
+  // Check if the context is an object with valid user inputs
+  if (typeof context !== 'object' || context === null || Array.isArray(context)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_CONTEXT',
+      'The "context" value must be an object.',
+    );
+  }
+  if (Reflect.has(context, 'userInputs') && !isUserInputs(context.userInputs)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_USER_INPUTS',
+      'The "userInputs" value must be an array of strings or numbers.',
+    );
+  }
+  if (Reflect.has(context, 'previousPasswords') && !isHistory(context.previousPasswords)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_PREVIOUS_PASSWORDS',
+      'The "previousPasswords" value must be an array of strings.',
+    );
+  }
+  if (Reflect.has(context, 'passwordHistory') && !isHistory(context.passwordHistory)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_PASSWORD_HISTORY',
+      'The "passwordHistory" value must be an array of strings.',
+    );
+  }
+  if (Reflect.has(context, 'locale') && typeof context.locale !== 'string') {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_LOCALE',
+      'The "locale" value must be a string type.',
+    );
+  }
+  if (Reflect.has(context, 'passwordRules')) {
+    if (typeof context.passwordRules !== 'string') {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_PASSWORD_RULES',
+        'The "passwordRules" value must be a string type.',
+      );
+    }
+    const [error] = parsePasswordRules(context.passwordRules).errors;
+    if (error) {
+      throw new PasswordToolKitTypeError('ERR_PTK_INVALID_PASSWORD_RULES', error.message);
+    }
+  }
+};
+
+/**
+ * Finds the patterns of a text that only depend on the characters they cover:
+ * the user inputs, keyboard walks, sequences, dates and years. The text can be
+ * the whole password or a part of it.
+ *
+ * @private
+ * @function
+ * @param {string} text - The text to search.
+ * @param {object} context - The evaluation context, with the optional `userInputs`.
+ * @param {object} settings - The `layouts` of the instance.
+ * @returns {object} The `userInputs`, `walks` and `patterns` found in the text.
+ * @example
+ * ```js
+ * const { walks } = findLocalMatches('Xqwerty!', {}, passwordToolKit);
+ * ```
+ */
+const findLocalMatches = (text, context, settings) => ({
+  userInputs: findUserInputs(text, context.userInputs || []),
+  walks: findKeyboardWalks(text, settings.layouts),
+  patterns: findPatterns(text),
+});
+
+/**
+ * Completes the analysis of a password from its local matches and traits,
+ * with the patterns that depend on the whole password, and estimates its
+ * strength.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to analyze.
+ * @param {object} context - The evaluation context, with the optional `previousPasswords` and `passwordRules`.
+ * @param {object} settings - The `dictionaries` of the instance.
+ * @param {object} found - The `userInputs`, `walks`, `patterns` and `traits` of the password.
+ * @param {function(string, object=): string} translate - Returns the text of a message ID, for the crack times.
+ * @returns {Analysis} The analysis of the password.
+ * @example
+ * ```js
+ * const analysis = createAnalysis('Ma$bel-561', {}, passwordToolKit, found, translate);
+ * ```
+ */
+const createAnalysis = (password, context, settings, found, translate) => {
+  const { userInputs, walks, patterns, traits } = found;
+  const blocklisted = findBlocklisted(password, settings.dictionaries);
+  const previous = findSimilarPrevious(password, context.previousPasswords || []);
+  const followsRules =
+    !Reflect.has(context, 'passwordRules') ||
+    followsPasswordRules(password, parsePasswordRules(context.passwordRules).rules);
+  const matches = [
+    ...(blocklisted ? [blocklisted] : []),
+    ...userInputs,
+    ...walks,
+    ...patterns,
+  ].sort((a, b) => a.start - b.start);
+  return {
+    password,
+    context,
+    blocklisted,
+    userInputs,
+    previous,
+    followsRules,
+    walks,
+    patterns,
+    traits,
+    strength: { ...estimate(password, matches, translate), matches },
+  };
+};
+
+/**
+ * Finds the known patterns of the password and estimates its strength.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to analyze.
+ * @param {object} context - The evaluation context, with the optional `userInputs` and `previousPasswords`.
+ * @param {object} settings - The `dictionaries`, `layouts`, `catalog` and `locale` of the instance.
+ * @returns {Analysis} The analysis of the password.
+ * @throws {TypeError} If the password is not a string or the context is not valid.
+ * @throws {RangeError} If the "locale" value is not a known locale.
+ * @example
+ * ```js
+ * const analysis = analyze('Ma$bel-561', {}, passwordToolKit);
+ * ```
+ */
+const analyze = (password, context, settings) => {
+  checkEvaluationInputs(password, context);
+  return createAnalysis(
+    password,
+    context,
+    settings,
+    { ...findLocalMatches(password, context, settings), traits: getTraits(password) },
+    createTranslator(settings.catalog, context.locale || settings.locale, settings.locale),
+  );
+};
+
+/**
+ * Returns the index of the quality of a level.
+ *
+ * @private
+ * @function
+ * @param {number} level - The level of the password, from 0 to 5.
+ * @returns {number} The index of the quality in the qualities of the instance.
+ * @example
+ * ```js
+ * getQualityIndex(3); // Expected value: 2
+ * ```
+ */
+const getQualityIndex = level => qualityIndexes[level];
+
+/**
+ * Returns the score of a password, from 0 to 100: its entropy relative to
+ * 80 bits, minus the weight of every failed check.
+ *
+ * @private
+ * @function
+ * @param {number} entropyBits - The estimated entropy of the password.
+ * @param {Array<Check>} failed - The failed checks.
+ * @returns {number} The score of the password.
+ * @example
+ * ```js
+ * getScore(40, [checks[4]]); // Expected value: 40
+ * ```
+ */
+const getScore = (entropyBits, failed) => {
+  const base = (Math.min(entropyBits, MAX_SCORE_BITS) / MAX_SCORE_BITS) * 100;
+  const penalty = failed.reduce((total, check) => total + check.weight, 0);
+  return Math.max(Math.round(base - penalty), 0);
+};
+
+/**
+ * Runs the checks on the analysis of a password and returns the level,
+ * quality, suggestion, findings and score of the evaluation.
+ *
+ * @private
+ * @function
+ * @param {Analysis} analysis - The analysis of the password, without its strength.
+ * @param {number} entropyBits - The estimated entropy of the password.
+ * @param {Array<Check>} enabled - The enabled checks of the instance.
+ * @param {Function} translate - Returns the text of a message ID.
+ * @returns {object} The `level`, `quality`, `suggestion`, `findings` and `score` of the password.
+ * @example
+ * ```js
+ * const { level, findings } = runChecks(analysis, 42, passwordToolKit.checks, translate);
+ * ```
+ */
+const runChecks = (analysis, entropyBits, enabled, translate) => {
+  const failed = enabled.filter(check => check.test(analysis));
+  const level = failed.length > 0 ? failed[0].level : 5;
+  return {
+    level,
+    quality: translate(qualityIds[getQualityIndex(level)]),
+    suggestion:
+      failed.length > 0
+        ? translate(failed[0].message, failed[0].values)
+        : translate(suggestionIds[6]),
+    findings: failed.map(check => ({
+      code: check.code,
+      severity: check.severity,
+      suggestion: translate(check.message, check.values),
+    })),
+    score: getScore(entropyBits, failed),
+  };
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.MIN_LENGTH = MIN_LENGTH;
+exports.checks = checks;
+exports.checkEvaluationInputs = checkEvaluationInputs;
+exports.findLocalMatches = findLocalMatches;
+exports.createAnalysis = createAnalysis;
+exports.analyze = analyze;
+exports.getQualityIndex = getQualityIndex;
+exports.getScore = getScore;
+exports.runChecks = runChecks;
@@ -0,0 +1,411 @@
+/**
+ * @file Command-line interface of the toolkit.
+ *
+ * This file contains the `password-toolkit` command, which exposes the
+ * generation and evaluation of passwords to shell scripts:
+ *
+ * - `generate` generates passwords with every option of `generate()`, one per
+ * line, and streams large batches without buffering them.
+ * - `evaluate` evaluates the passwords given as arguments, or read line by
+ * line from a file or the standard input, and reports a failure through the
+ * exit code when a password is below the `--min-level` threshold.
+ *
+ * The `--settings` file and the `--maximum` flag are mapped onto the settings
+ * of the `PasswordToolKit` constructor.
+ *
+ * @private
+ * @module PasswordToolKit/cli
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+const { createReadStream, readFileSync } = require('node:fs');
+const { createInterface } = require('node:readline');
+const { Readable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+const { parseArgs } = require('node:util');
+
+// » IMPORT MODULES
+const PasswordToolKit = require('.');
+const { version } = require('../package.json');
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Exit codes of the command.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const EXIT_CODES = { OK: 0, BELOW_MIN_LEVEL: 1, USAGE: 2 };
+
+/**
+ * Help of the command.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const USAGE = `Usage: password-toolkit <command> [options]
+
+Commands:
+  generate                   Generate passwords, one per line.
+  evaluate [password...]     Evaluate passwords from the arguments, --file or stdin.
+
+Generate options:
+  --size <n>                 The size of the passwords (default: 16).
+  --count <n>                The number of passwords (default: 1).
+  --unique                   Generate different passwords.
+  --numbers                  Allow numbers.
+  --symbols                  Allow symbols.
+  --symbol-set <chars>       Allow only these symbols.
+  --uppercases               Allow uppercase letters.
+  --lowercases               Allow lowercase letters.
+  --guaranteed               Use every allowed class at least once.
+  --min <class=n>            The minimum count of a class (repeatable).
+  --max <class=n>            The maximum count of a class (repeatable).
+  --exclude <chars>          Characters that must not appear.
+  --exclude-ambiguous        Exclude the ambiguous characters 0O1lI|.
+  --set <name=chars>         A custom character set (repeatable).
+  --password-rules <rules>   Follow these passwordrules, instead of the class options.
+  Every class is allowed when no class option is given.
+
+Evaluate options:
+  --file <path>              Read one password per line from a file.
+  --user-input <value>       A user input the password must not contain (repeatable).
+  --password-rules <rules>   The passwordrules the password must follow.
+  --locale <locale>          The locale of the suggestions.
+  --min-level <n>            Exit with code 1 if a password is below this level, from 0 to 5.
+
+Global options:
+  --json                     Print the results as JSON.
+  --maximum <n>              The maximum size of the passwords.
+  --settings <path>          A JSON file with the settings of the toolkit.
+  -h, --help                 Print this help.
+  -v, --version              Print the version.
+
+Exit codes: 0 on success, 1 if a password is below --min-level, 2 on invalid usage.
+`;
+
+/**
+ * Options of the command, in the format of `parseArgs()`.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const options = {
+  // Global options
+  json: { type: 'boolean' },
+  maximum: { type: 'string' },
+  settings: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+
+  // Generate options
+  size: { type: 'string' },
+  count: { type: 'string' },
+  unique: { type: 'boolean' },
+  numbers: { type: 'boolean' },
+  symbols: { type: 'boolean' },
+  'symbol-set': { type: 'string' },
+  uppercases: { type: 'boolean' },
+  lowercases: { type: 'boolean' },
+  guaranteed: { type: 'boolean' },
+  min: { type: 'string', multiple: true },
+  max: { type: 'string', multiple: true },
+  exclude: { type: 'string' },
+  'exclude-ambiguous': { type: 'boolean' },
+  set: { type: 'string', multiple: true },
+  'password-rules': { type: 'string' },
+
+  // Evaluate options
+  file: { type: 'string' },
+  'user-input': { type: 'string', multiple: true },
+  locale: { type: 'string' },
+  'min-level': { type: 'string' },
+};
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Converts the value of a flag into a non-negative integer.
+ *
+ * @private
+ * @function
+ * @param {string} name - The name of the flag.
+ * @param {string} value - The value of the flag.
+ * @returns {number} The integer value.
+ * @throws {RangeError} If the value is not a non-negative integer.
+ * @example
+ * ```js
+ * const count = toInteger('count', '10'); // Expected value: 10
+ * ```
+ */
+const toInteger = (name, value) => {
+  if (!/^\d+$/.test(value)) {
+    throw new RangeError(`The "--${name}" value must be a non-negative integer.`);
+  }
+  return Number(value);
+};
+
+/**
+ * Converts the `name=value` pairs of a repeatable flag into an object.
+ *
+ * @private
+ * @function
+ * @param {string} name - The name of the flag.
+ * @param {Array<string>} pairs - The values of the flag.
+ * @param {function(string): *} convert - The function that converts every value.
+ * @returns {object} The values keyed by name.
+ * @throws {RangeError} If a value is not a `name=value` pair.
+ * @example
+ * ```js
+ * const min = toPairs('min', ['numbers=2'], value => toInteger('min', value)); // Expected value: { numbers: 2 }
+ * ```
+ */
+const toPairs = (name, pairs, convert) =>
+  Object.fromEntries(
+    pairs.map(pair => {
+      const separator = pair.indexOf('=');
+      if (separator < 1) {
+        throw new RangeError(`The "--${name}" value must be a name=value pair.`);
+      }
+      return [pair.slice(0, separator), convert(pair.slice(separator + 1))];
+    }),
+  );
+
+/**
+ * Creates the toolkit with the settings of the `--settings` file and the
+ * `--maximum` flag.
+ *
+ * @private
+ * @function
+ * @param {object} values - The parsed flags.
+ * @returns {PasswordToolKit} The toolkit.
+ * @throws {Error} If the settings file cannot be read.
+ * @throws {SyntaxError} If the settings file is not valid JSON.
+ * @throws {TypeError} If the settings are not valid.
+ * @example
+ * ```js
+ * const passwordToolKit = createToolKit({ settings: 'toolkit.json', maximum: '64' });
+ * ```
+ */
+const createToolKit = values => {
+  let settings = {};
+  if (values.settings !== undefined) {
+    const text = readFileSync(values.settings, 'utf8');
+    try {
+      settings = JSON.parse(text);
+    } catch (error) {
+      throw new SyntaxError(`The "--settings" file is not valid JSON: ${error.message}`);
+    }
+  }
+  if (values.maximum !== undefined) {
+    settings.maximum = toInteger('maximum', values.maximum);
+  }
+  return new PasswordToolKit(settings);
+};
+
+/**
+ * Returns the options of `generate()` of the parsed flags. Every class is
+ * allowed when no class flag nor password rules are given.
+ *
+ * @private
+ * @function
+ * @param {object} values - The parsed flags.
+ * @returns {object} The options of the passwords.
+ * @throws {RangeError} If a flag value is not valid.
+ * @example
+ * ```js
+ * const generateOptions = toGenerateOptions({ size: '12', numbers: true });
+ * // Expected value: { size: 12, numbers: true }
+ * ```
+ */
+const toGenerateOptions = values => {
+  const generateOptions = {
+    size: values.size === undefined ? 16 : toInteger('size', values.size),
+    ...(values.numbers && { numbers: true }),
+    ...(values.symbols && { symbols: true }),
+    ...(values['symbol-set'] !== undefined && { symbols: values['symbol-set'] }),
+    ...(values.uppercases && { uppercases: true }),
+    ...(values.lowercases && { lowercases: true }),
+    ...(values.guaranteed && { guaranteed: true }),
+    ...(values.min && { min: toPairs('min', values.min, value => toInteger('min', value)) }),
+    ...(values.max && { max: toPairs('max', values.max, value => toInteger('max', value)) }),
+    ...(values.exclude !== undefined && { exclude: values.exclude }),
+    ...(values['exclude-ambiguous'] && { excludeAmbiguous: true }),
+    ...(values.set && { sets: toPairs('set', values.set, value => value) }),
+    ...(values['password-rules'] !== undefined && { passwordRules: values['password-rules'] }),
+    ...(values.unique && { unique: true }),
+  };
+  const classes = ['numbers', 'symbols', 'uppercases', 'lowercases', 'sets', 'passwordRules'];
+  if (!classes.some(name => Reflect.has(generateOptions, name))) {
+    Object.assign(generateOptions, {
+      numbers: true,
+      symbols: true,
+      uppercases: true,
+      lowercases: true,
+    });
+  }
+  return generateOptions;
+};
+
+/**
+ * Runs the `generate` command.
+ *
+ * @private
+ * @async
+ * @function
+ * @param {object} values - The parsed flags.
+ * @param {object} io - The `stdout` and `stderr` streams.
+ * @returns {Promise<number>} The exit code.
+ * @throws {RangeError} If a flag value is not valid.
+ * @example
+ * ```js
+ * generateCommand({ size: '12', count: '5' }, process).then(code => console.error(code));
+ * ```
+ */
+const generateCommand = async (values, io) => {
+  const passwordToolKit = createToolKit(values);
+  const generateOptions = toGenerateOptions(values);
+  const count = values.count === undefined ? 1 : toInteger('count', values.count);
+  const check = passwordToolKit.checkOptions(generateOptions);
+  if (!check.ok) {
+    io.stderr.write(`password-toolkit: ${check.reason}\n`);
+    return EXIT_CODES.USAGE;
+  }
+  if (values.json) {
+    io.stdout.write(`${JSON.stringify(passwordToolKit.generateMany(count, generateOptions))}\n`);
+    return EXIT_CODES.OK;
+  }
+  await pipeline(
+    passwordToolKit.generateStream(count, generateOptions).map(password => `${password}\n`),
+    io.stdout,
+    { end: false },
+  );
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Returns a stream of the passwords to evaluate: the arguments, or the
+ * non-empty lines of the `--file` file or of the standard input.
+ *
+ * @private
+ * @function
+ * @param {Array<string>} positionals - The arguments of the command.
+ * @param {object} values - The parsed flags.
+ * @param {object} io - The `stdin` stream.
+ * @returns {Readable} An object mode stream of the passwords to evaluate.
+ * @throws {RangeError} If there are no passwords to read.
+ * @example
+ * ```js
+ * const passwords = readPasswords(['Ma$bel-561'], {}, process);
+ * ```
+ */
+const readPasswords = (positionals, values, io) => {
+  if (positionals.length > 0) {
+    return Readable.from(positionals);
+  }
+  if (values.file === undefined && io.stdin.isTTY) {
+    throw new RangeError(
+      'Provide the passwords as arguments, with the "--file" option or on stdin.',
+    );
+  }
+  const input = values.file === undefined ? io.stdin : createReadStream(values.file);
+  const passwords = new Readable({ objectMode: true, read() {} });
+  createInterface({ input, crlfDelay: Infinity })
+    .on('line', line => line.length > 0 && passwords.push(line))
+    .on('close', () => passwords.push(null))
+    .on('error', error => passwords.destroy(error));
+  return passwords;
+};
+
+/**
+ * Runs the `evaluate` command.
+ *
+ * @private
+ * @async
+ * @function
+ * @param {Array<string>} positionals - The arguments of the command.
+ * @param {object} values - The parsed flags.
+ * @param {object} io - The `stdin`, `stdout` and `stderr` streams.
+ * @returns {Promise<number>} The exit code.
+ * @throws {RangeError} If a flag value is not valid.
+ * @example
+ * ```js
+ * evaluateCommand(['Ma$bel-561'], { 'min-level': '3' }, process).then(code => console.error(code));
+ * ```
+ */
+const evaluateCommand = async (positionals, values, io) => {
+  const passwordToolKit = createToolKit(values);
+  const minLevel =
+    values['min-level'] === undefined ? 0 : toInteger('min-level', values['min-level']);
+  if (minLevel > 5) {
+    throw new RangeError('The "--min-level" value must be an integer from 0 to 5.');
+  }
+  const context = {
+    ...(values['user-input'] && { userInputs: values['user-input'] }),
+    ...(values['password-rules'] !== undefined && { passwordRules: values['password-rules'] }),
+    ...(values.locale !== undefined && { locale: values.locale }),
+  };
+  const evaluations = [];
+  let below = false;
+  await readPasswords(positionals, values, io).forEach(password => {
+    const evaluation = passwordToolKit.evaluate(password, context);
+    below = below || evaluation.level < minLevel;
+    if (values.json) {
+      evaluations.push(evaluation);
+    } else {
+      io.stdout.write(`${evaluation.level}\t${evaluation.quality}\t${evaluation.suggestion}\n`);
+    }
+  });
+  if (values.json) {
+    io.stdout.write(`${JSON.stringify(evaluations)}\n`);
+  }
+  return below ? EXIT_CODES.BELOW_MIN_LEVEL : EXIT_CODES.OK;
+};
+
+/**
+ * Runs the command with its arguments, and returns its exit code. Invalid
+ * arguments are reported on `stderr` with the exit code `2`.
+ *
+ * @private
+ * @async
+ * @function
+ * @param {Array<string>} args - The arguments of the command, without the node and script paths.
+ * @param {object} io - The `stdin`, `stdout` and `stderr` streams.
+ * @returns {Promise<number>} The exit code.
+ * @example
+ * ```js
+ * run(process.argv.slice(2), process).then(code => {
+ *   process.exitCode = code;
+ * });
+ * ```
+ */
+const run = async (args, io) => {
+  try {
+    const { values, positionals } = parseArgs({ args, options, allowPositionals: true });
+    const [command, ...rest] = positionals;
+    if (values.version) {
+      io.stdout.write(`${version}\n`);
+      return EXIT_CODES.OK;
+    }
+    if (values.help || command === undefined) {
+      (values.help ? io.stdout : io.stderr).write(USAGE);
+      return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    if (command === 'generate' && rest.length === 0) {
+      return await generateCommand(values, io);
+    }
+    if (command === 'evaluate') {
+      return await evaluateCommand(rest, values, io);
+    }
+    throw new RangeError(`Unknown command: ${[command, ...rest].join(' ')}`);
+  } catch (error) {
+    io.stderr.write(`password-toolkit: ${error.message}\n`);
+    return EXIT_CODES.USAGE;
+  }
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.run = run;
@@ -20,14 +20,16 @@
  * @property {RegExp} symbols         - At least one special symbol.
  * @property {RegExp} uppercases      - At least one capital letter.
  * @property {RegExp} lowercases      - At least one lowercase letter.
- * @property {RegExp} repeated        - Contains no repeating characters.
  */
 
 /**
- * Array containing regular expressions to validate common password patterns.
+ * Lengths of the runs of characters that make a common password pattern.
  *
  * @private
- * @typedef {Array<RegExp>} Patterns
+ * @typedef  {object} PatternRuns
+ * @property {number} digits      - Consecutive digits.
+ * @property {number} letters     - Consecutive letters.
+ * @property {number} identical   - Consecutive identical letters or digits.
  */
 
 // ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -43,26 +45,23 @@ const regexps = {
   symbols: /[\W_]/,
   uppercases: /[A-Z]/,
   lowercases: /[a-z]/,
-  repeated: /(.).*?\1/,
 };
 
 /**
- * Array containing regular expressions to validate common password patterns.
+ * Runs of characters that make a common password pattern. A password also
+ * follows a common pattern when a letter is next to a digit, like `abc1` or
+ * `1abc`. The patterns are described by the length of their runs, instead of
+ * regular expressions, so they can be followed one character at a time.
  *
  * @private
- * @type {Patterns}
+ * @type {PatternRuns}
  */
-const patterns = [
-  /\d{4}/, // 4 consecutive digits
-  /\d{6}/, // 6 consecutive digits
-  /[A-Za-z]{4}/, // 4 consecutive letters
-  /[A-Za-z]{6}/, // 6 consecutive letters
-  /([A-Za-z\d])\1{2,}/, // 3 or more consecutive identical characters
-  /[A-Za-z]+\d+[A-Za-z]*/, // letters and numbers interspersed
-  /[A-Za-z]*\d+[A-Za-z]+/, // letters and numbers interspersed
-  /([A-Za-z\d])\1{3,}/, // 4 or more consecutive identical characters
-];
+const patternRuns = {
+  digits: 4,
+  letters: 4,
+  identical: 3,
+};
 
 // ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 exports.regexps = regexps;
-exports.patterns = patterns;
+exports.patternRuns = patternRuns;
@@ -0,0 +1,157 @@
+/**
+ * @file User-specific inputs for context-aware password evaluation.
+ *
+ * This file contains the functions used to find the values that an
+ * application knows about its user, such as the name, the email, the username
+ * or the company, inside a password. Every input is split into the words an
+ * attacker would try, including the local part of an email, and the words
+ * are matched case-insensitively, reversed and with the leetspeak
+ * substitutions of the password undone.
+ *
+ * @private
+ * @module PasswordToolKit/context
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { Trie } = require('./blocklist');
+const { unleet, getUsedSubstitutions } = require('./leet');
+const { removeContained } = require('./matching');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * A user input found in the password.
+ *
+ * @typedef  {object}  UserInputMatch
+ * @property {string}  type            - Always `'userInput'`.
+ * @property {string}  token           - The matched part of the password.
+ * @property {number}  start           - The index of the first character of the match.
+ * @property {number}  end             - The index after the last character of the match.
+ * @property {string}  input           - The word of the user inputs found in the password.
+ * @property {boolean} reversed        - Indicates whether the word appears reversed.
+ * @property {object}  [substitutions] - The letter of every leetspeak character of the token, keyed by character.
+ * @property {number}  entropyBits     - The entropy of the match in bits.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Minimum length of the words of the user inputs that are searched in the
+ * password.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MIN_INPUT_LENGTH = 3;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks if the value is a list of user inputs.
+ *
+ * @private
+ * @function
+ * @param {*} target - The value to check.
+ * @returns {boolean} Returns `true` if every value is a string or a number, otherwise `false`.
+ * @example
+ * ```js
+ * isUserInputs(['John Smith', 'jsmith@acme.com', 1987]); // Expected value: true
+ * ```
+ */
+const isUserInputs = target =>
+  Array.isArray(target) &&
+  target.every(value => typeof value === 'string' || typeof value === 'number');
+
+/**
+ * Returns the words an attacker would try for a user input: the whole value,
+ * the local part of an email, and every part of the value split on spaces
+ * and punctuation, alone and joined.
+ *
+ * @private
+ * @function
+ * @param {string|number} value - The user input.
+ * @returns {Array<string>} The lowercase words of the input.
+ * @example
+ * ```js
+ * getInputWords('john.smith@acme.com'); // Expected value: ['john.smith@acme.com', 'john.smith', 'johnsmith', 'john', 'smith']
+ * ```
+ */
+const getInputWords = value => {
+  const lowered = String(value).trim().toLowerCase();
+  const local = lowered.includes('@') ? lowered.slice(0, lowered.lastIndexOf('@')) : lowered;
+  const parts = local.split(/[^\p{L}\p{N}]+/u);
+  return [lowered, local, parts.join(''), ...parts].filter(word => word.length >= MIN_INPUT_LENGTH);
+};
+
+/**
+ * Creates the trie of the words of the user inputs, forwards and reversed.
+ *
+ * @private
+ * @function
+ * @param {Array<string|number>} inputs - The user inputs.
+ * @returns {Trie} The trie of the words.
+ * @example
+ * ```js
+ * createUserInputs(['jsmith']).get('htimsj'); // Expected value: { input: 'jsmith', reversed: true }
+ * ```
+ */
+const createUserInputs = inputs => {
+  const trie = new Trie();
+  const words = [...new Set(inputs.flatMap(getInputWords))];
+  words.forEach(word => trie.add(word, { input: word, reversed: false }));
+  words.forEach(word => trie.add([...word].reverse().join(''), { input: word, reversed: true }));
+  return trie;
+};
+
+/**
+ * Returns every user input found in the password. The entropy of a match is
+ * the number of bits needed to pick the word from the user inputs, plus one
+ * bit when it is reversed, one bit when it contains uppercase letters and one
+ * bit for every leetspeak substitution.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to search.
+ * @param {Array<string|number>} inputs - The user inputs.
+ * @returns {Array<UserInputMatch>} The user inputs found.
+ * @example
+ * ```js
+ * findUserInputs('Htimsj#2024', ['jsmith']); // Expected value: [{ type: 'userInput', token: 'Htimsj', ... }]
+ * ```
+ */
+const findUserInputs = (password, inputs) => {
+  const trie = createUserInputs(inputs);
+  if (trie.size === 0) {
+    return [];
+  }
+  const lowered = password.toLowerCase();
+  const variants = [{ text: lowered, substitutions: {} }, ...unleet(lowered)];
+  const found = new Map();
+  variants.forEach(variant => {
+    trie.search(variant.text).forEach(({ start, end, input, reversed }) => {
+      const token = password.slice(start, end);
+      const substitutions = getUsedSubstitutions(token, variant.substitutions);
+      const leetBits = Object.keys(substitutions).length;
+      if (!found.has(`${start}:${end}`)) {
+        found.set(`${start}:${end}`, {
+          type: 'userInput',
+          token,
+          start,
+          end,
+          input,
+          reversed,
+          ...(leetBits > 0 && { substitutions }),
+          entropyBits:
+            Math.log2(trie.size) +
+            (reversed ? 1 : 0) +
+            (token === token.toLowerCase() ? 0 : 1) +
+            leetBits,
+        });
+      }
+    });
+  });
+  return removeContained([...found.values()]);
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.isUserInputs = isUserInputs;
+exports.findUserInputs = findUserInputs;
@@ -1,11 +1,11 @@
 /**
- * @file Default values for password evaluation.
+ * @file Message IDs of the positional text settings.
  *
- * This file contains default suggestions and qualities used for evaluating
- * passwords. The suggestions array provides tips and recommendations for
- * creating strong passwords, while the qualities array represents the levels of
- * password strength. These default values can be customized or overridden as
- * needed.
+ * This file contains the message IDs behind the `suggestions` and `qualities`
+ * arrays and the `messages` object of the settings. The texts themselves live
+ * in the locale packs; these lists let the positional settings keep working as
+ * overrides of the default locale, and let the instance expose them again as
+ * arrays.
  *
  * @private
  * @module PasswordToolKit/defaults
@@ -26,31 +26,123 @@
  * @typedef {Array<string>} Qualities
  */
 
-// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 /**
- * Array containing default suggestions for password evaluation.
+ * Object with the suggestions of the additional evaluation stages, keyed by
+ * the name of the stage.
+ *
+ * @private
+ * @typedef  {object} Messages
+ * @property {string} blocklisted      - The password is a common password or contains a dictionary word.
+ * @property {string} breached         - The password has appeared in a data breach.
+ * @property {string} keyboardWalk     - The password contains a keyboard walk.
+ * @property {string} sequence         - The password contains a sequence of characters.
+ * @property {string} date             - The password contains a date or a year.
+ * @property {string} userInputs       - The password contains personal information of the user.
+ * @property {string} previousPassword - The password is too similar to a previous password of the user.
+ * @property {string} passwordRules    - The password does not follow the password rules of the context.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Message IDs of the `suggestions` setting, in order.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const suggestionIds = [
+  'suggestion.tooShort',
+  'suggestion.noMixedCase',
+  'suggestion.noDigit',
+  'suggestion.noSymbol',
+  'suggestion.repeatedChars',
+  'suggestion.commonPattern',
+  'suggestion.secure',
+];
+
+/**
+ * Message IDs of the `qualities` setting, in order.
  *
  * @private
- * @type {Suggestions}
+ * @constant
+ * @type {Array<string>}
  */
-const suggestions = [
-  'The password must have at least 8 characters.',
-  'Add uppercase and lowercase letters to make the password more secure.',
-  'Add numbers to make the password more secure.',
-  'Add symbols to make the password more secure.',
-  'Avoid using repeated characters in the password.',
-  'Avoid using common password patterns.',
-  'Excellent! The password is secure.',
+const qualityIds = [
+  'quality.insecure',
+  'quality.low',
+  'quality.medium',
+  'quality.high',
+  'quality.perfect',
 ];
 
 /**
- * Array containing default qualities for password evaluation.
+ * Message IDs of the `messages` setting, keyed by stage.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const messageIds = {
+  blocklisted: 'suggestion.blocklisted',
+  breached: 'suggestion.breached',
+  keyboardWalk: 'suggestion.keyboardWalk',
+  sequence: 'suggestion.sequence',
+  date: 'suggestion.date',
+  userInputs: 'suggestion.userInputs',
+  previousPassword: 'suggestion.previousPassword',
+  passwordRules: 'suggestion.passwordRules',
+};
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Returns the texts of the positional settings keyed by message ID, so they
+ * can be merged over the default locale.
+ *
+ * @private
+ * @function
+ * @param {object} settings - The `suggestions`, `qualities` and `messages` of the settings.
+ * @returns {object} The texts keyed by message ID.
+ * @example
+ * ```js
+ * toMessages({ messages: { date: 'Evite las fechas.' } }); // Expected value: { 'suggestion.date': 'Evite las fechas.' }
+ * ```
+ */
+const toMessages = settings => {
+  const { suggestions = [], qualities = [], messages = {} } = settings;
+  return {
+    ...Object.fromEntries(suggestions.map((text, index) => [suggestionIds[index], text])),
+    ...Object.fromEntries(qualities.map((text, index) => [qualityIds[index], text])),
+    ...Object.fromEntries(
+      Object.entries(messages)
+        .filter(([stage]) => Reflect.has(messageIds, stage))
+        .map(([stage, text]) => [messageIds[stage], text]),
+    ),
+  };
+};
+
+/**
+ * Returns the positional settings translated by a translator.
  *
  * @private
- * @type {Qualities}
+ * @function
+ * @param {function(string, object=): string} translate - The translator of the default locale.
+ * @param {number} minLength - The minimum length shown by the first suggestion.
+ * @returns {{suggestions: Suggestions, qualities: Qualities, messages: Messages}} The texts.
+ * @example
+ * ```js
+ * const { qualities } = fromMessages(translate, 8); // Expected value: ['insecure', 'low', 'medium', 'high', 'perfect']
+ * ```
  */
-const qualities = ['insecure', 'low', 'medium', 'high', 'perfect'];
+const fromMessages = (translate, minLength) => ({
+  suggestions: suggestionIds.map(id => translate(id, { min: minLength })),
+  qualities: qualityIds.map(id => translate(id)),
+  messages: Object.fromEntries(
+    Object.entries(messageIds).map(([stage, id]) => [stage, translate(id)]),
+  ),
+});
 
 // ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-exports.suggestions = suggestions;
-exports.qualities = qualities;
+exports.suggestionIds = suggestionIds;
+exports.qualityIds = qualityIds;
+exports.toMessages = toMessages;
+exports.fromMessages = fromMessages;
@@ -0,0 +1,99 @@
+/**
+ * @file Error classes of the toolkit.
+ *
+ * Every error thrown by the toolkit has a stable `code`, so callers can tell
+ * the problems apart without matching the texts of the messages, which may
+ * change. The codes of invalid values are `ERR_PTK_INVALID_` followed by the
+ * name of the value in upper snake case, e.g. `ERR_PTK_INVALID_SIZE` or
+ * `ERR_PTK_INVALID_USER_INPUTS`.
+ *
+ * The classes extend the built-in `TypeError`, `RangeError` and `Error`, so the
+ * errors are still caught by the checks written for the built-in classes.
+ *
+ * @private
+ * @module PasswordToolKit/errors
+ */
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Error thrown when a value has the wrong type.
+ *
+ * @private
+ * @augments TypeError
+ * @param {string} code - The stable code of the error.
+ * @param {string} message - The description of the error.
+ * @example
+ * ```js
+ * throw new PasswordToolKitTypeError('ERR_PTK_INVALID_SEED', 'The "seed" value must be a string.');
+ * ```
+ */
+class PasswordToolKitTypeError extends TypeError {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Error thrown when a value is outside the accepted values.
+ *
+ * @private
+ * @augments RangeError
+ * @param {string} code - The stable code of the error.
+ * @param {string} message - The description of the error.
+ * @example
+ * ```js
+ * throw new PasswordToolKitRangeError('ERR_PTK_INVALID_COUNT', 'The "count" must be positive.');
+ * ```
+ */
+class PasswordToolKitRangeError extends RangeError {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Error thrown in strict mode when the password creation options are not
+ * valid, with every problem found in the options.
+ *
+ * @private
+ * @augments TypeError
+ * @param {Array<object>} errors - The problems found in the options.
+ * @example
+ * ```js
+ * throw new PasswordToolKitOptionsError(passwordToolKit.checkOptions(options).errors);
+ * ```
+ */
+class PasswordToolKitOptionsError extends TypeError {
+  constructor(errors) {
+    super(`The options are not valid: ${errors.map(error => error.message).join(' ')}`);
+    this.code = 'ERR_PTK_INVALID_OPTIONS';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown when a breach provider cannot return the range of a prefix.
+ *
+ * @private
+ * @augments Error
+ * @param {string} code - The stable code of the error.
+ * @param {string} message - The description of the error.
+ * @example
+ * ```js
+ * throw new PasswordToolKitBreachError('ERR_PTK_BREACH_TIMEOUT', 'The range request timed out.');
+ * ```
+ */
+class PasswordToolKitBreachError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.PasswordToolKitTypeError = PasswordToolKitTypeError;
+exports.PasswordToolKitRangeError = PasswordToolKitRangeError;
+exports.PasswordToolKitOptionsError = PasswordToolKitOptionsError;
+exports.PasswordToolKitBreachError = PasswordToolKitBreachError;
@@ -0,0 +1,278 @@
+/**
+ * @file Entropy and crack-time estimates for password evaluation.
+ *
+ * This file contains the functions used to estimate how many guesses an
+ * attacker needs to find a password, and how long those guesses take in
+ * several attack scenarios.
+ *
+ * The entropy of every character is based on the character pools used to
+ * generate passwords. Characters that belong to a detected pattern, such as a
+ * run of digits or a repeated character, only count the smaller pool that the
+ * pattern leaves to the attacker.
+ *
+ * The crack times are displayed with the `time.*` message IDs of the locale
+ * packs, so they follow the locale of the evaluation.
+ *
+ * @private
+ * @module PasswordToolKit/estimate
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { getSelectedChars } = require('./functions');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The estimated time needed to crack a password in an attack scenario.
+ *
+ * @typedef  {object} CrackTime
+ * @property {number} seconds   - The estimated number of seconds.
+ * @property {string} display   - The estimated time as human-readable text, in the locale of the evaluation.
+ */
+
+/**
+ * The estimated crack times of a password, one per attack scenario.
+ *
+ * @typedef  {object}    CrackTimes
+ * @property {CrackTime} onlineThrottled   - Online attack limited to 100 guesses per hour.
+ * @property {CrackTime} onlineUnthrottled - Online attack at 10 guesses per second.
+ * @property {CrackTime} offlineSlowHash   - Offline attack on a slow hash at 10^4 guesses per second.
+ * @property {CrackTime} offlineFastHash   - Offline attack on a fast hash at 10^10 guesses per second.
+ */
+
+/**
+ * A part of the password that matches a known pattern, with the entropy that
+ * the pattern leaves to the attacker.
+ *
+ * @typedef  {object} EntropyMatch
+ * @property {number} start        - The index of the first character of the match.
+ * @property {number} end          - The index after the last character of the match.
+ * @property {number} entropyBits  - The entropy of the whole match in bits.
+ */
+
+/**
+ * The estimated strength of a password.
+ *
+ * @typedef  {object}     Estimate
+ * @property {number}     entropyBits - The estimated entropy of the password in bits.
+ * @property {number}     guesses     - The estimated number of guesses needed to find the password.
+ * @property {CrackTimes} crackTimes  - The estimated crack times for every attack scenario.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Character pools used to generate passwords, keyed by class name.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const pools = getSelectedChars({
+  numbers: true,
+  symbols: true,
+  uppercases: true,
+  lowercases: true,
+});
+
+/**
+ * Number of guesses per second of every attack scenario.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const scenarios = {
+  onlineThrottled: 100 / 3600,
+  onlineUnthrottled: 10,
+  offlineSlowHash: 1e4,
+  offlineFastHash: 1e10,
+};
+
+/**
+ * Time units used to display the crack times, from the largest to the
+ * smallest, with their length in seconds.
+ *
+ * @private
+ * @constant
+ * @type {Array<Array>}
+ */
+const units = [
+  ['year', 31556952],
+  ['month', 2629746],
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60],
+  ['second', 1],
+];
+
+/**
+ * Minimum length of a run of digits or letters that the evaluator considers a
+ * pattern.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const PATTERN_LENGTH = 4;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Returns the name of the pool that contains the character, or `null` if the
+ * character is not part of any pool.
+ *
+ * @private
+ * @function
+ * @param {string} char - The character to classify.
+ * @returns {string|null} The name of the pool.
+ * @example
+ * ```js
+ * getPoolName('7'); // Expected value: 'numbers'
+ * ```
+ */
+const getPoolName = char => Object.keys(pools).find(name => pools[name].includes(char)) || null;
+
+/**
+ * Returns the size of the pool an attacker has to search for the password,
+ * based on the classes of the characters it contains. Characters outside of
+ * the pools add their own count of distinct characters.
+ *
+ * @private
+ * @function
+ * @param {Array<string>} chars - The characters of the password.
+ * @returns {number} The size of the pool.
+ * @example
+ * ```js
+ * getPoolSize(['a', 'B', '1']); // Expected value: 62
+ * ```
+ */
+const getPoolSize = chars => {
+  const names = new Set(chars.map(getPoolName));
+  const others = new Set(chars.filter(char => getPoolName(char) === null));
+  names.delete(null);
+  return [...names].reduce((size, name) => size + pools[name].length, others.size);
+};
+
+/**
+ * Returns the kind of run the character belongs to: `numbers`, `letters`, or
+ * `null` for symbols and characters outside of the pools.
+ *
+ * @private
+ * @function
+ * @param {string} char - The character to classify.
+ * @returns {string|null} The kind of run.
+ * @example
+ * ```js
+ * getRunKind('B'); // Expected value: 'letters'
+ * ```
+ */
+const getRunKind = char => {
+  const name = getPoolName(char);
+  if (name === 'numbers') {
+    return name;
+  }
+  return name === 'uppercases' || name === 'lowercases' ? 'letters' : null;
+};
+
+/**
+ * Returns the entropy in bits of every character that is not covered by a
+ * match. Characters that repeat the previous one only count one bit, and runs
+ * of at least four digits or letters only count the pool of their classes.
+ *
+ * @private
+ * @function
+ * @param {Array<string>} chars - The characters of the password.
+ * @returns {Array<number>} The entropy of every character.
+ * @example
+ * ```js
+ * getCharsEntropy(['a', 'a', '1']); // Expected value: [5.17, 1, 5.17]
+ * ```
+ */
+const getCharsEntropy = chars => {
+  const poolBits = Math.log2(Math.max(getPoolSize(chars), 1));
+  const bits = Array(chars.length).fill(poolBits);
+  let start = 0;
+  while (start < chars.length) {
+    const kind = getRunKind(chars[start]);
+    let end = start + 1;
+    while (end < chars.length && getRunKind(chars[end]) === kind) {
+      end += 1;
+    }
+    if (kind && end - start >= PATTERN_LENGTH) {
+      bits.fill(Math.log2(getPoolSize(chars.slice(start, end))), start, end);
+    }
+    start = end;
+  }
+  return bits.map((value, index) => (index > 0 && chars[index] === chars[index - 1] ? 1 : value));
+};
+
+/**
+ * Returns the estimated time as human-readable text in the locale of the
+ * translator.
+ *
+ * @private
+ * @function
+ * @param {number} seconds - The estimated number of seconds.
+ * @param {function(string, object=): string} translate - Returns the text of a message ID.
+ * @returns {string} The estimated time.
+ * @example
+ * ```js
+ * displayTime(7200, translate); // Expected value: '2 hours'
+ * ```
+ */
+const displayTime = (seconds, translate) => {
+  if (seconds < 1) {
+    return translate('time.lessThanSecond');
+  }
+  if (seconds >= 100 * units[0][1]) {
+    return translate('time.centuries');
+  }
+  const [unit, length] = units.find(([, size]) => seconds >= size);
+  const count = Math.round(seconds / length);
+  return translate(`time.${unit}${count === 1 ? '' : 's'}`, { count });
+};
+
+/**
+ * Estimates the entropy, the number of guesses and the crack times of the
+ * password. Characters covered by a match count the entropy of the match
+ * instead of their own. When matches overlap, the cheapest combination of
+ * matches and single characters is used, as an attacker would. The number
+ * of guesses and the seconds are capped at `Number.MAX_VALUE`, so they stay
+ * finite and survive `JSON.stringify()` for very long passwords.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to estimate.
+ * @param {Array<EntropyMatch>} matches - The patterns found in the password.
+ * @param {function(string, object=): string} translate - Returns the text of a message ID.
+ * @returns {Estimate} The estimated strength of the password.
+ * @example
+ * ```js
+ * const { entropyBits, guesses, crackTimes } = estimate('Ma$bel-561', [], translate);
+ * ```
+ */
+const estimate = (password, matches, translate) => {
+  const chars = password.split('');
+  const charsBits = getCharsEntropy(chars);
+  // The lowest entropy of the first `index` characters of the password
+  const lowest = [0];
+  for (let index = 1; index <= chars.length; index += 1) {
+    lowest[index] = lowest[index - 1] + charsBits[index - 1];
+    matches
+      .filter(match => match.end === index)
+      .forEach(match => {
+        lowest[index] = Math.min(lowest[index], lowest[match.start] + match.entropyBits);
+      });
+  }
+  const entropyBits = lowest[chars.length];
+  const guesses = Math.min(Math.round(2 ** entropyBits), Number.MAX_VALUE);
+  const crackTimes = Object.fromEntries(
+    Object.entries(scenarios).map(([name, rate]) => {
+      const seconds = Math.min(guesses / rate, Number.MAX_VALUE);
+      return [name, { seconds, display: displayTime(seconds, translate) }];
+    }),
+  );
+  return { entropyBits: Math.round(entropyBits * 100) / 100, guesses, crackTimes };
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.estimate = estimate;
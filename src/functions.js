@@ -2,9 +2,12 @@
  * @file Utility functions for password generation and manipulation.
  *
  * This file contains utility functions used for password generation and
- * manipulation. It includes functions to generate random numbers,
- * retrieve selected characters based on options, convert selected characters
- * to an array, and check if all elements in an array are strings.
+ * manipulation. It includes functions to retrieve selected characters based
+ * on options, convert selected characters to an array, and check if all
+ * elements in an array are strings.
+ *
+ * Characters are handled as graphemes, so a custom set can contain accented
+ * letters, emoji or any other Unicode character made of several code points.
  *
  * These functions are designed to support the password evaluation
  * process and can be used in conjunction with other modules or scripts.
@@ -50,41 +53,115 @@ const lowercases = 'abcdefghijklmnopqrstuvwxyz';
  */
 const uppercases = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
 
+/**
+ * Constant that defines the names of the character classes.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const classNames = ['numbers', 'symbols', 'uppercases', 'lowercases'];
+
+/**
+ * Constant that defines the characters of every character class, keyed by
+ * class name.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const classChars = { numbers, symbols, uppercases, lowercases };
+
+/**
+ * Constant that defines the characters that are easy to confuse with each
+ * other, removed by the `excludeAmbiguous` option.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const ambiguous = '0O1lI|';
+
+/**
+ * Segmenter used to split texts into graphemes.
+ *
+ * @private
+ * @constant
+ * @type {Intl.Segmenter}
+ */
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
 // ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 /**
- * Function that returns a random number between 0 and the specified size.
+ * Function that splits a text into its graphemes, the characters a user
+ * perceives.
  *
  * @private
  * @function
- * @param {number} size - Maximum size to generate the random number.
- * @returns {number} Generated random number.
+ * @param {string} text - The text to split.
+ * @returns {Array<string>} An `Array` with the graphemes of the text.
  * @example
  * ```js
- * const randomNumber = getRandomNumber();
+ * toGraphemes('añ👍🏽'); // Expected value: ['a', 'ñ', '👍🏽']
  * ```
  */
-const getRandomNumber = size => Math.floor(Math.random() * size);
+const toGraphemes = text => Array.from(segmenter.segment(text), ({ segment }) => segment);
+
+/**
+ * Checks if the value is an object of named character sets.
+ *
+ * @private
+ * @function
+ * @param {*} target - The value to check.
+ * @returns {boolean} Returns `true` if every set is a string, otherwise `false`.
+ * @example
+ * ```js
+ * isCharSets({ greek: 'αβγδε' }); // Expected value: true
+ * ```
+ */
+const isCharSets = target =>
+  typeof target === 'object' &&
+  target !== null &&
+  !Array.isArray(target) &&
+  Object.values(target).every(chars => typeof chars === 'string');
 
 /**
  * Function that returns an object with the characters to be used to create a
- * password, according to the specified options.
+ * password, according to the specified options. A `symbols` string replaces
+ * the default symbols, the custom `sets` are added after the built-in classes,
+ * and the characters of the `exclude` option, and the ambiguous ones when
+ * `excludeAmbiguous` is set, are removed from every class.
  *
  * @private
  * @function
  * @param {object} options - A object that contains the password creation options.
- * @returns {object} Object with the characters to use to generate.
+ * @returns {object} Object with the unique graphemes of every class.
  * @example
  * ```js
- * const options = { numbers: true, symbols: true, uppercases: true };
- * const selectedChars = getSelectedChars({ numbers: true });
+ * const selectedChars = getSelectedChars({ numbers: true, exclude: '01' });
+ * // Expected value: { numbers: ['2', '3', '4', '5', '6', '7', '8', '9'] }
  * ```
  */
-const getSelectedChars = options => ({
-  ...(options.numbers && { numbers }),
-  ...(options.symbols && { symbols }),
-  ...(options.uppercases && { uppercases }),
-  ...(options.lowercases && { lowercases }),
-});
+const getSelectedChars = options => {
+  const excluded = new Set(
+    toGraphemes(`${options.exclude || ''}${options.excludeAmbiguous ? ambiguous : ''}`),
+  );
+  const selected = {
+    ...(options.numbers && { numbers }),
+    ...(typeof options.symbols === 'string'
+      ? { symbols: options.symbols }
+      : options.symbols && { symbols }),
+    ...(options.uppercases && { uppercases }),
+    ...(options.lowercases && { lowercases }),
+    ...options.sets,
+  };
+  return Object.fromEntries(
+    Object.entries(selected).map(([name, chars]) => [
+      name,
+      [...new Set(toGraphemes(chars))].filter(char => !excluded.has(char)),
+    ]),
+  );
+};
 
 /**
  * Function that converts the selected characters into an array.
@@ -95,10 +172,166 @@ const getSelectedChars = options => ({
  * @returns {Array<string>} An `Array` with selected characters.
  * @example
  * ```js
- * const chars = charsToArray({ lowercase: 'abc', numbers: '123' }); // Expected value: ['a','b', 'c', '1', '2', '3']
+ * const chars = charsToArray({ lowercase: ['a', 'b'], numbers: ['1', '2'] }); // Expected value: ['a', 'b', '1', '2']
+ * ```
+ */
+const charsToArray = selected => Object.values(selected).flat();
+
+/**
+ * Function that returns the minimum and maximum number of characters that
+ * each selected class must contribute to the password.
+ *
+ * @private
+ * @function
+ * @param {object} options - A object that contains the password creation options.
+ * @param {object} selected - Object with the selected characters.
+ * @returns {Array<object>} An `Array` with the `name`, `min` and `max` of every class.
+ * @example
+ * ```js
+ * const bounds = getClassBounds({ guaranteed: true, max: { numbers: 2 } }, { numbers: '0123456789' });
+ * // Expected value: [{ name: 'numbers', min: 1, max: 2 }]
+ * ```
+ */
+const getClassBounds = (options, selected) =>
+  Object.keys(selected).map(name => ({
+    name,
+    min: Math.max((options.min && options.min[name]) || 0, options.guaranteed ? 1 : 0),
+    max: options.max && Reflect.has(options.max, name) ? options.max[name] : Infinity,
+  }));
+
+/**
+ * Checks the options object and its `size` option, shared by the generators
+ * of passwords.
+ *
+ * @private
+ * @function
+ * @param {*} options - A object that contains the password creation options.
+ * @param {number} maximum - The maximum length allowed for a password.
+ * @returns {Array<object>} The problems found, empty if the options are valid.
+ * @example
+ * ```js
+ * const [problem] = getSizeProblems({ size: 0 }, 30);
+ * // Expected value: { code: 'ERR_PTK_INVALID_SIZE', path: 'size', message: 'The password length must be greater than 1.' }
  * ```
  */
-const charsToArray = selected => Object.values(selected).flatMap(value => value.split(''));
+const getSizeProblems = (options, maximum) => {
+  const sizeProblem = message => [{ code: 'ERR_PTK_INVALID_SIZE', path: 'size', message }];
+  if (typeof options !== 'object' || options === null) {
+    return [{ code: 'ERR_PTK_INVALID_OPTIONS', path: '', message: 'Options must be an object.' }];
+  }
+  if (!Reflect.has(options, 'size')) {
+    return sizeProblem('The "size" property is required.');
+  }
+  if (!Number.isInteger(options.size)) {
+    return sizeProblem('The "size" option must be an integer.');
+  }
+  if (options.size < 1) {
+    return sizeProblem('The password length must be greater than 1.');
+  }
+  if (options.size > maximum) {
+    return sizeProblem('The password length must be less than specified maximum.');
+  }
+  return [];
+};
+
+/**
+ * Checks the `numbers`, `symbols`, `exclude` and `excludeAmbiguous` options,
+ * shared by the generators of passwords.
+ *
+ * @private
+ * @function
+ * @param {object} options - A object that contains the password creation options.
+ * @returns {Array<object>} The problems found, empty if the options are valid.
+ * @example
+ * ```js
+ * const [problem] = getCharProblems({ symbols: 1 });
+ * // Expected value: { code: 'ERR_PTK_INVALID_SYMBOLS', path: 'symbols', message: 'The "symbols" option must be a boolean or a string.' }
+ * ```
+ */
+const getCharProblems = options =>
+  [
+    Reflect.has(options, 'numbers') &&
+      typeof options.numbers !== 'boolean' && {
+        code: 'ERR_PTK_INVALID_NUMBERS',
+        path: 'numbers',
+        message: 'The "numbers" option must be a boolean.',
+      },
+    Reflect.has(options, 'symbols') &&
+      typeof options.symbols !== 'boolean' &&
+      typeof options.symbols !== 'string' && {
+        code: 'ERR_PTK_INVALID_SYMBOLS',
+        path: 'symbols',
+        message: 'The "symbols" option must be a boolean or a string.',
+      },
+    Reflect.has(options, 'exclude') &&
+      typeof options.exclude !== 'string' && {
+        code: 'ERR_PTK_INVALID_EXCLUDE',
+        path: 'exclude',
+        message: 'The "exclude" option must be a string.',
+      },
+    Reflect.has(options, 'excludeAmbiguous') &&
+      typeof options.excludeAmbiguous !== 'boolean' && {
+        code: 'ERR_PTK_INVALID_EXCLUDE_AMBIGUOUS',
+        path: 'excludeAmbiguous',
+        message: 'The "excludeAmbiguous" option must be a boolean.',
+      },
+  ].filter(Boolean);
+
+/**
+ * Checks the `min` or `max` option of the password creation options.
+ *
+ * @private
+ * @function
+ * @param {object} options - A object that contains the password creation options.
+ * @param {string} key - The name of the option to check, `min` or `max`.
+ * @param {Array<string>} [names] - The names of the classes and custom sets that can be counted.
+ * @returns {Array<object>} The problems found, empty if the option is valid.
+ * @example
+ * ```js
+ * const [problem] = getCountsProblems({ min: { numbers: -1 } }, 'min');
+ * // Expected value: { code: 'ERR_PTK_INVALID_MIN', path: 'min.numbers', message: 'The "min.numbers" value must be a non-negative integer.' }
+ * ```
+ */
+const getCountsProblems = (options, key, names = classNames) => {
+  if (!Reflect.has(options, key)) {
+    return [];
+  }
+  const code = `ERR_PTK_INVALID_${key.toUpperCase()}`;
+  const counts = options[key];
+  if (typeof counts !== 'object' || counts === null || Array.isArray(counts)) {
+    return [{ code, path: key, message: `The "${key}" option must be an object.` }];
+  }
+  return Object.keys(counts)
+    .map(name => {
+      const path = `${key}.${name}`;
+      if (!names.includes(name)) {
+        return { code, path, message: `The "${path}" option is not a character class.` };
+      }
+      if (!Number.isInteger(counts[name]) || counts[name] < 0) {
+        return { code, path, message: `The "${path}" value must be a non-negative integer.` };
+      }
+      return null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Returns the result of a validation from the problems found.
+ *
+ * @private
+ * @function
+ * @param {Array<object>} problems - The problems found in the options.
+ * @returns {object} The result of the validation, with the first problem as reason.
+ * @example
+ * ```js
+ * toValidation([]); // Expected value: { ok: true, reason: null, errors: [] }
+ * ```
+ */
+const toValidation = problems => ({
+  ok: problems.length === 0,
+  reason: problems.length > 0 ? problems[0].message : null,
+  errors: problems,
+});
 
 /**
  * Checks if every element in the array is a string.
@@ -115,7 +348,15 @@ const charsToArray = selected => Object.values(selected).flatMap(value => value.
 const everyString = target => target.every(item => typeof item === 'string');
 
 // ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-exports.getRandomNumber = getRandomNumber;
+exports.classNames = classNames;
+exports.classChars = classChars;
+exports.toGraphemes = toGraphemes;
+exports.isCharSets = isCharSets;
 exports.getSelectedChars = getSelectedChars;
 exports.charsToArray = charsToArray;
+exports.getClassBounds = getClassBounds;
+exports.getSizeProblems = getSizeProblems;
+exports.getCharProblems = getCharProblems;
+exports.getCountsProblems = getCountsProblems;
+exports.toValidation = toValidation;
 exports.everyString = everyString;
@@ -0,0 +1,331 @@
+/**
+ * @file Generation of random passwords in bulk.
+ *
+ * This file contains the generator behind `generate()`, `generateMany()` and
+ * `generateStream()`. The characters of the options are selected once, so a
+ * batch of passwords does not pay for the validation and the selection of
+ * every password, and the passwords of a batch are produced lazily, one at a
+ * time, so they can be streamed without buffering them in memory. Unique
+ * batches are the exception: every password already produced is kept to skip
+ * the repeated ones, so their memory grows with the size of the batch.
+ *
+ * To guarantee unique passwords, the number of passwords the options can
+ * produce is computed first, so a batch that cannot be completed fails before
+ * generating anything. Characters shared by several classes are counted once,
+ * in the first class that has them, so the computed number never exceeds the
+ * real one.
+ *
+ * The `maxConsecutive` option, set by the password rules, limits the runs of
+ * the same character. A character that makes a run too long is drawn again
+ * from its class, so the counts of the classes do not change.
+ *
+ * @private
+ * @module PasswordToolKit/generator
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { getSelectedChars, getClassBounds } = require('./functions');
+const { randomInt, shuffle } = require('./random');
+const { PasswordToolKitTypeError, PasswordToolKitRangeError } = require('./errors');
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Limits the runs of the same character of a shuffled password, drawing the
+ * characters that make a run too long again from their class. The new
+ * character differs from the previous one, and from the next one when the
+ * class allows it.
+ *
+ * @private
+ * @function
+ * @param {object} random - The random source of the instance.
+ * @param {Array<object>} entries - The `char` of every position, with the `chars` of its class.
+ * @param {number} limit - The longest run of the same character.
+ * @returns {Array<string>|null} The characters of the password, or `null` if a run cannot be broken.
+ * @example
+ * ```js
+ * const entry = { char: 'a', chars: ['a', 'b'] };
+ * const chars = limitRuns(random, [entry, entry], 1); // Expected value: ['a', 'b']
+ * ```
+ */
+const limitRuns = (random, entries, limit) => {
+  const chars = entries.map(entry => entry.char);
+  let run = 0;
+  for (let index = 0; index < chars.length; index += 1) {
+    run = index > 0 && chars[index] === chars[index - 1] ? run + 1 : 1;
+    if (run > limit) {
+      const candidates = entries[index].chars.filter(char => char !== chars[index - 1]);
+      if (candidates.length === 0) {
+        return null;
+      }
+      const preferred = candidates.filter(char => char !== chars[index + 1]);
+      const pool = preferred.length > 0 ? preferred : candidates;
+      chars[index] = pool[randomInt(random, pool.length)];
+      run = 1;
+    }
+  }
+  return chars;
+};
+
+/**
+ * Creates a function that generates random passwords with valid options.
+ *
+ * @private
+ * @function
+ * @param {object} random - The random source of the instance.
+ * @param {object} options - The valid password creation options.
+ * @returns {function(): string} The function that returns a new password on every call.
+ * @example
+ * ```js
+ * const next = createGenerator(passwordToolKit.random, { size: 12, numbers: true });
+ * const password = next();
+ * ```
+ */
+const createGenerator = (random, options) => {
+  const selectedChars = getSelectedChars(options);
+  const bounds = getClassBounds(options, selectedChars);
+  const limit = options.maxConsecutive || Infinity;
+  const draw = () => {
+    const pools = bounds.map(bound => ({ ...bound, chars: selectedChars[bound.name], count: 0 }));
+    const entries = [];
+
+    // Place the minimum number of characters of every class first
+    pools.forEach(pool => {
+      while (pool.count < pool.min) {
+        pool.count += 1;
+        entries.push({ chars: pool.chars, char: pool.chars[randomInt(random, pool.chars.length)] });
+      }
+    });
+
+    // Fill the rest from the merged pool of classes below their maximum
+    while (entries.length < options.size) {
+      const available = pools
+        .filter(pool => pool.count < pool.max)
+        .flatMap(pool => pool.chars.map(char => ({ pool, char })));
+      const { pool, char } = available[randomInt(random, available.length)];
+      pool.count += 1;
+      entries.push({ chars: pool.chars, char });
+    }
+
+    return limitRuns(random, shuffle(random, entries), limit);
+  };
+  return () => {
+    let password = draw();
+    while (password === null) {
+      password = draw();
+    }
+    return password.join('');
+  };
+};
+
+/**
+ * Returns the number of passwords with runs of the same character no longer
+ * than the limit, made of classes that do not share characters. The classes
+ * with a maximum are taken exactly once, so their characters never make a
+ * run, and the others fill the rest of the password.
+ *
+ * @private
+ * @function
+ * @param {Array<object>} classes - The `min`, `max` and number of `chars` of every class.
+ * @param {number} size - The length of the passwords.
+ * @param {number} limit - The longest run of the same character.
+ * @returns {bigint} The number of passwords.
+ * @example
+ * ```js
+ * countLimitedRuns([{ min: 0, max: Infinity, chars: 2n }], 4, 1); // Expected value: 2n
+ * ```
+ */
+const countLimitedRuns = (classes, size, limit) => {
+  const once = classes.filter(bound => bound.max !== Infinity);
+  const free = classes
+    .filter(bound => bound.max === Infinity)
+    .reduce((total, bound) => total + bound.chars, 0n);
+  const runs = Math.min(limit, size);
+
+  // Patterns of the positions, keyed by the number of required characters and the last run
+  let patterns = Array.from({ length: once.length + 1 }, (_, placed) =>
+    Array.from({ length: runs + 1 }, (__, run) => (placed === 0 && run === 0 ? 1n : 0n)),
+  );
+  for (let position = 0; position < size; position += 1) {
+    const next = patterns.map(row => row.map(() => 0n));
+    patterns.forEach((row, placed) => {
+      row.forEach((total, run) => {
+        if (total === 0n) {
+          return;
+        }
+        if (placed < once.length) {
+          next[placed + 1][0] += total;
+        }
+        if (run === 0) {
+          next[placed][1] += total * free;
+          return;
+        }
+        next[placed][1] += total * (free - 1n);
+        if (run < runs) {
+          next[placed][run + 1] += total;
+        }
+      });
+    });
+    patterns = next;
+  }
+
+  // Every order of the required classes over their positions, with any of their characters
+  return once.reduce(
+    (total, bound, index) => total * BigInt(index + 1) * bound.chars,
+    patterns[once.length].reduce((total, count) => total + count, 0n),
+  );
+};
+
+/**
+ * Returns the number of different passwords valid options can produce. The
+ * characters shared by several classes are counted once, so the result never
+ * exceeds the real number. With the `maxConsecutive` option, set by the
+ * password rules, the classes with a maximum are the required ones, taken
+ * exactly once, and the arrangements are counted position by position, from
+ * the required characters placed so far and the run of the last character.
+ *
+ * @private
+ * @function
+ * @param {object} options - The valid password creation options.
+ * @returns {bigint} The number of different passwords.
+ * @example
+ * ```js
+ * countPasswords({ size: 4, numbers: true }); // Expected value: 10000n
+ * ```
+ */
+const countPasswords = options => {
+  const selectedChars = getSelectedChars(options);
+  const seen = new Set();
+  const classes = getClassBounds(options, selectedChars).map(bound => {
+    const chars = selectedChars[bound.name].filter(char => !seen.has(char));
+    chars.forEach(char => seen.add(char));
+    return { ...bound, chars: BigInt(chars.length) };
+  });
+  if (options.maxConsecutive) {
+    return countLimitedRuns(classes, options.size, options.maxConsecutive);
+  }
+
+  // Binomial coefficients of the positions taken by every class
+  const binomials = [[1n]];
+  for (let n = 1; n <= options.size; n += 1) {
+    binomials[n] = Array.from({ length: n + 1 }, (_, k) =>
+      k === 0 || k === n ? 1n : binomials[n - 1][k - 1] + binomials[n - 1][k],
+    );
+  }
+
+  // Number of passwords of every length made of the classes added so far
+  let counts = Array.from({ length: options.size + 1 }, (_, length) => (length === 0 ? 1n : 0n));
+  classes.forEach(({ min, max, chars }) => {
+    counts = counts.map((_, length) => {
+      let total = 0n;
+      for (let used = min; used <= Math.min(max, length); used += 1) {
+        total += counts[length - used] * binomials[length][used] * chars ** BigInt(used);
+      }
+      return total;
+    });
+  });
+  return counts[options.size];
+};
+
+/**
+ * Checks the number of passwords of a batch.
+ *
+ * @private
+ * @function
+ * @param {*} count - The number of passwords to check.
+ * @returns {void}
+ * @throws {TypeError} If the number is not an integer.
+ * @throws {RangeError} If the number is negative.
+ * @example
+ * ```js
+ * checkCount(1000);
+ * ```
+ */
+const checkCount = count => {
+  if (!Number.isInteger(count)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_COUNT',
+      'The "count" value must be an integer.',
+    );
+  }
+  if (count < 0) {
+    throw new PasswordToolKitRangeError(
+      'ERR_PTK_INVALID_COUNT',
+      'The "count" value must not be negative.',
+    );
+  }
+};
+
+/**
+ * Checks the `unique` option of a batch with valid password creation
+ * options, and if the options can produce enough unique passwords.
+ *
+ * @private
+ * @function
+ * @param {object} options - The valid password creation options.
+ * @param {number} count - The number of passwords of the batch.
+ * @returns {void}
+ * @throws {TypeError} If the "unique" option is not a boolean.
+ * @throws {RangeError} If the options cannot produce enough unique passwords.
+ * @example
+ * ```js
+ * checkUniqueOption({ size: 4, numbers: true, unique: true }, 10001);
+ * // Throws: 'The "count" value must not exceed the 10000 unique passwords the options can produce.'
+ * ```
+ */
+const checkUniqueOption = (options, count) => {
+  if (Reflect.has(options, 'unique') && typeof options.unique !== 'boolean') {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_UNIQUE',
+      'The "unique" option must be a boolean.',
+    );
+  }
+  if (options.unique) {
+    const space = countPasswords(options);
+    if (BigInt(count) > space) {
+      throw new PasswordToolKitRangeError(
+        'ERR_PTK_INVALID_COUNT',
+        `The "count" value must not exceed the ${space} unique passwords the options can produce.`,
+      );
+    }
+  }
+};
+
+/**
+ * Generates a batch of passwords lazily, skipping the repeated ones when they
+ * must be unique. The passwords of a unique batch are kept in a set until the
+ * batch ends, so it needs memory for every password of the batch.
+ *
+ * @private
+ * @generator
+ * @function
+ * @param {function(): string} next - The function that returns a new password.
+ * @param {number} count - The number of passwords of the batch.
+ * @param {boolean} unique - Indicates whether the passwords must be different.
+ * @yields {string} The passwords of the batch.
+ * @example
+ * ```js
+ * const passwords = [...generateBatch(next, 100, true)];
+ * ```
+ */
+function* generateBatch(next, count, unique) {
+  const generated = new Set();
+  let yielded = 0;
+  while (yielded < count) {
+    const password = next();
+    if (!unique || !generated.has(password)) {
+      if (unique) {
+        generated.add(password);
+      }
+      yielded += 1;
+      yield password;
+    }
+  }
+}
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.createGenerator = createGenerator;
+exports.countPasswords = countPasswords;
+exports.checkCount = checkCount;
+exports.checkUniqueOption = checkUniqueOption;
+exports.generateBatch = generateBatch;
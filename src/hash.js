@@ -0,0 +1,416 @@
+/**
+ * @file Hashing and verification of passwords.
+ *
+ * This file contains the functions used to hash passwords for storage and to
+ * verify them later, with the scrypt and PBKDF2 functions built into Node.js,
+ * so no native addon is needed. The hashes are encoded as PHC strings, which
+ * carry the algorithm, its cost parameters and the salt next to the hash:
+ *
+ * - `$scrypt$ln=17,r=8,p=1$<salt>$<hash>`, where `ln` is the base 2 logarithm
+ * of the scrypt cost `N`.
+ * - `$pbkdf2-sha256$i=600000$<salt>$<hash>`, where `i` is the number of
+ * iterations.
+ *
+ * The salt and the hash are encoded in base64 without padding. The default
+ * cost parameters follow the OWASP recommendations, and `needsRehash()` tells
+ * when a stored hash was made with other parameters, so it can be upgraded the
+ * next time the user signs in.
+ *
+ * @private
+ * @module PasswordToolKit/hash
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+const { scrypt, pbkdf2, randomBytes, timingSafeEqual } = require('node:crypto');
+const { promisify } = require('node:util');
+
+// » IMPORT MODULES
+const { PasswordToolKitTypeError, PasswordToolKitRangeError } = require('./errors');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Options to hash passwords. Every property is optional, and the cost
+ * parameters only apply to their algorithm.
+ *
+ * @typedef  {object} HashOptions
+ * @property {string} [algorithm]  - `'scrypt'` (default), `'pbkdf2-sha256'` or `'pbkdf2-sha512'`.
+ * @property {number} [ln]         - The base 2 logarithm of the scrypt cost, `17` by default.
+ * @property {number} [r]          - The scrypt block size, `8` by default.
+ * @property {number} [p]          - The scrypt parallelization, `1` by default.
+ * @property {number} [iterations] - The PBKDF2 iterations, `600000` for SHA-256 and `210000` for SHA-512 by default.
+ * @property {number} [saltLength] - The length of the random salt in bytes, `16` by default.
+ * @property {number} [keyLength]  - The length of the hash in bytes, `32` by default.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Default cost parameters of every algorithm, keyed by PHC identifier.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const algorithms = {
+  scrypt: { ln: 17, r: 8, p: 1 },
+  'pbkdf2-sha256': { i: 600000 },
+  'pbkdf2-sha512': { i: 210000 },
+};
+
+/**
+ * Names of the options of the cost parameters.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const optionNames = { ln: 'ln', r: 'r', p: 'p', i: 'iterations' };
+
+/**
+ * Minimum values of the numeric options.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const minimums = { ln: 1, r: 1, p: 1, iterations: 1, saltLength: 8, keyLength: 16 };
+
+/**
+ * Maximum values of the scrypt cost parameters, so a stored hash can not ask
+ * for an unbounded amount of work.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const maximums = { ln: 20, r: 32, p: 16 };
+
+/**
+ * Maximum memory that scrypt may use, in bytes. The memory used is about
+ * `128 * N * r` bytes, 128 MiB with the default parameters.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MAX_MEMORY = 256 * 1024 * 1024;
+
+/**
+ * Default length of the random salt, in bytes.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const SALT_LENGTH = 16;
+
+/**
+ * Default length of the hash, in bytes.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const KEY_LENGTH = 32;
+
+/**
+ * Promise-based version of the scrypt function of Node.js.
+ *
+ * @private
+ * @constant
+ * @type {Function}
+ */
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Promise-based version of the PBKDF2 function of Node.js.
+ *
+ * @private
+ * @constant
+ * @type {Function}
+ */
+const pbkdf2Async = promisify(pbkdf2);
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Returns the memory that scrypt needs with some cost parameters, in bytes.
+ *
+ * @private
+ * @function
+ * @param {{ln: number, r: number}} params - The scrypt cost parameters.
+ * @returns {number} The memory needed.
+ * @example
+ * ```js
+ * getScryptMemory({ ln: 17, r: 8, p: 1 }); // Expected value: 134217728
+ * ```
+ */
+const getScryptMemory = ({ ln, r }) => 128 * 2 ** ln * r;
+
+/**
+ * Checks the hashing options and returns the algorithm, cost parameters and
+ * lengths they describe, completed with the defaults.
+ *
+ * @private
+ * @function
+ * @param {*} options - The hashing options.
+ * @returns {{id: string, params: object, saltLength: number, keyLength: number}} The hashing settings.
+ * @throws {TypeError} If the options are not an object or an option is not an integer.
+ * @throws {RangeError} If the algorithm is unknown or an option is out of range.
+ * @example
+ * ```js
+ * const settings = getHashSettings({ algorithm: 'pbkdf2-sha256' });
+ * // Expected value: { id: 'pbkdf2-sha256', params: { i: 600000 }, saltLength: 16, keyLength: 32 }
+ * ```
+ */
+const getHashSettings = options => {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_OPTIONS',
+      'The "options" value must be an object.',
+    );
+  }
+  const { algorithm: id = 'scrypt' } = options;
+  if (!Reflect.has(algorithms, id)) {
+    throw new PasswordToolKitRangeError(
+      'ERR_PTK_INVALID_ALGORITHM',
+      `The "algorithm" option must be one of: ${Object.keys(algorithms).join(', ')}.`,
+    );
+  }
+  const getOption = (name, fallback) => {
+    if (!Reflect.has(options, name)) {
+      return fallback;
+    }
+    const code = `ERR_PTK_INVALID_${name.replace(/[A-Z]/g, '_$&').toUpperCase()}`;
+    if (!Number.isInteger(options[name])) {
+      throw new PasswordToolKitTypeError(code, `The "${name}" option must be an integer.`);
+    }
+    if (options[name] < minimums[name]) {
+      throw new PasswordToolKitRangeError(
+        code,
+        `The "${name}" option must be greater than or equal to ${minimums[name]}.`,
+      );
+    }
+    if (options[name] > maximums[name]) {
+      throw new PasswordToolKitRangeError(
+        code,
+        `The "${name}" option must be less than or equal to ${maximums[name]}.`,
+      );
+    }
+    return options[name];
+  };
+  const params = Object.fromEntries(
+    Object.entries(algorithms[id]).map(([key, value]) => [key, getOption(optionNames[key], value)]),
+  );
+  if (id === 'scrypt' && getScryptMemory(params) > MAX_MEMORY) {
+    throw new PasswordToolKitRangeError(
+      'ERR_PTK_INVALID_SCRYPT_MEMORY',
+      'The "ln" and "r" options must not need more than 256 MiB of memory (128 * 2 ** ln * r bytes).',
+    );
+  }
+  return {
+    id,
+    params,
+    saltLength: getOption('saltLength', SALT_LENGTH),
+    keyLength: getOption('keyLength', KEY_LENGTH),
+  };
+};
+
+/**
+ * Parses a PHC string made by `hash()`. The salt and the hash must be at least
+ * as long as the minimum `saltLength` and `keyLength` of `hash()`, so a
+ * truncated hash is never compared, and the cost parameters must appear once
+ * and stay within the limits of `hash()`, so a forged hash can not ask for an
+ * unbounded amount of work.
+ *
+ * @private
+ * @function
+ * @param {*} phc - The PHC string.
+ * @returns {{id: string, params: object, salt: Buffer, key: Buffer}} The parts of the hash.
+ * @throws {TypeError} If the value is not a PHC string of a supported algorithm, its parameters are out of range, or its salt or hash is too short.
+ * @example
+ * ```js
+ * const { id, params } = parseHash(
+ *   '$scrypt$ln=17,r=8,p=1$c2FsdHNhbHRzYWx0c2FsdA$aGFzaGhhc2hoYXNoaGFzaA',
+ * );
+ * // Expected value: 'scrypt' and { ln: 17, r: 8, p: 1 }
+ * ```
+ */
+const parseHash = phc => {
+  const error = new PasswordToolKitTypeError(
+    'ERR_PTK_INVALID_HASH',
+    'The "hash" value must be a PHC string of a supported algorithm.',
+  );
+  if (typeof phc !== 'string') {
+    throw error;
+  }
+  const [empty, id, encodedParams, salt, key, ...rest] = phc.split('$');
+  if (empty !== '' || rest.length > 0 || !Reflect.has(algorithms, id)) {
+    throw error;
+  }
+  const entries = (encodedParams || '').split(',').map(param => {
+    const [name, value] = param.split('=');
+    return [name, /^[1-9]\d{0,9}$/.test(value) ? Number(value) : NaN];
+  });
+  const params = Object.fromEntries(entries);
+  const names = Object.keys(algorithms[id]);
+  const base64 = /^[A-Za-z0-9+/]+$/;
+  if (
+    entries.length !== names.length ||
+    Object.keys(params).length !== names.length ||
+    names.some(name => !Number.isInteger(params[name]) || params[name] > maximums[name]) ||
+    (id === 'scrypt' && getScryptMemory(params) > MAX_MEMORY) ||
+    !base64.test(salt) ||
+    !base64.test(key)
+  ) {
+    throw error;
+  }
+  const saltBytes = Buffer.from(salt, 'base64');
+  const keyBytes = Buffer.from(key, 'base64');
+  if (saltBytes.length < minimums.saltLength || keyBytes.length < minimums.keyLength) {
+    throw error;
+  }
+  return { id, params, salt: saltBytes, key: keyBytes };
+};
+
+/**
+ * Derives the key of a password with an algorithm and its cost parameters.
+ *
+ * @private
+ * @async
+ * @function
+ * @param {string} password - The password.
+ * @param {string} id - The PHC identifier of the algorithm.
+ * @param {object} params - The cost parameters of the algorithm.
+ * @param {Buffer} salt - The salt.
+ * @param {number} keyLength - The length of the key in bytes.
+ * @returns {Promise<Buffer>} The derived key.
+ * @example
+ * ```js
+ * deriveKey('Ma$bel-561', 'scrypt', { ln: 15, r: 8, p: 1 }, salt, 32).then(key => console.error(key));
+ * ```
+ */
+const deriveKey = (password, id, params, salt, keyLength) => {
+  if (id === 'scrypt') {
+    const { ln, r, p } = params;
+    const N = 2 ** ln;
+    // The extra MiB covers the `128 * r * p` bytes of the parallel blocks.
+    return scryptAsync(password, salt, keyLength, { N, r, p, maxmem: MAX_MEMORY + 1024 * 1024 });
+  }
+  return pbkdf2Async(password, salt, params.i, keyLength, id.slice('pbkdf2-'.length));
+};
+
+/**
+ * Encodes bytes in the base64 alphabet of the PHC strings, without padding.
+ *
+ * @private
+ * @function
+ * @param {Buffer} bytes - The bytes to encode.
+ * @returns {string} The encoded bytes.
+ * @example
+ * ```js
+ * toBase64(Buffer.from('salt')); // Expected value: 'c2FsdA'
+ * ```
+ */
+const toBase64 = bytes => bytes.toString('base64').replace(/=+$/, '');
+
+/**
+ * Checks if the password is a string.
+ *
+ * @private
+ * @function
+ * @param {*} password - The password to check.
+ * @returns {void}
+ * @throws {TypeError} If the password is not a string.
+ * @example
+ * ```js
+ * checkPassword('Ma$bel-561');
+ * ```
+ */
+const checkPassword = password => {
+  if (typeof password !== 'string') {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_PASSWORD',
+      'The "password" value must be a string type.',
+    );
+  }
+};
+
+/**
+ * Hashes a password with a random salt, and returns the PHC string to store.
+ *
+ * @async
+ * @function
+ * @param {string} password - The password to hash.
+ * @param {HashOptions} [options] - The algorithm and cost parameters.
+ * @returns {Promise<string>} The PHC string of the hash.
+ * @throws {TypeError} If the password is not a string, or the options are not valid.
+ * @throws {RangeError} If the algorithm is unknown or an option is out of range.
+ * @example
+ * ```js
+ * hash('Ma$bel-561').then(phc => console.error(phc)); // e.g. '$scrypt$ln=17,r=8,p=1$…$…'
+ * ```
+ */
+const hash = async (password, options = {}) => {
+  checkPassword(password);
+  const { id, params, saltLength, keyLength } = getHashSettings(options);
+  const salt = randomBytes(saltLength);
+  const key = await deriveKey(password, id, params, salt, keyLength);
+  const encodedParams = Object.entries(params)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(',');
+  return `$${id}$${encodedParams}$${toBase64(salt)}$${toBase64(key)}`;
+};
+
+/**
+ * Verifies a password against a PHC string made by `hash()`. The hashes are
+ * compared in constant time.
+ *
+ * @async
+ * @function
+ * @param {string} password - The password to verify.
+ * @param {string} phc - The stored PHC string.
+ * @returns {Promise<boolean>} Returns `true` if the password matches the hash, otherwise `false`.
+ * @throws {TypeError} If the password is not a string, or the hash is not a supported PHC string.
+ * @example
+ * ```js
+ * verify('Ma$bel-561', phc).then(ok => console.error(ok));
+ * ```
+ */
+const verify = async (password, phc) => {
+  checkPassword(password);
+  const { id, params, salt, key } = parseHash(phc);
+  const derived = await deriveKey(password, id, params, salt, key.length);
+  return timingSafeEqual(derived, key);
+};
+
+/**
+ * Checks if a PHC string made by `hash()` was made with other algorithm, cost
+ * parameters or lengths than the current ones, so the password must be hashed
+ * again the next time it is verified.
+ *
+ * @function
+ * @param {string} phc - The stored PHC string.
+ * @param {HashOptions} [currentParams] - The current algorithm and cost parameters.
+ * @returns {boolean} Returns `true` if the password must be hashed again, otherwise `false`.
+ * @throws {TypeError} If the hash is not a supported PHC string, or the options are not valid.
+ * @throws {RangeError} If the algorithm is unknown or an option is out of range.
+ * @example
+ * ```js
+ * const outdated = needsRehash(storedHash, { algorithm: 'scrypt', ln: 18 });
+ * ```
+ */
+const needsRehash = (phc, currentParams = {}) => {
+  const { id, params, salt, key } = parseHash(phc);
+  const current = getHashSettings(currentParams);
+  return (
+    id !== current.id ||
+    Object.keys(current.params).some(name => params[name] !== current.params[name]) ||
+    salt.length < current.saltLength ||
+    key.length !== current.keyLength
+  );
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.hash = hash;
+exports.verify = verify;
+exports.needsRehash = needsRehash;
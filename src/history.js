@@ -0,0 +1,212 @@
+/**
+ * @file Comparison of a password with the previous passwords of its user.
+ *
+ * This file contains the functions used to stop a user from reusing a
+ * previous password, or from changing it just enough to pass a rotation
+ * policy, like bumping the year of `Summer2024!`. A candidate is compared
+ * with the plaintext old passwords, which are only known in the
+ * change-password flow, where the user types the old one, and with the stored
+ * hashes of the history, which can only tell an exact reuse.
+ *
+ * The comparison of plaintext passwords is case-insensitive, and finds:
+ *
+ * - `reuse`: the same password.
+ * - `caseChange`: the same password with other uppercase letters.
+ * - `numberChange`: the same password with other numbers, like a bumped year.
+ * Both passwords must share some characters besides the numbers, so two
+ * passwords made only of digits are not a number change of each other.
+ * - `rotation`: the same characters with a part moved to the other end, like a
+ * moved suffix.
+ * - `extension`: the previous password with a few characters added or removed
+ * at its ends.
+ * - `edit`: a password within a small edit distance of the previous one.
+ *
+ * @private
+ * @module PasswordToolKit/history
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { verify } = require('./hash');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * A previous password similar to the candidate.
+ *
+ * @typedef  {object} HistoryMatch
+ * @property {string} source       - `'plaintext'` for the previous passwords, or `'hash'` for the hashed history.
+ * @property {number} index        - The index of the previous password in its list.
+ * @property {string} type         - The kind of change: `'reuse'`, `'caseChange'`, `'numberChange'`, `'rotation'`, `'extension'` or `'edit'`.
+ * @property {number} distance     - The edit distance between the passwords, ignoring the case.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Highest edit distance between two similar passwords, relative to the
+ * length of the longest one.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MAX_DISTANCE_RATIO = 0.3;
+
+/**
+ * Highest number of characters added or removed at the ends of a previous
+ * password for an extension.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MAX_EXTENSION = 4;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks if the value is a list of previous passwords or hashes.
+ *
+ * @private
+ * @function
+ * @param {*} target - The value to check.
+ * @returns {boolean} Returns `true` if every value is a string, otherwise `false`.
+ * @example
+ * ```js
+ * isHistory(['Summer2024!', 'Spring2024!']); // Expected value: true
+ * ```
+ */
+const isHistory = target => Array.isArray(target) && target.every(item => typeof item === 'string');
+
+/**
+ * Returns the edit distance between two texts: the lowest number of inserted,
+ * deleted, replaced or swapped adjacent characters that turn one into the
+ * other.
+ *
+ * @private
+ * @function
+ * @param {string} a - The first text.
+ * @param {string} b - The second text.
+ * @returns {number} The edit distance.
+ * @example
+ * ```js
+ * getEditDistance('summer2024!', 'summer2025!'); // Expected value: 1
+ * ```
+ */
+const getEditDistance = (a, b) => {
+  const source = [...a];
+  const target = [...b];
+  const rows = [Array.from({ length: target.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= source.length; i += 1) {
+    rows[i] = [i];
+    for (let j = 1; j <= target.length; j += 1) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[source.length][target.length];
+};
+
+/**
+ * Returns the kind of change between a candidate and a previous password, or
+ * `null` if they are not similar.
+ *
+ * @private
+ * @function
+ * @param {string} candidate - The new password.
+ * @param {string} previous - The previous password.
+ * @param {number} distance - The case-insensitive edit distance between them.
+ * @returns {string|null} The kind of change.
+ * @example
+ * ```js
+ * getChangeType('Summer2025!', 'Summer2024!', 1); // Expected value: 'numberChange'
+ * ```
+ */
+const getChangeType = (candidate, previous, distance) => {
+  const lowered = candidate.toLowerCase();
+  const loweredPrevious = previous.toLowerCase();
+  const withoutNumbers = text => text.replace(/\d+/g, '#');
+  if (candidate === previous) {
+    return 'reuse';
+  }
+  if (lowered === loweredPrevious) {
+    return 'caseChange';
+  }
+  if (
+    withoutNumbers(lowered) === withoutNumbers(loweredPrevious) &&
+    /\d/.test(lowered) &&
+    /\D/.test(lowered)
+  ) {
+    return 'numberChange';
+  }
+  if (
+    lowered.length === loweredPrevious.length &&
+    `${lowered}${lowered}`.includes(loweredPrevious)
+  ) {
+    return 'rotation';
+  }
+  const [shorter, longer] = [lowered, loweredPrevious].sort((a, b) => a.length - b.length);
+  if (
+    shorter.length > 0 &&
+    longer.includes(shorter) &&
+    longer.length - shorter.length <= MAX_EXTENSION
+  ) {
+    return 'extension';
+  }
+  if (distance <= Math.max(lowered.length, loweredPrevious.length) * MAX_DISTANCE_RATIO) {
+    return 'edit';
+  }
+  return null;
+};
+
+/**
+ * Finds the plaintext previous passwords that are similar to the candidate.
+ *
+ * @private
+ * @function
+ * @param {string} password - The new password.
+ * @param {Array<string>} previousPasswords - The plaintext previous passwords.
+ * @returns {Array<HistoryMatch>} The similar previous passwords.
+ * @example
+ * ```js
+ * const [match] = findSimilarPrevious('Summer2025!', ['Summer2024!']);
+ * // Expected value: { source: 'plaintext', index: 0, type: 'numberChange', distance: 1 }
+ * ```
+ */
+const findSimilarPrevious = (password, previousPasswords) =>
+  previousPasswords
+    .map((previous, index) => {
+      const distance = getEditDistance(password.toLowerCase(), previous.toLowerCase());
+      const type = getChangeType(password, previous, distance);
+      return type && { source: 'plaintext', index, type, distance };
+    })
+    .filter(Boolean);
+
+/**
+ * Finds the hashes of the history that were made from the candidate.
+ *
+ * @private
+ * @async
+ * @function
+ * @param {string} password - The new password.
+ * @param {Array<string>} passwordHistory - The PHC strings of the previous passwords.
+ * @returns {Promise<Array<HistoryMatch>>} The reused previous passwords.
+ * @throws {TypeError} If a hash is not a PHC string of a supported algorithm.
+ * @example
+ * ```js
+ * findReusedHashes('Summer2024!', user.passwordHistory).then(matches => console.error(matches));
+ * ```
+ */
+const findReusedHashes = async (password, passwordHistory) => {
+  const verified = await Promise.all(passwordHistory.map(phc => verify(password, phc)));
+  return passwordHistory
+    .map((phc, index) => verified[index] && { source: 'hash', index, type: 'reuse', distance: 0 })
+    .filter(Boolean);
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.isHistory = isHistory;
+exports.getEditDistance = getEditDistance;
+exports.findSimilarPrevious = findSimilarPrevious;
+exports.findReusedHashes = findReusedHashes;
@@ -0,0 +1,167 @@
+/**
+ * @file Localization of the texts of the toolkit.
+ *
+ * This file contains the locale packs and the functions used to translate the
+ * texts returned by the toolkit. Every text has a stable message ID, such as
+ * `'suggestion.tooShort'`, and a locale pack is a flat object of texts keyed
+ * by message ID. Texts can contain `{name}` placeholders that are replaced
+ * with the values of the message, e.g. `{min}` for a minimum length.
+ *
+ * A text missing from a locale falls back to the language of the locale, e.g.
+ * `es` for `es-MX`, then to the default locale of the instance and then to
+ * English.
+ *
+ * @private
+ * @module PasswordToolKit/i18n
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const en = require('./locales/en.json');
+const es = require('./locales/es.json');
+const fr = require('./locales/fr.json');
+const de = require('./locales/de.json');
+const pt = require('./locales/pt.json');
+const { PasswordToolKitRangeError } = require('./errors');
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Bundled locale packs, keyed by locale name.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const bundledLocales = { en, es, fr, de, pt };
+
+/**
+ * Locale used when a text is missing from every other locale.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const FALLBACK_LOCALE = 'en';
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Replaces the `{name}` placeholders of a message with their values.
+ *
+ * @private
+ * @function
+ * @param {string} message - The message with placeholders.
+ * @param {object} values - The values of the placeholders.
+ * @returns {string} The message with the values.
+ * @example
+ * ```js
+ * format('At least {min} characters.', { min: 12 }); // Expected value: 'At least 12 characters.'
+ * ```
+ */
+const format = (message, values) =>
+  message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Reflect.has(values, name) ? String(values[name]) : placeholder,
+  );
+
+/**
+ * Checks if the value is an object of locale packs, keyed by locale name.
+ *
+ * @private
+ * @function
+ * @param {*} target - The value to check.
+ * @returns {boolean} Returns `true` if every pack is an object of strings, otherwise `false`.
+ * @example
+ * ```js
+ * isLocales({ 'es-MX': { 'quality.perfect': 'perfecto' } }); // Expected value: true
+ * ```
+ */
+const isLocales = target =>
+  typeof target === 'object' &&
+  target !== null &&
+  !Array.isArray(target) &&
+  Object.values(target).every(
+    pack =>
+      typeof pack === 'object' &&
+      pack !== null &&
+      !Array.isArray(pack) &&
+      Object.values(pack).every(text => typeof text === 'string'),
+  );
+
+/**
+ * Creates the catalog of an instance: the bundled locale packs, merged with
+ * the custom packs of the settings.
+ *
+ * @private
+ * @function
+ * @param {object} locales - The custom locale packs, keyed by locale name.
+ * @returns {Map<string, object>} The locale packs, keyed by locale name.
+ * @example
+ * ```js
+ * const catalog = createCatalog({ 'es-MX': { 'quality.perfect': 'perfecto' } });
+ * ```
+ */
+const createCatalog = locales => {
+  const catalog = new Map(Object.entries(bundledLocales));
+  Object.entries(locales).forEach(([name, pack]) => {
+    catalog.set(name, { ...catalog.get(name), ...pack });
+  });
+  return catalog;
+};
+
+/**
+ * Checks if a locale, or its language, is in the catalog.
+ *
+ * @private
+ * @function
+ * @param {Map<string, object>} catalog - The locale packs of the instance.
+ * @param {string} locale - The name of the locale, e.g. `'es-MX'`.
+ * @returns {void}
+ * @throws {RangeError} If neither the locale nor its language is in the catalog.
+ * @example
+ * ```js
+ * checkLocale(catalog, 'fr-CA');
+ * ```
+ */
+const checkLocale = (catalog, locale) => {
+  if (!catalog.has(locale) && !catalog.has(locale.split('-')[0])) {
+    throw new PasswordToolKitRangeError(
+      'ERR_PTK_INVALID_LOCALE',
+      `The "locale" value must be one of: ${[...catalog.keys()].join(', ')}.`,
+    );
+  }
+};
+
+/**
+ * Returns the function that translates message IDs into a locale, falling
+ * back to its language, the default locale and English. A message ID missing
+ * from every locale is used as the text itself.
+ *
+ * @private
+ * @function
+ * @param {Map<string, object>} catalog - The locale packs of the instance.
+ * @param {string} locale - The locale of the texts.
+ * @param {string} defaultLocale - The default locale of the instance.
+ * @returns {function(string, object=): string} The function that returns the text of a message ID.
+ * @throws {RangeError} If neither the locale nor its language is in the catalog.
+ * @example
+ * ```js
+ * const translate = createTranslator(catalog, 'es-MX', 'en');
+ * translate('suggestion.tooShort', { min: 8 }); // Expected value: 'La contraseña debe tener al menos 8 caracteres.'
+ * ```
+ */
+const createTranslator = (catalog, locale, defaultLocale) => {
+  checkLocale(catalog, locale);
+  const names = [locale, locale.split('-')[0], defaultLocale, FALLBACK_LOCALE];
+  const packs = [...new Set(names)]
+    .filter(name => catalog.has(name))
+    .map(name => catalog.get(name));
+  return (id, values = {}) => {
+    const pack = packs.find(candidate => Reflect.has(candidate, id));
+    return format(pack ? pack[id] : id, values);
+  };
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.isLocales = isLocales;
+exports.createCatalog = createCatalog;
+exports.checkLocale = checkLocale;
+exports.createTranslator = createTranslator;
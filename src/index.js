@@ -8,10 +8,73 @@
  */
 
 // ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+const { Readable } = require('node:stream');
+
 // » IMPORT MODULES
-const { regexps, patterns } = require('./constants');
-const { suggestions, qualities } = require('./defaults');
-const { getRandomNumber, getSelectedChars, charsToArray, everyString } = require('./functions');
+const { suggestionIds, qualityIds, toMessages, fromMessages } = require('./defaults');
+const { isLocales, createCatalog, checkLocale, createTranslator } = require('./i18n');
+const {
+  classNames,
+  isCharSets,
+  getSelectedChars,
+  getClassBounds,
+  getSizeProblems,
+  getCharProblems,
+  getCountsProblems,
+  toValidation,
+  everyString,
+} = require('./functions');
+const { createSecureRandom, createSeededRandom, isRandomSource, randomInt } = require('./random');
+const { createGenerator, checkCount, checkUniqueOption, generateBatch } = require('./generator');
+const { getWordlist } = require('./wordlists');
+const { checkPassphraseOptions, getUniqueWords } = require('./passphrase');
+const {
+  getLetterPools,
+  getAllowedTemplates,
+  getLettersEntropy,
+  getPronounceableProblems,
+} = require('./pronounceable');
+const { parsePattern, getPatternChars, getTokenChars, getPatternProblems } = require('./pattern');
+const { createDictionaries } = require('./blocklist');
+const {
+  createFileRangeProvider,
+  createHttpRangeProvider,
+  isBreachProvider,
+  countBreaches,
+} = require('./breach');
+const { layoutNames, everyLayout } = require('./keyboard');
+const {
+  MIN_LENGTH,
+  checkEvaluationInputs,
+  analyze,
+  getQualityIndex,
+  runChecks,
+} = require('./checks');
+const { presets, checkPolicy, validatePolicy } = require('./policy');
+const { builtInCodes, addRule, everyBuiltInCode, createChecks } = require('./rules');
+const { hash, verify, needsRehash } = require('./hash');
+const { findSimilarPrevious, findReusedHashes } = require('./history');
+const { checkPin, checkPinLength, analyzePin, getPinLevel, createPin } = require('./pin');
+const { createMeter } = require('./meter');
+const {
+  parsePasswordRules,
+  resolvePasswordRules,
+  getPasswordRulesProblems,
+} = require('./passwordrules');
+const {
+  createMiddleware,
+  createAjvKeyword,
+  createAjvFormat,
+  createJoiExtension,
+  createYupTest,
+} = require('./adapters');
+const {
+  PasswordToolKitTypeError,
+  PasswordToolKitRangeError,
+  PasswordToolKitOptionsError,
+  PasswordToolKitBreachError,
+} = require('./errors');
 
 // ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 /**
@@ -21,34 +84,344 @@ const { getRandomNumber, getSelectedChars, charsToArray, everyString } = require
  * @property {number}         maximum                 - The maximum length allowed for a password.
  * @property {Array.<string>} suggestions             - Texts offering suggestions to improve password security.
  * @property {Array.<string>} qualities               - Quality levels for password strength.
+ * @property {RandomSource}   random                  - The source of random values used to generate passwords.
+ * @property {object}         dictionaries            - Extra lists of blocklisted words keyed by dictionary name.
+ * @property {object}         messages                - Suggestions of the additional evaluation stages, keyed by stage.
+ * @property {BreachProvider} breachProvider          - The provider of the breached password ranges.
+ * @property {string}         breachDirectory         - The directory of the range files read by the default breach provider.
+ * @property {Array.<string>} layouts                 - The keyboard layouts searched for keyboard walks.
+ * @property {string}         locale                  - The default locale of the texts, e.g. `'es'` or `'pt-BR'`.
+ * @property {object}         locales                 - Custom locale packs, keyed by locale name, with texts keyed by message ID.
+ * @property {Array.<Rule>}   rules                   - Custom rules run alongside the built-in checks.
+ * @property {Array.<string>} disabledRules           - Codes of the built-in checks that are not run, e.g. `'NO_SYMBOL'`.
+ * @property {boolean}        strict                  - Makes the generators throw instead of returning `null` when the options are not valid.
+ */
+
+/**
+ * Object that returns the breached hash suffixes of a range.
+ *
+ * @typedef  {object}                            BreachProvider
+ * @property {function(string): Promise<string>} range          - Resolves with the range body of a 5-character hash prefix.
+ */
+
+/**
+ * Object that provides random 32-bit unsigned integers.
+ *
+ * @typedef  {object}             RandomSource
+ * @property {function(): number} nextUint32   - Returns an integer between 0 and 2^32 - 1.
  */
 
 /**
  * Object that represents the result of validating password options.
  *
- * @typedef  {object}  OptionsValidation
- * @property {boolean} ok                - Indicates whether the validation passed `true` or failed `false`.
- * @property {string}  reason            - Reason for the validation result.
+ * @typedef  {object}                 OptionsValidation
+ * @property {boolean}                ok                - Indicates whether the validation passed `true` or failed `false`.
+ * @property {string}                 reason            - Reason for the validation result.
+ * @property {Array.<OptionsProblem>} [errors]          - Every problem found by the options checks, in the order of the checks.
+ */
+
+/**
+ * A problem found in the password creation options.
+ *
+ * @typedef  {object} OptionsProblem
+ * @property {string} code           - The stable code of the problem, e.g. `'ERR_PTK_INVALID_SIZE'`.
+ * @property {string} path           - The path of the option, e.g. `'min.numbers'`, or `''` for the options object.
+ * @property {string} message        - The description of the problem.
  */
 
 /**
  * Configuration options to generate passwords.
  *
- * @typedef  {object}  GenerateOptions
- * @property {number}  size            - The desired size of the password.
- * @property {boolean} numbers         - Indicates whether numbers are allowed in the password.
- * @property {boolean} symbols         - Indicates whether symbols are allowed in the password.
- * @property {boolean} uppercases      - Indicates whether uppercase letters are allowed in the password.
- * @property {boolean} lowercases      - Indicates whether lowercase letters are allowed in the password.
+ * @typedef  {object}         GenerateOptions
+ * @property {number}         size               - The desired size of the password.
+ * @property {boolean}        numbers            - Indicates whether numbers are allowed in the password.
+ * @property {boolean|string} symbols            - Indicates whether symbols are allowed in the password, or the symbols allowed.
+ * @property {boolean}        uppercases         - Indicates whether uppercase letters are allowed in the password.
+ * @property {boolean}        lowercases         - Indicates whether lowercase letters are allowed in the password.
+ * @property {boolean}        [guaranteed]       - Indicates whether every allowed class must appear at least once.
+ * @property {object}         [min]              - Minimum number of characters of each class, e.g. `{ numbers: 2 }`.
+ * @property {object}         [max]              - Maximum number of characters of each class, e.g. `{ symbols: 1 }`.
+ * @property {string}         [exclude]          - Characters that must not appear in the password.
+ * @property {boolean}        [excludeAmbiguous] - Indicates whether the ambiguous characters `0O1lI|` are excluded.
+ * @property {object}         [sets]             - Custom character sets keyed by name, e.g. `{ greek: 'αβγδε' }`, counted by grapheme.
+ * @property {string}         [passwordRules]    - Password rules of the `passwordrules` attribute, which replace the options that select the characters.
+ */
+
+/**
+ * Configuration options to generate batches of passwords: the options of
+ * `generate()` and the `unique` option.
+ *
+ * @typedef  {object}  BatchOptions
+ * @property {number}  size         - The desired size of every password.
+ * @property {boolean} [unique]     - Indicates whether the passwords of the batch must all be different.
+ */
+
+/**
+ * Configuration options to generate passphrases.
+ *
+ * @typedef  {object}                PassphraseOptions
+ * @property {number}                [words]           - The number of words of the passphrase, from 1 to 32, `6` by default.
+ * @property {string}                [separator]       - The text placed between the words, `'-'` by default.
+ * @property {string}                [capitalization]  - One of `'lowercase'`, which keeps the words of the wordlist as they are, `'uppercase'`, `'capitalize'` or `'random'`.
+ * @property {boolean}               [digit]           - Indicates whether a random digit is appended to a random word.
+ * @property {boolean}               [symbol]          - Indicates whether a random symbol is appended to a random word.
+ * @property {string|Array.<string>} [wordlist]        - The name of a bundled wordlist, `'eff-long'` or `'eff-short'`, or a custom list of words.
+ */
+
+/**
+ * The result of generating a passphrase.
+ *
+ * @typedef  {object} Passphrase
+ * @property {string} passphrase  - The generated passphrase.
+ * @property {number} entropyBits - The entropy of the passphrase in bits.
+ */
+
+/**
+ * Configuration options to generate pronounceable passwords.
+ *
+ * @typedef  {object}         PronounceableOptions
+ * @property {number}         size                 - The desired size of the password, counting the inserted digit and symbol.
+ * @property {boolean}        [numbers]            - Indicates whether a random digit is inserted at a random position.
+ * @property {boolean|string} [symbols]            - Indicates whether a random symbol is inserted at a random position, or the symbols allowed.
+ * @property {string}         [capitalization]     - One of `'lowercase'`, `'syllables'` or `'random'`.
+ * @property {string}         [exclude]            - Characters that must not appear in the password.
+ * @property {boolean}        [excludeAmbiguous]   - Indicates whether the ambiguous characters `0O1lI|` are excluded.
+ */
+
+/**
+ * The result of generating a pronounceable password.
+ *
+ * @typedef  {object} PronounceablePassword
+ * @property {string} password              - The generated password.
+ * @property {number} entropyBits           - The lowest entropy, in bits, of the passwords the options can produce.
+ */
+
+/**
+ * Configuration options to generate passwords from a mask. Every property is
+ * optional.
+ *
+ * @typedef  {object}  PatternOptions
+ * @property {object}  [sets]             - Custom character sets keyed by name, used by the `[name]` placeholders.
+ * @property {string}  [symbols]          - The symbols used by the `!` and `*` placeholders, instead of the default ones.
+ * @property {string}  [exclude]          - Characters that must not replace a placeholder.
+ * @property {boolean} [excludeAmbiguous] - Indicates whether the ambiguous characters `0O1lI|` are excluded.
  */
 
 /**
  * The result of validating a password's security.
  *
- * @typedef  {object} PasswordEvaluation
- * @property {number} level              - A number indicating the security level of the password (0-5).
- * @property {string} suggestion         - Text offering suggestions to improve password security.
- * @property {string} quality            - The quality level of the password.
+ * @typedef  {object}               PasswordEvaluation
+ * @property {number}               level              - A number indicating the security level of the password (0-5).
+ * @property {string}               suggestion         - Text offering suggestions to improve password security.
+ * @property {string}               quality            - The quality level of the password.
+ * @property {number}               entropyBits        - The estimated entropy of the password in bits.
+ * @property {number}               guesses            - The estimated number of guesses needed to find the password.
+ * @property {CrackTimes}           crackTimes         - The estimated time to crack the password in every attack scenario.
+ * @property {Array.<PatternMatch>} matches            - The parts of the password that match a known pattern.
+ */
+
+/**
+ * The result of the detailed evaluation of a password, with every failed
+ * check instead of the first one only.
+ *
+ * @typedef  {object}               DetailedEvaluation
+ * @property {number}               level              - A number indicating the security level of the password (0-5).
+ * @property {string}               suggestion         - Text offering suggestions to improve password security.
+ * @property {string}               quality            - The quality level of the password.
+ * @property {Array.<Finding>}      findings           - The failed checks, in the order used by `evaluate()`.
+ * @property {number}               score              - The overall score of the password, from 0 to 100.
+ * @property {number}               entropyBits        - The estimated entropy of the password in bits.
+ * @property {number}               guesses            - The estimated number of guesses needed to find the password.
+ * @property {CrackTimes}           crackTimes         - The estimated time to crack the password in every attack scenario.
+ * @property {Array.<PatternMatch>} matches            - The parts of the password that match a known pattern.
+ */
+
+/**
+ * A failed check of the detailed evaluation.
+ *
+ * @typedef  {object} Finding
+ * @property {string} code       - The stable machine-readable code of the check, e.g. `'TOO_SHORT'`.
+ * @property {string} severity   - The severity of the finding: `'high'`, `'medium'` or `'low'`.
+ * @property {string} suggestion - The text explaining how to fix the finding.
+ */
+
+/**
+ * A custom rule of the password evaluation. A rule that only declares a
+ * `weight` gets the severity of the built-in checks with that weight, and the
+ * severity gives its default `level` and `weight`.
+ *
+ * @typedef  {object}                            Rule
+ * @property {string}                            id         - The stable machine-readable code of the rule, e.g. `'TICKER'`.
+ * @property {function(string, object): boolean} test       - Returns `true` if the password, evaluated with its context, breaks the rule.
+ * @property {string}                            [severity] - The severity of a failure: `'high'`, `'medium'` or `'low'`.
+ * @property {number}                            [weight]   - The points a failure takes from the score, from 0 to 100.
+ * @property {string}                            message    - The message ID of the suggestion, or the suggestion itself.
+ * @property {object}                            [values]   - The values of the placeholders of the suggestion.
+ * @property {number}                            [level]    - The highest level of a password that breaks the rule, from 0 to 4.
+ */
+
+/**
+ * The requirements of a password, as serializable JSON.
+ *
+ * @typedef  {object}         Policy
+ * @property {string}         [name]            - The name of the policy.
+ * @property {string}         [extends]         - The name of the preset the policy is based on.
+ * @property {number}         [minLength]       - The minimum number of characters.
+ * @property {number}         [maxLength]       - The maximum number of characters.
+ * @property {Array.<string>} [requiredClasses] - The classes the password must contain.
+ * @property {number}         [minClasses]      - The minimum number of different classes.
+ * @property {string}         [forbiddenChars]  - The characters the password must not contain.
+ * @property {object}         [blocklist]       - The `common`, `userInputs` and `words` blocklists of the password.
+ * @property {number}         [maxRepeats]      - The maximum number of times a character can be repeated in a row.
+ */
+
+/**
+ * The result of validating a password against a policy.
+ *
+ * @typedef  {object}         PolicyValidation
+ * @property {boolean}        ok               - Indicates whether the password meets every requirement.
+ * @property {Array.<object>} violations       - Every requirement not met, with its `code`, `message` and values.
+ */
+
+/**
+ * Information about the user that owns the password, used to penalize
+ * passwords that contain it.
+ *
+ * @typedef  {object}                EvaluationContext
+ * @property {Array.<string|number>} [userInputs]        - Values known about the user, such as the name, email, username or company.
+ * @property {Array.<string>}        [previousPasswords] - The plaintext previous passwords of the user, known when changing the password.
+ * @property {Array.<string>}        [passwordHistory]   - The PHC strings of the previous passwords of the user, checked by the asynchronous methods only.
+ * @property {string}                [passwordRules]     - Password rules of the `passwordrules` attribute that the password must follow.
+ * @property {string}                [locale]            - The locale of the texts of the result, instead of the default locale.
+ */
+
+/**
+ * A part of the password that matches a known pattern. Every match has a
+ * `type`, and some types add their own properties: `dictionary`, `rank`,
+ * `word` and `substitutions` for dictionary words, `layout`, `turns` and
+ * `shifted` for keyboard walks, `ascending` for sequences, `year`, `month`,
+ * `day` and `separator` for dates, `year` for years, and `input`, `reversed`
+ * and `substitutions` for user inputs.
+ *
+ * @typedef  {object} PatternMatch
+ * @property {string} type         - The type of the pattern: `'dictionary'`, `'keyboard'`, `'sequence'`, `'date'`, `'year'` or `'userInput'`.
+ * @property {string} token        - The matched part of the password.
+ * @property {number} start        - The index of the first character of the match.
+ * @property {number} end          - The index after the last character of the match.
+ * @property {number} entropyBits  - The entropy of the match in bits.
+ */
+
+/**
+ * A previous password similar to the evaluated one.
+ *
+ * @typedef  {object} HistoryMatch
+ * @property {string} source       - `'plaintext'` for the `previousPasswords`, or `'hash'` for the `passwordHistory`.
+ * @property {number} index        - The index of the previous password in its list.
+ * @property {string} type         - The kind of change: `'reuse'`, `'caseChange'`, `'numberChange'`, `'rotation'`, `'extension'` or `'edit'`.
+ * @property {number} distance     - The case-insensitive edit distance between the passwords.
+ */
+
+/**
+ * The result of the comparison of a password with the previous passwords of
+ * its user.
+ *
+ * @typedef  {object}               HistoryComparison
+ * @property {boolean}              rejected          - Indicates whether the password is too similar to a previous one.
+ * @property {Finding|null}         finding           - The `PREVIOUS_PASSWORD` finding, or `null` if the password is not rejected.
+ * @property {Array.<HistoryMatch>} matches           - The similar previous passwords.
+ */
+
+/**
+ * The result of a PIN evaluation.
+ *
+ * @typedef  {object}          PinEvaluation
+ * @property {number}          level         - A number indicating the security level of the PIN (0-5).
+ * @property {string}          quality       - The quality level of the PIN.
+ * @property {string}          suggestion    - Text offering suggestions to improve the PIN.
+ * @property {Array.<Finding>} findings      - Every predictable pattern of the PIN, in the order of the checks.
+ */
+
+/**
+ * A stateful evaluator that follows the input of a password field, updated
+ * on every keystroke.
+ *
+ * @typedef  {object}   Meter
+ * @property {string}   value  - The current password of the meter.
+ * @property {Function} append - Adds text at the end of the password, and returns the `MeterReading`.
+ * @property {Function} delete - Removes a number of characters from the end of the password (1 by default), and returns the `MeterReading`.
+ * @property {Function} set    - Replaces the password, reusing its common prefix with the current one, and returns the `MeterReading`.
+ * @property {Function} read   - Returns the `MeterReading` of the current password.
+ */
+
+/**
+ * The evaluation of the current password of a meter.
+ *
+ * @typedef  {object}            MeterReading
+ * @property {number}            level        - A number indicating the security level of the password (0-5).
+ * @property {string}            quality      - The quality level of the password.
+ * @property {string}            suggestion   - Text offering suggestions to improve password security.
+ * @property {Array.<Finding>}   findings     - The failed checks, in the order used by `evaluate()`.
+ * @property {number}            score        - The overall score of the password, from 0 to 100.
+ * @property {Array.<MeterSpan>} spans        - The weak parts of the password, sorted by position.
+ */
+
+/**
+ * A weak part of the password of a meter, related to a failed check.
+ *
+ * @typedef  {object} MeterSpan
+ * @property {string} type      - The type of the weakness: `'repeat'`, `'dictionary'`, `'userInput'`, `'keyboard'`, `'sequence'`, `'date'` or `'year'`.
+ * @property {string} code      - The code of the related finding, e.g. `'SEQUENCE'`.
+ * @property {number} start     - The index of the first character of the span.
+ * @property {number} end       - The index after the last character of the span.
+ * @property {string} token     - The characters of the span.
+ */
+
+/**
+ * The requirements described by password rules.
+ *
+ * @typedef  {object}         PasswordRules
+ * @property {number|null}    minLength      - The minimum number of characters, or `null`.
+ * @property {number|null}    maxLength      - The maximum number of characters, or `null`.
+ * @property {number|null}    maxConsecutive - The longest run of the same character, or `null`.
+ * @property {Array.<string>} required       - The characters of every requirement: the password must contain one of each.
+ * @property {string}         allowed        - Every allowed character, with the required ones.
+ * @property {boolean}        unicode        - Indicates whether any character is allowed.
+ */
+
+/**
+ * A syntax error of password rules.
+ *
+ * @typedef  {object} PasswordRulesError
+ * @property {number} position           - The index of the character where the error was found.
+ * @property {string} message            - The description of the error.
+ */
+
+/**
+ * The options of the middleware and of the schema validator adapters.
+ *
+ * @typedef  {object}   AdapterOptions
+ * @property {number}   [minLevel=3]              - The lowest accepted level, from 0 to 5.
+ * @property {string}   [field='password']        - The dot-separated path of the password in the request body, for the middleware.
+ * @property {string}   [keyword='passwordLevel'] - The name of the Ajv keyword, or of the Yup test.
+ * @property {Function} [context]                 - Returns the `EvaluationContext` from the object containing the password, like the request body.
+ */
+
+/**
+ * The estimated time needed to crack a password in an attack scenario.
+ *
+ * @typedef  {object} CrackTime
+ * @property {number} seconds   - The estimated number of seconds.
+ * @property {string} display   - The estimated time as human-readable text, in the locale of the evaluation.
+ */
+
+/**
+ * The estimated crack times of a password, one per attack scenario.
+ *
+ * @typedef  {object}    CrackTimes
+ * @property {CrackTime} onlineThrottled   - Online attack limited to 100 guesses per hour.
+ * @property {CrackTime} onlineUnthrottled - Online attack at 10 guesses per second.
+ * @property {CrackTime} offlineSlowHash   - Offline attack on a slow hash at 10^4 guesses per second.
+ * @property {CrackTime} offlineFastHash   - Offline attack on a fast hash at 10^10 guesses per second.
  */
 
 // ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -80,6 +453,24 @@ class PasswordToolKit {
    * @throws {TypeError} Throws a TypeError if any "qualities" value is not a string.
    * @throws {RangeError} Throws a RangeError if the "suggestions" array length is not 7.
    * @throws {RangeError} Throws a RangeError if the "qualities" array length is not 5.
+   * @throws {TypeError} Throws a TypeError if the "random" value is not a random source.
+   * @throws {TypeError} Throws a TypeError if the "dictionaries" value is not an object of arrays.
+   * @throws {TypeError} Throws a TypeError if any "dictionaries" word is not a string.
+   * @throws {TypeError} Throws a TypeError if the "messages" value is not an object.
+   * @throws {TypeError} Throws a TypeError if any "messages" value is not a string.
+   * @throws {TypeError} Throws a TypeError if the "breachProvider" value is not a breach provider.
+   * @throws {TypeError} Throws a TypeError if the "breachDirectory" value is not a string.
+   * @throws {TypeError} Throws a TypeError if the "layouts" value is not an array.
+   * @throws {RangeError} Throws a RangeError if any "layouts" value is not a known layout.
+   * @throws {TypeError} Throws a TypeError if the "locales" value is not an object of locale packs.
+   * @throws {TypeError} Throws a TypeError if the "locale" value is not a string.
+   * @throws {RangeError} Throws a RangeError if the "locale" value is not a known locale.
+   * @throws {TypeError} Throws a TypeError if the "rules" value is not an array.
+   * @throws {TypeError} Throws a TypeError if any "rules" value is not a valid rule.
+   * @throws {RangeError} Throws a RangeError if two rules have the same id.
+   * @throws {TypeError} Throws a TypeError if the "disabledRules" value is not an array.
+   * @throws {RangeError} Throws a RangeError if any "disabledRules" value is not a built-in check.
+   * @throws {TypeError} Throws a TypeError if the "strict" value is not a boolean.
    * @example
    * ```js
    * const settings = {
@@ -101,38 +492,170 @@ class PasswordToolKit {
    */
   constructor(settings = {}) {
     if (typeof settings !== 'object') {
-      throw new TypeError('The "options" must be an object.');
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_SETTINGS',
+        'The "options" must be an object.',
+      );
     }
     if (Reflect.has(settings, 'suggestions') && !Array.isArray(settings.suggestions)) {
-      throw new TypeError('The "suggestions" value must be an array type.');
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_SUGGESTIONS',
+        'The "suggestions" value must be an array type.',
+      );
     }
     if (Reflect.has(settings, 'qualities') && !Array.isArray(settings.qualities)) {
-      throw new TypeError('The "qualities" value must be an array type.');
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_QUALITIES',
+        'The "qualities" value must be an array type.',
+      );
     }
     if (Reflect.has(settings, 'maximum') && typeof settings.maximum !== 'number') {
-      throw new TypeError('The "maximum" value must be a number type.');
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_MAXIMUM',
+        'The "maximum" value must be a number type.',
+      );
     }
     if (Reflect.has(settings, 'suggestions') && !everyString(settings.suggestions)) {
-      throw new TypeError('All "suggestions" values must be a string type.');
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_SUGGESTIONS',
+        'All "suggestions" values must be a string type.',
+      );
     }
     if (Reflect.has(settings, 'qualities') && !everyString(settings.qualities)) {
-      throw new TypeError('All "qualities" values must be a string type.');
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_QUALITIES',
+        'All "qualities" values must be a string type.',
+      );
     }
     if (Reflect.has(settings, 'suggestions') && settings.suggestions.length !== 7) {
-      throw new RangeError('The "suggestions" elements number must be equal to 7.');
+      throw new PasswordToolKitRangeError(
+        'ERR_PTK_INVALID_SUGGESTIONS',
+        'The "suggestions" elements number must be equal to 7.',
+      );
     }
     if (Reflect.has(settings, 'qualities') && settings.qualities.length !== 5) {
-      throw new RangeError('The "qualities" elements number must be equal to 5.');
+      throw new PasswordToolKitRangeError(
+        'ERR_PTK_INVALID_QUALITIES',
+        'The "qualities" elements number must be equal to 5.',
+      );
+    }
+    if (Reflect.has(settings, 'random') && !isRandomSource(settings.random)) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_RANDOM',
+        'The "random" value must be an object with a "nextUint32" method.',
+      );
+    }
+    if (
+      Reflect.has(settings, 'dictionaries') &&
+      (typeof settings.dictionaries !== 'object' ||
+        settings.dictionaries === null ||
+        !Object.values(settings.dictionaries).every(Array.isArray))
+    ) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_DICTIONARIES',
+        'The "dictionaries" value must be an object of arrays.',
+      );
+    }
+    if (
+      Reflect.has(settings, 'dictionaries') &&
+      !Object.values(settings.dictionaries).every(everyString)
+    ) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_DICTIONARIES',
+        'All "dictionaries" words must be a string type.',
+      );
+    }
+    if (
+      Reflect.has(settings, 'messages') &&
+      (typeof settings.messages !== 'object' || settings.messages === null)
+    ) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_MESSAGES',
+        'The "messages" value must be an object.',
+      );
+    }
+    if (Reflect.has(settings, 'messages') && !everyString(Object.values(settings.messages))) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_MESSAGES',
+        'All "messages" values must be a string type.',
+      );
+    }
+    if (Reflect.has(settings, 'breachProvider') && !isBreachProvider(settings.breachProvider)) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_BREACH_PROVIDER',
+        'The "breachProvider" value must be an object with a "range" method.',
+      );
+    }
+    if (Reflect.has(settings, 'breachDirectory') && typeof settings.breachDirectory !== 'string') {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_BREACH_DIRECTORY',
+        'The "breachDirectory" value must be a string type.',
+      );
     }
+    if (Reflect.has(settings, 'layouts') && !Array.isArray(settings.layouts)) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_LAYOUTS',
+        'The "layouts" value must be an array type.',
+      );
+    }
+    if (Reflect.has(settings, 'layouts') && !everyLayout(settings.layouts)) {
+      throw new PasswordToolKitRangeError(
+        'ERR_PTK_INVALID_LAYOUTS',
+        `All "layouts" values must be one of: ${layoutNames.join(', ')}.`,
+      );
+    }
+    if (Reflect.has(settings, 'locales') && !isLocales(settings.locales)) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_LOCALES',
+        'The "locales" value must be an object of locale packs.',
+      );
+    }
+    if (Reflect.has(settings, 'locale') && typeof settings.locale !== 'string') {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_LOCALE',
+        'The "locale" value must be a string type.',
+      );
+    }
+    if (Reflect.has(settings, 'rules') && !Array.isArray(settings.rules)) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_RULES',
+        'The "rules" value must be an array type.',
+      );
+    }
+    if (Reflect.has(settings, 'disabledRules') && !Array.isArray(settings.disabledRules)) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_DISABLED_RULES',
+        'The "disabledRules" value must be an array type.',
+      );
+    }
+    if (Reflect.has(settings, 'disabledRules') && !everyBuiltInCode(settings.disabledRules)) {
+      throw new PasswordToolKitRangeError(
+        'ERR_PTK_INVALID_DISABLED_RULES',
+        `All "disabledRules" values must be one of: ${builtInCodes.join(', ')}.`,
+      );
+    }
+    if (Reflect.has(settings, 'strict') && typeof settings.strict !== 'boolean') {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_STRICT',
+        'The "strict" value must be a boolean type.',
+      );
+    }
+    const locale = settings.locale || 'en';
+    const catalog = createCatalog(settings.locales || {});
+    checkLocale(catalog, locale);
+
+    // The positional settings override the texts of the default locale
+    catalog.set(locale, { ...catalog.get(locale), ...toMessages(settings) });
+    const texts = fromMessages(createTranslator(catalog, locale, locale), MIN_LENGTH);
     Object.defineProperties(this, {
       suggestions: {
-        value: settings.suggestions || suggestions,
+        value: texts.suggestions,
         writable: false,
         enumerable: false,
         configurable: false,
       },
       qualities: {
-        value: settings.qualities || qualities,
+        value: texts.qualities,
         writable: false,
         enumerable: false,
         configurable: false,
@@ -143,11 +666,69 @@ class PasswordToolKit {
         enumerable: false,
         configurable: false,
       },
+      random: {
+        value: settings.random || createSecureRandom(),
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      },
+      dictionaries: {
+        value: createDictionaries(settings.dictionaries || {}),
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      },
+      messages: {
+        value: texts.messages,
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      },
+      breachProvider: {
+        value:
+          settings.breachProvider ||
+          (settings.breachDirectory ? createFileRangeProvider(settings.breachDirectory) : null),
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      },
+      layouts: {
+        value: settings.layouts || layoutNames,
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      },
+      locale: {
+        value: locale,
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      },
+      catalog: {
+        value: catalog,
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      },
+      checks: {
+        value: createChecks(settings.rules || [], settings.disabledRules || []),
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      },
+      strict: {
+        value: settings.strict || false,
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      },
     });
   }
 
   /**
    * The `create()` method, checks if the provided password options are valid.
+   * Every option is checked, and the result lists every problem found with
+   * its stable code and the path of the option.
    *
    * @memberof  PasswordToolKit
    * @param {GenerateOptions} options - The options for the password to be check.
@@ -155,34 +736,123 @@ class PasswordToolKit {
    * @example Add example.
    */
   checkOptions(options) {
-    if (typeof options !== 'object') {
-      return { ok: false, reason: 'Options must be an object.' };
+    const problems = getSizeProblems(options, this.maximum);
+    if (typeof options !== 'object' || options === null) {
+      return toValidation(problems);
     }
-    if (!Reflect.has(options, 'size')) {
-      return { ok: false, reason: 'The "size" property is required.' };
-    }
-    if (options.size < 1) {
-      return { ok: false, reason: 'The password length must be greater than 1.' };
+    const sizeValid = problems.length === 0;
+    problems.push(...getCharProblems(options));
+    ['uppercases', 'lowercases'].forEach(name => {
+      if (Reflect.has(options, name) && typeof options[name] !== 'boolean') {
+        problems.push({
+          code: `ERR_PTK_INVALID_${name.toUpperCase()}`,
+          path: name,
+          message: `The "${name}" option must be a boolean.`,
+        });
+      }
+    });
+
+    // The password rules replace the options that select the characters
+    if (Reflect.has(options, 'passwordRules')) {
+      problems.push(
+        ...getPasswordRulesProblems(
+          options,
+          sizeValid,
+          problems.every(problem => problem.path === 'size'),
+        ),
+      );
+      return toValidation(problems);
     }
-    if (options.size > this.maximum) {
-      return { ok: false, reason: 'The password length must be less than specified maximum.' };
+    const setsValid = !Reflect.has(options, 'sets') || isCharSets(options.sets);
+    if (!setsValid) {
+      problems.push({
+        code: 'ERR_PTK_INVALID_SETS',
+        path: 'sets',
+        message: 'The "sets" option must be an object of strings.',
+      });
     }
-    if (Reflect.has(options, 'numbers') && typeof options.numbers !== 'boolean') {
-      return { ok: false, reason: 'The "numbers" option must be a boolean.' };
+    const setNames = setsValid ? Object.keys(options.sets || {}) : [];
+    setNames
+      .filter(name => classNames.includes(name))
+      .forEach(name => {
+        problems.push({
+          code: 'ERR_PTK_INVALID_SETS',
+          path: `sets.${name}`,
+          message: `The "sets.${name}" name is reserved for a built-in character class.`,
+        });
+      });
+
+    // The characters are only selected when the options that select them are valid
+    const selected = problems.every(problem => problem.path === 'size')
+      ? getSelectedChars(options)
+      : null;
+    if (selected && Object.keys(selected).length === 0) {
+      problems.push({
+        code: 'ERR_PTK_NO_CHARACTER_CLASS',
+        path: '',
+        message: 'You must select at least one option to generate the password.',
+      });
     }
-    if (Reflect.has(options, 'symbols') && typeof options.symbols !== 'boolean') {
-      return { ok: false, reason: 'The "symbols" option must be a boolean.' };
+    Object.keys(selected || {})
+      .filter(name => selected[name].length === 0)
+      .forEach(name => {
+        problems.push({
+          code: 'ERR_PTK_EMPTY_CHARACTER_SET',
+          path: classNames.includes(name) ? name : `sets.${name}`,
+          message: `The "${name}" character set is empty after the exclusions.`,
+        });
+      });
+    if (Reflect.has(options, 'guaranteed') && typeof options.guaranteed !== 'boolean') {
+      problems.push({
+        code: 'ERR_PTK_INVALID_GUARANTEED',
+        path: 'guaranteed',
+        message: 'The "guaranteed" option must be a boolean.',
+      });
     }
-    if (Reflect.has(options, 'uppercases') && typeof options.uppercases !== 'boolean') {
-      return { ok: false, reason: 'The "uppercases" option must be a boolean.' };
+    const names = [...classNames, ...setNames];
+    problems.push(
+      ...getCountsProblems(options, 'min', names),
+      ...getCountsProblems(options, 'max', names),
+    );
+
+    // The counts are only compared when every other option is valid
+    if (!problems.every(problem => problem.path === 'size')) {
+      return toValidation(problems);
     }
-    if (Reflect.has(options, 'lowercases') && typeof options.lowercases !== 'boolean') {
-      return { ok: false, reason: 'The "lowercases" option must be a boolean.' };
+    Object.keys(options.min || {})
+      .filter(name => options.min[name] && !Reflect.has(selected, name))
+      .forEach(name => {
+        problems.push({
+          code: 'ERR_PTK_INVALID_MIN',
+          path: `min.${name}`,
+          message: `The "min.${name}" value requires the "${name}" option.`,
+        });
+      });
+    const bounds = getClassBounds(options, selected);
+    bounds
+      .filter(bound => bound.max < bound.min)
+      .forEach(bound => {
+        problems.push({
+          code: 'ERR_PTK_MAX_BELOW_MIN',
+          path: `max.${bound.name}`,
+          message: `The "max.${bound.name}" value must not be less than its minimum.`,
+        });
+      });
+    if (sizeValid && bounds.reduce((total, bound) => total + bound.min, 0) > options.size) {
+      problems.push({
+        code: 'ERR_PTK_MIN_EXCEEDS_SIZE',
+        path: 'min',
+        message: 'The minimum counts must not exceed the password length.',
+      });
     }
-    if (!options.numbers && !options.symbols && !options.uppercases && !options.lowercases) {
-      return { ok: false, reason: 'You must select at least one option to generate the password.' };
+    if (sizeValid && bounds.reduce((total, bound) => total + bound.max, 0) < options.size) {
+      problems.push({
+        code: 'ERR_PTK_MAX_BELOW_SIZE',
+        path: 'max',
+        message: 'The maximum counts must be enough to reach the password length.',
+      });
     }
-    return { ok: true, reason: null };
+    return toValidation(problems);
   }
 
   /**
@@ -191,6 +861,7 @@ class PasswordToolKit {
    * @memberof PasswordToolKit
    * @param {GenerateOptions} options - The options for the password to be generated.
    * @returns {string|null} The generated password, or null if the provided options are invalid.
+   * @throws {PasswordToolKitOptionsError} In strict mode, if the provided options are invalid.
    * @example
    * ```js
    * const options = { size: 12, numbers: true, symbols: true };
@@ -200,14 +871,319 @@ class PasswordToolKit {
    */
   generate(options) {
     const check = this.checkOptions(options);
+    if (!check.ok && this.strict) {
+      throw new PasswordToolKitOptionsError(check.errors);
+    }
     if (!check.ok) {
       return null;
     }
-    const array = Array(options.size).fill('');
-    const selectedChars = getSelectedChars(options);
-    const chars = charsToArray(selectedChars);
-    const password = array.map(() => chars[getRandomNumber(chars.length)]).join('');
-    return password;
+    return createGenerator(this.random, resolvePasswordRules(options))();
+  }
+
+  /**
+   * The `generateMany()` method, generates a batch of passwords with the
+   * provided options. With the `unique` option, the passwords of the batch are
+   * all different, and a batch larger than the number of passwords the options
+   * can produce fails before generating anything. The passwords generated so
+   * far are kept in a set to skip the repeated ones until the batch ends.
+   *
+   * @memberof PasswordToolKit
+   * @param {number} count - The number of passwords to be generated.
+   * @param {BatchOptions} options - The options for the passwords to be generated.
+   * @returns {Array<string>|null} The generated passwords, or null if the provided options are invalid.
+   * @throws {PasswordToolKitOptionsError} In strict mode, if the provided options are invalid.
+   * @throws {TypeError} If the "count" value is not an integer or the "unique" option is not a boolean.
+   * @throws {RangeError} If the "count" value is negative or exceeds the unique passwords the options can produce.
+   * @example
+   * ```js
+   * const passwords = passwordToolKit.generateMany(1000, { size: 12, numbers: true, unique: true });
+   * ```
+   */
+  generateMany(count, options) {
+    checkCount(count);
+    const check = this.checkOptions(options);
+    if (!check.ok && this.strict) {
+      throw new PasswordToolKitOptionsError(check.errors);
+    }
+    if (!check.ok) {
+      return null;
+    }
+    const resolved = resolvePasswordRules(options);
+    checkUniqueOption(resolved, count);
+    const next = createGenerator(this.random, resolved);
+    return Array.from(generateBatch(next, count, Boolean(options.unique)));
+  }
+
+  /**
+   * The `generateStream()` method, returns a readable stream of passwords with
+   * the provided options. The passwords are generated on demand, one per chunk,
+   * so the stream can be consumed with `for await...of` or piped to a file
+   * without buffering the batch in memory. The options are checked like the
+   * ones of `generateMany()`, before the stream is created. With the `unique`
+   * option, every password already streamed is kept in memory to skip the
+   * repeated ones, so the memory of the stream grows with its `count`.
+   *
+   * @memberof PasswordToolKit
+   * @param {number} count - The number of passwords to be generated.
+   * @param {BatchOptions} options - The options for the passwords to be generated.
+   * @returns {Readable|null} An object mode stream of passwords, or null if the provided options are invalid.
+   * @throws {TypeError} If the "count" value is not an integer or the "unique" option is not a boolean.
+   * @throws {RangeError} If the "count" value is negative or exceeds the unique passwords the options can produce.
+   * @throws {PasswordToolKitOptionsError} In strict mode, if the provided options are invalid.
+   * @example
+   * ```js
+   * const stream = passwordToolKit.generateStream(1000000, { size: 16, unique: true, numbers: true });
+   * ```
+   */
+  generateStream(count, options) {
+    checkCount(count);
+    const check = this.checkOptions(options);
+    if (!check.ok && this.strict) {
+      throw new PasswordToolKitOptionsError(check.errors);
+    }
+    if (!check.ok) {
+      return null;
+    }
+    const resolved = resolvePasswordRules(options);
+    checkUniqueOption(resolved, count);
+    const next = createGenerator(this.random, resolved);
+    return Readable.from(generateBatch(next, count, Boolean(options.unique)));
+  }
+
+  /**
+   * The `generatePassphrase()` method, generates a new diceware-style
+   * passphrase with the provided options and reports its entropy.
+   *
+   * The entropy only counts the random choices made by the generator: the
+   * words, the capitalization in `random` mode of each word that changes when
+   * capitalized, and the value and position of the inserted digit and symbol.
+   * The words of a custom wordlist keep their case, and the words that only
+   * differ in case are counted once.
+   *
+   * @memberof PasswordToolKit
+   * @param {PassphraseOptions} [options] - The options for the passphrase to be generated.
+   * @returns {Passphrase|null} The generated passphrase, or null if the provided options are invalid.
+   * @throws {PasswordToolKitOptionsError} In strict mode, if the provided options are invalid.
+   * @example
+   * ```js
+   * const { passphrase, entropyBits } = passwordToolKit.generatePassphrase({ words: 4 });
+   * console.log(passphrase); // e.g. 'unicorn-pelican-stylus-dimly'
+   * ```
+   */
+  generatePassphrase(options = {}) {
+    const check = checkPassphraseOptions(options);
+    if (!check.ok && this.strict) {
+      throw new PasswordToolKitOptionsError(check.errors);
+    }
+    if (!check.ok) {
+      return null;
+    }
+    const { words: count = 6, separator = '-', capitalization = 'lowercase' } = options;
+    const wordlist = Array.isArray(options.wordlist)
+      ? getUniqueWords(options.wordlist)
+      : getWordlist(options.wordlist || 'eff-long');
+    const pick = chars => chars[randomInt(this.random, chars.length)];
+    const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+    const picked = Array.from({ length: count }, () => pick(wordlist));
+    let entropyBits = count * Math.log2(wordlist.length);
+
+    const words = picked.map(word => {
+      if (capitalization === 'uppercase') {
+        return word.toUpperCase();
+      }
+      if (capitalization === 'capitalize') {
+        return capitalize(word);
+      }
+      if (capitalization === 'random') {
+        return randomInt(this.random, 2) ? capitalize(word) : word;
+      }
+      return word;
+    });
+    // Only the words that change when capitalized add a random choice
+    if (capitalization === 'random') {
+      entropyBits += picked.filter(word => capitalize(word) !== word).length;
+    }
+
+    // Append the optional digit and symbol to random words
+    const extras = getSelectedChars({ numbers: options.digit, symbols: options.symbol });
+    Object.values(extras).forEach(chars => {
+      const index = randomInt(this.random, count);
+      words[index] += pick(chars);
+      entropyBits += Math.log2(chars.length) + Math.log2(count);
+    });
+
+    return {
+      passphrase: words.join(separator),
+      entropyBits: Math.round(entropyBits * 100) / 100,
+    };
+  }
+
+  /**
+   * The `checkPronounceableOptions()` method, checks if the provided
+   * pronounceable password options are valid. The `size`, `numbers`,
+   * `symbols`, `exclude` and `excludeAmbiguous` options are checked like the
+   * ones of `checkOptions()`, and the result lists every problem found.
+   *
+   * @memberof PasswordToolKit
+   * @param {PronounceableOptions} options - The options for the password to be check.
+   * @returns {OptionsValidation} The result of the validation.
+   * @example
+   * ```js
+   * const validation = passwordToolKit.checkPronounceableOptions({ size: 10, numbers: true });
+   * ```
+   */
+  checkPronounceableOptions(options) {
+    return toValidation(getPronounceableProblems(options, this.maximum));
+  }
+
+  /**
+   * The `generatePronounceable()` method, generates a new password made of
+   * consonant-vowel syllables that is easy to read aloud, with an optional
+   * digit and symbol inserted at random positions, and reports its entropy.
+   *
+   * The syllables follow the `CV` and `CVC` templates, so every password can
+   * only be split into syllables in one way, and the entropy counts every
+   * random choice: the templates, the letters, the capitalization in `random`
+   * mode, and the value and position of the digit and symbol. It is the
+   * lowest entropy of all the passwords the options can produce.
+   *
+   * @memberof PasswordToolKit
+   * @param {PronounceableOptions} options - The options for the password to be generated.
+   * @returns {PronounceablePassword|null} The generated password, or null if the provided options are invalid.
+   * @throws {PasswordToolKitOptionsError} In strict mode, if the provided options are invalid.
+   * @example
+   * ```js
+   * const { password, entropyBits } = passwordToolKit.generatePronounceable({ size: 10 });
+   * console.log(password); // e.g. 'tobakelumi'
+   * ```
+   */
+  generatePronounceable(options) {
+    const check = this.checkPronounceableOptions(options);
+    if (!check.ok && this.strict) {
+      throw new PasswordToolKitOptionsError(check.errors);
+    }
+    if (!check.ok) {
+      return null;
+    }
+    const { capitalization = 'lowercase' } = options;
+    const pools = getLetterPools(options);
+    const extras = getSelectedChars({
+      numbers: options.numbers,
+      symbols: options.symbols,
+      exclude: options.exclude,
+      excludeAmbiguous: options.excludeAmbiguous,
+    });
+    const pick = chars => chars[randomInt(this.random, chars.length)];
+    const letters = options.size - Object.keys(extras).length;
+    const syllableBits = capitalization === 'random' ? 1 : 0;
+    let entropyBits = getLettersEntropy(letters, pools, syllableBits);
+
+    // Build the syllables from the templates that fit the remaining length
+    const syllables = [];
+    for (let remaining = letters; remaining > 0; ) {
+      const template = pick(getAllowedTemplates(remaining));
+      const syllable = [...template]
+        .map(kind => pick(kind === 'C' ? pools.consonants : pools.vowels))
+        .join('');
+      const capitalized = syllable.charAt(0).toUpperCase() + syllable.slice(1);
+      if (capitalization === 'syllables') {
+        syllables.push(capitalized);
+      } else if (capitalization === 'random') {
+        syllables.push(randomInt(this.random, 2) ? capitalized : syllable);
+      } else {
+        syllables.push(syllable);
+      }
+      remaining -= template.length;
+    }
+
+    // Insert the optional digit and symbol at random positions
+    const password = [...syllables.join('')];
+    Object.values(extras).forEach(chars => {
+      const index = randomInt(this.random, password.length + 1);
+      password.splice(index, 0, pick(chars));
+      entropyBits += Math.log2(chars.length) + Math.log2(password.length);
+    });
+
+    return {
+      password: password.join(''),
+      entropyBits: Math.round(entropyBits * 100) / 100,
+    };
+  }
+
+  /**
+   * The `checkPattern()` method, checks if the provided mask and pattern
+   * options are valid, and lists every problem found. Malformed masks are
+   * reported with the position of the problem, counted in graphemes from 0,
+   * and the problems of the mask have the `mask` path.
+   *
+   * @memberof PasswordToolKit
+   * @param {string} mask - The mask of the password, e.g. `'Aaaa-9999-!!'`.
+   * @param {PatternOptions} [options] - The options for the password to be check.
+   * @returns {OptionsValidation} The result of the validation.
+   * @example
+   * ```js
+   * const validation = passwordToolKit.checkPattern('XXXX-XXXX-XXXX');
+   * ```
+   */
+  checkPattern(mask, options = {}) {
+    return toValidation(getPatternProblems(mask, options, this.maximum));
+  }
+
+  /**
+   * The `generateFromPattern()` method, generates a new password with the
+   * fixed shape of the provided mask, replacing every placeholder with a
+   * random character of its classes.
+   *
+   * @memberof PasswordToolKit
+   * @param {string} mask - The mask of the password, e.g. `'Aaaa-9999-!!'`.
+   * @param {PatternOptions} [options] - The options for the password to be generated.
+   * @returns {string|null} The generated password, or null if the provided mask or options are invalid.
+   * @throws {PasswordToolKitOptionsError} In strict mode, if the provided mask or options are invalid.
+   * @example
+   * ```js
+   * const code = passwordToolKit.generateFromPattern('X{4}-X{4}-X{4}');
+   * console.log(code); // e.g. 'Q7ZK-4M2P-X9AC'
+   * ```
+   */
+  generateFromPattern(mask, options = {}) {
+    const check = this.checkPattern(mask, options);
+    if (!check.ok && this.strict) {
+      throw new PasswordToolKitOptionsError(check.errors);
+    }
+    if (!check.ok) {
+      return null;
+    }
+    const selected = getPatternChars(options);
+    return parsePattern(mask, Object.keys(options.sets || {}))
+      .tokens.flatMap(token => {
+        const chars = getTokenChars(token, selected);
+        return Array.from(
+          { length: token.count },
+          () => chars[randomInt(this.random, chars.length)],
+        );
+      })
+      .join('');
+  }
+
+  /**
+   * The `generatePin()` method, generates a random numeric PIN. The PINs that
+   * `evaluatePin()` finds predictable, like common PINs, repeated digits,
+   * sequences, dates and keypad patterns, are never returned.
+   *
+   * @memberof PasswordToolKit
+   * @param {number} [length] - The number of digits of the PIN, from 4 to 12. Defaults to 6.
+   * @returns {string} The generated PIN.
+   * @throws {TypeError} If the length is not an integer.
+   * @throws {RangeError} If the length is not from 4 to 12.
+   * @example
+   * ```js
+   * const pin = passwordToolKit.generatePin(4);
+   * console.log(pin); // e.g. '4831'
+   * ```
+   */
+  generatePin(length = 6) {
+    checkPinLength(length);
+    return createPin(this.random, length);
   }
 
   /**
@@ -216,55 +1192,418 @@ class PasswordToolKit {
    *
    * @memberof  PasswordToolKit
    * @param {string} password - The password to be evaluated.
+   * @param {EvaluationContext} [context] - Information about the user that owns the password.
    * @returns {PasswordEvaluation} The evaluation result object.
    * @throws {TypeError} If the provided password is not a string.
+   * @throws {TypeError} If the provided context is not an object.
+   * @throws {TypeError} If the "userInputs" value is not an array of strings or numbers.
+   * @throws {TypeError} If the "previousPasswords" or "passwordHistory" value is not an array of strings.
+   * @throws {RangeError} If the "locale" value is not a known locale.
    * @example
    * ```js
    * const evaluation = passwordToolKit.evaluate('MyStr0ngP@ssword!');
+   * const withContext = passwordToolKit.evaluate('Jsmith#2024', { userInputs: ['jsmith'] });
+   * const inFrench = passwordToolKit.evaluate('MyStr0ngP@ssword!', { locale: 'fr' });
    * ```
    */
-  evaluate(password) {
-    // Check if the password is string
-    if (typeof password !== 'string') {
-      throw new TypeError(`The "password" value must be a string type.`);
-    }
+  evaluate(password, context = {}) {
+    const { strength, ...analysis } = analyze(password, context, this);
+    const translate = createTranslator(this.catalog, context.locale || this.locale, this.locale);
 
-    // Check if the password has at least 8 characters
-    if (password.length < 8) {
-      return { level: 0, quality: this.qualities[0], suggestion: this.suggestions[0] };
+    // The first failed check gives the level of the password
+    const failed = this.checks.find(check => check.test(analysis));
+    if (failed) {
+      return {
+        level: failed.level,
+        quality: translate(qualityIds[getQualityIndex(failed.level)]),
+        suggestion: translate(failed.message, failed.values),
+        ...strength,
+      };
     }
 
-    // Check if the password has uppercase and lowercase letters
-    if (!regexps.lowercases.test(password) || !regexps.uppercases.test(password)) {
-      return { level: 1, quality: this.qualities[1], suggestion: this.suggestions[1] };
-    }
+    // If the password passes all the checks, it is considered safe.
+    return {
+      level: 5,
+      quality: translate(qualityIds[4]),
+      suggestion: translate(suggestionIds[6]),
+      ...strength,
+    };
+  }
 
-    // Check if the password has numbers
-    if (!regexps.numbers.test(password)) {
-      return { level: 2, quality: this.qualities[1], suggestion: this.suggestions[2] };
-    }
+  /**
+   * The `evaluateDetailed()` method, evaluates the strength of the provided
+   * password like `evaluate()`, but runs every check instead of stopping at
+   * the first failure. The result keeps the `level`, `quality` and
+   * `suggestion` of `evaluate()`, and adds the findings of every failed check
+   * and an overall score from 0 to 100.
+   *
+   * @memberof PasswordToolKit
+   * @param {string} password - The password to be evaluated.
+   * @param {EvaluationContext} [context] - Information about the user that owns the password.
+   * @returns {DetailedEvaluation} The detailed evaluation result object.
+   * @throws {TypeError} If the provided password is not a string.
+   * @throws {TypeError} If the provided context is not valid.
+   * @throws {RangeError} If the "locale" value is not a known locale.
+   * @example
+   * ```js
+   * const { findings, score } = passwordToolKit.evaluateDetailed('abc');
+   * ```
+   */
+  evaluateDetailed(password, context = {}) {
+    const { strength, ...analysis } = analyze(password, context, this);
+    const translate = createTranslator(this.catalog, context.locale || this.locale, this.locale);
+    return {
+      ...runChecks(analysis, strength.entropyBits, this.checks, translate),
+      ...strength,
+    };
+  }
+
+  /**
+   * The `createMeter()` method, creates a stateful evaluator for a password
+   * field. The meter is updated incrementally on every `append()` and
+   * `delete()`, so it can run on every keystroke, and every reading has the
+   * score and findings of `evaluateDetailed()`, plus the spans of the weak
+   * parts of the password to underline them.
+   *
+   * @memberof PasswordToolKit
+   * @param {EvaluationContext} [context] - Information about the user that owns the password.
+   * @returns {Meter} The meter, with an empty password.
+   * @throws {TypeError} If the provided context is not valid.
+   * @throws {RangeError} If the "locale" value is not a known locale.
+   * @example
+   * ```js
+   * const meter = passwordToolKit.createMeter({ userInputs: ['mabel'] });
+   * const { score, spans } = meter.append('abc123');
+   * ```
+   */
+  createMeter(context = {}) {
+    return createMeter(this, context);
+  }
+
+  /**
+   * The `evaluatePin()` method, evaluates the strength of a numeric PIN, which
+   * `evaluate()` would reject for its length. A PIN is checked against the
+   * most common PINs, repeated digits, sequences, dates and keypad patterns,
+   * and a PIN without any of them gets a level from its length.
+   *
+   * @memberof PasswordToolKit
+   * @param {string} pin - The PIN to be evaluated.
+   * @param {EvaluationContext} [context] - The locale of the texts of the result.
+   * @returns {PinEvaluation} The evaluation result object.
+   * @throws {TypeError} If the provided PIN is not a string of digits.
+   * @throws {TypeError} If the provided context is not valid.
+   * @throws {RangeError} If the "locale" value is not a known locale.
+   * @example
+   * ```js
+   * passwordToolKit.evaluatePin('2580'); // Expected value: { level: 0, quality: 'insecure', ... }
+   * ```
+   */
+  evaluatePin(pin, context = {}) {
+    checkPin(pin);
+    checkEvaluationInputs(pin, context);
+    const translate = createTranslator(this.catalog, context.locale || this.locale, this.locale);
+    const failed = analyzePin(pin);
+    const level = failed.length > 0 ? failed[0].level : getPinLevel(pin.length);
+    return {
+      level,
+      quality: translate(qualityIds[getQualityIndex(level)]),
+      suggestion:
+        failed.length > 0
+          ? translate(failed[0].message, failed[0].values)
+          : translate(level === 5 ? 'pin.secure' : 'pin.longer'),
+      findings: failed.map(check => ({
+        code: check.code,
+        severity: check.severity,
+        suggestion: translate(check.message, check.values),
+      })),
+    };
+  }
+
+  /**
+   * The `use()` method, registers a custom rule that runs alongside the
+   * built-in checks of `evaluate()` and `evaluateDetailed()`.
+   *
+   * @memberof PasswordToolKit
+   * @param {Rule} rule - The custom rule.
+   * @returns {PasswordToolKit} The instance, so calls can be chained.
+   * @throws {TypeError} If the provided rule is not valid.
+   * @throws {RangeError} If a rule with the same id is already registered.
+   * @example
+   * ```js
+   * passwordToolKit.use({
+   *   id: 'TICKER',
+   *   test: password => password.toLowerCase().includes('acme'),
+   *   severity: 'high',
+   *   message: 'rule.ticker',
+   * });
+   * ```
+   */
+  use(rule) {
+    addRule(this.checks, rule);
+    return this;
+  }
 
-    // Check if the password has symbols
-    if (!regexps.symbols.test(password)) {
-      return { level: 3, quality: this.qualities[2], suggestion: this.suggestions[3] };
+  /**
+   * The `validate()` method, validates the provided password against a
+   * password policy and returns every requirement it does not meet.
+   *
+   * @memberof PasswordToolKit
+   * @param {string} password - The password to be validated.
+   * @param {Policy|string} policy - The policy or the name of a preset.
+   * @param {EvaluationContext} [context] - Information about the user that owns the password.
+   * @returns {PolicyValidation} The result of the validation.
+   * @throws {TypeError} If the provided password is not a string.
+   * @throws {TypeError} If the provided context is not valid.
+   * @throws {RangeError} If the "locale" value is not a known locale.
+   * @throws {TypeError} If the provided policy is not valid.
+   * @example
+   * ```js
+   * const { ok, violations } = passwordToolKit.validate('Ma$bel-561', 'nist-800-63b');
+   * ```
+   */
+  validate(password, policy, context = {}) {
+    checkEvaluationInputs(password, context);
+    const { ok, reason } = checkPolicy(policy);
+    if (!ok) {
+      throw new PasswordToolKitTypeError('ERR_PTK_INVALID_POLICY', reason);
     }
+    return validatePolicy(password, policy, {
+      dictionaries: this.dictionaries,
+      userInputs: context.userInputs,
+      translate: createTranslator(this.catalog, context.locale || this.locale, this.locale),
+    });
+  }
 
-    // We check if the password has repeated characters
-    if (regexps.repeated.test(password)) {
-      return { level: 4, quality: this.qualities[3], suggestion: this.suggestions[4] };
+  /**
+   * The `isBreached()` method, checks if the provided password has appeared in
+   * a data breach. Only the first five characters of the SHA-1 hash of the
+   * password are passed to the breach provider, which reads the range files of
+   * the `breachDirectory` setting unless another one is set.
+   *
+   * @memberof PasswordToolKit
+   * @param {string} password - The password to be checked.
+   * @returns {Promise<boolean>} Resolves with `true` if the password has been breached.
+   * @throws {TypeError} If the provided password is not a string.
+   * @throws {Error} If neither a breach provider nor a breach directory is set.
+   * @example
+   * ```js
+   * passwordToolKit.isBreached('P@ssw0rd').then(breached => breached); // Expected value: true
+   * ```
+   */
+  async isBreached(password) {
+    if (typeof password !== 'string') {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_PASSWORD',
+        `The "password" value must be a string type.`,
+      );
     }
+    return (await countBreaches(this.breachProvider, password)) > 0;
+  }
 
-    // We check if the password has common patterns
-    for (let i = 0; i < patterns.length; i += 1) {
-      if (patterns[i].test(password)) {
-        return { level: 4, quality: this.qualities[3], suggestion: this.suggestions[5] };
-      }
+  /**
+   * The `evaluateAsync()` method, evaluates the strength of the provided
+   * password like `evaluate()`, and also checks it against the breach
+   * provider and the `passwordHistory` of the context. A breached or reused
+   * password is downgraded to level 1 at most, and the result includes its
+   * breach count, which is `null` when the instance has no breach provider
+   * and the password is not checked.
+   *
+   * @memberof PasswordToolKit
+   * @param {string} password - The password to be evaluated.
+   * @param {EvaluationContext} [context] - Information about the user that owns the password.
+   * @returns {Promise<PasswordEvaluation>} Resolves with the evaluation result object.
+   * @throws {TypeError} If the provided password is not a string.
+   * @throws {TypeError} If the provided context is not valid.
+   * @throws {RangeError} If the "locale" value is not a known locale.
+   * @example
+   * ```js
+   * passwordToolKit.evaluateAsync('MyStr0ngP@ssword!').then(({ level, breaches }) => level);
+   * ```
+   */
+  async evaluateAsync(password, context = {}) {
+    const evaluation = this.evaluate(password, context);
+    const translate = createTranslator(this.catalog, context.locale || this.locale, this.locale);
+    const [reused, breaches] = await Promise.all([
+      findReusedHashes(password, context.passwordHistory || []),
+      this.breachProvider === null ? null : countBreaches(this.breachProvider, password),
+    ]);
+    if (reused.length > 0 && evaluation.level > 1) {
+      return {
+        ...evaluation,
+        level: 1,
+        quality: translate(qualityIds[1]),
+        suggestion: translate('suggestion.previousPassword'),
+        breaches,
+      };
+    }
+    if (breaches > 0 && evaluation.level > 1) {
+      return {
+        ...evaluation,
+        level: 1,
+        quality: translate(qualityIds[1]),
+        suggestion: translate('suggestion.breached'),
+        breaches,
+      };
     }
+    return { ...evaluation, breaches };
+  }
+
+  /**
+   * The `compareToHistory()` method, checks if the provided password reuses a
+   * previous password of its user, or changes it too little, like bumping the
+   * year of `Summer2024!`. The plaintext `previousPasswords` are compared by
+   * similarity, and the hashes of the `passwordHistory` only find an exact
+   * reuse.
+   *
+   * @memberof PasswordToolKit
+   * @param {string} password - The new password.
+   * @param {EvaluationContext} [context] - The previous passwords of the user, and the locale of the suggestion.
+   * @returns {Promise<HistoryComparison>} Resolves with the result of the comparison.
+   * @throws {TypeError} If the provided password is not a string.
+   * @throws {TypeError} If the provided context is not valid.
+   * @throws {TypeError} If a hash of the "passwordHistory" is not a PHC string of a supported algorithm.
+   * @throws {RangeError} If the "locale" value is not a known locale.
+   * @example
+   * ```js
+   * passwordToolKit
+   *   .compareToHistory('Summer2025!', { previousPasswords: ['Summer2024!'] })
+   *   .then(({ rejected }) => console.error(rejected));
+   * ```
+   */
+  async compareToHistory(password, context = {}) {
+    checkEvaluationInputs(password, context);
+    const translate = createTranslator(this.catalog, context.locale || this.locale, this.locale);
+    const matches = [
+      ...findSimilarPrevious(password, context.previousPasswords || []),
+      ...(await findReusedHashes(password, context.passwordHistory || [])),
+    ];
+    return {
+      rejected: matches.length > 0,
+      finding:
+        matches.length > 0
+          ? {
+              code: 'PREVIOUS_PASSWORD',
+              severity: 'high',
+              suggestion: translate('suggestion.previousPassword'),
+            }
+          : null,
+      matches,
+    };
+  }
+
+  /**
+   * The `createMiddleware()` method, creates a Connect/Express-style middleware
+   * that evaluates the password of the request body. A password below the
+   * minimum level is rejected with a `422` JSON response, whose `error` holds
+   * the `code`, `field`, `message`, `level`, `minLevel`, `quality`, `score` and
+   * `findings`. An accepted request gets its evaluation in
+   * `request.passwordEvaluation`. When no body parser ran before it, the
+   * middleware reads the JSON body itself.
+   *
+   * @memberof PasswordToolKit
+   * @param {AdapterOptions} [options] - The options of the middleware.
+   * @returns {Function} The `(request, response, next)` middleware.
+   * @throws {TypeError} If an option has the wrong type.
+   * @throws {RangeError} If the "minLevel" option is not a level from 0 to 5.
+   * @example
+   * ```js
+   * app.post('/signup', passwordToolKit.createMiddleware({ minLevel: 4 }), signup);
+   * ```
+   */
+  createMiddleware(options = {}) {
+    return createMiddleware(this, options);
+  }
+
+  /**
+   * The `createAjvKeyword()` method, creates an Ajv keyword whose value is the
+   * minimum level of the password. Its errors hold the suggestion as message.
+   *
+   * @memberof PasswordToolKit
+   * @param {AdapterOptions} [options] - The `keyword` and `context` of the keyword.
+   * @returns {object} The definition for `ajv.addKeyword()`.
+   * @throws {TypeError} If an option has the wrong type.
+   * @example
+   * ```js
+   * ajv.addKeyword(passwordToolKit.createAjvKeyword());
+   * const validate = ajv.compile({ type: 'string', passwordLevel: 3 });
+   * ```
+   */
+  createAjvKeyword(options = {}) {
+    return createAjvKeyword(this, options);
+  }
 
-    // If the password passes all the above tests, it is considered safe.
-    return { level: 5, quality: this.qualities[4], suggestion: this.suggestions[6] };
+  /**
+   * The `createAjvFormat()` method, creates an Ajv format that accepts the
+   * passwords of the minimum level.
+   *
+   * @memberof PasswordToolKit
+   * @param {AdapterOptions} [options] - The `minLevel` of the format.
+   * @returns {object} The definition for `ajv.addFormat()`.
+   * @throws {TypeError} If an option has the wrong type.
+   * @throws {RangeError} If the "minLevel" option is not a level from 0 to 5.
+   * @example
+   * ```js
+   * ajv.addFormat('strong-password', passwordToolKit.createAjvFormat({ minLevel: 4 }));
+   * ```
+   */
+  createAjvFormat(options = {}) {
+    return createAjvFormat(this, options);
+  }
+
+  /**
+   * The `createJoiExtension()` method, creates a Joi extension that adds the
+   * `password()` type: a string of the minimum level, whose `password.weak`
+   * error holds the suggestion as message.
+   *
+   * @memberof PasswordToolKit
+   * @param {AdapterOptions} [options] - The `minLevel` and `context` of the type.
+   * @returns {Function} The extension for `Joi.extend()`.
+   * @throws {TypeError} If an option has the wrong type.
+   * @throws {RangeError} If the "minLevel" option is not a level from 0 to 5.
+   * @example
+   * ```js
+   * const Joi = BaseJoi.extend(passwordToolKit.createJoiExtension({ minLevel: 4 }));
+   * const schema = Joi.object({ password: Joi.password().required() });
+   * ```
+   */
+  createJoiExtension(options = {}) {
+    return createJoiExtension(this, options);
+  }
+
+  /**
+   * The `createYupTest()` method, creates the options of a Yup test that
+   * accepts the passwords of the minimum level, whose error holds the
+   * suggestion as message. Missing values are left to `required()`.
+   *
+   * @memberof PasswordToolKit
+   * @param {AdapterOptions} [options] - The `minLevel`, `keyword` and `context` of the test.
+   * @returns {object} The options for `schema.test()`.
+   * @throws {TypeError} If an option has the wrong type.
+   * @throws {RangeError} If the "minLevel" option is not a level from 0 to 5.
+   * @example
+   * ```js
+   * const schema = yup.string().required().test(passwordToolKit.createYupTest());
+   * ```
+   */
+  createYupTest(options = {}) {
+    return createYupTest(this, options);
   }
 }
 
 // ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 module.exports = PasswordToolKit;
+module.exports.createSecureRandom = createSecureRandom;
+module.exports.createSeededRandom = createSeededRandom;
+module.exports.createFileRangeProvider = createFileRangeProvider;
+module.exports.createHttpRangeProvider = createHttpRangeProvider;
+module.exports.policies = presets;
+module.exports.hash = hash;
+module.exports.verify = verify;
+module.exports.needsRehash = needsRehash;
+module.exports.parsePasswordRules = parsePasswordRules;
+module.exports.checkPassphraseOptions = checkPassphraseOptions;
+module.exports.checkPolicy = checkPolicy;
+module.exports.PasswordToolKitTypeError = PasswordToolKitTypeError;
+module.exports.PasswordToolKitRangeError = PasswordToolKitRangeError;
+module.exports.PasswordToolKitOptionsError = PasswordToolKitOptionsError;
+module.exports.PasswordToolKitBreachError = PasswordToolKitBreachError;
@@ -0,0 +1,309 @@
+/**
+ * @file Keyboard-walk detection for password evaluation.
+ *
+ * This file contains the keyboard layouts known by the evaluator and the
+ * functions used to find keyboard walks in a password, such as `qwertyuiop`,
+ * `1qaz2wsx` or `asdf;lkj`. A walk is a run of keys where every key is next to
+ * the previous one, in a straight line or turning, with or without shift.
+ *
+ * Every layout is described by its rows of keys, unshifted and shifted, and
+ * the horizontal offset of every row in key widths. The adjacency of the keys
+ * is derived from their positions.
+ *
+ * @private
+ * @module PasswordToolKit/keyboard
+ */
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Description of a keyboard layout.
+ *
+ * @private
+ * @typedef  {object}        Layout
+ * @property {Array<string>} rows    - The keys of every row, a space means there is no key.
+ * @property {Array<string>} shifted - The keys of every row when shift is pressed.
+ * @property {Array<number>} offsets - The horizontal offset of every row in key widths.
+ * @property {boolean}       aligned - Indicates whether the keys are aligned in a grid, so diagonal keys are adjacent.
+ */
+
+/**
+ * A keyboard walk found in the password.
+ *
+ * @typedef  {object} KeyboardMatch
+ * @property {string} type          - Always `'keyboard'`.
+ * @property {string} token         - The matched part of the password.
+ * @property {number} start         - The index of the first character of the match.
+ * @property {number} end           - The index after the last character of the match.
+ * @property {string} layout        - The name of the layout of the walk.
+ * @property {number} turns         - The number of directions of the walk, `1` for a straight walk.
+ * @property {number} shifted       - The number of characters typed with shift.
+ * @property {number} entropyBits   - The entropy of the match in bits.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Keyboard layouts known by the evaluator, keyed by name.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const layouts = {
+  qwerty: {
+    rows: ['`1234567890-=', 'qwertyuiop[]\\', "asdfghjkl;'", 'zxcvbnm,./'],
+    shifted: ['~!@#$%^&*()_+', 'QWERTYUIOP{}|', 'ASDFGHJKL:"', 'ZXCVBNM<>?'],
+    offsets: [0, 1.5, 1.75, 2.25],
+    aligned: false,
+  },
+  azerty: {
+    rows: ['²&é"\'(-è_çà)=', 'azertyuiop^$', 'qsdfghjklmù*', '<wxcvbn,;:!'],
+    shifted: ['²1234567890°+', 'AZERTYUIOP¨£', 'QSDFGHJKLM%µ', '>WXCVBN?./§'],
+    offsets: [0, 1.5, 1.75, 1.25],
+    aligned: false,
+  },
+  qwertz: {
+    rows: ['^1234567890ß´', 'qwertzuiopü+', 'asdfghjklöä#', '<yxcvbnm,.-'],
+    shifted: ['°!"§$%&/()=?`', 'QWERTZUIOPÜ*', "ASDFGHJKLÖÄ'", '>YXCVBNM;:_'],
+    offsets: [0, 1.5, 1.75, 1.25],
+    aligned: false,
+  },
+  dvorak: {
+    rows: ['`1234567890[]', "',.pyfgcrl/=\\", 'aoeuidhtns-', ';qjkxbmwvz'],
+    shifted: ['~!@#$%^&*(){}', '"<>PYFGCRL?+|', 'AOEUIDHTNS_', ':QJKXBMWVZ'],
+    offsets: [0, 1.5, 1.75, 2.25],
+    aligned: false,
+  },
+  keypad: {
+    rows: [' /*-', '789+', '456', '123', '0 .'],
+    shifted: [' /*-', '789+', '456', '123', '0 .'],
+    offsets: [0, 0, 0, 0, 0],
+    aligned: true,
+  },
+};
+
+/**
+ * Minimum number of keys of a keyboard walk.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MIN_WALK_LENGTH = 4;
+
+/**
+ * Cache of the key positions of every layout.
+ *
+ * @private
+ * @constant
+ * @type {Map<string, object>}
+ */
+const graphs = new Map();
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks if two keys of a layout are next to each other.
+ *
+ * @private
+ * @function
+ * @param {Layout} layout - The layout of the keys.
+ * @param {object} from - The position of the first key.
+ * @param {object} to - The position of the second key.
+ * @returns {boolean} Returns `true` if the keys are adjacent, otherwise `false`.
+ * @example
+ * ```js
+ * isAdjacent(layouts.qwerty, { x: 1.5, y: 1 }, { x: 2.5, y: 1 }); // Expected value: true
+ * ```
+ */
+const isAdjacent = (layout, from, to) => {
+  const dx = Math.abs(to.x - from.x);
+  const dy = Math.abs(to.y - from.y);
+  if (dy > 1 || (dx === 0 && dy === 0)) {
+    return false;
+  }
+  if (layout.aligned || dy === 0) {
+    return dx <= 1;
+  }
+  return dx < 1;
+};
+
+/**
+ * Returns the key positions of a layout, together with the number of keys and
+ * their average number of neighbours.
+ *
+ * @private
+ * @function
+ * @param {string} name - The name of the layout.
+ * @returns {object} The `keys` map, the `size` and the `degree` of the layout.
+ * @example
+ * ```js
+ * getGraph('qwerty').keys.get('Q'); // Expected value: { x: 1.5, y: 1, shifted: true }
+ * ```
+ */
+const getGraph = name => {
+  if (!graphs.has(name)) {
+    const layout = layouts[name];
+    const keys = new Map();
+    const positions = [];
+    layout.rows.forEach((row, y) => {
+      row.split('').forEach((char, column) => {
+        if (char === ' ') {
+          return;
+        }
+        const x = layout.offsets[y] + column;
+        const shifted = layout.shifted[y][column];
+        positions.push({ x, y });
+        if (shifted !== char) {
+          keys.set(shifted, { x, y, shifted: true });
+        }
+        keys.set(char, { x, y, shifted: false });
+      });
+    });
+    const degrees = positions.map(
+      from => positions.filter(to => isAdjacent(layout, from, to)).length,
+    );
+    const degree = degrees.reduce((total, value) => total + value, 0) / positions.length;
+    graphs.set(name, { keys, size: positions.length, degree });
+  }
+  return graphs.get(name);
+};
+
+/**
+ * Returns the binomial coefficient of `n` and `k`.
+ *
+ * @private
+ * @function
+ * @param {number} n - The number of elements.
+ * @param {number} k - The number of chosen elements.
+ * @returns {number} The number of combinations.
+ * @example
+ * ```js
+ * binomial(5, 2); // Expected value: 10
+ * ```
+ */
+const binomial = (n, k) => {
+  if (k > n) {
+    return 0;
+  }
+  let result = 1;
+  for (let i = 1; i <= k; i += 1) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+};
+
+/**
+ * Returns the entropy of a keyboard walk: the number of walks of the same
+ * length with as many turns or less, doubled for the possible shift states.
+ *
+ * @private
+ * @function
+ * @param {object} graph - The key positions of the layout.
+ * @param {number} length - The number of keys of the walk.
+ * @param {number} turns - The number of directions of the walk.
+ * @param {number} shifted - The number of characters typed with shift.
+ * @returns {number} The entropy of the walk in bits.
+ * @example
+ * ```js
+ * getWalkEntropy(getGraph('qwerty'), 10, 1, 0); // Expected value: 11.9
+ * ```
+ */
+const getWalkEntropy = (graph, length, turns, shifted) => {
+  let guesses = 0;
+  for (let i = 2; i <= length; i += 1) {
+    for (let j = 1; j <= Math.min(turns, i - 1); j += 1) {
+      guesses += binomial(i - 1, j - 1) * graph.size * graph.degree ** j;
+    }
+  }
+  const unshifted = length - shifted;
+  if (shifted === 0 || unshifted === 0) {
+    guesses *= 2;
+  } else {
+    let variations = 0;
+    for (let i = 1; i <= Math.min(shifted, unshifted); i += 1) {
+      variations += binomial(length, i);
+    }
+    guesses *= variations;
+  }
+  return Math.log2(guesses);
+};
+
+/**
+ * Checks if the value is a list of known layout names.
+ *
+ * @private
+ * @function
+ * @param {Array<string>} target - The list to check.
+ * @returns {boolean} Returns `true` if every name is a known layout, otherwise `false`.
+ * @example
+ * ```js
+ * everyLayout(['qwerty', 'keypad']); // Expected value: true
+ * ```
+ */
+const everyLayout = target => target.every(name => Reflect.has(layouts, name));
+
+/**
+ * Returns every keyboard walk of the password in the given layouts. When the
+ * same part of the password is a walk in several layouts, only the first
+ * layout of the list is reported.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to search.
+ * @param {Array<string>} names - The names of the layouts to search.
+ * @returns {Array<KeyboardMatch>} The keyboard walks found.
+ * @example
+ * ```js
+ * findKeyboardWalks('1qaz2wsx', ['qwerty']); // Expected value: two walks, '1qaz' and '2wsx'
+ * ```
+ */
+const findKeyboardWalks = (password, names) => {
+  const found = [];
+  names.forEach((name, order) => {
+    const layout = layouts[name];
+    const graph = getGraph(name);
+    let start = 0;
+    while (start < password.length) {
+      const directions = [];
+      let end = start + 1;
+      while (end < password.length) {
+        const from = graph.keys.get(password[end - 1]);
+        const to = graph.keys.get(password[end]);
+        if (!from || !to || !isAdjacent(layout, from, to)) {
+          break;
+        }
+        directions.push(`${Math.sign(to.x - from.x)},${to.y - from.y}`);
+        end += 1;
+      }
+      if (end - start >= MIN_WALK_LENGTH) {
+        const token = password.slice(start, end);
+        const turns = directions.filter((value, i) => i === 0 || value !== directions[i - 1]);
+        const shifted = token.split('').filter(char => graph.keys.get(char).shifted).length;
+        found.push({
+          type: 'keyboard',
+          token,
+          start,
+          end,
+          layout: name,
+          turns: turns.length,
+          shifted,
+          entropyBits: getWalkEntropy(graph, token.length, turns.length, shifted),
+          order,
+        });
+      }
+      start = end;
+    }
+  });
+  return found
+    .sort((a, b) => b.end - b.start - (a.end - a.start) || a.order - b.order)
+    .filter(
+      (match, index, sorted) =>
+        !sorted.slice(0, index).some(other => other.start <= match.start && other.end >= match.end),
+    )
+    .sort((a, b) => a.start - b.start)
+    .map(({ order, ...match }) => match);
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.layoutNames = Object.keys(layouts);
+exports.everyLayout = everyLayout;
+exports.findKeyboardWalks = findKeyboardWalks;
@@ -0,0 +1,120 @@
+/**
+ * @file Leetspeak substitutions for password evaluation.
+ *
+ * This file contains the table of the usual leetspeak substitutions, e.g. `@`
+ * for `a` or `0` for `o`, and the function used to undo them before a
+ * password is looked up in the blocklist or searched for patterns. Every
+ * substitution replaces one character with one character, so the indexes of
+ * a variant are the indexes of the password.
+ *
+ * @private
+ * @module PasswordToolKit/leet
+ */
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * A variant of the password with its leetspeak substitutions undone.
+ *
+ * @private
+ * @typedef  {object} LeetVariant
+ * @property {string} text          - The password with the substitutions undone.
+ * @property {object} substitutions - The letter of every undone character, keyed by character.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Letters that every leetspeak character can stand for.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const table = {
+  4: ['a'],
+  '@': ['a'],
+  8: ['b'],
+  '(': ['c'],
+  '{': ['c'],
+  '[': ['c'],
+  '<': ['c'],
+  3: ['e'],
+  6: ['g'],
+  9: ['g'],
+  1: ['i', 'l'],
+  '!': ['i'],
+  '|': ['i', 'l'],
+  0: ['o'],
+  5: ['s'],
+  $: ['s'],
+  7: ['t'],
+  '+': ['t'],
+  '%': ['x'],
+  2: ['z'],
+};
+
+/**
+ * Maximum number of variants returned for a password, so ambiguous characters
+ * do not make the number of lookups grow without limit.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MAX_VARIANTS = 16;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Returns the variants of the text with its leetspeak substitutions undone.
+ * Only texts that contain at least one letter are considered leetspeak, and
+ * characters with several meanings, such as `1`, produce one variant per
+ * meaning. The text itself is not part of the result.
+ *
+ * @private
+ * @function
+ * @param {string} text - The lowercase text to translate.
+ * @returns {Array<LeetVariant>} The variants of the text.
+ * @example
+ * ```js
+ * unleet('p@55w0rd'); // Expected value: [{ text: 'password', substitutions: { '@': 'a', 5: 's', 0: 'o' } }]
+ * ```
+ */
+const unleet = text => {
+  const chars = [...new Set(text.split('').filter(char => Reflect.has(table, char)))];
+  if (chars.length === 0 || !/\p{L}/u.test(text)) {
+    return [];
+  }
+  let choices = [{}];
+  chars.forEach(char => {
+    choices = choices
+      .flatMap(choice => table[char].map(letter => ({ ...choice, [char]: letter })))
+      .slice(0, MAX_VARIANTS);
+  });
+  return choices.map(substitutions => ({
+    text: text
+      .split('')
+      .map(char => substitutions[char] || char)
+      .join(''),
+    substitutions,
+  }));
+};
+
+/**
+ * Returns the substitutions of a variant that are used by a part of the
+ * password.
+ *
+ * @private
+ * @function
+ * @param {string} token - The part of the password.
+ * @param {object} substitutions - The substitutions of the variant.
+ * @returns {object} The substitutions used by the token.
+ * @example
+ * ```js
+ * getUsedSubstitutions('p@ss', { '@': 'a', 0: 'o' }); // Expected value: { '@': 'a' }
+ * ```
+ */
+const getUsedSubstitutions = (token, substitutions) =>
+  Object.fromEntries(Object.entries(substitutions).filter(([char]) => token.includes(char)));
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.unleet = unleet;
+exports.getUsedSubstitutions = getUsedSubstitutions;
@@ -0,0 +1,438 @@
+/**
+ * @file Sequence, date and year matching for password evaluation.
+ *
+ * This file contains the functions used to find the predictable parts of a
+ * password that are not words: ascending and descending sequences such as
+ * `abcdef` or `987654`, calendar dates such as `19871231` or `31/12/87`, and
+ * years such as `1987`. Sequences are also searched with the leetspeak
+ * substitutions of the password undone, so `@bcd` is found as `abcd`.
+ *
+ * @private
+ * @module PasswordToolKit/matching
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { unleet } = require('./leet');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * An ascending or descending sequence found in the password.
+ *
+ * @typedef  {object}  SequenceMatch
+ * @property {string}  type          - Always `'sequence'`.
+ * @property {string}  token         - The matched part of the password.
+ * @property {number}  start         - The index of the first character of the match.
+ * @property {number}  end           - The index after the last character of the match.
+ * @property {boolean} ascending     - Indicates whether the sequence goes up, e.g. `abc`, or down, e.g. `cba`.
+ * @property {number}  entropyBits   - The entropy of the match in bits.
+ */
+
+/**
+ * A calendar date found in the password.
+ *
+ * @typedef  {object} DateMatch
+ * @property {string} type        - Always `'date'`.
+ * @property {string} token       - The matched part of the password.
+ * @property {number} start       - The index of the first character of the match.
+ * @property {number} end         - The index after the last character of the match.
+ * @property {number} year        - The year of the date, with four digits.
+ * @property {number} month       - The month of the date, from 1 to 12.
+ * @property {number} day         - The day of the date, from 1 to 31.
+ * @property {string} separator   - The separator of the date parts, empty when there is none.
+ * @property {number} entropyBits - The entropy of the match in bits.
+ */
+
+/**
+ * A year found in the password.
+ *
+ * @typedef  {object} YearMatch
+ * @property {string} type        - Always `'year'`.
+ * @property {string} token       - The matched part of the password.
+ * @property {number} start       - The index of the first character of the match.
+ * @property {number} end         - The index after the last character of the match.
+ * @property {number} year        - The matched year.
+ * @property {number} entropyBits - The entropy of the match in bits.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Minimum number of characters of a sequence.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MIN_SEQUENCE_LENGTH = 4;
+
+/**
+ * Characters that an attacker tries first as the start of a sequence.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const OBVIOUS_STARTS = 'aAzZ019';
+
+/**
+ * Classes of characters a sequence can be made of, with the size of each
+ * class.
+ *
+ * @private
+ * @constant
+ * @type {Array<Array>}
+ */
+const sequenceClasses = [
+  [/^[a-z]$/, 26],
+  [/^[A-Z]$/, 26],
+  [/^\d$/, 10],
+];
+
+/**
+ * Regular expression that matches a date with separators, such as
+ * `1987-12-31`, `31/12/1987` or `12.31.87`.
+ *
+ * @private
+ * @constant
+ * @type {RegExp}
+ */
+const SEPARATED_DATE = /^(\d{1,4})([\s/\\._-])(\d{1,2})\2(\d{1,4})$/;
+
+/**
+ * Orders of the day, month and year parts of a date without separators,
+ * keyed by the number of digits of the date. `Y` is a four-digit year and `y`
+ * a two-digit one.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const dateOrders = {
+  8: ['YMD', 'DMY', 'MDY'],
+  6: ['yMD', 'DMy', 'MDy'],
+};
+
+/**
+ * Range of the years considered by the evaluator.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const years = { min: 1900, max: 2099 };
+
+/**
+ * Minimum distance between a year and the reference year, so recent years are
+ * not considered easier to guess than they are.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MIN_YEAR_SPACE = 20;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Removes the matches that are inside a longer match, and sorts the rest by
+ * their position in the password.
+ *
+ * @private
+ * @function
+ * @param {Array<object>} matches - The matches to filter.
+ * @returns {Array<object>} The matches that are not inside another one.
+ * @example
+ * ```js
+ * const outer = { start: 0, end: 8 };
+ * const inner = { start: 4, end: 8 };
+ * removeContained([outer, inner]); // Expected value: [outer]
+ * ```
+ */
+const removeContained = matches =>
+  matches
+    .sort((a, b) => b.end - b.start - (a.end - a.start))
+    .filter(
+      (match, index, sorted) =>
+        !sorted.slice(0, index).some(other => other.start <= match.start && other.end >= match.end),
+    )
+    .sort((a, b) => a.start - b.start);
+
+/**
+ * Returns the number of years an attacker has to try to guess the year.
+ *
+ * @private
+ * @function
+ * @param {number} year - The year to guess.
+ * @returns {number} The number of years to try.
+ * @example
+ * ```js
+ * getYearSpace(1987); // Expected value: the years between 1987 and the current year
+ * ```
+ */
+const getYearSpace = year => Math.max(Math.abs(year - new Date().getFullYear()), MIN_YEAR_SPACE);
+
+/**
+ * Returns the entropy of a sequence: the bits needed to pick its first
+ * character and its length, plus one bit when it goes down.
+ *
+ * @private
+ * @function
+ * @param {string} token - The sequence.
+ * @param {number} size - The size of the class of the sequence.
+ * @param {boolean} ascending - Indicates whether the sequence goes up.
+ * @returns {number} The entropy of the sequence in bits.
+ * @example
+ * ```js
+ * getSequenceEntropy('abcdef', 26, true); // Expected value: 4.58
+ * ```
+ */
+const getSequenceEntropy = (token, size, ascending) => {
+  const startBits = OBVIOUS_STARTS.includes(token[0]) ? 2 : Math.log2(size);
+  return startBits + Math.log2(token.length) + (ascending ? 0 : 1);
+};
+
+/**
+ * Returns the ascending and descending sequences of the text, made of
+ * consecutive lowercase letters, uppercase letters or digits.
+ *
+ * @private
+ * @function
+ * @param {string} text - The text to search.
+ * @returns {Array<object>} The `start`, `end`, direction and class size of every sequence.
+ * @example
+ * ```js
+ * searchSequences('xx9876'); // Expected value: [{ start: 2, end: 6, ascending: false, size: 10 }]
+ * ```
+ */
+const searchSequences = text => {
+  const found = [];
+  const classOf = char => sequenceClasses.find(([regexp]) => regexp.test(char));
+  let start = 0;
+  while (start < text.length - 1) {
+    const kind = classOf(text[start]);
+    const delta = text.charCodeAt(start + 1) - text.charCodeAt(start);
+    let end = start + 1;
+    if (kind && Math.abs(delta) === 1) {
+      while (
+        end < text.length &&
+        classOf(text[end]) === kind &&
+        text.charCodeAt(end) - text.charCodeAt(end - 1) === delta
+      ) {
+        end += 1;
+      }
+    }
+    if (end - start >= MIN_SEQUENCE_LENGTH) {
+      found.push({ start, end, ascending: delta === 1, size: kind[1] });
+      start = end;
+    } else {
+      start += 1;
+    }
+  }
+  return found;
+};
+
+/**
+ * Returns every ascending or descending sequence of the password, such as
+ * `abcdef`, `987654` or `WXYZ`. The password is also searched with its
+ * leetspeak substitutions undone.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to search.
+ * @returns {Array<SequenceMatch>} The sequences found.
+ * @example
+ * ```js
+ * findSequences('Xy!abcdef'); // Expected value: [{ type: 'sequence', token: 'abcdef', ... }]
+ * ```
+ */
+const findSequences = password => {
+  const variants = [password, ...unleet(password).map(({ text }) => text)];
+  const found = new Map();
+  variants.forEach(variant => {
+    searchSequences(variant).forEach(({ start, end, ascending, size }) => {
+      if (!found.has(`${start}:${end}`)) {
+        found.set(`${start}:${end}`, {
+          type: 'sequence',
+          token: password.slice(start, end),
+          start,
+          end,
+          ascending,
+          entropyBits: getSequenceEntropy(variant.slice(start, end), size, ascending),
+        });
+      }
+    });
+  });
+  return removeContained([...found.values()]);
+};
+
+/**
+ * Returns the date described by its parts, or `null` if the parts are not a
+ * valid calendar date.
+ *
+ * @private
+ * @function
+ * @param {string} order - The order of the parts, e.g. `'DMY'`.
+ * @param {Array<string>} parts - The digits of every part.
+ * @returns {object|null} The `year`, `month` and `day` of the date.
+ * @example
+ * ```js
+ * toDate('DMy', ['31', '12', '87']); // Expected value: { year: 1987, month: 12, day: 31 }
+ * ```
+ */
+const toDate = (order, parts) => {
+  const values = {};
+  order.split('').forEach((key, index) => {
+    values[key.toUpperCase()] = Number.parseInt(parts[index], 10);
+    if (key === 'y') {
+      values.Y += values.Y > 50 ? 1900 : 2000;
+    }
+  });
+  const { Y: year, M: month, D: day } = values;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    year < years.min ||
+    year > years.max ||
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return { year, month, day };
+};
+
+/**
+ * Returns the date of a part of the password, trying every order of the day,
+ * month and year, or `null` if it is not a date.
+ *
+ * @private
+ * @function
+ * @param {string} token - The part of the password.
+ * @returns {object|null} The `year`, `month`, `day` and `separator` of the date.
+ * @example
+ * ```js
+ * parseDate('1987-12-31'); // Expected value: { year: 1987, month: 12, day: 31, separator: '-' }
+ * ```
+ */
+const parseDate = token => {
+  const separated = SEPARATED_DATE.exec(token);
+  if (separated) {
+    const [, first, separator, second, third] = separated;
+    const parts = [first, second, third];
+    const orders = [];
+    if (first.length === 4) {
+      orders.push('YMD');
+    } else if (third.length === 4 || third.length === 2) {
+      const year = third.length === 4 ? 'Y' : 'y';
+      orders.push(`DM${year}`, `MD${year}`);
+    }
+    if (first.length === 2 && third.length <= 2) {
+      orders.push('yMD');
+    }
+    const dates = orders.map(order => toDate(order, parts)).filter(Boolean);
+    return dates.length > 0 ? { ...dates[0], separator } : null;
+  }
+  if (!/^\d+$/.test(token) || !dateOrders[token.length]) {
+    return null;
+  }
+  const dates = dateOrders[token.length]
+    .map(order => {
+      const sizes = order.split('').map(key => (key === 'Y' ? 4 : 2));
+      const parts = sizes.map((size, index) => {
+        const offset = sizes.slice(0, index).reduce((total, value) => total + value, 0);
+        return token.slice(offset, offset + size);
+      });
+      return toDate(order, parts);
+    })
+    .filter(Boolean);
+  return dates.length > 0 ? { ...dates[0], separator: '' } : null;
+};
+
+/**
+ * Returns every calendar date of the password, with or without separators,
+ * such as `19871231`, `311287` or `31/12/1987`. The entropy of a date is the
+ * bits needed to pick the day of the year and the year, plus two bits when
+ * it uses a separator.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to search.
+ * @returns {Array<DateMatch>} The dates found.
+ * @example
+ * ```js
+ * findDates('Kd!19871231'); // Expected value: [{ type: 'date', token: '19871231', year: 1987, ... }]
+ * ```
+ */
+const findDates = password => {
+  const found = [];
+  for (let start = 0; start < password.length; start += 1) {
+    for (let end = start + 6; end <= Math.min(start + 10, password.length); end += 1) {
+      const token = password.slice(start, end);
+      const date = parseDate(token);
+      if (date) {
+        const entropyBits =
+          Math.log2(365 * getYearSpace(date.year)) + (date.separator === '' ? 0 : 2);
+        found.push({ type: 'date', token, start, end, ...date, entropyBits });
+      }
+    }
+  }
+  return removeContained(found);
+};
+
+/**
+ * Returns every year of the password between 1900 and 2099.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to search.
+ * @returns {Array<YearMatch>} The years found.
+ * @example
+ * ```js
+ * findYears('Ma$bel-1987'); // Expected value: [{ type: 'year', token: '1987', start: 7, end: 11, ... }]
+ * ```
+ */
+const findYears = password => {
+  const found = [];
+  for (let start = 0; start + 4 <= password.length; start += 1) {
+    const token = password.slice(start, start + 4);
+    const year = Number(token);
+    if (/^\d{4}$/.test(token) && year >= years.min && year <= years.max) {
+      found.push({
+        type: 'year',
+        token,
+        start,
+        end: start + 4,
+        year,
+        entropyBits: Math.log2(getYearSpace(year)),
+      });
+    }
+  }
+  return found;
+};
+
+/**
+ * Returns every sequence, date and year of the password. Years that are part
+ * of a date are only reported as the date.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to search.
+ * @returns {Array<SequenceMatch|DateMatch|YearMatch>} The patterns found.
+ * @example
+ * ```js
+ * findPatterns('abcd-1987'); // Expected value: a sequence and a year
+ * ```
+ */
+const findPatterns = password => {
+  const dates = findDates(password);
+  const yearsFound = findYears(password).filter(
+    year => !dates.some(date => date.start <= year.start && date.end >= year.end),
+  );
+  return [...findSequences(password), ...dates, ...yearsFound].sort((a, b) => a.start - b.start);
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.findSequences = findSequences;
+exports.findDates = findDates;
+exports.findYears = findYears;
+exports.findPatterns = findPatterns;
+exports.removeContained = removeContained;
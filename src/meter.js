@@ -0,0 +1,310 @@
+/**
+ * @file Incremental evaluation of a password for live strength meters.
+ *
+ * This file contains the meter, a stateful evaluator that follows the input
+ * of a password field as it is typed. The meter keeps a snapshot of every
+ * prefix of the password, with its character traits and the patterns found
+ * in it, so:
+ *
+ * - Appending a character updates the traits in constant time, and only
+ * searches the patterns again in the last characters of the password. The
+ * patterns that end before them cannot change, and are kept as they are.
+ * - Deleting characters goes back to the snapshot of the shorter prefix,
+ * without searching anything again.
+ *
+ * Every reading has a score from 0 to 100 and the spans of the weak parts of
+ * the password, so the interface can underline them.
+ *
+ * @private
+ * @module PasswordToolKit/meter
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { emptyTraits, addChar } = require('./traits');
+const { regexps, patternRuns } = require('./constants');
+const { checkEvaluationInputs, findLocalMatches, createAnalysis, runChecks } = require('./checks');
+const { createTranslator } = require('./i18n');
+const { PasswordToolKitTypeError, PasswordToolKitRangeError } = require('./errors');
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Number of characters at the end of the password where the patterns are
+ * searched again after a character is appended.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const TAIL_LENGTH = 32;
+
+/**
+ * Shortest run of identical characters reported as a repeat.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MIN_REPEAT_LENGTH = 3;
+
+/**
+ * Code of the check related to every type of span.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const spanCodes = {
+  repeat: 'REPEATED_CHARS',
+  dictionary: 'BLOCKLISTED',
+  userInput: 'USER_INPUT',
+  keyboard: 'KEYBOARD_WALK',
+  sequence: 'SEQUENCE',
+  date: 'DATE',
+  year: 'DATE',
+  pattern: 'COMMON_PATTERN',
+};
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Returns the repeats of a password after a character is appended.
+ *
+ * @private
+ * @function
+ * @param {Array<object>} repeats - The `start` and `end` of the repeats before the character.
+ * @param {number} run - The length of the run of identical characters at the end.
+ * @param {number} end - The length of the password with the character.
+ * @returns {Array<object>} The repeats with the character.
+ * @example
+ * ```js
+ * addRepeat([], 3, 5); // Expected value: [{ start: 2, end: 5 }]
+ * ```
+ */
+const addRepeat = (repeats, run, end) => {
+  if (run < MIN_REPEAT_LENGTH) {
+    return repeats;
+  }
+  const kept = run === MIN_REPEAT_LENGTH ? repeats : repeats.slice(0, -1);
+  return [...kept, { start: end - run, end }];
+};
+
+/**
+ * Returns the runs of letters or digits that make the password follow a
+ * common pattern: the runs long enough to be a pattern, the runs with a
+ * character repeated in a row, and the runs next to a run of the other kind,
+ * like `abc` and `123` in `abc123`.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password.
+ * @returns {Array<object>} The `start` and `end` of the runs.
+ * @example
+ * ```js
+ * findPatternRuns('aaaqwerty2019'); // Expected value: [{ start: 0, end: 9 }, { start: 9, end: 13 }]
+ * ```
+ */
+const findPatternRuns = password => {
+  const kindOf = char => {
+    if (regexps.numbers.test(char)) {
+      return 'digits';
+    }
+    return regexps.lowercases.test(char) || regexps.uppercases.test(char) ? 'letters' : null;
+  };
+  const runs = password.split('').reduce((found, char, index) => {
+    const kind = kindOf(char);
+    const last = found[found.length - 1];
+    if (kind === null) {
+      return found;
+    }
+    if (last && last.kind === kind && last.end === index) {
+      return [...found.slice(0, -1), { ...last, end: index + 1 }];
+    }
+    return [...found, { kind, start: index, end: index + 1 }];
+  }, []);
+  const identical = new RegExp(`(.)\\1{${patternRuns.identical - 1}}`);
+  return runs
+    .filter(
+      (run, index) =>
+        run.end - run.start >= patternRuns[run.kind] ||
+        identical.test(password.slice(run.start, run.end)) ||
+        (index > 0 && runs[index - 1].end === run.start) ||
+        (index < runs.length - 1 && runs[index + 1].start === run.end),
+    )
+    .map(({ start, end }) => ({ start, end }));
+};
+
+/**
+ * Searches the local patterns at the end of a password again, keeping the
+ * patterns that end before the searched part. The searched part starts
+ * earlier when a kept pattern would cross it, so the patterns crossing it are
+ * searched whole.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password.
+ * @param {object} found - The `userInputs`, `walks` and `patterns` of the password without its last character.
+ * @param {number} tailLength - The number of characters searched again.
+ * @param {Function} search - Returns the `userInputs`, `walks` and `patterns` of a text.
+ * @returns {object} The `userInputs`, `walks` and `patterns` of the password.
+ * @example
+ * ```js
+ * const found = rescanTail('Xqwerty', previous, 32, text => findLocalMatches(text, {}, toolkit));
+ * ```
+ */
+const rescanTail = (password, found, tailLength, search) => {
+  const all = [...found.userInputs, ...found.walks, ...found.patterns];
+  const findCrossing = index => all.filter(match => match.start < index && match.end > index);
+  let from = Math.max(password.length - tailLength, 0);
+  let crossing = findCrossing(from);
+  while (crossing.length > 0) {
+    from = Math.min(...crossing.map(match => match.start));
+    crossing = findCrossing(from);
+  }
+  const tail = search(password.slice(from));
+  const merge = (kept, added) => [
+    ...kept.filter(match => match.end <= from),
+    ...added.map(match => ({ ...match, start: match.start + from, end: match.end + from })),
+  ];
+  return {
+    userInputs: merge(found.userInputs, tail.userInputs),
+    walks: merge(found.walks, tail.walks),
+    patterns: merge(found.patterns, tail.patterns),
+  };
+};
+
+/**
+ * Creates a meter that evaluates a password incrementally, as it is typed.
+ *
+ * @private
+ * @function
+ * @param {object} toolkit - The `PasswordToolKit` instance.
+ * @param {object} context - The evaluation context of the password.
+ * @returns {object} The meter, with its `append()`, `delete()`, `set()` and `read()` methods.
+ * @throws {TypeError} If the context is not valid.
+ * @throws {RangeError} If the "locale" value is not a known locale.
+ * @example
+ * ```js
+ * const meter = createMeter(passwordToolKit, { userInputs: ['mabel'] });
+ * const { score, spans } = meter.append('Ma$bel');
+ * ```
+ */
+const createMeter = (toolkit, context) => {
+  checkEvaluationInputs('', context);
+  const translate = createTranslator(
+    toolkit.catalog,
+    context.locale || toolkit.locale,
+    toolkit.locale,
+  );
+  const tailLength = Math.max(
+    TAIL_LENGTH,
+    ...(context.userInputs || []).map(input => String(input).length + 1),
+  );
+  const search = text => findLocalMatches(text, context, toolkit);
+  const counts = new Map();
+  const snapshots = [
+    { traits: emptyTraits, found: { userInputs: [], walks: [], patterns: [] }, repeats: [] },
+  ];
+  let value = '';
+
+  const read = () => {
+    const { traits, found, repeats } = snapshots[snapshots.length - 1];
+    const { strength, ...analysis } = createAnalysis(
+      value,
+      context,
+      toolkit,
+      { ...found, traits },
+      translate,
+    );
+    const result = runChecks(analysis, strength.entropyBits, toolkit.checks, translate);
+    const codes = new Set(result.findings.map(finding => finding.code));
+    const spans = [
+      ...repeats.map(repeat => ({ ...repeat, type: 'repeat' })),
+      ...strength.matches,
+      ...findPatternRuns(value).map(run => ({ ...run, type: 'pattern' })),
+    ]
+      .map(({ type, start, end }) => ({
+        type,
+        code: spanCodes[type],
+        start,
+        end,
+        token: value.slice(start, end),
+      }))
+      .filter(span => codes.has(span.code))
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+    return { ...result, spans };
+  };
+
+  const append = text => {
+    if (typeof text !== 'string') {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_TEXT',
+        'The "text" value must be a string type.',
+      );
+    }
+    text.split('').forEach(char => {
+      const { traits, found, repeats } = snapshots[snapshots.length - 1];
+      const count = counts.get(char) || 0;
+      const previous = value[value.length - 1];
+      counts.set(char, count + 1);
+      value += char;
+      const next = addChar(traits, char, previous, count);
+      snapshots.push({
+        traits: next,
+        found: rescanTail(value, found, tailLength, search),
+        repeats: addRepeat(repeats, next.identicalRun, value.length),
+      });
+    });
+    return read();
+  };
+
+  const remove = (count = 1) => {
+    if (!Number.isInteger(count)) {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_COUNT',
+        'The "count" value must be an integer.',
+      );
+    }
+    if (count < 0) {
+      throw new PasswordToolKitRangeError(
+        'ERR_PTK_INVALID_COUNT',
+        'The "count" value must not be negative.',
+      );
+    }
+    const length = Math.max(value.length - count, 0);
+    value
+      .slice(length)
+      .split('')
+      .forEach(char => counts.set(char, counts.get(char) - 1));
+    snapshots.splice(length + 1);
+    value = value.slice(0, length);
+    return read();
+  };
+
+  const set = password => {
+    if (typeof password !== 'string') {
+      throw new PasswordToolKitTypeError(
+        'ERR_PTK_INVALID_PASSWORD',
+        'The "password" value must be a string type.',
+      );
+    }
+    let common = 0;
+    while (common < Math.min(value.length, password.length) && value[common] === password[common]) {
+      common += 1;
+    }
+    remove(value.length - common);
+    return append(password.slice(common));
+  };
+
+  return {
+    get value() {
+      return value;
+    },
+    append,
+    delete: remove,
+    set,
+    read,
+  };
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.createMeter = createMeter;
@@ -0,0 +1,159 @@
+/**
+ * @file Options of the passphrase generation.
+ *
+ * This file contains the check of the options used to generate diceware-style
+ * passphrases. The options do not depend on the settings of the toolkit, so
+ * they are checked by a module function. Every problem is reported with its
+ * stable code and the path of the option, like the problems of the password
+ * creation options.
+ *
+ * @private
+ * @module PasswordToolKit/passphrase
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { toValidation, everyString } = require('./functions');
+const { wordlistNames, isBundledWordlist } = require('./wordlists');
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Capitalization modes of the passphrases.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const capitalizations = ['lowercase', 'uppercase', 'capitalize', 'random'];
+
+/**
+ * Largest number of words of a passphrase.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MAX_WORDS = 32;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Returns the problems of the `wordlist` option of the passphrase options.
+ *
+ * @private
+ * @function
+ * @param {*} wordlist - The name of a bundled wordlist or an array of words.
+ * @returns {Array<object>} The problems found, empty if the option is valid.
+ * @example
+ * ```js
+ * const [problem] = getWordlistProblems(['alpha', 'ALPHA']);
+ * // Expected value: { code: 'ERR_PTK_INVALID_WORDLIST', path: 'wordlist', message: 'The "wordlist" option must contain at least 2 different words.' }
+ * ```
+ */
+const getWordlistProblems = wordlist => {
+  const problem = message => [{ code: 'ERR_PTK_INVALID_WORDLIST', path: 'wordlist', message }];
+  if (!Array.isArray(wordlist)) {
+    return isBundledWordlist(wordlist)
+      ? []
+      : problem(
+          `The "wordlist" option must be an array of words or one of: ${wordlistNames.join(', ')}.`,
+        );
+  }
+  if (!everyString(wordlist) || wordlist.some(word => word.length === 0)) {
+    return problem('All "wordlist" values must be non-empty strings.');
+  }
+  if (new Set(wordlist.map(word => word.toLowerCase())).size < 2) {
+    return problem('The "wordlist" option must contain at least 2 different words.');
+  }
+  return [];
+};
+
+/**
+ * Checks if the passphrase options are valid. Every option is checked, and
+ * the result lists every problem found with its stable code and the path of
+ * the option.
+ *
+ * @private
+ * @function
+ * @param {object} [options] - The options for the passphrase to be check.
+ * @returns {{ok: boolean, reason: (string|null), errors: Array<object>}} The result of the validation.
+ * @example
+ * ```js
+ * const { errors } = checkPassphraseOptions({ words: 0, digit: 'yes' });
+ * // Expected value: problems with the 'words' and 'digit' paths
+ * ```
+ */
+const checkPassphraseOptions = (options = {}) => {
+  if (typeof options !== 'object' || options === null) {
+    return toValidation([
+      { code: 'ERR_PTK_INVALID_OPTIONS', path: '', message: 'Options must be an object.' },
+    ]);
+  }
+  const problems = [];
+  if (
+    Reflect.has(options, 'words') &&
+    (!Number.isInteger(options.words) || options.words < 1 || options.words > MAX_WORDS)
+  ) {
+    problems.push({
+      code: 'ERR_PTK_INVALID_WORDS',
+      path: 'words',
+      message: `The "words" option must be an integer from 1 to ${MAX_WORDS}.`,
+    });
+  }
+  if (Reflect.has(options, 'separator') && typeof options.separator !== 'string') {
+    problems.push({
+      code: 'ERR_PTK_INVALID_SEPARATOR',
+      path: 'separator',
+      message: 'The "separator" option must be a string.',
+    });
+  }
+  if (Reflect.has(options, 'capitalization') && !capitalizations.includes(options.capitalization)) {
+    problems.push({
+      code: 'ERR_PTK_INVALID_CAPITALIZATION',
+      path: 'capitalization',
+      message:
+        'The "capitalization" option must be "lowercase", "uppercase", "capitalize" or "random".',
+    });
+  }
+  ['digit', 'symbol'].forEach(name => {
+    if (Reflect.has(options, name) && typeof options[name] !== 'boolean') {
+      problems.push({
+        code: `ERR_PTK_INVALID_${name.toUpperCase()}`,
+        path: name,
+        message: `The "${name}" option must be a boolean.`,
+      });
+    }
+  });
+  if (Reflect.has(options, 'wordlist')) {
+    problems.push(...getWordlistProblems(options.wordlist));
+  }
+  return toValidation(problems);
+};
+
+/**
+ * Returns the words of a custom wordlist without the repeated ones. Words that
+ * only differ in case are the same word, and the first one is kept as it is.
+ *
+ * @private
+ * @function
+ * @param {Array<string>} wordlist - The custom wordlist.
+ * @returns {Array<string>} The different words of the wordlist.
+ * @example
+ * ```js
+ * getUniqueWords(['Alpha', 'bravo', 'ALPHA']); // Expected value: ['Alpha', 'bravo']
+ * ```
+ */
+const getUniqueWords = wordlist => {
+  const seen = new Set();
+  return wordlist.filter(word => {
+    const key = word.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.checkPassphraseOptions = checkPassphraseOptions;
+exports.getUniqueWords = getUniqueWords;
@@ -0,0 +1,653 @@
+/**
+ * @file Password rules of the `passwordrules` attribute.
+ *
+ * This file contains the parser of the password rules that password managers
+ * read from the `passwordrules` attribute of the password fields, such as
+ * `minlength: 12; required: lower; required: upper; allowed: [-_.]`. A rule is
+ * a property and its value, and the rules are separated by `;`:
+ *
+ * - `minlength` and `maxlength`: the length of the password.
+ * - `max-consecutive`: the longest run of the same character.
+ * - `required`: the password must contain a character of any of the listed
+ * classes. Every `required` rule is a separate requirement.
+ * - `allowed`: the password can also contain the characters of the listed
+ * classes.
+ *
+ * The classes are `upper`, `lower`, `digit`, `special`, `ascii-printable`,
+ * `unicode`, or the printable ASCII characters between brackets, such as
+ * `[-_.]`. A `]` is part of the brackets when it comes first, as in `[]-]`.
+ * The names are case-insensitive, and the spaces between the tokens are
+ * ignored. The classes map onto the character pools of the generator:
+ * `upper`, `lower`, `digit` and `special` are the uppercases, lowercases,
+ * numbers and symbols, and `ascii-printable` is all of them. `unicode` is
+ * generated as `ascii-printable`, and allows any character in the evaluated
+ * passwords.
+ *
+ * Like the password managers, the strictest rule wins when a property is
+ * repeated: the highest `minlength`, and the lowest `maxlength` and
+ * `max-consecutive`. When no rule lists a class, every `ascii-printable`
+ * character is allowed.
+ *
+ * The positions reported in the errors are the indexes of the characters of
+ * the rules, starting from 0. A malformed rule is reported and skipped, so
+ * every error is found at once.
+ *
+ * @private
+ * @module PasswordToolKit/passwordrules
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { classChars, getSelectedChars } = require('./functions');
+const { PasswordToolKitTypeError } = require('./errors');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The requirements described by password rules.
+ *
+ * @typedef  {object}         PasswordRules
+ * @property {number|null}    minLength      - The minimum number of characters, or `null`.
+ * @property {number|null}    maxLength      - The maximum number of characters, or `null`.
+ * @property {number|null}    maxConsecutive - The longest run of the same character, or `null`.
+ * @property {Array.<string>} required       - The characters of every requirement: the password must contain one of each.
+ * @property {string}         allowed        - Every allowed character, with the required ones.
+ * @property {boolean}        unicode        - Indicates whether any character is allowed.
+ */
+
+/**
+ * A syntax error of password rules.
+ *
+ * @typedef  {object} PasswordRulesError
+ * @property {number} position           - The index of the character where the error was found.
+ * @property {string} message            - The description of the error.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Characters of the named classes of the rules, taken from the character
+ * pools of the generator.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const ruleClasses = {
+  upper: classChars.uppercases,
+  lower: classChars.lowercases,
+  digit: classChars.numbers,
+  special: classChars.symbols,
+  'ascii-printable': `${classChars.lowercases}${classChars.uppercases}${classChars.numbers}${classChars.symbols}`,
+};
+
+/**
+ * Properties of the rules, and the kind of their values.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const properties = {
+  minlength: 'integer',
+  maxlength: 'integer',
+  'max-consecutive': 'integer',
+  required: 'classes',
+  allowed: 'classes',
+};
+
+/**
+ * Options of `generate()` that select the characters, replaced by the rules.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const replacedOptions = [
+  'numbers',
+  'symbols',
+  'uppercases',
+  'lowercases',
+  'guaranteed',
+  'min',
+  'max',
+  'sets',
+];
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Creates a reader of the rules, which walks their characters and keeps the
+ * index of the current one.
+ *
+ * @private
+ * @function
+ * @param {string} text - The rules.
+ * @returns {object} The reader, with the current `index` and its reading functions.
+ * @example
+ * ```js
+ * const reader = createReader('minlength: 12');
+ * const name = reader.readWhile(/[a-z-]/i); // Expected value: 'minlength'
+ * ```
+ */
+const createReader = text => {
+  const reader = {
+    index: 0,
+    atEnd: () => reader.index >= text.length,
+    peek: () => text[reader.index],
+    skipSpaces: () => {
+      while (!reader.atEnd() && /\s/.test(reader.peek())) {
+        reader.index += 1;
+      }
+    },
+    readWhile: regexp => {
+      const start = reader.index;
+      while (!reader.atEnd() && regexp.test(reader.peek())) {
+        reader.index += 1;
+      }
+      return text.slice(start, reader.index);
+    },
+  };
+  return reader;
+};
+
+/**
+ * Reads the printable ASCII characters of a class between brackets, after
+ * its opening `[`.
+ *
+ * @private
+ * @function
+ * @param {object} reader - The reader of the rules, after the `[`.
+ * @returns {{chars: string, error: (PasswordRulesError|null)}} The characters of the class, and the error or `null`.
+ * @example
+ * ```js
+ * const { chars } = readBrackets(createReader('-_.]')); // Expected value: '-_.'
+ * ```
+ */
+const readBrackets = reader => {
+  const position = reader.index - 1;
+  let chars = '';
+  while (!reader.atEnd() && (reader.peek() !== ']' || chars.length === 0)) {
+    const char = reader.peek();
+    if (!/[\x20-\x7e]/.test(char)) {
+      return {
+        chars: '',
+        error: {
+          position: reader.index,
+          message: `The "${char}" character at position ${reader.index} of the password rules is not a printable ASCII character.`,
+        },
+      };
+    }
+    chars += char;
+    reader.index += 1;
+  }
+  if (reader.atEnd()) {
+    return {
+      chars: '',
+      error: {
+        position,
+        message: `The "[" at position ${position} of the password rules must be closed with "]".`,
+      },
+    };
+  }
+  reader.index += 1;
+  return { chars, error: null };
+};
+
+/**
+ * Reads the comma-separated classes of a `required` or `allowed` rule.
+ *
+ * @private
+ * @function
+ * @param {object} reader - The reader of the rules, at the start of the value.
+ * @returns {{chars: string, unicode: boolean, error: (PasswordRulesError|null)}} The characters of the classes, whether they include `unicode`, and the error or `null`.
+ * @example
+ * ```js
+ * const { chars } = readClasses(createReader('digit, [-]')); // Expected value: '0123456789-'
+ * ```
+ */
+const readClasses = reader => {
+  let chars = '';
+  let unicode = false;
+  let more = true;
+  while (more) {
+    reader.skipSpaces();
+    const position = reader.index;
+    if (reader.peek() === '[') {
+      reader.index += 1;
+      const brackets = readBrackets(reader);
+      if (brackets.error) {
+        return { chars: '', unicode: false, error: brackets.error };
+      }
+      chars += brackets.chars;
+    } else {
+      const name = reader.readWhile(/[a-z-]/i).toLowerCase();
+      if (name.length === 0) {
+        return {
+          chars: '',
+          unicode: false,
+          error: {
+            position,
+            message: `Expected a character class at position ${position} of the password rules.`,
+          },
+        };
+      }
+      if (name !== 'unicode' && !Reflect.has(ruleClasses, name)) {
+        return {
+          chars: '',
+          unicode: false,
+          error: {
+            position,
+            message: `The "${name}" character class at position ${position} of the password rules is not known.`,
+          },
+        };
+      }
+      unicode = unicode || name === 'unicode';
+      chars += ruleClasses[name === 'unicode' ? 'ascii-printable' : name];
+    }
+    reader.skipSpaces();
+    more = reader.peek() === ',';
+    if (more) {
+      reader.index += 1;
+    }
+  }
+  return { chars: [...new Set(chars)].join(''), unicode, error: null };
+};
+
+/**
+ * Reads the positive integer of a `minlength`, `maxlength` or
+ * `max-consecutive` rule.
+ *
+ * @private
+ * @function
+ * @param {string} name - The property of the rule.
+ * @param {object} reader - The reader of the rules, at the start of the value.
+ * @returns {{value: number, error: (PasswordRulesError|null)}} The value of the rule, and the error or `null`.
+ * @example
+ * ```js
+ * const { value } = readInteger('minlength', createReader('12')); // Expected value: 12
+ * ```
+ */
+const readInteger = (name, reader) => {
+  reader.skipSpaces();
+  const position = reader.index;
+  const digits = reader.readWhile(/\d/);
+  if (!/^0*[1-9]\d*$/.test(digits)) {
+    return {
+      value: 0,
+      error: {
+        position,
+        message: `The "${name}" value at position ${position} of the password rules must be a positive integer.`,
+      },
+    };
+  }
+  return { value: Number(digits), error: null };
+};
+
+/**
+ * Reads a rule, from its property name to the `;` or the end of the rules.
+ *
+ * @private
+ * @function
+ * @param {object} reader - The reader of the rules, at the start of the rule.
+ * @returns {{name: string, position: number, value: *, error: (PasswordRulesError|null)}} The property, position and value of the rule, and the error or `null`.
+ * @example
+ * ```js
+ * const { name, value } = readRule(createReader('minlength: 12'));
+ * // Expected value: 'minlength', 12
+ * ```
+ */
+const readRule = reader => {
+  reader.skipSpaces();
+  const position = reader.index;
+  const name = reader.readWhile(/[a-z-]/i).toLowerCase();
+  const rule = { name, position, value: null, error: null };
+  reader.skipSpaces();
+  if (name.length === 0 && (reader.atEnd() || reader.peek() === ';')) {
+    // Empty rules, like the one after a trailing ";", are ignored
+    return rule;
+  }
+  if (name.length === 0) {
+    return {
+      ...rule,
+      error: {
+        position,
+        message: `Expected a property name at position ${position} of the password rules.`,
+      },
+    };
+  }
+  if (!Reflect.has(properties, name)) {
+    return {
+      ...rule,
+      error: {
+        position,
+        message: `The "${name}" property at position ${position} of the password rules is not known.`,
+      },
+    };
+  }
+  if (reader.peek() !== ':') {
+    return {
+      ...rule,
+      error: {
+        position: reader.index,
+        message: `Expected ":" after "${name}" at position ${reader.index} of the password rules.`,
+      },
+    };
+  }
+  reader.index += 1;
+  const { error, ...value } =
+    properties[name] === 'integer' ? readInteger(name, reader) : readClasses(reader);
+  if (error) {
+    return { ...rule, error };
+  }
+  reader.skipSpaces();
+  if (!reader.atEnd() && reader.peek() !== ';') {
+    return {
+      ...rule,
+      error: {
+        position: reader.index,
+        message: `Expected ";" at position ${reader.index} of the password rules.`,
+      },
+    };
+  }
+  return { ...rule, value: properties[name] === 'integer' ? value.value : value };
+};
+
+/**
+ * Parses password rules into the requirements they describe, and returns
+ * the syntax errors with their positions. The malformed rules are skipped,
+ * and the requirements are taken from the other ones.
+ *
+ * @private
+ * @function
+ * @param {string} text - The password rules, e.g. `'minlength: 12; required: lower, upper'`.
+ * @returns {{rules: PasswordRules, errors: Array<PasswordRulesError>}} The requirements and the syntax errors.
+ * @throws {TypeError} If the rules are not a string.
+ * @example
+ * ```js
+ * const { errors } = parsePasswordRules('minlength: 12; required: uper');
+ * // Expected value: [{ position: 25, message: 'The "uper" character class at position 25 of the password rules is not known.' }]
+ * ```
+ */
+const parsePasswordRules = text => {
+  if (typeof text !== 'string') {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_PASSWORD_RULES',
+      'The "passwordRules" value must be a string type.',
+    );
+  }
+  const reader = createReader(text);
+  const errors = [];
+  const values = { minlength: [], maxlength: [], 'max-consecutive': [] };
+  const required = [];
+  let allowed = null;
+  let unicode = false;
+  let maxLengthPosition = 0;
+
+  while (!reader.atEnd()) {
+    const { name, position, value, error } = readRule(reader);
+    if (error) {
+      errors.push(error);
+    } else if (Reflect.has(values, name)) {
+      values[name].push(value);
+      if (name === 'maxlength' && value === Math.min(...values.maxlength)) {
+        maxLengthPosition = position;
+      }
+    } else if (value) {
+      if (name === 'required' && !required.includes(value.chars)) {
+        required.push(value.chars);
+      }
+      if (name === 'allowed') {
+        allowed = `${allowed || ''}${value.chars}`;
+      }
+      unicode = unicode || value.unicode;
+    }
+
+    // Skip to the next rule, after the error if any
+    const next = text.indexOf(';', reader.index);
+    reader.index = next === -1 ? text.length : next + 1;
+  }
+
+  const rules = {
+    minLength: values.minlength.length > 0 ? Math.max(...values.minlength) : null,
+    maxLength: values.maxlength.length > 0 ? Math.min(...values.maxlength) : null,
+    maxConsecutive:
+      values['max-consecutive'].length > 0 ? Math.min(...values['max-consecutive']) : null,
+    required,
+    allowed:
+      allowed === null && required.length === 0
+        ? ruleClasses['ascii-printable']
+        : [...new Set(`${allowed || ''}${required.join('')}`)].join(''),
+    unicode,
+  };
+  if (rules.minLength !== null && rules.maxLength !== null && rules.maxLength < rules.minLength) {
+    errors.push({
+      position: maxLengthPosition,
+      message: `The "maxlength" rule at position ${maxLengthPosition} of the password rules must not be less than the "minlength".`,
+    });
+  }
+  return { rules, errors };
+};
+
+/**
+ * Checks if a password follows valid password rules.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to check.
+ * @param {PasswordRules} rules - The requirements of the rules.
+ * @returns {boolean} Returns `true` if the password follows every rule, otherwise `false`.
+ * @example
+ * ```js
+ * followsPasswordRules('abc', parsePasswordRules('minlength: 8').rules); // Expected value: false
+ * ```
+ */
+const followsPasswordRules = (password, rules) => {
+  const chars = [...password];
+  let run = 0;
+  const longestRun = chars.reduce((longest, char, index) => {
+    run = index > 0 && char === chars[index - 1] ? run + 1 : 1;
+    return Math.max(longest, run);
+  }, 0);
+  return (
+    (rules.minLength === null || chars.length >= rules.minLength) &&
+    (rules.maxLength === null || chars.length <= rules.maxLength) &&
+    (rules.maxConsecutive === null || longestRun <= rules.maxConsecutive) &&
+    (rules.unicode || chars.every(char => rules.allowed.includes(char))) &&
+    rules.required.every(requirement => chars.some(char => requirement.includes(char)))
+  );
+};
+
+/**
+ * Checks if every requirement can take one character without using any
+ * character more than a number of times, by augmenting paths.
+ *
+ * @private
+ * @function
+ * @param {Array<Array<string>>} required - The characters of every requirement.
+ * @param {number} capacity - The most requirements a character can be used for.
+ * @returns {boolean} Returns `true` if every requirement gets a character, otherwise `false`.
+ * @example
+ * ```js
+ * canAssign([['a'], ['a', 'b']], 1); // Expected value: true
+ * ```
+ */
+const canAssign = (required, capacity) => {
+  const owners = new Map();
+  const assign = (index, visited) =>
+    required[index].some(char => {
+      if (visited.has(char)) {
+        return false;
+      }
+      visited.add(char);
+      const current = owners.get(char) || [];
+      if (current.length < capacity) {
+        owners.set(char, [...current, index]);
+        return true;
+      }
+      return current.some((owner, position) => {
+        if (!assign(owner, visited)) {
+          return false;
+        }
+        owners.set(char, [...current.slice(0, position), index, ...current.slice(position + 1)]);
+        return true;
+      });
+    });
+  return required.every((_, index) => assign(index, new Set()));
+};
+
+/**
+ * Checks if a password of the size can follow the `max-consecutive` rule with
+ * the characters left by the exclusions. The most repeated character of the
+ * password is used at least as many times as the smallest capacity that lets
+ * every requirement take a character and the allowed characters fill the
+ * password, and it needs enough other characters to break its runs.
+ *
+ * @private
+ * @function
+ * @param {object} selected - The characters of the requirements and of the `allowed` set.
+ * @param {number} size - The length of the password.
+ * @param {number} limit - The longest run of the same character.
+ * @returns {boolean} Returns `true` if a password can follow the rule, otherwise `false`.
+ * @example
+ * ```js
+ * canLimitRuns({ allowed: ['a', 'b'] }, 4, 1); // Expected value: true
+ * ```
+ */
+const canLimitRuns = (selected, size, limit) => {
+  const { allowed, ...required } = selected;
+  const sets = Object.values(required);
+  let most = Math.ceil(size / allowed.length);
+  while (!canAssign(sets, most)) {
+    most += 1;
+  }
+  return most <= limit * (size - most + 1);
+};
+
+/**
+ * Returns the options of the generator of passwords that follow the
+ * `passwordRules` option. Every requirement becomes a custom set with exactly
+ * one character, the allowed characters a custom set for the rest of the
+ * password, and the `max-consecutive` rule the `maxConsecutive` option of the
+ * generator. Options without password rules are returned as they are.
+ *
+ * @private
+ * @function
+ * @param {object} options - The valid password creation options.
+ * @returns {object} The options of the generator.
+ * @example
+ * ```js
+ * resolvePasswordRules({ size: 12, passwordRules: 'required: digit' });
+ * // Expected value: { size: 12, sets: { required0: '0123456789', allowed: '0123456789' }, min: { required0: 1 }, max: { required0: 1 } }
+ * ```
+ */
+const resolvePasswordRules = options => {
+  if (!Reflect.has(options, 'passwordRules')) {
+    return options;
+  }
+  const { passwordRules, ...rest } = options;
+  const { rules } = parsePasswordRules(passwordRules);
+
+  // The smallest requirements come first, so they keep their characters when counting passwords
+  const required = [...rules.required].sort((a, b) => a.length - b.length);
+  const names = required.map((_, index) => `required${index}`);
+  return {
+    ...rest,
+    sets: {
+      ...Object.fromEntries(names.map((name, index) => [name, required[index]])),
+      allowed: rules.allowed,
+    },
+    min: Object.fromEntries(names.map(name => [name, 1])),
+    max: Object.fromEntries(names.map(name => [name, 1])),
+    ...(rules.maxConsecutive !== null && { maxConsecutive: rules.maxConsecutive }),
+  };
+};
+
+/**
+ * Checks the `passwordRules` option of the password creation options, and if
+ * a password of the `size` option can follow them.
+ *
+ * @private
+ * @function
+ * @param {object} options - A object that contains the password creation options.
+ * @param {boolean} sizeValid - Indicates whether the `size` option is valid.
+ * @param {boolean} othersValid - Indicates whether the other options are valid.
+ * @returns {Array<object>} The problems found, empty if the option is valid.
+ * @example
+ * ```js
+ * const [problem] = getPasswordRulesProblems({ size: 8, passwordRules: 'minlength: 12' }, true, true);
+ * // Expected value: { code: 'ERR_PTK_INVALID_SIZE', path: 'size', message: 'The password length must not be less than the "minlength" of the password rules.' }
+ * ```
+ */
+const getPasswordRulesProblems = (options, sizeValid, othersValid) => {
+  const code = 'ERR_PTK_INVALID_PASSWORD_RULES';
+  const path = 'passwordRules';
+  if (typeof options.passwordRules !== 'string') {
+    return [{ code, path, message: 'The "passwordRules" option must be a string.' }];
+  }
+  const problems = replacedOptions
+    .filter(name => Reflect.has(options, name))
+    .map(name => ({
+      code: `ERR_PTK_INVALID_${name.toUpperCase()}`,
+      path: name,
+      message: `The "${name}" option must not be combined with the "passwordRules" option.`,
+    }));
+  const { rules, errors } = parsePasswordRules(options.passwordRules);
+  problems.push(...errors.map(({ message }) => ({ code, path, message })));
+
+  // The rules are only compared with the size when every other option is valid
+  if (problems.length > 0 || !othersValid) {
+    return problems;
+  }
+  const resolved = resolvePasswordRules(options);
+  const selected = getSelectedChars(resolved);
+  if (Object.values(selected).some(chars => chars.length === 0)) {
+    return [
+      {
+        code: 'ERR_PTK_EMPTY_CHARACTER_SET',
+        path,
+        message: 'A class of the password rules has no characters left after the exclusions.',
+      },
+    ];
+  }
+  if (!sizeValid) {
+    return problems;
+  }
+  if (rules.minLength !== null && options.size < rules.minLength) {
+    problems.push({
+      code: 'ERR_PTK_INVALID_SIZE',
+      path: 'size',
+      message: 'The password length must not be less than the "minlength" of the password rules.',
+    });
+  }
+  if (rules.maxLength !== null && options.size > rules.maxLength) {
+    problems.push({
+      code: 'ERR_PTK_INVALID_SIZE',
+      path: 'size',
+      message:
+        'The password length must not be greater than the "maxlength" of the password rules.',
+    });
+  }
+  // Every requirement takes its own character, even if one character could meet several
+  if (rules.required.length > options.size) {
+    problems.push({
+      code: 'ERR_PTK_MIN_EXCEEDS_SIZE',
+      path,
+      message:
+        'The "required" rules must not exceed the password length, as every rule takes its own character.',
+    });
+  } else if (
+    resolved.maxConsecutive &&
+    !canLimitRuns(selected, options.size, resolved.maxConsecutive)
+  ) {
+    problems.push({
+      code,
+      path,
+      message: 'The "max-consecutive" rule cannot be met with the allowed characters.',
+    });
+  }
+  return problems;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.parsePasswordRules = parsePasswordRules;
+exports.followsPasswordRules = followsPasswordRules;
+exports.resolvePasswordRules = resolvePasswordRules;
+exports.getPasswordRulesProblems = getPasswordRulesProblems;
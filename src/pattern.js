@@ -0,0 +1,274 @@
+/**
+ * @file Masks of the pattern-based password generation.
+ *
+ * This file contains the parser of the masks used to generate passwords with
+ * a fixed shape, such as `Aaaa-9999-!!` or `XXXX-XXXX-XXXX`. A mask is read
+ * grapheme by grapheme:
+ *
+ * - A placeholder, such as `A` or `9`, is replaced with a random character.
+ * - `[name]` is replaced with a random character of a custom set.
+ * - `{n}` repeats the previous placeholder or character `n` times.
+ * - `\` makes the next character literal, e.g. `\A` or `\{`.
+ * - Any other character is copied as is.
+ *
+ * The positions reported in the reasons are the indexes of the graphemes of
+ * the mask, starting from 0.
+ *
+ * @private
+ * @module PasswordToolKit/pattern
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const {
+  classNames,
+  toGraphemes,
+  isCharSets,
+  getSelectedChars,
+  getCharProblems,
+} = require('./functions');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * A part of a parsed mask.
+ *
+ * @private
+ * @typedef  {object}        Token
+ * @property {number}        position - The position of the part in the mask.
+ * @property {string}        text     - The placeholder, e.g. `'A'` or `'[hex]'`, or the literal character.
+ * @property {Array<string>} [names]  - The character classes or sets of a placeholder.
+ * @property {number}        count    - The number of characters of the part.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Placeholders of the masks and the character classes they are replaced with.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const placeholders = {
+  a: ['lowercases'],
+  A: ['uppercases'],
+  9: ['numbers'],
+  '!': ['symbols'],
+  x: ['lowercases', 'numbers'],
+  X: ['uppercases', 'numbers'],
+  '*': classNames,
+};
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Parses a mask into its parts, or returns the reason why it is malformed.
+ *
+ * @private
+ * @function
+ * @param {string} mask - The mask to parse.
+ * @param {Array<string>} setNames - The names of the custom sets that can be used.
+ * @returns {{tokens: Array<Token>, reason: string|null}} The parts of the mask, and the reason why it is malformed or `null`.
+ * @example
+ * ```js
+ * const { tokens } = parsePattern('9{4}-\\A', []);
+ * // Expected value: [{ position: 0, text: '9', names: ['numbers'], count: 4 }, { position: 4, text: '-', count: 1 }, { position: 5, text: 'A', count: 1 }]
+ * ```
+ */
+const parsePattern = (mask, setNames) => {
+  const chars = toGraphemes(mask);
+  const tokens = [];
+  const fail = reason => ({ tokens: [], reason });
+  let index = 0;
+  let repeated = false;
+  while (index < chars.length) {
+    const afterRepetition = repeated;
+    repeated = false;
+    const char = chars[index];
+    const position = index;
+    if (char === '\\') {
+      if (index + 1 === chars.length) {
+        return fail(
+          `The escape at position ${position} of the mask must be followed by a character.`,
+        );
+      }
+      tokens.push({ position, text: chars[index + 1], count: 1 });
+      index += 2;
+    } else if (char === '[') {
+      const end = chars.indexOf(']', index);
+      if (end === -1) {
+        return fail(`The "[" at position ${position} of the mask must be closed with "]".`);
+      }
+      const name = chars.slice(index + 1, end).join('');
+      if (!setNames.includes(name)) {
+        return fail(
+          `The "[${name}]" placeholder at position ${position} of the mask is not defined in the "sets" option.`,
+        );
+      }
+      tokens.push({ position, text: `[${name}]`, names: [name], count: 1 });
+      index = end + 1;
+    } else if (char === '{') {
+      const end = chars.indexOf('}', index);
+      const count = chars.slice(index + 1, end).join('');
+      if (tokens.length === 0 || afterRepetition) {
+        return fail(
+          `The repetition at position ${position} of the mask must follow a placeholder or a character.`,
+        );
+      }
+      if (end === -1 || !/^[1-9]\d*$/.test(count)) {
+        return fail(
+          `The repetition at position ${position} of the mask must be a positive integer, e.g. "9{4}".`,
+        );
+      }
+      tokens[tokens.length - 1].count = Number(count);
+      index = end + 1;
+      repeated = true;
+    } else if (char === ']' || char === '}') {
+      return fail(
+        `The "${char}" at position ${position} of the mask must be escaped as "\\${char}".`,
+      );
+    } else {
+      tokens.push(
+        Reflect.has(placeholders, char)
+          ? { position, text: char, names: placeholders[char], count: 1 }
+          : { position, text: char, count: 1 },
+      );
+      index += 1;
+    }
+  }
+  return { tokens, reason: null };
+};
+
+/**
+ * Returns the characters of every class and custom set the placeholders of a
+ * mask can use, after the exclusions of the options.
+ *
+ * @private
+ * @function
+ * @param {object} options - The pattern options.
+ * @returns {object} Object with the unique graphemes of every class and custom set.
+ * @example
+ * ```js
+ * const selected = getPatternChars({ symbols: '-_', sets: { hex: '0123456789abcdef' } });
+ * ```
+ */
+const getPatternChars = options =>
+  getSelectedChars({
+    numbers: true,
+    symbols: Reflect.has(options, 'symbols') ? options.symbols : true,
+    uppercases: true,
+    lowercases: true,
+    sets: options.sets,
+    exclude: options.exclude,
+    excludeAmbiguous: options.excludeAmbiguous,
+  });
+
+/**
+ * Returns the characters a part of a mask can be replaced with.
+ *
+ * @private
+ * @function
+ * @param {Token} token - The part of the mask.
+ * @param {object} selected - Object with the graphemes of every class and custom set.
+ * @returns {Array<string>} The unique characters of the part.
+ * @example
+ * ```js
+ * const chars = getTokenChars({ text: 'X', names: ['uppercases', 'numbers'] }, selected);
+ * ```
+ */
+const getTokenChars = (token, selected) =>
+  token.names ? [...new Set(token.names.flatMap(name => selected[name]))] : [token.text];
+
+/**
+ * Returns every problem of a mask and its pattern options. The mask is only
+ * parsed when the custom sets are valid, and the characters left for the
+ * placeholders are only checked when every other option is valid. The
+ * problems of the mask have the `mask` path.
+ *
+ * @private
+ * @function
+ * @param {*} mask - The mask of the password.
+ * @param {*} options - The pattern options.
+ * @param {number} maximum - The maximum length allowed for a password.
+ * @returns {Array<object>} The problems found, empty if the mask and options are valid.
+ * @example
+ * ```js
+ * const [problem] = getPatternProblems('A-9{x}', {}, 30);
+ * // Expected value: { code: 'ERR_PTK_INVALID_MASK', path: 'mask', message: 'The repetition at position 3 of the mask must be a positive integer, e.g. "9{4}".' }
+ * ```
+ */
+const getPatternProblems = (mask, options, maximum) => {
+  const maskProblem = message => ({ code: 'ERR_PTK_INVALID_MASK', path: 'mask', message });
+  const problems = [];
+  if (typeof mask !== 'string') {
+    problems.push(maskProblem('The "mask" value must be a string.'));
+  }
+  if (typeof options !== 'object' || options === null) {
+    problems.push({
+      code: 'ERR_PTK_INVALID_OPTIONS',
+      path: '',
+      message: 'Options must be an object.',
+    });
+    return problems;
+  }
+  if (Reflect.has(options, 'symbols') && typeof options.symbols !== 'string') {
+    problems.push({
+      code: 'ERR_PTK_INVALID_SYMBOLS',
+      path: 'symbols',
+      message: 'The "symbols" option must be a string.',
+    });
+  }
+  problems.push(...getCharProblems(options).filter(problem => problem.path !== 'symbols'));
+  const setsValid = !Reflect.has(options, 'sets') || isCharSets(options.sets);
+  if (!setsValid) {
+    problems.push({
+      code: 'ERR_PTK_INVALID_SETS',
+      path: 'sets',
+      message: 'The "sets" option must be an object of strings.',
+    });
+  }
+  const setNames = setsValid ? Object.keys(options.sets || {}) : [];
+  setNames
+    .filter(name => classNames.includes(name))
+    .forEach(name => {
+      problems.push({
+        code: 'ERR_PTK_INVALID_SETS',
+        path: `sets.${name}`,
+        message: `The "sets.${name}" name is reserved for a built-in character class.`,
+      });
+    });
+  if (typeof mask !== 'string' || !setsValid) {
+    return problems;
+  }
+  const { tokens, reason } = parsePattern(mask, setNames);
+  if (reason) {
+    problems.push(maskProblem(reason));
+    return problems;
+  }
+  if (tokens.length === 0) {
+    problems.push(maskProblem('The mask must not be empty.'));
+  }
+  if (tokens.reduce((total, token) => total + token.count, 0) > maximum) {
+    problems.push(maskProblem('The password length must be less than specified maximum.'));
+  }
+
+  // The placeholders are only checked when every option is valid
+  if (problems.some(problem => problem.path !== 'mask')) {
+    return problems;
+  }
+  const selected = getPatternChars(options);
+  tokens
+    .filter(token => getTokenChars(token, selected).length === 0)
+    .forEach(token => {
+      problems.push({
+        code: 'ERR_PTK_EMPTY_CHARACTER_SET',
+        path: 'mask',
+        message: `The "${token.text}" placeholder at position ${token.position} of the mask has no characters left after the exclusions.`,
+      });
+    });
+  return problems;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.parsePattern = parsePattern;
+exports.getPatternChars = getPatternChars;
+exports.getTokenChars = getTokenChars;
+exports.getPatternProblems = getPatternProblems;
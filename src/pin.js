@@ -0,0 +1,403 @@
+/**
+ * @file Generation and evaluation of numeric PINs.
+ *
+ * This file contains the checks used to evaluate PINs, which are too short
+ * for the password evaluation but still easy to guess when they follow a
+ * predictable pattern. A PIN is checked against:
+ *
+ * - The most common PINs, taken from the numeric entries of the common
+ * passwords list (zxcvbn, MIT License).
+ * - Repeated digits or groups of digits, like `1111`, `1212` or `112233`.
+ * - Sequences of digits going up or down by one or two, like `1234` or `2468`.
+ * - Dates and years, like `0412` (`MMDD` or `DDMM`), `1987`, `311287` or
+ * `19871231`.
+ * - Patterns on the phone keypad: lines of adjacent keys with at most one
+ * turn, like `2580` or `1236`, and the four corners, like `1397`.
+ *
+ * PINs without any finding get a level from their length, following the ISO
+ * 9564 range of 4 to 12 digits. PINs longer than 12 digits are only checked
+ * for repeated digits, so the time of the evaluation stays linear in their
+ * length.
+ *
+ * @private
+ * @module PasswordToolKit/pin
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+const { readFileSync } = require('node:fs');
+const { join } = require('node:path');
+
+// » IMPORT MODULES
+const { findDates, findYears } = require('./matching');
+const { randomInt } = require('./random');
+const { PasswordToolKitTypeError, PasswordToolKitRangeError } = require('./errors');
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * File of the common PINs, sorted from the most to the least common.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const COMMON_PINS_FILE = join(__dirname, 'data', 'common-pins.txt');
+
+/**
+ * Shortest and longest generated PIN, as allowed by ISO 9564.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const pinLengths = { min: 4, max: 12 };
+
+/**
+ * Position of every key of the phone keypad, as its column and row.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const keypad = {
+  1: [0, 0],
+  2: [1, 0],
+  3: [2, 0],
+  4: [0, 1],
+  5: [1, 1],
+  6: [2, 1],
+  7: [0, 2],
+  8: [1, 2],
+  9: [2, 2],
+  0: [1, 3],
+};
+
+/**
+ * Keys of the corners of the phone keypad.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const KEYPAD_CORNERS = '1379';
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Set of the common PINs, loaded from disk the first time it is needed.
+ *
+ * @private
+ * @type {Set<string>|null}
+ */
+let commonPins = null;
+
+/**
+ * Returns the set of the common PINs.
+ *
+ * @private
+ * @function
+ * @returns {Set<string>} The common PINs.
+ * @example
+ * ```js
+ * getCommonPins().has('1234'); // Expected value: true
+ * ```
+ */
+const getCommonPins = () => {
+  if (!commonPins) {
+    commonPins = new Set(
+      readFileSync(COMMON_PINS_FILE, 'utf8')
+        .split('\n')
+        .filter(pin => pin.length > 0),
+    );
+  }
+  return commonPins;
+};
+
+/**
+ * Checks if the PIN repeats a digit or a group of digits, or doubles every
+ * digit. The shortest group is found from the longest border of the PIN, as in
+ * the Knuth-Morris-Pratt search, so the check is linear in its length.
+ *
+ * @private
+ * @function
+ * @param {string} pin - The PIN to check.
+ * @returns {boolean} Returns `true` if the PIN is repeated, otherwise `false`.
+ * @example
+ * ```js
+ * isRepeated('1212'); // Expected value: true
+ * ```
+ */
+const isRepeated = pin => {
+  if (pin.length < 2) {
+    return false;
+  }
+  const doubled = pin.length % 2 === 0 && /^(?:(\d)\1)+$/.test(pin);
+  // The length of the longest border of every prefix of the PIN
+  const borders = [0];
+  for (let index = 1; index < pin.length; index += 1) {
+    let border = borders[index - 1];
+    while (border > 0 && pin[index] !== pin[border]) {
+      border = borders[border - 1];
+    }
+    borders[index] = pin[index] === pin[border] ? border + 1 : border;
+  }
+  const period = pin.length - borders[pin.length - 1];
+  return doubled || (period < pin.length && pin.length % period === 0);
+};
+
+/**
+ * Checks if the digits of the PIN go up or down by one or two, wrapping
+ * around from 9 to 0, like `7890`.
+ *
+ * @private
+ * @function
+ * @param {string} pin - The PIN to check.
+ * @returns {boolean} Returns `true` if the PIN is a sequence, otherwise `false`.
+ * @example
+ * ```js
+ * isSequence('2468'); // Expected value: true
+ * ```
+ */
+const isSequence = pin => {
+  if (pin.length < 3) {
+    return false;
+  }
+  const steps = [...pin].slice(1).map((digit, index) => (digit - pin[index] + 10) % 10);
+  return [1, 2, 8, 9].includes(steps[0]) && steps.every(step => step === steps[0]);
+};
+
+/**
+ * Checks if the PIN is a date or a year: a day and month of four digits, in
+ * any order, a year from 1900 to 2099, or a full date of six or eight digits.
+ * PINs of other lengths are never searched for dates.
+ *
+ * @private
+ * @function
+ * @param {string} pin - The PIN to check.
+ * @returns {boolean} Returns `true` if the PIN is a date, otherwise `false`.
+ * @example
+ * ```js
+ * isDate('3112'); // Expected value: true
+ * ```
+ */
+const isDate = pin => {
+  if (pin.length === 4) {
+    const [first, second] = [pin.slice(0, 2), pin.slice(2)].map(Number);
+    // Any leap year accepts the 29th of February
+    const isDayOfYear = (month, day) =>
+      month >= 1 &&
+      month <= 12 &&
+      day >= 1 &&
+      day <= new Date(Date.UTC(2000, month, 0)).getUTCDate();
+    return isDayOfYear(first, second) || isDayOfYear(second, first) || findYears(pin).length > 0;
+  }
+  if (pin.length !== 6 && pin.length !== 8) {
+    return false;
+  }
+  return findDates(pin).some(date => date.token === pin);
+};
+
+/**
+ * Checks if the PIN is a pattern on the phone keypad: a line of adjacent keys
+ * that never goes back and turns at most once, or the four corners.
+ *
+ * @private
+ * @function
+ * @param {string} pin - The PIN to check.
+ * @returns {boolean} Returns `true` if the PIN is a keypad pattern, otherwise `false`.
+ * @example
+ * ```js
+ * isKeypadPattern('2580'); // Expected value: true
+ * ```
+ */
+const isKeypadPattern = pin => {
+  if (pin.length < 3) {
+    return false;
+  }
+  const digits = [...pin];
+  if (
+    pin.length === KEYPAD_CORNERS.length &&
+    digits.every(digit => KEYPAD_CORNERS.includes(digit)) &&
+    new Set(digits).size === digits.length
+  ) {
+    return true;
+  }
+  const moves = digits.slice(1).map((digit, index) => {
+    const [column, row] = keypad[digit];
+    const [previousColumn, previousRow] = keypad[digits[index]];
+    return [column - previousColumn, row - previousRow];
+  });
+  const adjacent = moves.every(
+    ([columns, rows]) => Math.max(Math.abs(columns), Math.abs(rows)) === 1,
+  );
+  const turns = moves
+    .slice(1)
+    .filter(([columns, rows], index) => columns !== moves[index][0] || rows !== moves[index][1]);
+  return adjacent && new Set(digits).size === digits.length && turns.length <= 1;
+};
+
+/**
+ * Checks of the PIN evaluation, in the order used by `evaluatePin()`. The
+ * checks marked as `scan` are skipped for PINs longer than a generated PIN.
+ *
+ * @private
+ * @constant
+ * @type {Array<object>}
+ */
+const pinChecks = [
+  {
+    code: 'TOO_SHORT',
+    level: 0,
+    severity: 'high',
+    message: 'pin.tooShort',
+    values: { min: pinLengths.min },
+    test: pin => pin.length < pinLengths.min,
+  },
+  {
+    code: 'COMMON_PIN',
+    level: 0,
+    severity: 'high',
+    message: 'pin.common',
+    test: pin => getCommonPins().has(pin),
+  },
+  {
+    code: 'REPEATED_DIGITS',
+    level: 0,
+    severity: 'high',
+    message: 'pin.repeated',
+    test: isRepeated,
+  },
+  {
+    code: 'SEQUENCE',
+    level: 0,
+    severity: 'high',
+    message: 'pin.sequence',
+    scan: true,
+    test: isSequence,
+  },
+  {
+    code: 'DATE',
+    level: 1,
+    severity: 'medium',
+    message: 'pin.date',
+    scan: true,
+    test: isDate,
+  },
+  {
+    code: 'KEYPAD_PATTERN',
+    level: 1,
+    severity: 'medium',
+    message: 'pin.keypad',
+    scan: true,
+    test: isKeypadPattern,
+  },
+];
+
+/**
+ * Checks if the value is a PIN.
+ *
+ * @private
+ * @function
+ * @param {*} pin - The value to check.
+ * @returns {void}
+ * @throws {TypeError} If the value is not a string of digits.
+ * @example
+ * ```js
+ * checkPin('4831');
+ * ```
+ */
+const checkPin = pin => {
+  if (typeof pin !== 'string' || !/^\d+$/.test(pin)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_PIN',
+      'The "pin" value must be a string of digits.',
+    );
+  }
+};
+
+/**
+ * Checks if the value is a valid length of a generated PIN.
+ *
+ * @private
+ * @function
+ * @param {*} length - The value to check.
+ * @returns {void}
+ * @throws {TypeError} If the length is not an integer.
+ * @throws {RangeError} If the length is not from 4 to 12.
+ * @example
+ * ```js
+ * checkPinLength(6);
+ * ```
+ */
+const checkPinLength = length => {
+  if (!Number.isInteger(length)) {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_LENGTH',
+      'The "length" value must be an integer.',
+    );
+  }
+  if (length < pinLengths.min || length > pinLengths.max) {
+    throw new PasswordToolKitRangeError(
+      'ERR_PTK_INVALID_LENGTH',
+      `The "length" value must be from ${pinLengths.min} to ${pinLengths.max}.`,
+    );
+  }
+};
+
+/**
+ * Returns the failed checks of a PIN, in the order of the evaluation. A PIN
+ * longer than a generated PIN skips the sequence, date and keypad scans.
+ *
+ * @private
+ * @function
+ * @param {string} pin - The PIN to evaluate.
+ * @returns {Array<object>} The failed checks.
+ * @example
+ * ```js
+ * analyzePin('2580').map(check => check.code); // Expected value: ['COMMON_PIN', 'KEYPAD_PATTERN']
+ * ```
+ */
+const analyzePin = pin =>
+  pinChecks.filter(check => (!check.scan || pin.length <= pinLengths.max) && check.test(pin));
+
+/**
+ * Returns the level of a PIN without findings, from its length.
+ *
+ * @private
+ * @function
+ * @param {number} length - The length of the PIN.
+ * @returns {number} The level of the PIN, from 2 to 5.
+ * @example
+ * ```js
+ * getPinLevel(6); // Expected value: 3
+ * ```
+ */
+const getPinLevel = length => Math.min(2 + Math.floor((length - pinLengths.min) / 2), 5);
+
+/**
+ * Generates a random PIN without any finding of the evaluation. Every digit
+ * is picked uniformly, and the PINs with a finding are drawn again.
+ *
+ * @private
+ * @function
+ * @param {object} random - The random source of the instance.
+ * @param {number} length - The number of digits of the PIN.
+ * @returns {string} The generated PIN.
+ * @example
+ * ```js
+ * createPin(createSecureRandom(), 6); // Expected value: '804157'
+ * ```
+ */
+const createPin = (random, length) => {
+  let pin;
+  do {
+    pin = Array.from({ length }, () => randomInt(random, 10)).join('');
+  } while (analyzePin(pin).length > 0);
+  return pin;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.checkPin = checkPin;
+exports.checkPinLength = checkPinLength;
+exports.analyzePin = analyzePin;
+exports.getPinLevel = getPinLevel;
+exports.createPin = createPin;
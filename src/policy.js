@@ -0,0 +1,412 @@
+/**
+ * @file Declarative password policies.
+ *
+ * This file contains the password policy subsystem. A policy describes the
+ * requirements of a password as plain, serializable JSON: its length, the
+ * character classes it must contain, the characters it must not contain, the
+ * blocklists it is checked against and the maximum number of repeated
+ * characters. Policies can extend one of the bundled presets.
+ *
+ * Lengths are counted in Unicode code points, and character classes are
+ * Unicode-aware, so `é` is a lowercase letter and `٣` a number.
+ *
+ * @private
+ * @module PasswordToolKit/policy
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { everyString } = require('./functions');
+const { createDictionaries, findBlocklisted, findDictionaryWord } = require('./blocklist');
+const { findUserInputs } = require('./context');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The blocklists a password is checked against.
+ *
+ * @typedef  {object}         PolicyBlocklist
+ * @property {boolean}        [common]        - Checks the common passwords and the dictionaries of the settings.
+ * @property {boolean}        [userInputs]    - Checks the user inputs of the evaluation context.
+ * @property {Array.<string>} [words]         - Extra words the password must not contain.
+ */
+
+/**
+ * The requirements of a password, as serializable JSON.
+ *
+ * @typedef  {object}          Policy
+ * @property {string}          [name]            - The name of the policy.
+ * @property {string}          [extends]         - The name of the preset the policy is based on.
+ * @property {number}          [minLength]       - The minimum number of characters.
+ * @property {number}          [maxLength]       - The maximum number of characters.
+ * @property {Array.<string>}  [requiredClasses] - The classes the password must contain: `lowercases`, `uppercases`, `letters`, `numbers` or `symbols`.
+ * @property {number}          [minClasses]      - The minimum number of different classes among lowercases, uppercases, numbers and symbols.
+ * @property {string}          [forbiddenChars]  - The characters the password must not contain.
+ * @property {PolicyBlocklist} [blocklist]       - The blocklists the password is checked against.
+ * @property {number}          [maxRepeats]      - The maximum number of times a character can be repeated in a row.
+ */
+
+/**
+ * A requirement of the policy that the password does not meet.
+ *
+ * @typedef  {object} PolicyViolation
+ * @property {string} code            - The stable machine-readable code of the violation, e.g. `'TOO_SHORT'`.
+ * @property {string} message         - The text explaining the requirement.
+ */
+
+/**
+ * The result of validating a password against a policy.
+ *
+ * @typedef  {object}                  PolicyValidation
+ * @property {boolean}                 ok               - Indicates whether the password meets every requirement.
+ * @property {Array.<PolicyViolation>} violations       - Every requirement the password does not meet.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Freezes an object and every object it contains.
+ *
+ * @private
+ * @function
+ * @param {object} target - The object to freeze.
+ * @returns {object} The frozen object.
+ * @example
+ * ```js
+ * deepFreeze({ blocklist: { common: true } }); // Expected value: the same object, frozen
+ * ```
+ */
+const deepFreeze = target => {
+  Object.values(target).forEach(value => {
+    if (typeof value === 'object' && value !== null) {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(target);
+};
+
+/**
+ * Regular expressions of the character classes of a policy, keyed by class
+ * name, with the code of the violation reported when the class is missing.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const policyClasses = {
+  lowercases: { regexp: /\p{Ll}/u, code: 'NO_LOWERCASE' },
+  uppercases: { regexp: /\p{Lu}/u, code: 'NO_UPPERCASE' },
+  letters: { regexp: /\p{L}/u, code: 'NO_LETTER' },
+  numbers: { regexp: /\p{Nd}/u, code: 'NO_DIGIT' },
+  symbols: { regexp: /[^\p{L}\p{Nd}]/u, code: 'NO_SYMBOL' },
+};
+
+/**
+ * Classes counted by the `minClasses` requirement.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const countedClasses = ['lowercases', 'uppercases', 'numbers', 'symbols'];
+
+/**
+ * Message IDs of the violations, keyed by code.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const violationIds = {
+  TOO_SHORT: 'violation.tooShort',
+  TOO_LONG: 'violation.tooLong',
+  NO_LOWERCASE: 'violation.noLowercase',
+  NO_UPPERCASE: 'violation.noUppercase',
+  NO_LETTER: 'violation.noLetter',
+  NO_DIGIT: 'violation.noDigit',
+  NO_SYMBOL: 'violation.noSymbol',
+  TOO_FEW_CLASSES: 'violation.tooFewClasses',
+  FORBIDDEN_CHARS: 'violation.forbiddenChars',
+  BLOCKLISTED: 'violation.blocklisted',
+  USER_INPUT: 'violation.userInput',
+  REPEATED_CHARS: 'violation.repeatedChars',
+};
+
+/**
+ * Bundled policy presets, keyed by name. The presets are frozen, so they can
+ * be shared with the users of the toolkit.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const presets = deepFreeze({
+  // NIST SP 800-63B: length over composition, and a blocklist check.
+  // NOTE: https://pages.nist.gov/800-63-3/sp800-63b.html#memsecretver
+  'nist-800-63b': {
+    name: 'nist-800-63b',
+    minLength: 8,
+    maxLength: 64,
+    blocklist: { common: true, userInputs: true },
+  },
+  // PCI DSS v4.0 requirement 8.3.6: 12 characters with letters and numbers.
+  'pci-dss': {
+    name: 'pci-dss',
+    minLength: 12,
+    requiredClasses: ['letters', 'numbers'],
+  },
+  // Classic complexity rules: every class and no long runs of a character.
+  'legacy-complexity': {
+    name: 'legacy-complexity',
+    minLength: 8,
+    requiredClasses: ['lowercases', 'uppercases', 'numbers', 'symbols'],
+    maxRepeats: 2,
+  },
+});
+
+/**
+ * Rules a policy can declare.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const rules = [
+  'name',
+  'extends',
+  'minLength',
+  'maxLength',
+  'requiredClasses',
+  'minClasses',
+  'forbiddenChars',
+  'blocklist',
+  'maxRepeats',
+];
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks if the value is a positive integer.
+ *
+ * @private
+ * @function
+ * @param {*} target - The value to check.
+ * @returns {boolean} Returns `true` if the value is a positive integer, otherwise `false`.
+ * @example
+ * ```js
+ * isPositiveInteger(8); // Expected value: true
+ * ```
+ */
+const isPositiveInteger = target => Number.isInteger(target) && target > 0;
+
+/**
+ * Checks if a policy is valid, and returns the reason when it is not.
+ *
+ * @private
+ * @function
+ * @param {*} policy - The policy to check.
+ * @returns {string|null} The reason why the policy is not valid, or `null`.
+ * @example
+ * ```js
+ * checkPolicyRules({ minLength: 0 }); // Expected value: 'The "minLength" rule must be an integer greater than 0.'
+ * ```
+ */
+const checkPolicyRules = policy => {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    return 'The policy must be an object or the name of a preset.';
+  }
+  const unknown = Object.keys(policy).find(key => !rules.includes(key));
+  if (unknown) {
+    return `The "${unknown}" property is not a policy rule.`;
+  }
+  if (Reflect.has(policy, 'name') && typeof policy.name !== 'string') {
+    return 'The "name" rule must be a string.';
+  }
+  if (Reflect.has(policy, 'extends') && !Reflect.has(presets, policy.extends)) {
+    return `The "extends" rule must be one of: ${Object.keys(presets).join(', ')}.`;
+  }
+  const lengthRule = ['minLength', 'maxLength', 'maxRepeats'].find(
+    key => Reflect.has(policy, key) && !isPositiveInteger(policy[key]),
+  );
+  if (lengthRule) {
+    return `The "${lengthRule}" rule must be an integer greater than 0.`;
+  }
+  if (
+    Reflect.has(policy, 'requiredClasses') &&
+    (!Array.isArray(policy.requiredClasses) ||
+      !policy.requiredClasses.every(name => Reflect.has(policyClasses, name)))
+  ) {
+    return `The "requiredClasses" rule must be an array of: ${Object.keys(policyClasses).join(
+      ', ',
+    )}.`;
+  }
+  if (
+    Reflect.has(policy, 'minClasses') &&
+    (!Number.isInteger(policy.minClasses) ||
+      policy.minClasses < 0 ||
+      policy.minClasses > countedClasses.length)
+  ) {
+    return `The "minClasses" rule must be an integer from 0 to ${countedClasses.length}.`;
+  }
+  if (Reflect.has(policy, 'forbiddenChars') && typeof policy.forbiddenChars !== 'string') {
+    return 'The "forbiddenChars" rule must be a string.';
+  }
+  if (Reflect.has(policy, 'blocklist')) {
+    const { blocklist } = policy;
+    if (typeof blocklist !== 'object' || blocklist === null || Array.isArray(blocklist)) {
+      return 'The "blocklist" rule must be an object.';
+    }
+    const flag = ['common', 'userInputs'].find(
+      key => Reflect.has(blocklist, key) && typeof blocklist[key] !== 'boolean',
+    );
+    if (flag) {
+      return `The "blocklist.${flag}" rule must be a boolean.`;
+    }
+    if (
+      Reflect.has(blocklist, 'words') &&
+      (!Array.isArray(blocklist.words) || !everyString(blocklist.words))
+    ) {
+      return 'The "blocklist.words" rule must be an array of strings.';
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns the full policy of a preset name or of a policy object, with the
+ * rules of the preset it extends.
+ *
+ * @private
+ * @function
+ * @param {Policy|string} policy - The policy or the name of a preset.
+ * @returns {Policy} The resolved policy.
+ * @example
+ * ```js
+ * resolvePolicy({ extends: 'pci-dss', maxLength: 64 }); // Expected value: { name: 'pci-dss', minLength: 12, ..., maxLength: 64 }
+ * ```
+ */
+const resolvePolicy = policy => {
+  if (typeof policy === 'string') {
+    return presets[policy];
+  }
+  const { extends: preset, ...own } = policy;
+  return preset ? { ...presets[preset], ...own } : own;
+};
+
+/**
+ * Checks if a policy or preset name is valid.
+ *
+ * @private
+ * @function
+ * @param {Policy|string} policy - The policy or the name of a preset.
+ * @returns {{ok: boolean, reason: (string|null)}} The result of the check.
+ * @example
+ * ```js
+ * checkPolicy('nist-800-63b'); // Expected value: { ok: true, reason: null }
+ * ```
+ */
+const checkPolicy = policy => {
+  if (typeof policy === 'string') {
+    return Reflect.has(presets, policy)
+      ? { ok: true, reason: null }
+      : {
+          ok: false,
+          reason: `The policy preset must be one of: ${Object.keys(presets).join(', ')}.`,
+        };
+  }
+  const reason = checkPolicyRules(policy);
+  if (reason) {
+    return { ok: false, reason };
+  }
+  const { minLength, maxLength } = resolvePolicy(policy);
+  if (minLength && maxLength && maxLength < minLength) {
+    return { ok: false, reason: 'The "maxLength" rule must not be less than "minLength".' };
+  }
+  return { ok: true, reason: null };
+};
+
+/**
+ * Returns the longest run of the same character in the password.
+ *
+ * @private
+ * @function
+ * @param {Array<string>} chars - The characters of the password.
+ * @returns {number} The length of the longest run.
+ * @example
+ * ```js
+ * getLongestRun([...'abbbc']); // Expected value: 3
+ * ```
+ */
+const getLongestRun = chars => {
+  let longest = 0;
+  let run = 0;
+  chars.forEach((char, index) => {
+    run = index > 0 && char === chars[index - 1] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+};
+
+/**
+ * Returns every requirement of a valid policy that the password does not
+ * meet.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password to validate.
+ * @param {Policy|string} policy - The policy or the name of a preset.
+ * @param {object} options - The `dictionaries` trie of the settings, the `userInputs` of the context and the `translate` function of the locale.
+ * @returns {PolicyValidation} The result of the validation.
+ * @example
+ * ```js
+ * validatePolicy('secret', 'pci-dss', { translate }); // Expected value: { ok: false, violations: [TOO_SHORT, NO_DIGIT] }
+ * ```
+ */
+const validatePolicy = (password, policy, options) => {
+  const rulesOf = resolvePolicy(policy);
+  const chars = [...password];
+  const violations = [];
+  const report = (code, values = {}) =>
+    violations.push({ code, message: options.translate(violationIds[code], values), ...values });
+
+  if (rulesOf.minLength && chars.length < rulesOf.minLength) {
+    report('TOO_SHORT', { min: rulesOf.minLength });
+  }
+  if (rulesOf.maxLength && chars.length > rulesOf.maxLength) {
+    report('TOO_LONG', { max: rulesOf.maxLength });
+  }
+  (rulesOf.requiredClasses || []).forEach(name => {
+    if (!policyClasses[name].regexp.test(password)) {
+      report(policyClasses[name].code);
+    }
+  });
+  if (rulesOf.minClasses) {
+    const present = countedClasses.filter(name => policyClasses[name].regexp.test(password));
+    if (present.length < rulesOf.minClasses) {
+      report('TOO_FEW_CLASSES', { min: rulesOf.minClasses });
+    }
+  }
+  if (rulesOf.forbiddenChars) {
+    const forbidden = [...new Set(chars.filter(char => rulesOf.forbiddenChars.includes(char)))];
+    if (forbidden.length > 0) {
+      report('FORBIDDEN_CHARS', { chars: forbidden.join('') });
+    }
+  }
+  const blocklist = rulesOf.blocklist || {};
+  const words = blocklist.words && createDictionaries({ policy: blocklist.words });
+  if (
+    (blocklist.common && findBlocklisted(password, options.dictionaries)) ||
+    (words && findDictionaryWord(password, words))
+  ) {
+    report('BLOCKLISTED');
+  }
+  if (blocklist.userInputs && findUserInputs(password, options.userInputs || []).length > 0) {
+    report('USER_INPUT');
+  }
+  if (rulesOf.maxRepeats && getLongestRun(chars) > rulesOf.maxRepeats) {
+    report('REPEATED_CHARS', { max: rulesOf.maxRepeats });
+  }
+  return { ok: violations.length === 0, violations };
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.presets = presets;
+exports.checkPolicy = checkPolicy;
+exports.validatePolicy = validatePolicy;
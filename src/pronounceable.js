@@ -0,0 +1,231 @@
+/**
+ * @file Syllables for pronounceable password generation.
+ *
+ * This file contains the letters and syllable templates used to generate
+ * pronounceable passwords, in the spirit of the APG and pwgen generators.
+ * Every syllable starts with a consonant and has exactly one vowel, so a
+ * password can only be split into syllables in one way: two different choices
+ * of the generator never produce the same letters. That makes the entropy of
+ * the choices the entropy of the password.
+ *
+ * The generator picks the templates that fit the remaining length, and the
+ * reported entropy is the lowest entropy of all the passwords the options can
+ * produce, so it is never an overestimate.
+ *
+ * @private
+ * @module PasswordToolKit/pronounceable
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { getSelectedChars, getSizeProblems, getCharProblems } = require('./functions');
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Consonants of the syllables. `q`, `x` and `y` are left out because they are
+ * hard to spell when read aloud.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const consonants = 'bcdfghjklmnprstvwz';
+
+/**
+ * Vowels of the syllables.
+ *
+ * @private
+ * @constant
+ * @type {string}
+ */
+const vowels = 'aeiou';
+
+/**
+ * Syllable templates, where `C` stands for a consonant and `V` for a vowel.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const templates = ['CV', 'CVC'];
+
+/**
+ * Capitalization modes of the pronounceable passwords.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const capitalizations = ['lowercase', 'syllables', 'random'];
+
+/**
+ * Minimum number of letters of a pronounceable password.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const MIN_LETTERS = 2;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Returns the consonants and vowels left after the exclusions of the options.
+ * When syllables can be capitalized, a consonant is also left out if its
+ * uppercase form is excluded.
+ *
+ * @private
+ * @function
+ * @param {object} options - The pronounceable password options.
+ * @returns {{consonants: Array<string>, vowels: Array<string>}} The letters of the syllables.
+ * @example
+ * ```js
+ * const { consonants } = getLetterPools({ excludeAmbiguous: true }); // Expected value: every consonant but 'l'
+ * ```
+ */
+const getLetterPools = options => {
+  const { exclude, excludeAmbiguous, capitalization = 'lowercase' } = options;
+  const pools = getSelectedChars({ sets: { consonants, vowels }, exclude, excludeAmbiguous });
+  if (capitalization === 'lowercase') {
+    return pools;
+  }
+  const { capitals } = getSelectedChars({
+    sets: { capitals: consonants.toUpperCase() },
+    exclude,
+    excludeAmbiguous,
+  });
+  return {
+    ...pools,
+    consonants: pools.consonants.filter(char => capitals.includes(char.toUpperCase())),
+  };
+};
+
+/**
+ * Returns the templates that can start a password part of the given length,
+ * that is, the ones that leave no letters or enough letters for another
+ * syllable.
+ *
+ * @private
+ * @function
+ * @param {number} remaining - The number of letters left.
+ * @returns {Array<string>} The templates that fit.
+ * @example
+ * ```js
+ * getAllowedTemplates(3); // Expected value: ['CVC']
+ * ```
+ */
+const getAllowedTemplates = remaining =>
+  templates.filter(
+    template => template.length === remaining || remaining - template.length >= MIN_LETTERS,
+  );
+
+/**
+ * Returns the lowest entropy, in bits, of the letters of all the passwords
+ * with the given number of letters.
+ *
+ * @private
+ * @function
+ * @param {number} letters - The number of letters.
+ * @param {object} pools - The `consonants` and `vowels` left after the exclusions.
+ * @param {number} syllableBits - The extra bits of every syllable, e.g. `1` for random capitalization.
+ * @returns {number} The lowest entropy of the letters.
+ * @example
+ * ```js
+ * getLettersEntropy(4, { consonants, vowels }, 0); // Expected value: 2 * (log2(18) + log2(5))
+ * ```
+ */
+const getLettersEntropy = (letters, pools, syllableBits) => {
+  const bits = { C: Math.log2(pools.consonants.length), V: Math.log2(pools.vowels.length) };
+  const lowest = [0];
+  for (let remaining = 1; remaining <= letters; remaining += 1) {
+    const allowed = remaining < MIN_LETTERS ? [] : getAllowedTemplates(remaining);
+    lowest[remaining] =
+      Math.log2(allowed.length) +
+      Math.min(
+        ...allowed.map(
+          template =>
+            [...template].reduce((total, kind) => total + bits[kind], syllableBits) +
+            lowest[remaining - template.length],
+        ),
+      );
+  }
+  return lowest[letters];
+};
+
+/**
+ * Returns every problem of the pronounceable password options. The `size`,
+ * `numbers`, `symbols`, `exclude` and `excludeAmbiguous` options are checked
+ * like the password creation options, and the letters and inserted
+ * characters are only checked when those options are valid.
+ *
+ * @private
+ * @function
+ * @param {*} options - The pronounceable password options.
+ * @param {number} maximum - The maximum length allowed for a password.
+ * @returns {Array<object>} The problems found, empty if the options are valid.
+ * @example
+ * ```js
+ * const [problem] = getPronounceableProblems({ size: 8, exclude: 'aeiou' }, 30);
+ * // Expected value: { code: 'ERR_PTK_EMPTY_CHARACTER_SET', path: 'exclude', message: 'The "vowels" character set is empty after the exclusions.' }
+ * ```
+ */
+const getPronounceableProblems = (options, maximum) => {
+  const problems = getSizeProblems(options, maximum);
+  if (typeof options !== 'object' || options === null) {
+    return problems;
+  }
+  const sizeValid = problems.length === 0;
+  problems.push(...getCharProblems(options));
+  if (Reflect.has(options, 'capitalization') && !capitalizations.includes(options.capitalization)) {
+    problems.push({
+      code: 'ERR_PTK_INVALID_CAPITALIZATION',
+      path: 'capitalization',
+      message: 'The "capitalization" option must be "lowercase", "syllables" or "random".',
+    });
+  }
+
+  // The characters are only selected when the options that select them are valid
+  if (!problems.every(problem => problem.path === 'size')) {
+    return problems;
+  }
+  const selected = {
+    ...getLetterPools(options),
+    ...getSelectedChars({
+      numbers: options.numbers,
+      symbols: options.symbols,
+      exclude: options.exclude,
+      excludeAmbiguous: options.excludeAmbiguous,
+    }),
+  };
+  Object.keys(selected)
+    .filter(name => selected[name].length === 0)
+    .forEach(name => {
+      problems.push({
+        code: 'ERR_PTK_EMPTY_CHARACTER_SET',
+        path: name === 'numbers' || name === 'symbols' ? name : 'exclude',
+        message: `The "${name}" character set is empty after the exclusions.`,
+      });
+    });
+  if (typeof options.symbols === 'string' && /[a-z]/i.test(options.symbols)) {
+    problems.push({
+      code: 'ERR_PTK_INVALID_SYMBOLS',
+      path: 'symbols',
+      message: 'The "symbols" option must not contain letters.',
+    });
+  }
+  const inserted = (options.numbers ? 1 : 0) + (options.symbols ? 1 : 0);
+  if (sizeValid && options.size - inserted < MIN_LETTERS) {
+    problems.push({
+      code: 'ERR_PTK_INVALID_SIZE',
+      path: 'size',
+      message: `The password length must leave at least ${MIN_LETTERS} letters for the syllables.`,
+    });
+  }
+  return problems;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.getLetterPools = getLetterPools;
+exports.MIN_LETTERS = MIN_LETTERS;
+exports.getAllowedTemplates = getAllowedTemplates;
+exports.getLettersEntropy = getLettersEntropy;
+exports.getPronounceableProblems = getPronounceableProblems;
@@ -0,0 +1,216 @@
+/**
+ * @file Random sources for password generation.
+ *
+ * This file contains the random sources used to pick characters when
+ * generating passwords. The default source draws from the cryptographically
+ * secure generator of Node.js, while the seeded source produces a reproducible
+ * sequence that is intended for tests and fixtures only.
+ *
+ * Every source exposes a `nextUint32()` method, and the `randomInt()` function
+ * turns those values into unbiased integers by means of rejection sampling.
+ *
+ * @private
+ * @module PasswordToolKit/random
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+const { randomFillSync } = require('node:crypto');
+
+// » IMPORT MODULES
+const { PasswordToolKitTypeError } = require('./errors');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Object that provides random 32-bit unsigned integers.
+ *
+ * @typedef  {object}             RandomSource
+ * @property {function(): number} nextUint32   - Returns an integer between 0 and 2^32 - 1.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Number of distinct values returned by `nextUint32()`.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const UINT32_RANGE = 2 ** 32;
+
+/**
+ * Number of values requested from the operating system on every refill of the
+ * secure source buffer.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const BUFFER_SIZE = 256;
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Creates a random source backed by the cryptographically secure generator
+ * of Node.js.
+ *
+ * @function
+ * @returns {RandomSource} The secure random source.
+ * @example
+ * ```js
+ * const random = createSecureRandom();
+ * const value = random.nextUint32();
+ * ```
+ */
+const createSecureRandom = () => {
+  const buffer = new Uint32Array(BUFFER_SIZE);
+  let index = BUFFER_SIZE;
+  return {
+    nextUint32() {
+      if (index === BUFFER_SIZE) {
+        randomFillSync(buffer);
+        index = 0;
+      }
+      const value = buffer[index];
+      buffer[index] = 0;
+      index += 1;
+      return value;
+    },
+  };
+};
+
+/**
+ * Hashes the seed into the four 32-bit words used as the initial state of the
+ * seeded source.
+ *
+ * @private
+ * @function
+ * @param {string} seed - The seed to hash.
+ * @returns {Array<number>} Four 32-bit unsigned integers.
+ * @example
+ * ```js
+ * const state = hashSeed('fixture'); // Expected value: [ 4 unsigned integers ]
+ * ```
+ */
+const hashSeed = seed => {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < seed.length; i += 1) {
+    const code = seed.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ code, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ code, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ code, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ code, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  return [(h1 ^ h2 ^ h3 ^ h4) >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+};
+
+/**
+ * Creates a deterministic random source from a seed. The same seed always
+ * produces the same sequence, so it must never be used for real passwords.
+ *
+ * @function
+ * @param {string|number} seed - The seed of the sequence.
+ * @returns {RandomSource} The seeded random source.
+ * @throws {TypeError} If the seed is not a string or a number.
+ * @example
+ * ```js
+ * const random = createSeededRandom('fixture');
+ * const passwordToolKit = new PasswordToolKit({ random });
+ * ```
+ */
+const createSeededRandom = seed => {
+  if (typeof seed !== 'string' && typeof seed !== 'number') {
+    throw new PasswordToolKitTypeError(
+      'ERR_PTK_INVALID_SEED',
+      'The "seed" value must be a string or a number type.',
+    );
+  }
+  let [a, b, c, d] = hashSeed(String(seed));
+  return {
+    nextUint32() {
+      // Small Fast Counter (sfc32) generator.
+      const t = (((a + b) | 0) + d) | 0;
+      d = (d + 1) | 0;
+      a = b ^ (b >>> 9);
+      b = (c + (c << 3)) | 0;
+      c = (c << 21) | (c >>> 11);
+      c = (c + t) | 0;
+      return t >>> 0;
+    },
+  };
+};
+/* eslint-enable no-bitwise */
+
+/**
+ * Checks if the value can be used as a random source.
+ *
+ * @private
+ * @function
+ * @param {*} target - The value to check.
+ * @returns {boolean} Returns `true` if the value is a random source, otherwise `false`.
+ * @example
+ * ```js
+ * isRandomSource(createSecureRandom()); // Expected value: true
+ * ```
+ */
+const isRandomSource = target =>
+  typeof target === 'object' && target !== null && typeof target.nextUint32 === 'function';
+
+/**
+ * Returns an unbiased random integer between 0 (inclusive) and `max`
+ * (exclusive). Values that would introduce a modulo bias are rejected and
+ * drawn again.
+ *
+ * @private
+ * @function
+ * @param {RandomSource} source - The source of random values.
+ * @param {number} max - The exclusive upper bound, between 1 and 2^32.
+ * @returns {number} Generated random number.
+ * @example
+ * ```js
+ * const index = randomInt(createSecureRandom(), 10); // Expected value: 0 to 9
+ * ```
+ */
+const randomInt = (source, max) => {
+  const limit = UINT32_RANGE - (UINT32_RANGE % max);
+  let value = source.nextUint32();
+  while (value >= limit) {
+    value = source.nextUint32();
+  }
+  return value % max;
+};
+
+/**
+ * Shuffles the array in place with the Fisher-Yates algorithm, so every
+ * permutation is equally likely.
+ *
+ * @private
+ * @function
+ * @param {RandomSource} source - The source of random values.
+ * @param {Array} array - The array to shuffle.
+ * @returns {Array} The shuffled array.
+ * @example
+ * ```js
+ * const chars = shuffle(createSecureRandom(), ['a', 'b', 'c']);
+ * ```
+ */
+const shuffle = (source, array) => {
+  for (let i = array.length - 1; i > 0; i -= 1) {
+    const j = randomInt(source, i + 1);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.createSecureRandom = createSecureRandom;
+exports.createSeededRandom = createSeededRandom;
+exports.isRandomSource = isRandomSource;
+exports.randomInt = randomInt;
+exports.shuffle = shuffle;
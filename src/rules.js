@@ -0,0 +1,232 @@
+/**
+ * @file Custom rules of the password evaluation.
+ *
+ * This file contains the registry used to extend the checks of the password
+ * evaluation with custom rules, such as "must not contain the ticker symbol
+ * of the company". A rule declares an id, a test, a severity or a weight, and
+ * the message ID of its suggestion, and it runs alongside the built-in checks:
+ * its severity gives the highest level of a password that breaks it, so a
+ * `high` rule ranks with the blocklist and a `low` rule with the date check.
+ *
+ * The built-in checks can be disabled one by one by their code.
+ *
+ * @private
+ * @module PasswordToolKit/rules
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { checks } = require('./checks');
+const { PasswordToolKitTypeError, PasswordToolKitRangeError } = require('./errors');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * A custom rule of the password evaluation.
+ *
+ * @typedef  {object}                            Rule
+ * @property {string}                            id         - The stable machine-readable code of the rule, e.g. `'TICKER'`.
+ * @property {function(string, object): boolean} test       - Returns `true` if the password, evaluated with its context, breaks the rule.
+ * @property {string}                            [severity] - The severity of a failure: `'high'`, `'medium'` or `'low'`.
+ * @property {number}                            [weight]   - The points a failure takes from the score, from 0 to 100.
+ * @property {string}                            message    - The message ID of the suggestion, or the suggestion itself.
+ * @property {object}                            [values]   - The values of the placeholders of the suggestion.
+ * @property {number}                            [level]    - The highest level of a password that breaks the rule, from 0 to 4.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Default level and weight of every severity, matching the built-in checks.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const severities = {
+  high: { level: 1, weight: 40 },
+  medium: { level: 3, weight: 15 },
+  low: { level: 4, weight: 5 },
+};
+
+/**
+ * Codes of the built-in checks.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const builtInCodes = checks.map(check => check.code);
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks if a custom rule is valid, and returns the reason when it is not.
+ *
+ * @private
+ * @function
+ * @param {*} rule - The rule to check.
+ * @returns {string|null} The reason why the rule is not valid, or `null`.
+ * @example
+ * ```js
+ * checkRule({ id: 'TICKER', test: () => false }); // Expected value: 'The "TICKER" rule must declare a "severity" or a "weight".'
+ * ```
+ */
+const checkRule = rule => {
+  if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+    return 'The rule must be an object.';
+  }
+  if (typeof rule.id !== 'string' || rule.id.length === 0) {
+    return 'The "id" of a rule must be a non-empty string.';
+  }
+  if (typeof rule.test !== 'function') {
+    return `The "test" of the "${rule.id}" rule must be a function.`;
+  }
+  if (!Reflect.has(rule, 'severity') && !Reflect.has(rule, 'weight')) {
+    return `The "${rule.id}" rule must declare a "severity" or a "weight".`;
+  }
+  if (Reflect.has(rule, 'severity') && !Reflect.has(severities, rule.severity)) {
+    return `The "severity" of the "${rule.id}" rule must be one of: ${Object.keys(severities).join(
+      ', ',
+    )}.`;
+  }
+  if (
+    Reflect.has(rule, 'weight') &&
+    (typeof rule.weight !== 'number' || !(rule.weight >= 0 && rule.weight <= 100))
+  ) {
+    return `The "weight" of the "${rule.id}" rule must be a number from 0 to 100.`;
+  }
+  if (typeof rule.message !== 'string') {
+    return `The "message" of the "${rule.id}" rule must be a string.`;
+  }
+  if (
+    Reflect.has(rule, 'values') &&
+    (typeof rule.values !== 'object' || rule.values === null || Array.isArray(rule.values))
+  ) {
+    return `The "values" of the "${rule.id}" rule must be an object.`;
+  }
+  if (
+    Reflect.has(rule, 'level') &&
+    (!Number.isInteger(rule.level) || rule.level < 0 || rule.level > 4)
+  ) {
+    return `The "level" of the "${rule.id}" rule must be an integer from 0 to 4.`;
+  }
+  return null;
+};
+
+/**
+ * Returns the severity of a rule that only declares a weight, using the
+ * weights of the built-in checks as thresholds.
+ *
+ * @private
+ * @function
+ * @param {number} weight - The weight of the rule.
+ * @returns {string} The severity of the rule.
+ * @example
+ * ```js
+ * getSeverity(20); // Expected value: 'medium'
+ * ```
+ */
+const getSeverity = weight => {
+  if (weight >= severities.high.weight) {
+    return 'high';
+  }
+  return weight >= severities.medium.weight ? 'medium' : 'low';
+};
+
+/**
+ * Creates the check of a valid custom rule.
+ *
+ * @private
+ * @function
+ * @param {Rule} rule - The custom rule.
+ * @returns {object} The check run by the evaluation.
+ * @example
+ * ```js
+ * const check = createCheck({ id: 'TICKER', test, severity: 'high', message: 'rule.ticker' });
+ * ```
+ */
+const createCheck = rule => {
+  const severity = rule.severity || getSeverity(rule.weight);
+  return {
+    code: rule.id,
+    level: Reflect.has(rule, 'level') ? rule.level : severities[severity].level,
+    severity,
+    weight: Reflect.has(rule, 'weight') ? rule.weight : severities[severity].weight,
+    message: rule.message,
+    values: rule.values || {},
+    test: ({ password, context }) => Boolean(rule.test(password, context)),
+  };
+};
+
+/**
+ * Adds the check of a custom rule to the checks of an instance, after the
+ * checks with the same or a lower level, so the checks stay in the order
+ * used by `evaluate()`.
+ *
+ * @private
+ * @function
+ * @param {Array<object>} active - The checks of the instance.
+ * @param {Rule} rule - The custom rule.
+ * @returns {void}
+ * @throws {TypeError} If the rule is not valid.
+ * @throws {RangeError} If the instance already has a rule with the same id.
+ * @example
+ * ```js
+ * addRule(passwordToolKit.checks, { id: 'TICKER', test, severity: 'high', message: 'rule.ticker' });
+ * ```
+ */
+const addRule = (active, rule) => {
+  const reason = checkRule(rule);
+  if (reason) {
+    throw new PasswordToolKitTypeError('ERR_PTK_INVALID_RULE', reason);
+  }
+  if (builtInCodes.includes(rule.id) || active.some(check => check.code === rule.id)) {
+    throw new PasswordToolKitRangeError(
+      'ERR_PTK_DUPLICATE_RULE',
+      `The "${rule.id}" rule is already registered.`,
+    );
+  }
+  const check = createCheck(rule);
+  const index = active.findIndex(other => other.level > check.level);
+  active.splice(index === -1 ? active.length : index, 0, check);
+};
+
+/**
+ * Checks if the value is a list of codes of built-in checks.
+ *
+ * @private
+ * @function
+ * @param {Array<*>} target - The values to check.
+ * @returns {boolean} Returns `true` if every value is a built-in code, otherwise `false`.
+ * @example
+ * ```js
+ * everyBuiltInCode(['NO_SYMBOL', 'DATE']); // Expected value: true
+ * ```
+ */
+const everyBuiltInCode = target => target.every(code => builtInCodes.includes(code));
+
+/**
+ * Creates the checks of an instance: the enabled built-in checks and the
+ * custom rules, in the order used by `evaluate()`.
+ *
+ * @private
+ * @function
+ * @param {Array<Rule>} rules - The custom rules.
+ * @param {Array<string>} disabled - The codes of the disabled built-in checks.
+ * @returns {Array<object>} The checks of the instance.
+ * @throws {TypeError} If a rule is not valid.
+ * @throws {RangeError} If two rules have the same id.
+ * @example
+ * ```js
+ * const active = createChecks([], ['NO_SYMBOL']);
+ * ```
+ */
+const createChecks = (rules, disabled) => {
+  const active = checks.filter(check => !disabled.includes(check.code));
+  rules.forEach(rule => addRule(active, rule));
+  return active;
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.builtInCodes = builtInCodes;
+exports.addRule = addRule;
+exports.everyBuiltInCode = everyBuiltInCode;
+exports.createChecks = createChecks;
@@ -0,0 +1,127 @@
+/**
+ * @file Character traits of a password, followed one character at a time.
+ *
+ * This file contains the traits used by the checks of the character classes,
+ * the repeated characters and the common patterns. The traits of a password
+ * are computed by adding its characters one at a time, so a strength meter
+ * can update them in constant time on every keystroke, instead of running
+ * every regular expression over the whole password again.
+ *
+ * The characters are the UTF-16 code units of the password, like for the
+ * regular expressions they replace.
+ *
+ * @private
+ * @module PasswordToolKit/traits
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT MODULES
+const { regexps, patternRuns } = require('./constants');
+
+// ━━ TYPE DEFINITIONS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * The character traits of a password.
+ *
+ * @private
+ * @typedef  {object}  Traits
+ * @property {number}  lowercases    - The number of lowercase letters.
+ * @property {number}  uppercases    - The number of uppercase letters.
+ * @property {number}  numbers       - The number of digits.
+ * @property {number}  symbols       - The number of symbols.
+ * @property {number}  duplicates    - The number of characters already found before them.
+ * @property {number}  identicalRun  - The length of the run of identical characters at the end.
+ * @property {number}  digitRun      - The length of the run of digits at the end.
+ * @property {number}  letterRun     - The length of the run of letters at the end.
+ * @property {boolean} commonPattern - Indicates whether the password follows a common pattern.
+ */
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Traits of an empty password.
+ *
+ * @private
+ * @constant
+ * @type {Traits}
+ */
+const emptyTraits = Object.freeze({
+  lowercases: 0,
+  uppercases: 0,
+  numbers: 0,
+  symbols: 0,
+  duplicates: 0,
+  identicalRun: 0,
+  digitRun: 0,
+  letterRun: 0,
+  commonPattern: false,
+});
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Returns the traits of a password after adding a character at its end.
+ *
+ * @private
+ * @function
+ * @param {Traits} traits - The traits of the password before the character.
+ * @param {string} char - The added character.
+ * @param {string} [previous] - The last character of the password before the added one.
+ * @param {number} count - How many times the character was already found in the password.
+ * @returns {Traits} The traits of the password with the character.
+ * @example
+ * ```js
+ * addChar(emptyTraits, 'a', undefined, 0); // Expected value: { lowercases: 1, letterRun: 1, ... }
+ * ```
+ */
+const addChar = (traits, char, previous, count) => {
+  const isLetter = regexps.lowercases.test(char) || regexps.uppercases.test(char);
+  const isDigit = regexps.numbers.test(char);
+  const wasLetter =
+    previous !== undefined &&
+    (regexps.lowercases.test(previous) || regexps.uppercases.test(previous));
+  const wasDigit = previous !== undefined && regexps.numbers.test(previous);
+  const identicalRun = char === previous ? traits.identicalRun + 1 : 1;
+  const digitRun = isDigit ? traits.digitRun + 1 : 0;
+  const letterRun = isLetter ? traits.letterRun + 1 : 0;
+  return {
+    lowercases: traits.lowercases + (regexps.lowercases.test(char) ? 1 : 0),
+    uppercases: traits.uppercases + (regexps.uppercases.test(char) ? 1 : 0),
+    numbers: traits.numbers + (isDigit ? 1 : 0),
+    symbols: traits.symbols + (regexps.symbols.test(char) ? 1 : 0),
+    duplicates: traits.duplicates + (count > 0 ? 1 : 0),
+    identicalRun,
+    digitRun,
+    letterRun,
+    commonPattern:
+      traits.commonPattern ||
+      digitRun >= patternRuns.digits ||
+      letterRun >= patternRuns.letters ||
+      ((isLetter || isDigit) && identicalRun >= patternRuns.identical) ||
+      (isDigit && wasLetter) ||
+      (isLetter && wasDigit),
+  };
+};
+
+/**
+ * Returns the traits of a whole password.
+ *
+ * @private
+ * @function
+ * @param {string} password - The password.
+ * @returns {Traits} The traits of the password.
+ * @example
+ * ```js
+ * const { numbers } = getTraits('Ma$bel-561'); // Expected value: 3
+ * ```
+ */
+const getTraits = password => {
+  const counts = new Map();
+  return password.split('').reduce((traits, char, index) => {
+    const count = counts.get(char) || 0;
+    counts.set(char, count + 1);
+    return addChar(traits, char, password[index - 1], count);
+  }, emptyTraits);
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.emptyTraits = emptyTraits;
+exports.addChar = addChar;
+exports.getTraits = getTraits;
@@ -0,0 +1,95 @@
+/**
+ * @file Wordlists for passphrase generation.
+ *
+ * This file contains the functions used to load the wordlists bundled with
+ * the project. The wordlists are stored as text files in the `data` directory
+ * and are read from disk only the first time they are requested, so they work
+ * fully offline.
+ *
+ * @private
+ * @module PasswordToolKit/wordlists
+ */
+
+// ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// » IMPORT NATIVE NODE MODULES
+const { readFileSync } = require('node:fs');
+const { join } = require('node:path');
+
+// ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Files of the bundled wordlists, keyed by the name used in the options.
+ *
+ * @private
+ * @constant
+ * @type {object}
+ */
+const files = {
+  // EFF large wordlist, 7776 words for five dice.
+  // NOTE: https://www.eff.org/deeplinks/2016/07/new-wordlists-random-passphrases
+  'eff-long': join(__dirname, 'data', 'eff_large_wordlist.txt'),
+  // EFF short wordlist 1, 1296 words of at most five letters for four dice.
+  // NOTE: https://www.eff.org/dice
+  'eff-short': join(__dirname, 'data', 'eff_short_wordlist_1.txt'),
+};
+
+/**
+ * Names of the bundled wordlists.
+ *
+ * @private
+ * @constant
+ * @type {Array<string>}
+ */
+const wordlistNames = Object.keys(files);
+
+/**
+ * Cache of the wordlists already loaded from disk.
+ *
+ * @private
+ * @constant
+ * @type {Map<string, Array<string>>}
+ */
+const cache = new Map();
+
+// ━━	MODULE	━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Checks if the name belongs to a bundled wordlist.
+ *
+ * @private
+ * @function
+ * @param {string} name - The name of the wordlist.
+ * @returns {boolean} Returns `true` if the wordlist is bundled, otherwise `false`.
+ * @example
+ * ```js
+ * isBundledWordlist('eff-long'); // Expected value: true
+ * ```
+ */
+const isBundledWordlist = name => Reflect.has(files, name);
+
+/**
+ * Returns the words of a bundled wordlist. Every line of the file holds the
+ * dice roll and the word separated by a tab.
+ *
+ * @private
+ * @function
+ * @param {string} name - The name of the wordlist.
+ * @returns {Array<string>} The words of the wordlist.
+ * @example
+ * ```js
+ * const words = getWordlist('eff-long'); // Expected value: ['abacus', 'abdomen', ...]
+ * ```
+ */
+const getWordlist = name => {
+  if (!cache.has(name)) {
+    const words = readFileSync(files[name], 'utf8')
+      .split('\n')
+      .filter(line => line.length > 0)
+      .map(line => line.split('\t').pop());
+    cache.set(name, Object.freeze(words));
+  }
+  return cache.get(name);
+};
+
+// ━━ EXPORT MODULE ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+exports.wordlistNames = wordlistNames;
+exports.isBundledWordlist = isBundledWordlist;
+exports.getWordlist = getWordlist;
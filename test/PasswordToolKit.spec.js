@@ -4,11 +4,20 @@
 
 // ━━ IMPORT MODULES ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // » IMPORT NATIVE NODE MODULES
-const { describe, it } = require('node:test');
+const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert');
+const { createHash, pbkdf2Sync } = require('node:crypto');
+const { mkdtempSync, writeFileSync, rmSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+const http = require('node:http');
+const { execFile } = require('node:child_process');
+const { Readable, Writable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
 
 // » IMPORT MODULES
 const PasswordToolKit = require('..');
+const { run } = require('../src/cli');
 
 // ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 /**
@@ -20,36 +29,179 @@ const PasswordToolKit = require('..');
 const THROWS = {
   TYPE_SETTINGS: {
     name: 'TypeError',
+    code: 'ERR_PTK_INVALID_SETTINGS',
     message: 'The "options" must be an object.',
   },
   TYPE_SUGGESTIONS: {
     name: 'TypeError',
+    code: 'ERR_PTK_INVALID_SUGGESTIONS',
     message: 'The "suggestions" value must be an array type.',
   },
   TYPE_QUALITIES: {
     name: 'TypeError',
+    code: 'ERR_PTK_INVALID_QUALITIES',
     message: 'The "qualities" value must be an array type.',
   },
   TYPE_MAXIMUM: {
     name: 'TypeError',
+    code: 'ERR_PTK_INVALID_MAXIMUM',
     message: 'The "maximum" value must be a number type.',
   },
   TYPES_SUGGESTIONS: {
     name: 'TypeError',
+    code: 'ERR_PTK_INVALID_SUGGESTIONS',
     message: 'All "suggestions" values must be a string type.',
   },
   TYPES_QUALITIES: {
     name: 'TypeError',
+    code: 'ERR_PTK_INVALID_QUALITIES',
     message: 'All "qualities" values must be a string type.',
   },
   RANGE_SUGGESTIONS: {
     name: 'RangeError',
+    code: 'ERR_PTK_INVALID_SUGGESTIONS',
     message: 'The "suggestions" elements number must be equal to 7.',
   },
   RANGE_QUALITIES: {
     name: 'RangeError',
+    code: 'ERR_PTK_INVALID_QUALITIES',
     message: 'The "qualities" elements number must be equal to 5.',
   },
+  TYPE_DICTIONARIES: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_DICTIONARIES',
+    message: 'The "dictionaries" value must be an object of arrays.',
+  },
+  TYPE_MESSAGES: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_MESSAGES',
+    message: 'The "messages" value must be an object.',
+  },
+  TYPE_RANDOM: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_RANDOM',
+    message: 'The "random" value must be an object with a "nextUint32" method.',
+  },
+  TYPE_LAYOUTS: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_LAYOUTS',
+    message: 'The "layouts" value must be an array type.',
+  },
+  TYPE_CONTEXT: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_CONTEXT',
+    message: 'The "context" value must be an object.',
+  },
+  TYPE_USER_INPUTS: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_USER_INPUTS',
+    message: 'The "userInputs" value must be an array of strings or numbers.',
+  },
+  TYPE_PREVIOUS_PASSWORDS: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_PREVIOUS_PASSWORDS',
+    message: 'The "previousPasswords" value must be an array of strings.',
+  },
+  TYPE_PASSWORD_HISTORY: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_PASSWORD_HISTORY',
+    message: 'The "passwordHistory" value must be an array of strings.',
+  },
+  TYPE_PASSWORD_RULES: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_PASSWORD_RULES',
+    message: 'The "passwordRules" value must be a string type.',
+  },
+  TYPE_HASH: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_HASH',
+    message: 'The "hash" value must be a PHC string of a supported algorithm.',
+  },
+  TYPE_PASSWORD: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_PASSWORD',
+    message: 'The "password" value must be a string type.',
+  },
+  TYPE_TEXT: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_TEXT',
+    message: 'The "text" value must be a string type.',
+  },
+  TYPE_PIN: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_PIN',
+    message: 'The "pin" value must be a string of digits.',
+  },
+  TYPE_PIN_LENGTH: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_LENGTH',
+    message: 'The "length" value must be an integer.',
+  },
+  RANGE_PIN_LENGTH: {
+    name: 'RangeError',
+    code: 'ERR_PTK_INVALID_LENGTH',
+    message: 'The "length" value must be from 4 to 12.',
+  },
+  TYPE_MIN_LEVEL: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_MIN_LEVEL',
+    message: 'The "minLevel" option must be an integer.',
+  },
+  RANGE_MIN_LEVEL: {
+    name: 'RangeError',
+    code: 'ERR_PTK_INVALID_MIN_LEVEL',
+    message: 'The "minLevel" option must be a level from 0 to 5.',
+  },
+  TYPE_FIELD: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_FIELD',
+    message: 'The "field" option must be a non-empty string.',
+  },
+  TYPE_ADAPTER_CONTEXT: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_CONTEXT',
+    message: 'The "context" option must be a function.',
+  },
+  TYPE_LOCALES: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_LOCALES',
+    message: 'The "locales" value must be an object of locale packs.',
+  },
+  TYPE_LOCALE: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_LOCALE',
+    message: 'The "locale" value must be a string type.',
+  },
+  RANGE_LAYOUTS: {
+    name: 'RangeError',
+    code: 'ERR_PTK_INVALID_LAYOUTS',
+    message: 'All "layouts" values must be one of: qwerty, azerty, qwertz, dvorak, keypad.',
+  },
+  RANGE_LOCALE: {
+    name: 'RangeError',
+    code: 'ERR_PTK_INVALID_LOCALE',
+    message: 'The "locale" value must be one of: en, es, fr, de, pt.',
+  },
+  TYPE_COUNT: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_COUNT',
+    message: 'The "count" value must be an integer.',
+  },
+  TYPE_UNIQUE: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_UNIQUE',
+    message: 'The "unique" option must be a boolean.',
+  },
+  TYPE_STRICT: {
+    name: 'TypeError',
+    code: 'ERR_PTK_INVALID_STRICT',
+    message: 'The "strict" value must be a boolean type.',
+  },
+  RANGE_COUNT: {
+    name: 'RangeError',
+    code: 'ERR_PTK_INVALID_COUNT',
+    message: 'The "count" value must not be negative.',
+  },
 };
 
 /**
@@ -60,6 +212,7 @@ const THROWS = {
  */
 const INSTANCE_OPTIONS = {
   maximum: 30,
+  locale: 'es',
   suggestions: [
     'La contraseña debe tener al menos 8 caracteres.',
     'Agregue letras mayúsculas y minúsculas para que la contraseña sea más segura.',
@@ -72,6 +225,33 @@ const INSTANCE_OPTIONS = {
   qualities: ['Inseguro', 'Bajo', 'Medio', 'Alto', 'Perfecto'],
 };
 
+/**
+ * Returns the range prefix and the range body line of a breached password.
+ *
+ * @private
+ * @function createRange
+ * @param {string} password - The breached password.
+ * @param {number} count - The breach count of the password.
+ * @returns {object} The `prefix` and `line` of the range.
+ * @example createRange('Ma$bel-561', 42);
+ */
+const createRange = (password, count) => {
+  const hash = createHash('sha1').update(password).digest('hex').toUpperCase();
+  return { prefix: hash.slice(0, 5), line: `${hash.slice(5)}:${count}` };
+};
+
+/**
+ * Function that keeps the `ok` and `reason` of a validation result, to compare
+ * the first problem without listing every problem.
+ *
+ * @private
+ * @function pickResult
+ * @param {object} validation - The result of an options check.
+ * @returns {object} The `ok` and `reason` of the result.
+ * @example pickResult(passwordToolKit.checkPattern('9{4'));
+ */
+const pickResult = validation => ({ ok: validation.ok, reason: validation.reason });
+
 // ━━ CONSTANTS ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 /**
  * Function to create an instance of the class being tested.
@@ -85,6 +265,70 @@ const INSTANCE_OPTIONS = {
  */
 const createInstance = settings => new PasswordToolKit(settings);
 
+/**
+ * Function to run the command-line interface with the provided arguments and
+ * standard input, collecting its output.
+ *
+ * @private
+ * @async
+ * @function runCli
+ * @param {Array<string>} args - The arguments of the command.
+ * @param {string} [input] - The standard input of the command.
+ * @returns {Promise<object>} The exit `code`, `stdout` and `stderr` of the command.
+ * @example runCli(['generate', '--size', '12']);
+ */
+const runCli = async (args, input = '') => {
+  const output = { stdout: '', stderr: '' };
+  const collect = name =>
+    new Writable({
+      write(chunk, encoding, callback) {
+        output[name] += chunk.toString();
+        callback();
+      },
+    });
+  const code = await run(args, {
+    stdin: Readable.from([input]),
+    stdout: collect('stdout'),
+    stderr: collect('stderr'),
+  });
+  return { code, ...output };
+};
+
+/**
+ * Function to send a POST request to a local server, collecting its JSON
+ * response.
+ *
+ * @private
+ * @async
+ * @function postJson
+ * @param {number} port - The port of the local server.
+ * @param {string} body - The raw body of the request.
+ * @returns {Promise<object>} The `status`, `type` and parsed `body` of the response.
+ * @example postJson(3000, JSON.stringify({ password: 'Ma$bel-561' }));
+ */
+const postJson = (port, body) =>
+  new Promise((resolve, reject) => {
+    const request = http.request(
+      { host: '127.0.0.1', port, method: 'POST', headers: { 'Content-Type': 'application/json' } },
+      response => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          data += chunk;
+        });
+        response.on('end', () => {
+          resolve({
+            status: response.statusCode,
+            type: response.headers['content-type'],
+            body: JSON.parse(data),
+          });
+        });
+      },
+    );
+    request.on('error', reject);
+    request.end(body);
+  });
+
 // ━━ TEST ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 describe('PasswordToolKit', () => {
   describe('constructor', () => {
@@ -202,13 +446,100 @@ describe('PasswordToolKit', () => {
         });
       }, THROWS.RANGE_QUALITIES);
     });
+
+    it('should throw a TypeError if "random" is not a random source', () => {
+      assert.throws(() => {
+        createInstance({ random: Math.random });
+      }, THROWS.TYPE_RANDOM);
+    });
+
+    it('should throw a TypeError if "dictionaries" is not an object of arrays', () => {
+      assert.throws(() => {
+        createInstance({ dictionaries: ['acme'] });
+      }, THROWS.TYPE_DICTIONARIES);
+    });
+
+    it('should throw a TypeError if "messages" is not an object', () => {
+      assert.throws(() => {
+        createInstance({ messages: 'Avoid common passwords.' });
+      }, THROWS.TYPE_MESSAGES);
+    });
+
+    it('should throw a TypeError if "layouts" is not an array', () => {
+      assert.throws(() => {
+        createInstance({ layouts: 'qwerty' });
+      }, THROWS.TYPE_LAYOUTS);
+    });
+
+    it('should throw a RangeError if "layouts" contains an unknown layout', () => {
+      assert.throws(() => {
+        createInstance({ layouts: ['qwerty', 'colemak'] });
+      }, THROWS.RANGE_LAYOUTS);
+    });
+
+    it('should use the texts of the default locale', () => {
+      const passwordToolKit = createInstance({ locale: 'es' });
+      assert.strictEqual(passwordToolKit.locale, 'es');
+      assert.deepStrictEqual(passwordToolKit.qualities, [
+        'inseguro',
+        'bajo',
+        'medio',
+        'alto',
+        'perfecto',
+      ]);
+      assert.strictEqual(
+        passwordToolKit.suggestions[0],
+        'La contraseña debe tener al menos 8 caracteres.',
+      );
+    });
+
+    it('should throw if "locale" or "locales" are not valid', () => {
+      assert.throws(() => {
+        createInstance({ locale: 1 });
+      }, THROWS.TYPE_LOCALE);
+      assert.throws(() => {
+        createInstance({ locale: 'it' });
+      }, THROWS.RANGE_LOCALE);
+      assert.throws(() => {
+        createInstance({ locales: { it: { 'quality.low': 1 } } });
+      }, THROWS.TYPE_LOCALES);
+    });
+
+    it('should throw errors with a stable code that extend the built-in errors', () => {
+      assert.throws(
+        () => createInstance({ maximum: '30' }),
+        error =>
+          error instanceof PasswordToolKit.PasswordToolKitTypeError &&
+          error instanceof TypeError &&
+          error.code === 'ERR_PTK_INVALID_MAXIMUM',
+      );
+      assert.throws(
+        () => createInstance({ layouts: ['colemak'] }),
+        error =>
+          error instanceof PasswordToolKit.PasswordToolKitRangeError &&
+          error instanceof RangeError &&
+          error.code === 'ERR_PTK_INVALID_LAYOUTS',
+      );
+    });
+
+    it('should throw if "strict" is not a boolean', () => {
+      assert.throws(() => {
+        createInstance({ strict: 'yes' });
+      }, THROWS.TYPE_STRICT);
+    });
   });
 
   describe('#checkOptions()', () => {
     it('should return an object with ok:false and reason when options is not an object', () => {
       const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
       const result = passwordToolKit.checkOptions('invalid options');
-      assert.deepStrictEqual(result, { ok: false, reason: 'Options must be an object.' });
+      assert.deepStrictEqual(result, {
+        ok: false,
+        reason: 'Options must be an object.',
+        errors: [
+          { code: 'ERR_PTK_INVALID_OPTIONS', path: '', message: 'Options must be an object.' },
+        ],
+      });
     });
 
     it('should return an object with ok:false and reason when password length is undefined', () => {
@@ -222,6 +553,13 @@ describe('PasswordToolKit', () => {
       assert.deepStrictEqual(result, {
         ok: false,
         reason: 'The "size" property is required.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_SIZE',
+            path: 'size',
+            message: 'The "size" property is required.',
+          },
+        ],
       });
     });
 
@@ -231,6 +569,18 @@ describe('PasswordToolKit', () => {
       assert.deepStrictEqual(result, {
         ok: false,
         reason: 'The password length must be greater than 1.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_SIZE',
+            path: 'size',
+            message: 'The password length must be greater than 1.',
+          },
+          {
+            code: 'ERR_PTK_NO_CHARACTER_CLASS',
+            path: '',
+            message: 'You must select at least one option to generate the password.',
+          },
+        ],
       });
     });
 
@@ -240,6 +590,18 @@ describe('PasswordToolKit', () => {
       assert.deepStrictEqual(result, {
         ok: false,
         reason: 'The password length must be less than specified maximum.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_SIZE',
+            path: 'size',
+            message: 'The password length must be less than specified maximum.',
+          },
+          {
+            code: 'ERR_PTK_NO_CHARACTER_CLASS',
+            path: '',
+            message: 'You must select at least one option to generate the password.',
+          },
+        ],
       });
     });
 
@@ -249,15 +611,29 @@ describe('PasswordToolKit', () => {
       assert.deepStrictEqual(result, {
         ok: false,
         reason: 'The "numbers" option must be a boolean.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_NUMBERS',
+            path: 'numbers',
+            message: 'The "numbers" option must be a boolean.',
+          },
+        ],
       });
     });
 
-    it('should return an object with ok:false and reason when "symbols" option is not a boolean', () => {
+    it('should return an object with ok:false and reason when "symbols" option is not a boolean or a string', () => {
       const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
-      const result = passwordToolKit.checkOptions({ size: 8, symbols: 'invalid' });
+      const result = passwordToolKit.checkOptions({ size: 8, symbols: 1 });
       assert.deepStrictEqual(result, {
         ok: false,
-        reason: 'The "symbols" option must be a boolean.',
+        reason: 'The "symbols" option must be a boolean or a string.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_SYMBOLS',
+            path: 'symbols',
+            message: 'The "symbols" option must be a boolean or a string.',
+          },
+        ],
       });
     });
 
@@ -267,6 +643,13 @@ describe('PasswordToolKit', () => {
       assert.deepStrictEqual(result, {
         ok: false,
         reason: 'The "uppercases" option must be a boolean.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_UPPERCASES',
+            path: 'uppercases',
+            message: 'The "uppercases" option must be a boolean.',
+          },
+        ],
       });
     });
 
@@ -276,6 +659,13 @@ describe('PasswordToolKit', () => {
       assert.deepStrictEqual(result, {
         ok: false,
         reason: 'The "lowercases" option must be a boolean.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_LOWERCASES',
+            path: 'lowercases',
+            message: 'The "lowercases" option must be a boolean.',
+          },
+        ],
       });
     });
 
@@ -291,7 +681,289 @@ describe('PasswordToolKit', () => {
       assert.deepStrictEqual(result, {
         ok: false,
         reason: 'You must select at least one option to generate the password.',
+        errors: [
+          {
+            code: 'ERR_PTK_NO_CHARACTER_CLASS',
+            path: '',
+            message: 'You must select at least one option to generate the password.',
+          },
+        ],
+      });
+    });
+
+    it('should return an object with ok:false and reason when "guaranteed" option is not a boolean', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.checkOptions({ size: 8, numbers: true, guaranteed: 'yes' });
+      assert.deepStrictEqual(result, {
+        ok: false,
+        reason: 'The "guaranteed" option must be a boolean.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_GUARANTEED',
+            path: 'guaranteed',
+            message: 'The "guaranteed" option must be a boolean.',
+          },
+        ],
+      });
+    });
+
+    it('should return an object with ok:false and reason when "min" has a negative count', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.checkOptions({ size: 8, numbers: true, min: { numbers: -1 } });
+      assert.deepStrictEqual(result, {
+        ok: false,
+        reason: 'The "min.numbers" value must be a non-negative integer.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_MIN',
+            path: 'min.numbers',
+            message: 'The "min.numbers" value must be a non-negative integer.',
+          },
+        ],
+      });
+    });
+
+    it('should return an object with ok:false and reason when "min" targets a disabled class', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.checkOptions({ size: 8, numbers: true, min: { symbols: 1 } });
+      assert.deepStrictEqual(result, {
+        ok: false,
+        reason: 'The "min.symbols" value requires the "symbols" option.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_MIN',
+            path: 'min.symbols',
+            message: 'The "min.symbols" value requires the "symbols" option.',
+          },
+        ],
+      });
+    });
+
+    it('should return an object with ok:false and reason when the minimum counts exceed the size', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.checkOptions({
+        size: 3,
+        numbers: true,
+        symbols: true,
+        uppercases: true,
+        lowercases: true,
+        guaranteed: true,
+      });
+      assert.deepStrictEqual(result, {
+        ok: false,
+        reason: 'The minimum counts must not exceed the password length.',
+        errors: [
+          {
+            code: 'ERR_PTK_MIN_EXCEEDS_SIZE',
+            path: 'min',
+            message: 'The minimum counts must not exceed the password length.',
+          },
+        ],
+      });
+    });
+
+    it('should return an object with ok:false and reason when the maximum counts cannot reach the size', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.checkOptions({ size: 8, numbers: true, max: { numbers: 4 } });
+      assert.deepStrictEqual(result, {
+        ok: false,
+        reason: 'The maximum counts must be enough to reach the password length.',
+        errors: [
+          {
+            code: 'ERR_PTK_MAX_BELOW_SIZE',
+            path: 'max',
+            message: 'The maximum counts must be enough to reach the password length.',
+          },
+        ],
+      });
+    });
+
+    it('should return an object with ok:false and reason when the exclusions empty a character set', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.deepStrictEqual(
+        passwordToolKit.checkOptions({
+          size: 8,
+          numbers: true,
+          exclude: '23456789',
+          excludeAmbiguous: true,
+        }),
+        {
+          ok: false,
+          reason: 'The "numbers" character set is empty after the exclusions.',
+          errors: [
+            {
+              code: 'ERR_PTK_EMPTY_CHARACTER_SET',
+              path: 'numbers',
+              message: 'The "numbers" character set is empty after the exclusions.',
+            },
+          ],
+        },
+      );
+      assert.deepStrictEqual(
+        passwordToolKit.checkOptions({ size: 8, lowercases: true, symbols: '' }),
+        {
+          ok: false,
+          reason: 'The "symbols" character set is empty after the exclusions.',
+          errors: [
+            {
+              code: 'ERR_PTK_EMPTY_CHARACTER_SET',
+              path: 'symbols',
+              message: 'The "symbols" character set is empty after the exclusions.',
+            },
+          ],
+        },
+      );
+    });
+
+    it('should return an object with ok:false and reason when the custom sets are not valid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.deepStrictEqual(passwordToolKit.checkOptions({ size: 8, sets: ['αβγ'] }), {
+        ok: false,
+        reason: 'The "sets" option must be an object of strings.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_SETS',
+            path: 'sets',
+            message: 'The "sets" option must be an object of strings.',
+          },
+        ],
       });
+      assert.deepStrictEqual(passwordToolKit.checkOptions({ size: 8, sets: { numbers: '٠١٢' } }), {
+        ok: false,
+        reason: 'The "sets.numbers" name is reserved for a built-in character class.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_SETS',
+            path: 'sets.numbers',
+            message: 'The "sets.numbers" name is reserved for a built-in character class.',
+          },
+        ],
+      });
+      assert.deepStrictEqual(
+        passwordToolKit.checkOptions({ size: 8, sets: { greek: 'αβγ' }, min: { cyrillic: 1 } }),
+        {
+          ok: false,
+          reason: 'The "min.cyrillic" option is not a character class.',
+          errors: [
+            {
+              code: 'ERR_PTK_INVALID_MIN',
+              path: 'min.cyrillic',
+              message: 'The "min.cyrillic" option is not a character class.',
+            },
+          ],
+        },
+      );
+      assert.deepStrictEqual(
+        passwordToolKit.checkOptions({ size: 8, sets: { greek: 'αβγ' }, max: { greek: 4 } }),
+        {
+          ok: false,
+          reason: 'The maximum counts must be enough to reach the password length.',
+          errors: [
+            {
+              code: 'ERR_PTK_MAX_BELOW_SIZE',
+              path: 'max',
+              message: 'The maximum counts must be enough to reach the password length.',
+            },
+          ],
+        },
+      );
+      assert.deepStrictEqual(
+        passwordToolKit.checkOptions({
+          size: 8,
+          numbers: true,
+          sets: { greek: 'αβγ' },
+          min: { greek: 2 },
+        }),
+        { ok: true, reason: null, errors: [] },
+      );
+    });
+
+    it('should return every problem found with its code and field path', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.checkOptions({
+        size: 8.5,
+        numbers: 'yes',
+        sets: { lowercases: 'abc', greek: 'αβγ' },
+        min: { greek: -1, cyrillic: 1 },
+        max: [],
+      });
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.reason, 'The "size" option must be an integer.');
+      assert.deepStrictEqual(
+        result.errors.map(({ code, path }) => [code, path]),
+        [
+          ['ERR_PTK_INVALID_SIZE', 'size'],
+          ['ERR_PTK_INVALID_NUMBERS', 'numbers'],
+          ['ERR_PTK_INVALID_SETS', 'sets.lowercases'],
+          ['ERR_PTK_INVALID_MIN', 'min.greek'],
+          ['ERR_PTK_INVALID_MIN', 'min.cyrillic'],
+          ['ERR_PTK_INVALID_MAX', 'max'],
+        ],
+      );
+    });
+
+    it('should check the password rules instead of the options they replace', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const rules = 'minlength: 12; required: lower; required: upper; allowed: [-_.]';
+      assert.deepStrictEqual(passwordToolKit.checkOptions({ size: 12, passwordRules: rules }), {
+        ok: true,
+        reason: null,
+        errors: [],
+      });
+      const problems = options =>
+        passwordToolKit.checkOptions(options).errors.map(({ code, path }) => [code, path]);
+      assert.deepStrictEqual(problems({ size: 12, passwordRules: 1 }), [
+        ['ERR_PTK_INVALID_PASSWORD_RULES', 'passwordRules'],
+      ]);
+      assert.deepStrictEqual(problems({ size: 12, passwordRules: rules, numbers: true, min: {} }), [
+        ['ERR_PTK_INVALID_NUMBERS', 'numbers'],
+        ['ERR_PTK_INVALID_MIN', 'min'],
+      ]);
+      assert.deepStrictEqual(problems({ size: 8, passwordRules: rules }), [
+        ['ERR_PTK_INVALID_SIZE', 'size'],
+      ]);
+      assert.deepStrictEqual(problems({ size: 1, passwordRules: rules }), [
+        ['ERR_PTK_INVALID_SIZE', 'size'],
+        ['ERR_PTK_MIN_EXCEEDS_SIZE', 'passwordRules'],
+      ]);
+      assert.deepStrictEqual(
+        problems({ size: 12, passwordRules: 'required: [ab]', exclude: 'ab' }),
+        [['ERR_PTK_EMPTY_CHARACTER_SET', 'passwordRules']],
+      );
+    });
+
+    it('should give every required rule its own character when the classes overlap', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const passwordRules = 'required: [-]; required: [a]; required: [ab0]';
+      assert.strictEqual(
+        passwordToolKit.checkOptions({ size: 2, passwordRules }).reason,
+        'The "required" rules must not exceed the password length, as every rule takes its own character.',
+      );
+      const password = passwordToolKit.generate({ size: 3, passwordRules });
+      assert.match(password, /^(?=.*-)(?=.*a)[-ab0]{3}$/);
+    });
+
+    it('should report the syntax errors of the password rules with their positions', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.checkOptions({
+        size: 12,
+        passwordRules: 'minlength: twelve; required: uper; allowed: [-_',
+      });
+      assert.deepStrictEqual(
+        result.errors.map(({ message }) => message),
+        [
+          'The "minlength" value at position 11 of the password rules must be a positive integer.',
+          'The "uper" character class at position 29 of the password rules is not known.',
+          'The "[" at position 44 of the password rules must be closed with "]".',
+        ],
+      );
+      assert.strictEqual(
+        passwordToolKit.checkOptions({
+          size: 3,
+          passwordRules: 'allowed: [a]; max-consecutive: 2',
+        }).reason,
+        'The "max-consecutive" rule cannot be met with the allowed characters.',
+      );
     });
 
     it('should return an object with ok:true and null reason when all options are valid', () => {
@@ -303,7 +975,7 @@ describe('PasswordToolKit', () => {
         uppercases: true,
         lowercases: true,
       });
-      assert.deepStrictEqual(result, { ok: true, reason: null });
+      assert.deepStrictEqual(result, { ok: true, reason: null, errors: [] });
     });
   });
 
@@ -332,38 +1004,2584 @@ describe('PasswordToolKit', () => {
       const password = passwordToolKit.generate(options);
       assert.strictEqual(password, null);
     });
-  });
 
-  describe('#evaluate()', () => {
-    it('should return the correct evaluation for a password', () => {
+    it('should throw every problem of the options in strict mode', () => {
+      const passwordToolKit = new PasswordToolKit({ ...INSTANCE_OPTIONS, strict: true });
+      assert.throws(() => passwordToolKit.generate({ size: 0, numbers: 'yes' }), {
+        name: 'TypeError',
+        code: 'ERR_PTK_INVALID_OPTIONS',
+        message:
+          'The options are not valid: The password length must be greater than 1. The "numbers" option must be a boolean.',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_SIZE',
+            path: 'size',
+            message: 'The password length must be greater than 1.',
+          },
+          {
+            code: 'ERR_PTK_INVALID_NUMBERS',
+            path: 'numbers',
+            message: 'The "numbers" option must be a boolean.',
+          },
+        ],
+      });
+      assert.throws(
+        () => passwordToolKit.generate({ size: 8 }),
+        error => error instanceof PasswordToolKit.PasswordToolKitOptionsError,
+      );
+      assert.strictEqual(passwordToolKit.generate({ size: 8, numbers: true }).length, 8);
+    });
+
+    it('should include every enabled class when "guaranteed" is true', () => {
+      const passwordToolKit = createInstance({ random: PasswordToolKit.createSeededRandom(1) });
+      const options = {
+        size: 4,
+        numbers: true,
+        symbols: true,
+        uppercases: true,
+        lowercases: true,
+        guaranteed: true,
+      };
+      for (let i = 0; i < 50; i += 1) {
+        const password = passwordToolKit.generate(options);
+        assert.match(password, /\d/);
+        assert.match(password, /[\W_]/);
+        assert.match(password, /[A-Z]/);
+        assert.match(password, /[a-z]/);
+      }
+    });
+
+    it('should respect the "min" and "max" counts of every class', () => {
+      const passwordToolKit = createInstance({ random: PasswordToolKit.createSeededRandom(2) });
+      const options = {
+        size: 12,
+        numbers: true,
+        symbols: true,
+        lowercases: true,
+        min: { numbers: 3 },
+        max: { symbols: 2, numbers: 4 },
+      };
+      for (let i = 0; i < 50; i += 1) {
+        const password = passwordToolKit.generate(options);
+        const digits = password.replace(/\D/g, '').length;
+        assert.strictEqual(password.length, 12);
+        assert.ok(digits >= 3 && digits <= 4);
+        assert.ok(password.replace(/[A-Za-z\d]/g, '').length <= 2);
+      }
+    });
+
+    it('should not use the excluded and ambiguous characters', () => {
+      const passwordToolKit = createInstance({ random: PasswordToolKit.createSeededRandom(3) });
+      const options = {
+        size: 30,
+        numbers: true,
+        symbols: true,
+        uppercases: true,
+        lowercases: true,
+        exclude: 'aeiouAEIOU',
+        excludeAmbiguous: true,
+      };
+      for (let i = 0; i < 20; i += 1) {
+        assert.doesNotMatch(passwordToolKit.generate(options), /[aeiouAEIOU0O1lI|]/);
+      }
+    });
+
+    it('should only use the symbols of a custom "symbols" string', () => {
+      const passwordToolKit = createInstance({ random: PasswordToolKit.createSeededRandom(4) });
+      const options = { size: 20, lowercases: true, symbols: '-_.', min: { symbols: 5 } };
+      for (let i = 0; i < 20; i += 1) {
+        const symbols = passwordToolKit.generate(options).replace(/[a-z]/g, '');
+        assert.ok(symbols.length >= 5);
+        assert.match(symbols, /^[-_.]+$/);
+      }
+    });
+
+    it('should use custom character sets counted by grapheme', () => {
+      const passwordToolKit = createInstance({ random: PasswordToolKit.createSeededRandom(5) });
+      const emoji = ['👍🏽', '🎉', '🇪🇸'];
+      const options = {
+        size: 8,
+        lowercases: true,
+        sets: { greek: 'αβγδε', emoji: emoji.join('') },
+        guaranteed: true,
+      };
+      const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+      for (let i = 0; i < 20; i += 1) {
+        const password = passwordToolKit.generate(options);
+        const graphemes = Array.from(segmenter.segment(password), ({ segment }) => segment);
+        assert.strictEqual(graphemes.length, 8);
+        assert.ok(graphemes.some(char => 'αβγδε'.includes(char)));
+        assert.ok(graphemes.some(char => emoji.includes(char)));
+        assert.ok(graphemes.every(char => /^[a-zα-ε]$/u.test(char) || emoji.includes(char)));
+      }
+    });
+
+    it('should return the same password for the same seeded random source', () => {
+      const options = { size: 16, numbers: true, symbols: true, lowercases: true };
+      const first = createInstance({ random: PasswordToolKit.createSeededRandom('fixture') });
+      const second = createInstance({ random: PasswordToolKit.createSeededRandom('fixture') });
+      assert.strictEqual(first.generate(options), second.generate(options));
+    });
+
+    it('should only use values below the rejection limit of the random source', () => {
+      const values = [0xffffffff, 0xfffffffe, 7];
+      const random = { nextUint32: () => values.shift() };
+      const passwordToolKit = createInstance({ random });
+      const password = passwordToolKit.generate({ size: 1, numbers: true });
+      assert.strictEqual(password, '7');
+      assert.strictEqual(values.length, 0);
+    });
+
+    it('should generate passwords that follow the password rules', () => {
       const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
-      const password = 'MyStr0ngP@ssword!';
+      const passwordRules =
+        'minlength: 12; required: lower; required: upper; required: digit, [-_.]; allowed: [!]; max-consecutive: 2';
+      const { rules } = PasswordToolKit.parsePasswordRules(passwordRules);
+      for (let index = 0; index < 500; index += 1) {
+        const password = passwordToolKit.generate({ size: 12, passwordRules, exclude: 'O0' });
+        assert.match(password, /^[a-zA-NP-Z1-9\-_.!]{12}$/);
+        assert.match(password, /[a-z]/);
+        assert.match(password, /[A-Z]/);
+        assert.match(password, /[1-9\-_.]/);
+        assert.doesNotMatch(password, /(.)\1\1/);
+        assert.deepStrictEqual(
+          passwordToolKit
+            .evaluateDetailed(password, { passwordRules })
+            .findings.filter(({ code }) => code === 'PASSWORD_RULES'),
+          [],
+        );
+      }
+      assert.strictEqual(rules.required.length, 3);
+    });
 
-      const result = passwordToolKit.evaluate(password);
-      assert.deepStrictEqual(result, {
-        level: 4,
-        quality: 'Alto',
-        suggestion: 'Evitar el uso de caracteres repetidos en la contraseña.',
+    it('should accept the max-consecutive rules that the allowed characters can meet', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const cases = [
+        [{ size: 2, passwordRules: 'required: [a]; required: [b]; max-consecutive: 1' }, true],
+        [{ size: 4, passwordRules: 'allowed: [ab]; max-consecutive: 1' }, true],
+        [
+          {
+            size: 3,
+            passwordRules: 'required: [a]; required: [b]; required: [ab]; max-consecutive: 1',
+          },
+          true,
+        ],
+        [
+          {
+            size: 3,
+            passwordRules: 'required: [ab]; required: [ac]; allowed: [d]; max-consecutive: 1',
+            exclude: 'bc',
+          },
+          true,
+        ],
+        [
+          {
+            size: 5,
+            passwordRules: 'required: [ab]; required: [ac]; max-consecutive: 1',
+            exclude: 'bc',
+          },
+          false,
+        ],
+        [{ size: 3, passwordRules: 'allowed: [a]; max-consecutive: 2' }, false],
+      ];
+      cases.forEach(([options, ok]) => {
+        assert.strictEqual(passwordToolKit.checkOptions(options).ok, ok);
+        if (ok) {
+          const { rules } = PasswordToolKit.parsePasswordRules(options.passwordRules);
+          assert.doesNotMatch(
+            passwordToolKit.generate(options),
+            new RegExp(`(.)\\1{${rules.maxConsecutive}}`),
+          );
+        }
       });
     });
 
-    it('should return the correct evaluation for a password', () => {
+    it('should alternate the characters when the rules leave no other choice', () => {
       const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
-      const password = 'Ma$bel-561';
+      const password = passwordToolKit.generate({
+        size: 9,
+        passwordRules: 'allowed: [ab]; max-consecutive: 1',
+      });
+      assert.match(password, /^(?:ab){4}a$|^(?:ba){4}b$/);
+    });
+  });
 
-      const result = passwordToolKit.evaluate(password);
-      assert.deepStrictEqual(result, {
-        level: 5,
-        quality: 'Perfecto',
-        suggestion: '¡Excelente! La contraseña es segura.',
+  describe('#generateMany()', () => {
+    it('should return the requested number of valid passwords', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const passwords = passwordToolKit.generateMany(50, {
+        size: 10,
+        numbers: true,
+        guaranteed: true,
       });
+      assert.strictEqual(passwords.length, 50);
+      passwords.forEach(password => assert.match(password, /^\d{10}$/));
+      assert.deepStrictEqual(passwordToolKit.generateMany(0, { size: 10, numbers: true }), []);
     });
 
-    it('should throw a TypeError if password is not a string', () => {
-      assert.throws(() => {
-        const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
-        passwordToolKit.evaluate(true);
-      }, THROWS.TYPE_PASSWORD);
+    it('should return different passwords when they must be unique', () => {
+      const passwordToolKit = createInstance({ random: PasswordToolKit.createSeededRandom(17) });
+      const passwords = passwordToolKit.generateMany(1000, {
+        size: 3,
+        numbers: true,
+        unique: true,
+      });
+      assert.strictEqual(new Set(passwords).size, 1000);
+    });
+
+    it('should throw a RangeError before generating if the options cannot produce enough unique passwords', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const cases = [
+        [{ size: 3, numbers: true }, 1000],
+        [{ size: 3, numbers: true, exclude: '0' }, 729],
+        [{ size: 3, numbers: true, lowercases: true, min: { lowercases: 3 } }, 17576],
+        [{ size: 2, numbers: true, symbols: '-', max: { symbols: 1 } }, 120],
+        [{ size: 2, sets: { hex: '0123456789abcdef', digits: '0123456789' } }, 256],
+        [{ size: 2, passwordRules: 'required: [a]; required: [b]; max-consecutive: 1' }, 2],
+        [{ size: 4, passwordRules: 'allowed: [ab]; max-consecutive: 1' }, 2],
+        [{ size: 4, passwordRules: 'required: [x]; allowed: [ab]; max-consecutive: 2' }, 28],
+      ];
+      cases.forEach(([options, space]) => {
+        assert.doesNotThrow(() =>
+          passwordToolKit.generateMany(space, { ...options, unique: true }),
+        );
+        assert.throws(() => passwordToolKit.generateMany(space + 1, { ...options, unique: true }), {
+          name: 'RangeError',
+          message: `The "count" value must not exceed the ${space} unique passwords the options can produce.`,
+        });
+      });
+      assert.strictEqual(
+        passwordToolKit.generateMany(1001, { size: 3, numbers: true }).length,
+        1001,
+      );
+    });
+
+    it('should throw an error if the "count" or "unique" value is not valid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.throws(() => passwordToolKit.generateMany('10', { size: 8 }), THROWS.TYPE_COUNT);
+      assert.throws(() => passwordToolKit.generateMany(-1, { size: 8 }), THROWS.RANGE_COUNT);
+      assert.throws(
+        () => passwordToolKit.generateMany(10, { size: 8, numbers: true, unique: 1 }),
+        THROWS.TYPE_UNIQUE,
+      );
+    });
+
+    it('should return null if the options are invalid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.strictEqual(passwordToolKit.generateMany(10, { size: 8 }), null);
+    });
+
+    it('should throw if the options are invalid in strict mode', () => {
+      const passwordToolKit = new PasswordToolKit({ ...INSTANCE_OPTIONS, strict: true });
+      assert.throws(() => passwordToolKit.generateMany(10, { size: 8 }), {
+        code: 'ERR_PTK_INVALID_OPTIONS',
+      });
+      assert.throws(() => passwordToolKit.generateStream(10, { size: 8 }), {
+        code: 'ERR_PTK_INVALID_OPTIONS',
+      });
+    });
+  });
+
+  describe('#generateStream()', () => {
+    it('should stream the passwords one per chunk', async () => {
+      const passwordToolKit = createInstance({ random: PasswordToolKit.createSeededRandom(17) });
+      const passwords = await passwordToolKit
+        .generateStream(5000, { size: 4, numbers: true, unique: true })
+        .toArray();
+      assert.strictEqual(passwords.length, 5000);
+      assert.strictEqual(new Set(passwords).size, 5000);
+      passwords.forEach(password => assert.match(password, /^\d{4}$/));
+    });
+
+    it('should pipe the passwords to a writable stream', async () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const lines = [];
+      await pipeline(
+        passwordToolKit
+          .generateStream(100, { size: 12, lowercases: true })
+          .map(password => `${password}\n`),
+        new Writable({
+          write(chunk, encoding, callback) {
+            lines.push(chunk.toString());
+            callback();
+          },
+        }),
+      );
+      assert.strictEqual(lines.length, 100);
+      lines.forEach(line => assert.match(line, /^[a-z]{12}\n$/));
+    });
+
+    it('should check the arguments before creating the stream', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.strictEqual(passwordToolKit.generateStream(10, { size: 0 }), null);
+      assert.throws(() => passwordToolKit.generateStream(1.5, { size: 8 }), THROWS.TYPE_COUNT);
+      assert.throws(
+        () => passwordToolKit.generateStream(11, { size: 1, numbers: true, unique: true }),
+        {
+          name: 'RangeError',
+          message:
+            'The "count" value must not exceed the 10 unique passwords the options can produce.',
+        },
+      );
+    });
+  });
+
+  describe('#generatePassphrase()', () => {
+    it('should return six words from the EFF long wordlist by default', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const { passphrase, entropyBits } = passwordToolKit.generatePassphrase();
+      assert.match(passphrase, /^[a-z]+(-[a-z]+){5}$/);
+      assert.strictEqual(entropyBits, 77.55);
+    });
+
+    it('should pick the words from the EFF short wordlist', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const { passphrase, entropyBits } = passwordToolKit.generatePassphrase({
+        separator: ' ',
+        wordlist: 'eff-short',
+      });
+      assert.match(passphrase, /^[a-z-]{3,5}( [a-z-]{3,5}){5}$/);
+      assert.strictEqual(entropyBits, 62.04);
+    });
+
+    it('should apply the separator, capitalization and inserted characters', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const { passphrase, entropyBits } = passwordToolKit.generatePassphrase({
+        words: 3,
+        separator: ' ',
+        capitalization: 'capitalize',
+        digit: true,
+        symbol: true,
+        wordlist: ['alpha', 'bravo', 'charlie', 'delta'],
+      });
+      assert.match(passphrase, /^([A-Z][a-z]+\d?[\W_]?)( [A-Z][a-z]+\d?[\W_]?){2}$/);
+      assert.match(passphrase, /\d/);
+      assert.strictEqual(entropyBits, 17.49);
+    });
+
+    it('should keep the case of the custom words and count their capitalization', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const { passphrase, entropyBits } = passwordToolKit.generatePassphrase({
+        words: 4,
+        wordlist: ['McIntosh', 'iPhone', 'MCINTOSH', 'eBay'],
+      });
+      assert.match(passphrase, /^(McIntosh|iPhone|eBay)(-(McIntosh|iPhone|eBay)){3}$/);
+      assert.strictEqual(entropyBits, 6.34);
+      const random = passwordToolKit.generatePassphrase({
+        words: 5,
+        capitalization: 'random',
+        wordlist: ['7up', '3m'],
+      });
+      assert.match(random.passphrase, /^(7up|3m)(-(7up|3m)){4}$/);
+      assert.strictEqual(random.entropyBits, 5);
+    });
+
+    it('should return null if the options are invalid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.strictEqual(passwordToolKit.generatePassphrase({ separator: 1 }), null);
+    });
+
+    it('should throw every problem of the options in strict mode', () => {
+      const passwordToolKit = new PasswordToolKit({ ...INSTANCE_OPTIONS, strict: true });
+      assert.throws(() => passwordToolKit.generatePassphrase({ words: 0, separator: 1 }), {
+        name: 'TypeError',
+        code: 'ERR_PTK_INVALID_OPTIONS',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_WORDS',
+            path: 'words',
+            message: 'The "words" option must be an integer from 1 to 32.',
+          },
+          {
+            code: 'ERR_PTK_INVALID_SEPARATOR',
+            path: 'separator',
+            message: 'The "separator" option must be a string.',
+          },
+        ],
+      });
+      assert.ok(passwordToolKit.generatePassphrase({ words: 3 }).passphrase);
+      assert.throws(() => passwordToolKit.generatePassphrase({ words: 1e8 }), {
+        code: 'ERR_PTK_INVALID_OPTIONS',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_WORDS',
+            path: 'words',
+            message: 'The "words" option must be an integer from 1 to 32.',
+          },
+        ],
+      });
+    });
+  });
+
+  describe('#checkPronounceableOptions()', () => {
+    it('should check the shared options like checkOptions()', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.deepStrictEqual(pickResult(passwordToolKit.checkPronounceableOptions({ size: 31 })), {
+        ok: false,
+        reason: 'The password length must be less than specified maximum.',
+      });
+      assert.deepStrictEqual(
+        pickResult(passwordToolKit.checkPronounceableOptions({ size: 8, numbers: 1 })),
+        {
+          ok: false,
+          reason: 'The "numbers" option must be a boolean.',
+        },
+      );
+      assert.deepStrictEqual(pickResult(passwordToolKit.checkPronounceableOptions({ size: 8 })), {
+        ok: true,
+        reason: null,
+      });
+    });
+
+    it('should return an object with ok:false and reason when the options cannot build syllables', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.deepStrictEqual(
+        pickResult(passwordToolKit.checkPronounceableOptions({ size: 8, capitalization: 'camel' })),
+        {
+          ok: false,
+          reason: 'The "capitalization" option must be "lowercase", "syllables" or "random".',
+        },
+      );
+      assert.deepStrictEqual(
+        pickResult(
+          passwordToolKit.checkPronounceableOptions({ size: 3, numbers: true, symbols: true }),
+        ),
+        {
+          ok: false,
+          reason: 'The password length must leave at least 2 letters for the syllables.',
+        },
+      );
+      assert.deepStrictEqual(
+        pickResult(passwordToolKit.checkPronounceableOptions({ size: 8, exclude: 'aeiou' })),
+        {
+          ok: false,
+          reason: 'The "vowels" character set is empty after the exclusions.',
+        },
+      );
+      assert.deepStrictEqual(
+        pickResult(passwordToolKit.checkPronounceableOptions({ size: 8, symbols: '-a' })),
+        {
+          ok: false,
+          reason: 'The "symbols" option must not contain letters.',
+        },
+      );
+    });
+
+    it('should return every problem of the options', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.deepStrictEqual(
+        passwordToolKit.checkPronounceableOptions({ size: 0, numbers: 1, capitalization: 'camel' })
+          .errors,
+        [
+          {
+            code: 'ERR_PTK_INVALID_SIZE',
+            path: 'size',
+            message: 'The password length must be greater than 1.',
+          },
+          {
+            code: 'ERR_PTK_INVALID_NUMBERS',
+            path: 'numbers',
+            message: 'The "numbers" option must be a boolean.',
+          },
+          {
+            code: 'ERR_PTK_INVALID_CAPITALIZATION',
+            path: 'capitalization',
+            message: 'The "capitalization" option must be "lowercase", "syllables" or "random".',
+          },
+        ],
+      );
+      assert.deepStrictEqual(
+        passwordToolKit.checkPronounceableOptions({ size: 3, symbols: '-a', exclude: 'aeiou' })
+          .errors,
+        [
+          {
+            code: 'ERR_PTK_EMPTY_CHARACTER_SET',
+            path: 'exclude',
+            message: 'The "vowels" character set is empty after the exclusions.',
+          },
+          {
+            code: 'ERR_PTK_INVALID_SYMBOLS',
+            path: 'symbols',
+            message: 'The "symbols" option must not contain letters.',
+          },
+        ],
+      );
+    });
+  });
+
+  describe('#generatePronounceable()', () => {
+    const syllable = '[bcdfghjklmnprstvwz][aeiou][bcdfghjklmnprstvwz]?';
+
+    it('should build the password from consonant-vowel syllables', () => {
+      const passwordToolKit = createInstance({ random: PasswordToolKit.createSeededRandom(6) });
+      for (let i = 0; i < 20; i += 1) {
+        const { password } = passwordToolKit.generatePronounceable({ size: 11 });
+        assert.strictEqual(password.length, 11);
+        assert.match(password, new RegExp(`^(${syllable})+$`));
+      }
+    });
+
+    it('should capitalize the syllables and insert the digit and symbol', () => {
+      const passwordToolKit = createInstance({ random: PasswordToolKit.createSeededRandom(7) });
+      const options = { size: 12, numbers: true, symbols: '-_', capitalization: 'syllables' };
+      for (let i = 0; i < 20; i += 1) {
+        const { password } = passwordToolKit.generatePronounceable(options);
+        assert.strictEqual(password.length, 12);
+        assert.strictEqual(password.replace(/\D/g, '').length, 1);
+        assert.strictEqual(password.replace(/[^-_]/g, '').length, 1);
+        const letters = password.replace(/[\d_-]/g, '');
+        assert.match(
+          letters,
+          new RegExp(`^(${syllable.replace('[bcdfghjklmnprstvwz]', '[BCDFGHJKLMNPRSTVWZ]')})+$`),
+        );
+      }
+    });
+
+    it('should report the lowest entropy of the passwords the options can produce', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const letterBits = Math.log2(18) + Math.log2(5);
+      assert.strictEqual(
+        passwordToolKit.generatePronounceable({ size: 4 }).entropyBits,
+        Math.round(2 * letterBits * 100) / 100,
+      );
+      assert.strictEqual(
+        passwordToolKit.generatePronounceable({ size: 5, numbers: true }).entropyBits,
+        Math.round((2 * letterBits + Math.log2(10) + Math.log2(5)) * 100) / 100,
+      );
+      const ambiguous = passwordToolKit.generatePronounceable({ size: 4, excludeAmbiguous: true });
+      assert.strictEqual(
+        ambiguous.entropyBits,
+        Math.round(2 * (Math.log2(17) + Math.log2(5)) * 100) / 100,
+      );
+      assert.doesNotMatch(ambiguous.password, /l/);
+    });
+
+    it('should return the same password for the same seeded random source', () => {
+      const options = { size: 14, numbers: true, capitalization: 'random' };
+      const first = createInstance({ random: PasswordToolKit.createSeededRandom('fixture') });
+      const second = createInstance({ random: PasswordToolKit.createSeededRandom('fixture') });
+      assert.deepStrictEqual(
+        first.generatePronounceable(options),
+        second.generatePronounceable(options),
+      );
+    });
+
+    it('should return null if the options are invalid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.strictEqual(passwordToolKit.generatePronounceable({ size: 1 }), null);
+    });
+
+    it('should throw every problem of the options in strict mode', () => {
+      const passwordToolKit = new PasswordToolKit({ ...INSTANCE_OPTIONS, strict: true });
+      assert.throws(() => passwordToolKit.generatePronounceable({ size: 1, numbers: 1 }), {
+        name: 'TypeError',
+        code: 'ERR_PTK_INVALID_OPTIONS',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_NUMBERS',
+            path: 'numbers',
+            message: 'The "numbers" option must be a boolean.',
+          },
+        ],
+      });
+      assert.throws(() => passwordToolKit.generatePronounceable({ size: 1 }), {
+        code: 'ERR_PTK_INVALID_OPTIONS',
+        message:
+          'The options are not valid: The password length must leave at least 2 letters for the syllables.',
+      });
+      assert.strictEqual(passwordToolKit.generatePronounceable({ size: 8 }).password.length, 8);
+    });
+  });
+
+  describe('#checkPattern()', () => {
+    it('should return an object with ok:true and reason:null if the mask is valid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.deepStrictEqual(passwordToolKit.checkPattern('Aaaa-9999-!!'), {
+        ok: true,
+        reason: null,
+        errors: [],
+      });
+      assert.deepStrictEqual(
+        passwordToolKit.checkPattern('\\[[hex]{8}\\]', { sets: { hex: '0123456789abcdef' } }),
+        { ok: true, reason: null, errors: [] },
+      );
+    });
+
+    it('should return the position of the problem if the mask is malformed', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const cases = [
+        ['', 'The mask must not be empty.'],
+        ['aa\\', 'The escape at position 2 of the mask must be followed by a character.'],
+        [
+          '{4}',
+          'The repetition at position 0 of the mask must follow a placeholder or a character.',
+        ],
+        [
+          '9{2}{2}',
+          'The repetition at position 4 of the mask must follow a placeholder or a character.',
+        ],
+        [
+          'A-9{x}',
+          'The repetition at position 3 of the mask must be a positive integer, e.g. "9{4}".',
+        ],
+        [
+          '9{0}',
+          'The repetition at position 1 of the mask must be a positive integer, e.g. "9{4}".',
+        ],
+        [
+          'A-9{4',
+          'The repetition at position 3 of the mask must be a positive integer, e.g. "9{4}".',
+        ],
+        ['aa[hex', 'The "[" at position 2 of the mask must be closed with "]".'],
+        [
+          'a[hex]',
+          'The "[hex]" placeholder at position 1 of the mask is not defined in the "sets" option.',
+        ],
+        ['9}', 'The "}" at position 1 of the mask must be escaped as "\\}".'],
+        ['9{31}', 'The password length must be less than specified maximum.'],
+      ];
+      cases.forEach(([mask, reason]) => {
+        assert.deepStrictEqual(pickResult(passwordToolKit.checkPattern(mask)), {
+          ok: false,
+          reason,
+        });
+      });
+    });
+
+    it('should return an object with ok:false and reason if the options are invalid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const cases = [
+        [['9999', null], 'Options must be an object.'],
+        [[1234], 'The "mask" value must be a string.'],
+        [['!!', { symbols: true }], 'The "symbols" option must be a string.'],
+        [['aa', { exclude: 1 }], 'The "exclude" option must be a string.'],
+        [['[hex]', { sets: { hex: 1 } }], 'The "sets" option must be an object of strings.'],
+        [
+          ['[numbers]', { sets: { numbers: '01' } }],
+          'The "sets.numbers" name is reserved for a built-in character class.',
+        ],
+        [
+          ['AA-9{4}', { exclude: '0123456789' }],
+          'The "9" placeholder at position 3 of the mask has no characters left after the exclusions.',
+        ],
+      ];
+      cases.forEach(([args, reason]) => {
+        assert.deepStrictEqual(pickResult(passwordToolKit.checkPattern(...args)), {
+          ok: false,
+          reason,
+        });
+      });
+    });
+
+    it('should return every problem of the mask and options', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.deepStrictEqual(
+        passwordToolKit.checkPattern(1234, { symbols: true, sets: { numbers: '01' } }).errors,
+        [
+          {
+            code: 'ERR_PTK_INVALID_MASK',
+            path: 'mask',
+            message: 'The "mask" value must be a string.',
+          },
+          {
+            code: 'ERR_PTK_INVALID_SYMBOLS',
+            path: 'symbols',
+            message: 'The "symbols" option must be a string.',
+          },
+          {
+            code: 'ERR_PTK_INVALID_SETS',
+            path: 'sets.numbers',
+            message: 'The "sets.numbers" name is reserved for a built-in character class.',
+          },
+        ],
+      );
+      assert.deepStrictEqual(
+        passwordToolKit.checkPattern('9{2}-[hex]', { exclude: '0123456789', sets: { hex: '0' } })
+          .errors,
+        [
+          {
+            code: 'ERR_PTK_EMPTY_CHARACTER_SET',
+            path: 'mask',
+            message:
+              'The "9" placeholder at position 0 of the mask has no characters left after the exclusions.',
+          },
+          {
+            code: 'ERR_PTK_EMPTY_CHARACTER_SET',
+            path: 'mask',
+            message:
+              'The "[hex]" placeholder at position 5 of the mask has no characters left after the exclusions.',
+          },
+        ],
+      );
+    });
+  });
+
+  describe('#generateFromPattern()', () => {
+    it('should replace every placeholder with a character of its class', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      for (let i = 0; i < 20; i += 1) {
+        assert.match(
+          passwordToolKit.generateFromPattern('Aaaa-9999-!!'),
+          /^[A-Z][a-z]{3}-\d{4}-[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]{2}$/,
+        );
+        assert.match(
+          passwordToolKit.generateFromPattern('X{4}-X{4}-x{4}'),
+          /^[A-Z\d]{4}-[A-Z\d]{4}-[a-z\d]{4}$/,
+        );
+      }
+    });
+
+    it('should copy the escaped and literal characters as is', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.strictEqual(passwordToolKit.generateFromPattern('\\A\\9\\{-\\\\{3}'), 'A9{-\\\\\\');
+      assert.strictEqual(passwordToolKit.generateFromPattern('ñ{2}👍🏽'), 'ññ👍🏽');
+    });
+
+    it('should use the custom sets, symbols and exclusions', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const options = {
+        sets: { hex: '0123456789abcdef', emoji: '🔥👍🏽' },
+        symbols: '-_',
+        excludeAmbiguous: true,
+      };
+      for (let i = 0; i < 20; i += 1) {
+        const password = passwordToolKit.generateFromPattern('[hex]{6}!{2}[emoji]X{8}', options);
+        assert.match(password, /^[\da-f]{6}[-_]{2}(🔥|👍🏽)[2-9A-HJ-NP-Z]{8}$/u);
+      }
+    });
+
+    it('should return the same password for the same seeded random source', () => {
+      const first = createInstance({ random: PasswordToolKit.createSeededRandom(16) });
+      const second = createInstance({ random: PasswordToolKit.createSeededRandom(16) });
+      assert.strictEqual(first.generateFromPattern('*{20}'), second.generateFromPattern('*{20}'));
+    });
+
+    it('should return null if the mask is malformed', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.strictEqual(passwordToolKit.generateFromPattern('9{4'), null);
+    });
+
+    it('should throw every problem of the mask and options in strict mode', () => {
+      const passwordToolKit = new PasswordToolKit({ ...INSTANCE_OPTIONS, strict: true });
+      assert.throws(() => passwordToolKit.generateFromPattern('9{4', { exclude: 1 }), {
+        name: 'TypeError',
+        code: 'ERR_PTK_INVALID_OPTIONS',
+        errors: [
+          {
+            code: 'ERR_PTK_INVALID_EXCLUDE',
+            path: 'exclude',
+            message: 'The "exclude" option must be a string.',
+          },
+          {
+            code: 'ERR_PTK_INVALID_MASK',
+            path: 'mask',
+            message:
+              'The repetition at position 1 of the mask must be a positive integer, e.g. "9{4}".',
+          },
+        ],
+      });
+      assert.match(passwordToolKit.generateFromPattern('9{4}'), /^\d{4}$/);
+    });
+  });
+
+  describe('#generatePin()', () => {
+    it('should generate PINs of the provided length without predictable patterns', () => {
+      const passwordToolKit = createInstance();
+      assert.match(passwordToolKit.generatePin(), /^\d{6}$/);
+      for (let i = 0; i < 200; i += 1) {
+        const pin = passwordToolKit.generatePin(4);
+        assert.match(pin, /^\d{4}$/);
+        assert.deepStrictEqual(passwordToolKit.evaluatePin(pin).findings, []);
+      }
+      assert.match(passwordToolKit.generatePin(12), /^\d{12}$/);
+    });
+
+    it('should return the same PIN for the same seeded random source', () => {
+      const first = createInstance({ random: PasswordToolKit.createSeededRandom(23) });
+      const second = createInstance({ random: PasswordToolKit.createSeededRandom(23) });
+      assert.strictEqual(first.generatePin(8), second.generatePin(8));
+    });
+
+    it('should throw an error if the length is not valid', () => {
+      const passwordToolKit = createInstance();
+      assert.throws(() => passwordToolKit.generatePin('4'), THROWS.TYPE_PIN_LENGTH);
+      assert.throws(() => passwordToolKit.generatePin(3), THROWS.RANGE_PIN_LENGTH);
+      assert.throws(() => passwordToolKit.generatePin(13), THROWS.RANGE_PIN_LENGTH);
+    });
+  });
+
+  describe('#evaluate()', () => {
+    it('should return the correct evaluation for a password', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const password = 'MyStr0ngP@ssword!';
+
+      const { level, quality, suggestion } = passwordToolKit.evaluate(password);
+      assert.deepStrictEqual(
+        { level, quality, suggestion },
+        {
+          level: 4,
+          quality: 'Alto',
+          suggestion: 'Evitar el uso de caracteres repetidos en la contraseña.',
+        },
+      );
+    });
+
+    it('should return the correct evaluation for a password', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const password = 'Ma$bel-561';
+
+      const { level, quality, suggestion } = passwordToolKit.evaluate(password);
+      assert.deepStrictEqual(
+        { level, quality, suggestion },
+        {
+          level: 5,
+          quality: 'Perfecto',
+          suggestion: '¡Excelente! La contraseña es segura.',
+        },
+      );
+    });
+
+    it('should reject common passwords after stripping their suffix', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      ['Password1!', 'Qwerty123$', 'Letmein#2024'].forEach(password => {
+        const { level, suggestion } = passwordToolKit.evaluate(password);
+        assert.strictEqual(level, 1);
+        assert.strictEqual(
+          suggestion,
+          'Evite usar contraseñas comunes o palabras fáciles de adivinar.',
+        );
+      });
+    });
+
+    it('should reject passwords that contain a word of the extra dictionaries', () => {
+      const passwordToolKit = createInstance({
+        ...INSTANCE_OPTIONS,
+        dictionaries: { company: ['Acme', 'RoadRunner'] },
+        messages: { blocklisted: 'Evite el nombre de la empresa.' },
+      });
+      const result = passwordToolKit.evaluate('I<3acme-2024');
+      assert.strictEqual(result.level, 1);
+      assert.strictEqual(result.quality, 'Bajo');
+      assert.strictEqual(result.suggestion, 'Evite el nombre de la empresa.');
+      assert.strictEqual(passwordToolKit.evaluate('Ma$bel-561').level, 5);
+    });
+
+    it('should detect straight, turning and shifted keyboard walks', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.evaluate('1qaZ@wsx!Xb');
+      assert.strictEqual(result.level, 3);
+      assert.strictEqual(result.quality, 'Medio');
+      assert.strictEqual(
+        result.suggestion,
+        'Evite usar secuencias de teclas contiguas, como "qwerty" o "1qaz".',
+      );
+      assert.deepStrictEqual(
+        result.matches.map(({ token, start, end, layout, turns, shifted }) => ({
+          token,
+          start,
+          end,
+          layout,
+          turns,
+          shifted,
+        })),
+        [
+          { token: '1qaZ', start: 0, end: 4, layout: 'qwerty', turns: 1, shifted: 1 },
+          { token: '@wsx', start: 4, end: 8, layout: 'qwerty', turns: 1, shifted: 1 },
+        ],
+      );
+      const [turning] = passwordToolKit.evaluate('Xy!ghjU7mk').matches;
+      assert.deepStrictEqual([turning.token, turning.turns], ['ghjU7', 2]);
+    });
+
+    it('should detect keyboard walks of other layouts and lower the entropy', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const azerty = passwordToolKit.evaluate('Kd!wxcv9P');
+      const keypad = passwordToolKit.evaluate('Kd!74125P');
+      assert.deepStrictEqual(
+        [azerty.matches[0].token, azerty.matches[0].layout],
+        ['wxcv', 'azerty'],
+      );
+      assert.deepStrictEqual(
+        [keypad.matches[0].token, keypad.matches[0].layout],
+        ['74125', 'keypad'],
+      );
+      assert.ok(keypad.entropyBits < passwordToolKit.evaluate('Kd!70295P').entropyBits);
+    });
+
+    it('should only search the keyboard layouts of the settings', () => {
+      const passwordToolKit = createInstance({ ...INSTANCE_OPTIONS, layouts: ['qwerty'] });
+      const result = passwordToolKit.evaluate('Kd!wxcv9P');
+      assert.deepStrictEqual(result.matches, []);
+      assert.notStrictEqual(result.level, 3);
+    });
+
+    it('should detect ascending and descending sequences', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.evaluate('Xy!abcdefK9');
+      assert.strictEqual(result.level, 3);
+      assert.strictEqual(
+        result.suggestion,
+        'Evite usar secuencias de caracteres, como "abcd" o "9876".',
+      );
+      assert.deepStrictEqual(result.matches, [
+        {
+          type: 'sequence',
+          token: 'abcdef',
+          start: 3,
+          end: 9,
+          ascending: true,
+          entropyBits: 2 + Math.log2(6),
+        },
+      ]);
+      const descending = passwordToolKit
+        .evaluate('Xy!9!8765')
+        .matches.find(match => match.type === 'sequence');
+      assert.deepStrictEqual([descending.token, descending.ascending], ['8765', false]);
+    });
+
+    it('should detect calendar dates in common formats and years', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      [
+        ['19871231', '19871231', ''],
+        ['Kd!31/12/1987', '31/12/1987', '/'],
+        ['Kd!12.31.87Px', '12.31.87', '.'],
+        ['Kd!311287Px', '311287', ''],
+      ].forEach(([password, token, separator]) => {
+        const date = passwordToolKit
+          .evaluate(password)
+          .matches.find(match => match.type === 'date');
+        assert.deepStrictEqual(
+          { type: date.type, token: date.token, separator: date.separator },
+          { type: 'date', token, separator },
+        );
+        assert.deepStrictEqual([date.year, date.month, date.day], [1987, 12, 31]);
+      });
+      const result = passwordToolKit.evaluate('Ma$bel-1987');
+      assert.strictEqual(result.level, 4);
+      assert.strictEqual(result.suggestion, 'Evite usar fechas y años, son fáciles de adivinar.');
+      assert.deepStrictEqual(
+        result.matches.map(({ type, token, start, end }) => ({ type, token, start, end })),
+        [{ type: 'year', token: '1987', start: 7, end: 11 }],
+      );
+      assert.deepStrictEqual(passwordToolKit.evaluate('Kd!99/99/1987').matches[0].type, 'year');
+    });
+
+    it('should undo leetspeak substitutions before the dictionary and sequence checks', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.evaluate('P@55w0rd');
+      assert.strictEqual(result.level, 1);
+      assert.strictEqual(result.matches[0].word, 'password');
+      assert.deepStrictEqual(result.matches[0].substitutions, { '@': 'a', 5: 's', 0: 'o' });
+      assert.ok(result.entropyBits < 8);
+      const [sequence] = passwordToolKit.evaluate('Kd@bcd-Rx9!').matches;
+      assert.deepStrictEqual([sequence.type, sequence.token], ['sequence', '@bcd']);
+    });
+
+    it('should penalize passwords that contain the user inputs or their variants', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const context = { userInputs: ['John Smith', 'john.smith@example.com', 'jsmith', 'Acme'] };
+      [
+        ['Jsmith#2024x', 'jsmith', false],
+        ['Htimsj!Vq7x', 'jsmith', true],
+        ['J5m1th#Vq7x', 'jsmith', false],
+        ['xJOHNSMITH9!', 'johnsmith', false],
+        ['Vq7!john.smith', 'john.smith', false],
+        ['Vq7!em(a', 'acme', true],
+      ].forEach(([password, input, reversed]) => {
+        const result = passwordToolKit.evaluate(password, context);
+        const match = result.matches.find(({ type }) => type === 'userInput');
+        assert.strictEqual(result.level, 1);
+        assert.strictEqual(
+          result.suggestion,
+          'Evite usar información personal, como su nombre, correo o nombre de usuario.',
+        );
+        assert.deepStrictEqual([match.input, match.reversed], [input, reversed]);
+        assert.ok(result.entropyBits < passwordToolKit.evaluate(password).entropyBits);
+      });
+      assert.strictEqual(passwordToolKit.evaluate('Ma$bel-561', context).level, 5);
+    });
+
+    it('should throw a TypeError if the context is not valid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.throws(() => passwordToolKit.evaluate('Ma$bel-561', null), THROWS.TYPE_CONTEXT);
+      assert.throws(
+        () => passwordToolKit.evaluate('Ma$bel-561', { userInputs: 'jsmith' }),
+        THROWS.TYPE_USER_INPUTS,
+      );
+    });
+
+    it('should return the entropy, guesses and crack times of a password', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.evaluate('40172956');
+      assert.strictEqual(result.entropyBits, 26.58);
+      assert.strictEqual(result.guesses, 100000000);
+      assert.deepStrictEqual(result.crackTimes.offlineSlowHash, {
+        seconds: 10000,
+        display: '3 horas',
+      });
+      assert.strictEqual(result.crackTimes.offlineFastHash.display, 'menos de un segundo');
+      assert.strictEqual(result.crackTimes.onlineThrottled.display, 'siglos');
+    });
+
+    it('should display the crack times in the locale of the context', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const displays = ['es', 'fr', 'de', 'pt-BR'].map(locale => {
+        const { crackTimes } = passwordToolKit.evaluateDetailed('40172956', { locale });
+        return [
+          crackTimes.offlineSlowHash.display,
+          crackTimes.offlineFastHash.display,
+          crackTimes.onlineThrottled.display,
+        ];
+      });
+      assert.deepStrictEqual(displays, [
+        ['3 horas', 'menos de un segundo', 'siglos'],
+        ['3 heures', "moins d'une seconde", 'des siècles'],
+        ['3 Stunden', 'weniger als eine Sekunde', 'Jahrhunderte'],
+        ['3 horas', 'menos de um segundo', 'séculos'],
+      ]);
+      const custom = createInstance({ locales: { en: { 'time.hours': '{count} h' } } });
+      assert.strictEqual(custom.evaluate('40172956').crackTimes.offlineSlowHash.display, '3 h');
+    });
+
+    it('should keep the estimate of a very long password finite', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.evaluate('kX9#mQ2$vL7!pR4@wZ8^nT3&hB6*'.repeat(8));
+      assert.ok(result.entropyBits > 1024);
+      assert.strictEqual(result.guesses, Number.MAX_VALUE);
+      const serialized = JSON.parse(JSON.stringify(result));
+      assert.strictEqual(serialized.guesses, Number.MAX_VALUE);
+      Object.values(serialized.crackTimes).forEach(({ seconds, display }) => {
+        assert.ok(Number.isFinite(seconds) && seconds > 0);
+        assert.strictEqual(display, 'siglos');
+      });
+      assert.strictEqual(serialized.crackTimes.onlineThrottled.seconds, Number.MAX_VALUE);
+    });
+
+    it('should estimate a long random password stronger than a short one', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const short = passwordToolKit.evaluate('Ma$bel-561');
+      const long = passwordToolKit.evaluate('kX9#mQ2$vL7!pR4@wZ8^nT3&hB6*');
+      assert.ok(long.entropyBits > short.entropyBits * 2);
+      assert.ok(long.guesses > short.guesses);
+    });
+
+    it('should return the texts of the locale of the context', () => {
+      const passwordToolKit = new PasswordToolKit();
+      const french = passwordToolKit.evaluate('abc', { locale: 'fr' });
+      assert.strictEqual(french.quality, 'non sûr');
+      assert.strictEqual(french.suggestion, 'Le mot de passe doit contenir au moins 8 caractères.');
+      const german = passwordToolKit.evaluate('Ma$bel-561', { locale: 'de' });
+      assert.strictEqual(german.quality, 'perfekt');
+      assert.strictEqual(german.suggestion, 'Ausgezeichnet! Das Passwort ist sicher.');
+      const brazilian = passwordToolKit.evaluate('mabelita', { locale: 'pt-BR' });
+      assert.strictEqual(brazilian.quality, 'baixo');
+      assert.strictEqual(passwordToolKit.evaluate('abc').quality, 'insecure');
+    });
+
+    it('should merge custom locales and fall back to the default locale', () => {
+      const passwordToolKit = createInstance({
+        ...INSTANCE_OPTIONS,
+        locales: {
+          'es-MX': { 'suggestion.tooShort': 'Usa {min} caracteres o más, porfa.' },
+          it: { 'quality.insecure': 'insicuro' },
+        },
+      });
+      const mexican = passwordToolKit.evaluate('abc', { locale: 'es-MX' });
+      assert.strictEqual(mexican.suggestion, 'Usa 8 caracteres o más, porfa.');
+      assert.strictEqual(mexican.quality, 'Inseguro');
+      const italian = passwordToolKit.evaluate('abc', { locale: 'it' });
+      assert.strictEqual(italian.quality, 'insicuro');
+      assert.strictEqual(italian.suggestion, INSTANCE_OPTIONS.suggestions[0]);
+    });
+
+    it('should throw if the locale of the context is not valid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.throws(
+        () => passwordToolKit.evaluate('Ma$bel-561', { locale: 1 }),
+        THROWS.TYPE_LOCALE,
+      );
+      assert.throws(
+        () => passwordToolKit.evaluate('Ma$bel-561', { locale: 'it' }),
+        THROWS.RANGE_LOCALE,
+      );
+    });
+
+    it('should throw if the password rules of the context are not valid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.throws(
+        () => passwordToolKit.evaluate('Ma$bel-561', { passwordRules: ['minlength: 8'] }),
+        THROWS.TYPE_PASSWORD_RULES,
+      );
+      assert.throws(
+        () => passwordToolKit.evaluate('Ma$bel-561', { passwordRules: 'minlength 8' }),
+        {
+          name: 'TypeError',
+          code: 'ERR_PTK_INVALID_PASSWORD_RULES',
+          message: 'Expected ":" after "minlength" at position 10 of the password rules.',
+        },
+      );
+    });
+
+    it('should throw a TypeError if password is not a string', () => {
+      assert.throws(() => {
+        const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+        passwordToolKit.evaluate(true);
+      }, THROWS.TYPE_PASSWORD);
+    });
+  });
+
+  describe('#evaluateDetailed()', () => {
+    it('should return every failed check with its code, severity and suggestion', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.evaluateDetailed('abc');
+      assert.deepStrictEqual(result.findings, [
+        {
+          code: 'TOO_SHORT',
+          severity: 'high',
+          suggestion: 'La contraseña debe tener al menos 8 caracteres.',
+        },
+        {
+          code: 'NO_MIXED_CASE',
+          severity: 'medium',
+          suggestion:
+            'Agregue letras mayúsculas y minúsculas para que la contraseña sea más segura.',
+        },
+        {
+          code: 'NO_DIGIT',
+          severity: 'medium',
+          suggestion: 'Agregue números para que la contraseña sea más segura.',
+        },
+        {
+          code: 'NO_SYMBOL',
+          severity: 'medium',
+          suggestion: 'Agregue símbolos para que la contraseña sea más segura.',
+        },
+      ]);
+      assert.strictEqual(result.score, 0);
+    });
+
+    it('should keep the level, quality and suggestion of evaluate()', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      ['abc', 'P@55w0rd', 'Xy!abcdefK9', 'MyStr0ngP@ssword!', 'Ma$bel-561'].forEach(password => {
+        const { level, quality, suggestion, entropyBits } = passwordToolKit.evaluate(password);
+        const detailed = passwordToolKit.evaluateDetailed(password);
+        assert.deepStrictEqual(
+          {
+            level: detailed.level,
+            quality: detailed.quality,
+            suggestion: detailed.suggestion,
+            entropyBits: detailed.entropyBits,
+          },
+          { level, quality, suggestion, entropyBits },
+        );
+      });
+      assert.deepStrictEqual(passwordToolKit.evaluateDetailed('Ma$bel-561').findings, []);
+    });
+
+    it('should return a higher score for a stronger password', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const weak = passwordToolKit.evaluateDetailed('Password1');
+      const good = passwordToolKit.evaluateDetailed('Ma$bel-561');
+      const strong = passwordToolKit.evaluateDetailed('kX9#mQ2$vL7!pR4@wZ8^nT3&hB6*');
+      assert.ok(weak.score < good.score && good.score < strong.score);
+      assert.ok(strong.score <= 100 && weak.score >= 0);
+    });
+
+    it('should accept the same context as evaluate()', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const { findings } = passwordToolKit.evaluateDetailed('Jsmith#2024x', {
+        userInputs: ['jsmith'],
+      });
+      assert.deepStrictEqual(
+        findings.map(({ code }) => code),
+        ['USER_INPUT', 'KEYBOARD_WALK', 'REPEATED_CHARS', 'DATE', 'COMMON_PATTERN'],
+      );
+      assert.throws(() => passwordToolKit.evaluateDetailed('Ma$bel-561', []), THROWS.TYPE_CONTEXT);
+    });
+
+    it('should find the passwords that do not follow the password rules of the context', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const passwordRules = 'required: lower; required: upper; allowed: digit, [$-]; maxlength: 10';
+      assert.deepStrictEqual(
+        passwordToolKit.evaluateDetailed('Ma$bel-561', { passwordRules }).findings,
+        [],
+      );
+      ['Ma$bel-5617', 'Ma$bel_561', 'ma$bel-561'].forEach(password => {
+        const { level, findings } = passwordToolKit.evaluateDetailed(password, { passwordRules });
+        assert.strictEqual(level, 0);
+        assert.deepStrictEqual(findings[0], {
+          code: 'PASSWORD_RULES',
+          severity: 'high',
+          suggestion: 'La contraseña no cumple las reglas de contraseña.',
+        });
+      });
+      assert.strictEqual(
+        passwordToolKit.evaluateDetailed('Ma€bel-561', { passwordRules: 'allowed: unicode' })
+          .findings.length,
+        0,
+      );
+    });
+  });
+
+  describe('#evaluatePin()', () => {
+    const passwordToolKit = createInstance();
+    const codesOf = pin => passwordToolKit.evaluatePin(pin).findings.map(({ code }) => code);
+
+    it('should find the common PINs, repeats and sequences', () => {
+      assert.deepStrictEqual(codesOf('1234'), ['COMMON_PIN', 'SEQUENCE']);
+      assert.deepStrictEqual(codesOf('1212'), ['REPEATED_DIGITS', 'DATE']);
+      assert.deepStrictEqual(codesOf('883883'), ['REPEATED_DIGITS']);
+      assert.deepStrictEqual(codesOf('5566'), ['REPEATED_DIGITS']);
+      assert.deepStrictEqual(codesOf('7890'), ['SEQUENCE', 'KEYPAD_PATTERN']);
+      assert.deepStrictEqual(codesOf('97531'), ['SEQUENCE']);
+    });
+
+    it('should find the dates and years', () => {
+      assert.deepStrictEqual(codesOf('0412'), ['DATE']);
+      assert.deepStrictEqual(codesOf('3112'), ['DATE']);
+      assert.deepStrictEqual(codesOf('1987'), ['DATE']);
+      assert.deepStrictEqual(codesOf('311287'), ['DATE']);
+      assert.deepStrictEqual(codesOf('19871231'), ['DATE']);
+      assert.deepStrictEqual(codesOf('3232'), ['REPEATED_DIGITS']);
+    });
+
+    it('should find the keypad patterns', () => {
+      assert.deepStrictEqual(codesOf('2580'), ['COMMON_PIN', 'KEYPAD_PATTERN']);
+      assert.deepStrictEqual(codesOf('1236'), ['KEYPAD_PATTERN']);
+      assert.deepStrictEqual(codesOf('9514'), ['KEYPAD_PATTERN']);
+      assert.deepStrictEqual(codesOf('1397'), ['KEYPAD_PATTERN']);
+      assert.deepStrictEqual(codesOf('7413'), []);
+    });
+
+    it('should only check the repeats of the PINs longer than 12 digits', () => {
+      assert.deepStrictEqual(codesOf('1234567890123'), []);
+      assert.deepStrictEqual(codesOf('1212121212121212'), ['REPEATED_DIGITS']);
+      assert.deepStrictEqual(codesOf(`${'1'.repeat(50000)}2`), []);
+      assert.deepStrictEqual(codesOf('48315'.repeat(10000)), ['REPEATED_DIGITS']);
+      assert.strictEqual(passwordToolKit.evaluatePin('4831592607135').level, 5);
+    });
+
+    it('should give the level of the first finding, or of the length', () => {
+      assert.deepStrictEqual(passwordToolKit.evaluatePin('2580'), {
+        level: 0,
+        quality: 'insecure',
+        suggestion: 'Avoid using common PINs, such as "1234" or "0000".',
+        findings: [
+          {
+            code: 'COMMON_PIN',
+            severity: 'high',
+            suggestion: 'Avoid using common PINs, such as "1234" or "0000".',
+          },
+          {
+            code: 'KEYPAD_PATTERN',
+            severity: 'medium',
+            suggestion: 'Avoid using patterns on the keypad, such as "2580" or "1397".',
+          },
+        ],
+      });
+      assert.strictEqual(passwordToolKit.evaluatePin('0412').level, 1);
+      assert.strictEqual(
+        passwordToolKit.evaluatePin('12').suggestion,
+        'The PIN must have at least 4 digits.',
+      );
+      assert.deepStrictEqual(
+        ['4831', '804157', '48315926', '4831592607'].map(
+          pin => passwordToolKit.evaluatePin(pin).level,
+        ),
+        [2, 3, 4, 5],
+      );
+      assert.strictEqual(
+        passwordToolKit.evaluatePin('4831').suggestion,
+        'Use a longer PIN to make it harder to guess.',
+      );
+      assert.strictEqual(
+        passwordToolKit.evaluatePin('4831592607').suggestion,
+        'Excellent! The PIN is hard to guess.',
+      );
+    });
+
+    it('should translate the result to the locale of the context', () => {
+      const { quality, suggestion } = passwordToolKit.evaluatePin('1397', { locale: 'es' });
+      assert.strictEqual(quality, 'bajo');
+      assert.strictEqual(
+        suggestion,
+        'Evite usar patrones del teclado numérico, como "2580" o "1397".',
+      );
+    });
+
+    it('should throw an error if the PIN is not valid', () => {
+      assert.throws(() => passwordToolKit.evaluatePin(1234), THROWS.TYPE_PIN);
+      assert.throws(() => passwordToolKit.evaluatePin('12a4'), THROWS.TYPE_PIN);
+      assert.throws(() => passwordToolKit.evaluatePin(''), THROWS.TYPE_PIN);
+      assert.throws(() => passwordToolKit.evaluatePin('4831', []), THROWS.TYPE_CONTEXT);
+    });
+  });
+
+  describe('#createMeter()', () => {
+    const passwordToolKit = createInstance();
+    const pick = ({ level, quality, suggestion, findings, score }) => ({
+      level,
+      quality,
+      suggestion,
+      findings,
+      score,
+    });
+
+    it('should follow evaluateDetailed() on every append and delete', () => {
+      const context = { userInputs: ['mabel'] };
+      const meter = passwordToolKit.createMeter(context);
+      const steps = [
+        () => meter.append('M'),
+        () => meter.append('abel'),
+        () => meter.append('!!!'),
+        () => meter.delete(),
+        () => meter.append('qwerty'),
+        () => meter.delete(4),
+        () => meter.append('1987abcd'),
+        () => meter.set('Mabel-561'),
+        () => meter.set('kX9#mQ2$vL7!pR4@'),
+        () => meter.delete(100),
+      ];
+      steps.forEach(step => {
+        const reading = step();
+        assert.deepStrictEqual(
+          pick(reading),
+          pick(passwordToolKit.evaluateDetailed(meter.value, context)),
+        );
+      });
+      assert.strictEqual(meter.value, '');
+    });
+
+    it('should return the spans of the weak parts of the password', () => {
+      const meter = passwordToolKit.createMeter({ userInputs: ['mabel'] });
+      const { spans } = meter.append('Mabel!!!qwerty1987abcd');
+      assert.deepStrictEqual(spans, [
+        { type: 'userInput', code: 'USER_INPUT', start: 0, end: 5, token: 'Mabel' },
+        { type: 'pattern', code: 'COMMON_PATTERN', start: 0, end: 5, token: 'Mabel' },
+        { type: 'repeat', code: 'REPEATED_CHARS', start: 5, end: 8, token: '!!!' },
+        { type: 'keyboard', code: 'KEYBOARD_WALK', start: 7, end: 14, token: '!qwerty' },
+        { type: 'pattern', code: 'COMMON_PATTERN', start: 8, end: 14, token: 'qwerty' },
+        { type: 'year', code: 'DATE', start: 14, end: 18, token: '1987' },
+        { type: 'pattern', code: 'COMMON_PATTERN', start: 14, end: 18, token: '1987' },
+        { type: 'sequence', code: 'SEQUENCE', start: 18, end: 22, token: 'abcd' },
+        { type: 'pattern', code: 'COMMON_PATTERN', start: 18, end: 22, token: 'abcd' },
+      ]);
+      assert.deepStrictEqual(meter.delete(19).spans, []);
+      assert.deepStrictEqual(meter.append('aaa').spans, [
+        { type: 'pattern', code: 'COMMON_PATTERN', start: 0, end: 6, token: 'Mabaaa' },
+        { type: 'repeat', code: 'REPEATED_CHARS', start: 3, end: 6, token: 'aaa' },
+      ]);
+    });
+
+    it('should return the spans of the runs that follow a common pattern', () => {
+      const pattern = ({ type, token }) => type === 'pattern' && token;
+      const meter = passwordToolKit.createMeter();
+      assert.deepStrictEqual(meter.append('aaaqwerty2019').spans.map(pattern).filter(Boolean), [
+        'aaaqwerty',
+        '2019',
+      ]);
+      assert.deepStrictEqual(meter.set('x7#Zz9!').spans, [
+        { type: 'pattern', code: 'COMMON_PATTERN', start: 0, end: 1, token: 'x' },
+        { type: 'pattern', code: 'COMMON_PATTERN', start: 1, end: 2, token: '7' },
+        { type: 'pattern', code: 'COMMON_PATTERN', start: 3, end: 5, token: 'Zz' },
+        { type: 'pattern', code: 'COMMON_PATTERN', start: 5, end: 6, token: '9' },
+      ]);
+      assert.deepStrictEqual(meter.set('Vq#kL!2$x').spans, []);
+    });
+
+    it('should translate the readings to the locale of the context', () => {
+      const meter = passwordToolKit.createMeter({ locale: 'es' });
+      assert.strictEqual(meter.append('abc').quality, 'inseguro');
+    });
+
+    it('should throw an error if the context or the input is not valid', () => {
+      assert.throws(() => passwordToolKit.createMeter([]), THROWS.TYPE_CONTEXT);
+      assert.throws(() => passwordToolKit.createMeter({ locale: 'xx' }), THROWS.RANGE_LOCALE);
+      const meter = passwordToolKit.createMeter();
+      assert.throws(() => meter.append(1), THROWS.TYPE_TEXT);
+      assert.throws(() => meter.delete('1'), THROWS.TYPE_COUNT);
+      assert.throws(() => meter.delete(-1), THROWS.RANGE_COUNT);
+      assert.throws(() => meter.set(null), THROWS.TYPE_PASSWORD);
+    });
+  });
+
+  describe('#use()', () => {
+    const ticker = {
+      id: 'TICKER',
+      test: password => password.toLowerCase().includes('acme'),
+      severity: 'high',
+      message: 'rule.ticker',
+    };
+    const digits = {
+      id: 'DIGIT_RUN',
+      test: password => /\d{4}/.test(password),
+      weight: 10,
+      message: 'Use no more than {max} digits in a row.',
+      values: { max: 3 },
+    };
+
+    it('should run the custom rules alongside the built-in checks', () => {
+      const passwordToolKit = createInstance({
+        locales: { en: { 'rule.ticker': 'Do not use our ticker symbol.' } },
+      });
+      passwordToolKit.use(ticker).use(digits);
+      const result = passwordToolKit.evaluate('Acme#Rocket!5');
+      assert.strictEqual(result.level, 1);
+      assert.strictEqual(result.suggestion, 'Do not use our ticker symbol.');
+      const detailed = passwordToolKit.evaluateDetailed('Vq7#kLp2!x5830');
+      assert.deepStrictEqual(
+        detailed.findings.map(({ code }) => code),
+        ['COMMON_PATTERN', 'DIGIT_RUN'],
+      );
+      assert.strictEqual(detailed.findings[1].severity, 'low');
+      assert.strictEqual(detailed.findings[1].suggestion, 'Use no more than 3 digits in a row.');
+      assert.strictEqual(passwordToolKit.evaluate('Ma$bel-561').level, 5);
+    });
+
+    it('should accept the rules and the disabled checks as settings', () => {
+      const passwordToolKit = createInstance({
+        rules: [
+          { ...ticker, test: (password, { userInputs = [] }) => userInputs.includes('admin') },
+        ],
+        disabledRules: ['NO_SYMBOL', 'DATE', 'COMMON_PATTERN'],
+      });
+      assert.strictEqual(passwordToolKit.evaluate('MabelX561').level, 5);
+      assert.strictEqual(passwordToolKit.evaluate('Mabel1987x').level, 5);
+      assert.strictEqual(
+        passwordToolKit.evaluate('MabelX561', { userInputs: ['admin'] }).suggestion,
+        'rule.ticker',
+      );
+    });
+
+    it('should throw if a rule is not valid or already registered', () => {
+      const passwordToolKit = new PasswordToolKit();
+      assert.throws(() => passwordToolKit.use({ ...ticker, severity: 'critical' }), {
+        name: 'TypeError',
+        message: 'The "severity" of the "TICKER" rule must be one of: high, medium, low.',
+      });
+      assert.throws(() => passwordToolKit.use({ id: 'TICKER', test: () => true, message: 'x' }), {
+        name: 'TypeError',
+        message: 'The "TICKER" rule must declare a "severity" or a "weight".',
+      });
+      assert.throws(() => passwordToolKit.use({ ...ticker, id: 'NO_DIGIT' }), {
+        name: 'RangeError',
+        code: 'ERR_PTK_DUPLICATE_RULE',
+        message: 'The "NO_DIGIT" rule is already registered.',
+      });
+      assert.throws(() => createInstance({ rules: [ticker, ticker] }), {
+        name: 'RangeError',
+        message: 'The "TICKER" rule is already registered.',
+      });
+      assert.throws(() => createInstance({ disabledRules: ['NO_EMOJI'] }), {
+        name: 'RangeError',
+        message:
+          'All "disabledRules" values must be one of: TOO_SHORT, PASSWORD_RULES, BLOCKLISTED, USER_INPUT, PREVIOUS_PASSWORD, NO_MIXED_CASE, NO_DIGIT, NO_SYMBOL, KEYBOARD_WALK, SEQUENCE, REPEATED_CHARS, DATE, COMMON_PATTERN.',
+      });
+    });
+  });
+
+  describe('#validate()', () => {
+    it('should return every violation of the policy', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const result = passwordToolKit.validate('aaab', 'legacy-complexity');
+      assert.strictEqual(result.ok, false);
+      assert.deepStrictEqual(result.violations, [
+        { code: 'TOO_SHORT', message: 'La contraseña debe tener al menos 8 caracteres.', min: 8 },
+        { code: 'NO_UPPERCASE', message: 'La contraseña debe contener una letra mayúscula.' },
+        { code: 'NO_DIGIT', message: 'La contraseña debe contener un número.' },
+        { code: 'NO_SYMBOL', message: 'La contraseña debe contener un símbolo.' },
+        {
+          code: 'REPEATED_CHARS',
+          message: 'La contraseña no debe repetir un carácter más de 2 veces seguidas.',
+          max: 2,
+        },
+      ]);
+      assert.deepStrictEqual(passwordToolKit.validate('Ma$bel-561', 'legacy-complexity'), {
+        ok: true,
+        violations: [],
+      });
+    });
+
+    it('should apply the NIST SP 800-63B and PCI DSS presets', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const codes = (password, policy, context) =>
+        passwordToolKit.validate(password, policy, context).violations.map(({ code }) => code);
+      assert.deepStrictEqual(codes('correct horse battery', 'nist-800-63b'), []);
+      assert.deepStrictEqual(codes('P@55w0rd', 'nist-800-63b'), ['BLOCKLISTED']);
+      assert.deepStrictEqual(codes('x'.repeat(65), 'nist-800-63b'), ['TOO_LONG']);
+      assert.deepStrictEqual(codes('jsmith-is-here', 'nist-800-63b', { userInputs: ['jsmith'] }), [
+        'USER_INPUT',
+      ]);
+      assert.deepStrictEqual(codes('correct horse battery', 'pci-dss'), ['NO_DIGIT']);
+      assert.deepStrictEqual(codes('correct horse 42', 'pci-dss'), []);
+    });
+
+    it('should validate a custom policy that extends a preset', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      const policy = {
+        extends: 'pci-dss',
+        minClasses: 3,
+        forbiddenChars: ' "',
+        blocklist: { words: ['acme'] },
+      };
+      const { violations } = passwordToolKit.validate('I love @cme "co" 111', policy);
+      assert.deepStrictEqual(
+        violations.map(({ code }) => code),
+        ['FORBIDDEN_CHARS', 'BLOCKLISTED'],
+      );
+      assert.strictEqual(violations[0].chars, ' "');
+      assert.strictEqual(passwordToolKit.validate('abcdefghijk1', policy).violations[0].min, 3);
+    });
+
+    it('should return the violations in the locale of the context', () => {
+      const passwordToolKit = new PasswordToolKit();
+      const { violations } = passwordToolKit.validate('secret', 'pci-dss', { locale: 'es' });
+      assert.deepStrictEqual(
+        violations.map(({ message }) => message),
+        [
+          'La contraseña debe tener al menos 12 caracteres.',
+          'La contraseña debe contener un número.',
+        ],
+      );
+    });
+
+    it('should count the length in code points', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.strictEqual(passwordToolKit.validate('😀😀😀😀😀😀😀', { minLength: 8 }).ok, false);
+      assert.strictEqual(passwordToolKit.validate('ñandú123', 'nist-800-63b').ok, true);
+    });
+
+    it('should throw a TypeError if the policy is not valid', () => {
+      const passwordToolKit = new PasswordToolKit(INSTANCE_OPTIONS);
+      assert.throws(() => passwordToolKit.validate('Ma$bel-561', 'unknown'), {
+        name: 'TypeError',
+        message: 'The policy preset must be one of: nist-800-63b, pci-dss, legacy-complexity.',
+      });
+    });
+
+    it('should expose frozen presets', () => {
+      assert.strictEqual(PasswordToolKit.policies['pci-dss'].minLength, 12);
+      assert.ok(Object.isFrozen(PasswordToolKit.policies['nist-800-63b'].blocklist));
+    });
+  });
+
+  describe('#evaluateAsync()', () => {
+    const breached = createRange('Ma$bel-561', 42);
+    let directory;
+    let server;
+    let url;
+
+    before(async () => {
+      directory = mkdtempSync(join(tmpdir(), 'pwned-passwords-'));
+      writeFileSync(
+        join(directory, `${breached.prefix}.txt`),
+        `0000000000000000000000000000000000A:3\r\n${breached.line}\r\n`,
+      );
+      server = http.createServer((request, response) => {
+        if (request.url.startsWith('/down/')) {
+          response.statusCode = 503;
+          response.end();
+          return;
+        }
+        if (request.url.startsWith('/slow/')) {
+          return;
+        }
+        const prefix = request.url.split('/').pop();
+        response.end(prefix === breached.prefix ? breached.line : '');
+      });
+      await new Promise(resolve => {
+        server.listen(0, '127.0.0.1', resolve);
+      });
+      url = `http://127.0.0.1:${server.address().port}/range/`;
+    });
+
+    after(() => {
+      rmSync(directory, { recursive: true, force: true });
+      server.close();
+    });
+
+    it('should downgrade a breached password found in the range files', async () => {
+      const breachProvider = PasswordToolKit.createFileRangeProvider(directory);
+      const passwordToolKit = createInstance({ ...INSTANCE_OPTIONS, breachProvider });
+      const result = await passwordToolKit.evaluateAsync('Ma$bel-561');
+      assert.strictEqual(passwordToolKit.evaluate('Ma$bel-561').level, 5);
+      assert.strictEqual(result.level, 1);
+      assert.strictEqual(result.quality, 'Bajo');
+      assert.strictEqual(result.breaches, 42);
+      assert.strictEqual(
+        result.suggestion,
+        'Esta contraseña ha aparecido en una filtración de datos, elija otra.',
+      );
+    });
+
+    it('should keep the evaluation of a password that is not breached', async () => {
+      const breachProvider = PasswordToolKit.createFileRangeProvider(directory);
+      const passwordToolKit = createInstance({ ...INSTANCE_OPTIONS, breachProvider });
+      const result = await passwordToolKit.evaluateAsync('Vq7#kLp2!x');
+      assert.strictEqual(result.level, passwordToolKit.evaluate('Vq7#kLp2!x').level);
+      assert.strictEqual(result.breaches, 0);
+    });
+
+    it('should return the breach suggestion in the locale of the context', async () => {
+      const breachProvider = PasswordToolKit.createFileRangeProvider(directory);
+      const passwordToolKit = createInstance({ breachProvider });
+      const result = await passwordToolKit.evaluateAsync('Ma$bel-561', { locale: 'pt' });
+      assert.strictEqual(result.quality, 'baixo');
+      assert.strictEqual(
+        result.suggestion,
+        'Esta senha apareceu em um vazamento de dados, escolha outra.',
+      );
+    });
+
+    it('should accept the same context as evaluate()', async () => {
+      const breachProvider = PasswordToolKit.createFileRangeProvider(directory);
+      const passwordToolKit = createInstance({ ...INSTANCE_OPTIONS, breachProvider });
+      const result = await passwordToolKit.evaluateAsync('Jsmith#2024x', {
+        userInputs: ['jsmith'],
+      });
+      assert.strictEqual(result.level, 1);
+      assert.strictEqual(result.matches[0].type, 'userInput');
+      await assert.rejects(
+        passwordToolKit.evaluateAsync('Jsmith#2024x', { userInputs: true }),
+        THROWS.TYPE_USER_INPUTS,
+      );
+    });
+
+    it('should check the password against an HTTP range provider', async () => {
+      const breachProvider = PasswordToolKit.createHttpRangeProvider({ url });
+      const passwordToolKit = createInstance({ breachProvider });
+      assert.strictEqual(await passwordToolKit.isBreached('Ma$bel-561'), true);
+      assert.strictEqual(await passwordToolKit.isBreached('Vq7#kLp2!x'), false);
+    });
+
+    it('should reject when the range directory does not exist', async () => {
+      const breachProvider = PasswordToolKit.createFileRangeProvider(join(directory, 'missing'));
+      const passwordToolKit = createInstance({ breachProvider });
+      await assert.rejects(passwordToolKit.isBreached('Ma$bel-561'), { code: 'ENOENT' });
+    });
+
+    it('should read the range files of the breach directory by default', async () => {
+      const passwordToolKit = createInstance({ breachDirectory: directory });
+      assert.strictEqual(await passwordToolKit.isBreached('Ma$bel-561'), true);
+      assert.strictEqual(await passwordToolKit.isBreached('Vq7#kLp2!x'), false);
+      assert.strictEqual((await passwordToolKit.evaluateAsync('Ma$bel-561')).breaches, 42);
+    });
+
+    it('should not report a password as not breached without a breach provider', async () => {
+      const passwordToolKit = createInstance();
+      await assert.rejects(passwordToolKit.isBreached('Ma$bel-561'), {
+        name: 'Error',
+        code: 'ERR_PTK_BREACH_UNCONFIGURED',
+        message: 'The breach check needs a "breachProvider" or a "breachDirectory" setting.',
+      });
+      const passwordHistory = [await PasswordToolKit.hash('Vq7#kLp2!x', { ln: 10 })];
+      const result = await passwordToolKit.evaluateAsync('Vq7#kLp2!x', { passwordHistory });
+      assert.strictEqual(result.level, 1);
+      assert.strictEqual(result.breaches, null);
+    });
+
+    it('should throw an error if the breach directory is not a string', () => {
+      assert.throws(() => createInstance({ breachDirectory: 1 }), {
+        name: 'TypeError',
+        code: 'ERR_PTK_INVALID_BREACH_DIRECTORY',
+        message: 'The "breachDirectory" value must be a string type.',
+      });
+    });
+
+    it('should reject with a coded error when the range request fails', async () => {
+      const down = PasswordToolKit.createHttpRangeProvider({
+        url: url.replace('/range/', '/down/'),
+      });
+      await assert.rejects(createInstance({ breachProvider: down }).isBreached('Ma$bel-561'), {
+        name: 'Error',
+        code: 'ERR_PTK_BREACH_STATUS',
+        message: 'The range request failed with status 503.',
+      });
+      const slow = PasswordToolKit.createHttpRangeProvider({
+        url: url.replace('/range/', '/slow/'),
+        timeout: 50,
+      });
+      await assert.rejects(createInstance({ breachProvider: slow }).isBreached('Ma$bel-561'), {
+        code: 'ERR_PTK_BREACH_TIMEOUT',
+        message: 'The range request timed out.',
+      });
+    });
+
+    it('should downgrade a password found in the hashed history', async () => {
+      const breachProvider = PasswordToolKit.createFileRangeProvider(directory);
+      const passwordToolKit = createInstance({ breachProvider });
+      const passwordHistory = [await PasswordToolKit.hash('Vq7#kLp2!x', { ln: 10 })];
+      const result = await passwordToolKit.evaluateAsync('Vq7#kLp2!x', { passwordHistory });
+      assert.strictEqual(result.level, 1);
+      assert.strictEqual(result.breaches, 0);
+      assert.strictEqual(
+        result.suggestion,
+        'This password is too similar to one of your previous passwords, choose a new one.',
+      );
+      assert.ok(passwordToolKit.evaluate('Vq7#kLp2!x', { passwordHistory }).level > 1);
+    });
+  });
+
+  describe('#compareToHistory()', () => {
+    const passwordToolKit = createInstance();
+
+    it('should find the kind of change from a previous password', async () => {
+      const cases = [
+        ['Summer2024!', 'Summer2024!', 'reuse'],
+        ['SUMMER2024!', 'Summer2024!', 'caseChange'],
+        ['Summer2025!', 'Summer2024!', 'numberChange'],
+        ['!Summer2024', 'Summer2024!', 'rotation'],
+        ['Summer2024!ab', 'Summer2024!', 'extension'],
+        ['Sumer2024!x', 'Summer2024!', 'edit'],
+      ];
+      await Promise.all(
+        cases.map(async ([password, previous, type]) => {
+          const { rejected, matches } = await passwordToolKit.compareToHistory(password, {
+            previousPasswords: ['Vq7#kLp2!x', previous],
+          });
+          assert.strictEqual(rejected, true);
+          assert.deepStrictEqual(
+            matches.map(match => [match.source, match.index, match.type]),
+            [['plaintext', 1, type]],
+          );
+        }),
+      );
+    });
+
+    it('should accept a password unlike the previous ones', async () => {
+      const result = await passwordToolKit.compareToHistory('Vq7#kLp2!x', {
+        previousPasswords: ['Summer2024!', 'Ma$bel-561'],
+      });
+      assert.deepStrictEqual(result, { rejected: false, finding: null, matches: [] });
+    });
+
+    it('should not find a number change between passwords made only of digits', async () => {
+      const result = await passwordToolKit.compareToHistory('12345678', {
+        previousPasswords: ['99', '2024'],
+      });
+      assert.deepStrictEqual(result, { rejected: false, finding: null, matches: [] });
+    });
+
+    it('should find the reuse of a hashed previous password', async () => {
+      const passwordHistory = await Promise.all(
+        ['Summer2024!', 'Vq7#kLp2!x'].map(password => PasswordToolKit.hash(password, { ln: 10 })),
+      );
+      const result = await passwordToolKit.compareToHistory('Vq7#kLp2!x', {
+        passwordHistory,
+        locale: 'es',
+      });
+      assert.deepStrictEqual(result, {
+        rejected: true,
+        finding: {
+          code: 'PREVIOUS_PASSWORD',
+          severity: 'high',
+          suggestion:
+            'Esta contraseña es demasiado parecida a una de sus contraseñas anteriores, elija una nueva.',
+        },
+        matches: [{ source: 'hash', index: 1, type: 'reuse', distance: 0 }],
+      });
+    });
+
+    it('should add the previous passwords to the evaluation', () => {
+      const context = { previousPasswords: ['Summer2024!'] };
+      const evaluation = passwordToolKit.evaluate('Summer2025!xQ', context);
+      assert.strictEqual(evaluation.level, 1);
+      assert.strictEqual(
+        evaluation.suggestion,
+        'This password is too similar to one of your previous passwords, choose a new one.',
+      );
+      const { findings } = passwordToolKit.evaluateDetailed('Summer2025!xQ', context);
+      assert.strictEqual(findings[0].code, 'PREVIOUS_PASSWORD');
+      assert.strictEqual(findings[0].severity, 'high');
+    });
+
+    it('should throw an error if the history is not valid', async () => {
+      assert.throws(
+        () => passwordToolKit.evaluate('Summer2025!', { previousPasswords: 'Summer2024!' }),
+        THROWS.TYPE_PREVIOUS_PASSWORDS,
+      );
+      await assert.rejects(
+        passwordToolKit.compareToHistory('Summer2025!', { passwordHistory: [null] }),
+        THROWS.TYPE_PASSWORD_HISTORY,
+      );
+      await assert.rejects(
+        passwordToolKit.compareToHistory('Summer2025!', { passwordHistory: ['Summer2024!'] }),
+        THROWS.TYPE_HASH,
+      );
+    });
+  });
+
+  describe('#createMiddleware()', () => {
+    const passwordToolKit = createInstance();
+    const middleware = passwordToolKit.createMiddleware({
+      field: 'user.password',
+      context: body => ({ userInputs: [body.user.name || ''] }),
+    });
+    let server;
+    let port;
+
+    before(async () => {
+      server = http.createServer((request, response) => {
+        middleware(request, response, error => {
+          response.statusCode = error ? 500 : 201;
+          response.end(
+            JSON.stringify(
+              error ? { message: error.message } : { level: request.passwordEvaluation.level },
+            ),
+          );
+        });
+      });
+      await new Promise(resolve => {
+        server.listen(0, '127.0.0.1', resolve);
+      });
+      ({ port } = server.address());
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    it('should accept a password of the minimum level', async () => {
+      const response = await postJson(
+        port,
+        JSON.stringify({ user: { name: 'mariana', password: 'Vq7#kLp2!x' } }),
+      );
+      assert.deepStrictEqual(response.body, { level: 4 });
+      assert.strictEqual(response.status, 201);
+    });
+
+    it('should reject a weak password with a 422 response', async () => {
+      const response = await postJson(
+        port,
+        JSON.stringify({ user: { name: 'mariana', password: 'Mariana#Lopez92' } }),
+      );
+      assert.strictEqual(response.status, 422);
+      assert.strictEqual(response.type, 'application/json; charset=utf-8');
+      const { error } = response.body;
+      assert.strictEqual(error.code, 'ERR_PTK_WEAK_PASSWORD');
+      assert.strictEqual(error.field, 'user.password');
+      assert.strictEqual(error.level, 1);
+      assert.strictEqual(error.minLevel, 3);
+      assert.strictEqual(error.quality, 'low');
+      assert.strictEqual(error.findings[0].code, 'USER_INPUT');
+      assert.strictEqual(error.message, error.findings[0].suggestion);
+    });
+
+    it('should reject a missing password or a malformed body', async () => {
+      const missing = await postJson(port, JSON.stringify({ user: { name: 'mariana' } }));
+      assert.strictEqual(missing.status, 422);
+      assert.deepStrictEqual(missing.body.error, {
+        code: 'ERR_PTK_MISSING_PASSWORD',
+        field: 'user.password',
+        message: 'The "user.password" field must be a string.',
+      });
+      const malformed = await postJson(port, '{"user":');
+      assert.strictEqual(malformed.status, 400);
+      assert.strictEqual(malformed.body.error.code, 'ERR_PTK_INVALID_BODY');
+      const long = await postJson(
+        port,
+        JSON.stringify({ user: { name: 'mariana', password: 'x'.repeat(96000) } }),
+      );
+      assert.strictEqual(long.status, 422);
+      assert.deepStrictEqual(long.body.error, {
+        code: 'ERR_PTK_PASSWORD_TOO_LONG',
+        field: 'user.password',
+        message: 'The "user.password" field must not exceed 256 characters.',
+      });
+      const large = await postJson(port, JSON.stringify({ padding: 'x'.repeat(100 * 1024) }));
+      assert.strictEqual(large.status, 413);
+      assert.strictEqual(large.body.error.code, 'ERR_PTK_BODY_TOO_LARGE');
+    });
+
+    it('should use the body parsed by a previous middleware', async () => {
+      const request = { body: { password: 'Summer2024!' } };
+      const response = {
+        headers: {},
+        setHeader(name, value) {
+          this.headers[name] = value;
+        },
+        end(data) {
+          this.data = data;
+        },
+      };
+      const next = () => assert.fail('The request must be rejected.');
+      await passwordToolKit.createMiddleware({ minLevel: 2 })(request, response, next);
+      assert.strictEqual(response.statusCode, 422);
+      assert.strictEqual(JSON.parse(response.data).error.level, 1);
+      await passwordToolKit.createMiddleware({ minLevel: 1 })(request, response, () => {
+        assert.strictEqual(request.passwordEvaluation.level, 1);
+      });
+    });
+
+    it('should pass the evaluation errors to the next middleware', async () => {
+      const response = await postJson(
+        port,
+        JSON.stringify({ user: { name: {}, password: 'Vq7#kLp2!x' } }),
+      );
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(
+        response.body.message,
+        'The "userInputs" value must be an array of strings or numbers.',
+      );
+    });
+
+    it('should throw an error if the options are not valid', () => {
+      assert.throws(
+        () => passwordToolKit.createMiddleware({ minLevel: '3' }),
+        THROWS.TYPE_MIN_LEVEL,
+      );
+      assert.throws(
+        () => passwordToolKit.createMiddleware({ minLevel: 6 }),
+        THROWS.RANGE_MIN_LEVEL,
+      );
+      assert.throws(() => passwordToolKit.createMiddleware({ field: '' }), THROWS.TYPE_FIELD);
+      assert.throws(
+        () => passwordToolKit.createMiddleware({ context: {} }),
+        THROWS.TYPE_ADAPTER_CONTEXT,
+      );
+    });
+  });
+
+  describe('schema validator adapters', () => {
+    const passwordToolKit = createInstance();
+    const context = parent => ({ userInputs: parent ? [parent.name] : [] });
+
+    it('should create an Ajv keyword', () => {
+      const definition = passwordToolKit.createAjvKeyword({ context });
+      assert.strictEqual(definition.keyword, 'passwordLevel');
+      assert.strictEqual(definition.type, 'string');
+      assert.strictEqual(definition.schemaType, 'number');
+      const { validate } = definition;
+      assert.strictEqual(validate(4, 'Vq7#kLp2!x', {}, { parentData: { name: 'mariana' } }), true);
+      assert.strictEqual(validate.errors, null);
+      assert.strictEqual(
+        validate(3, 'Mariana#Lopez92', {}, { parentData: { name: 'mariana' } }),
+        false,
+      );
+      assert.deepStrictEqual(validate.errors, [
+        {
+          keyword: 'passwordLevel',
+          message: 'Avoid using personal information, such as your name, email or username.',
+          params: { level: 1, minLevel: 3, quality: 'low' },
+        },
+      ]);
+      assert.strictEqual(validate(0, '7'.repeat(8000), {}, {}), false);
+      assert.deepStrictEqual(validate.errors, [
+        {
+          keyword: 'passwordLevel',
+          message: 'The "password" field must not exceed 256 characters.',
+          params: { code: 'ERR_PTK_PASSWORD_TOO_LONG', maxLength: 256 },
+        },
+      ]);
+    });
+
+    it('should create an Ajv format', () => {
+      const { type, validate } = passwordToolKit.createAjvFormat({ minLevel: 4 });
+      assert.strictEqual(type, 'string');
+      assert.strictEqual(validate('Vq7#kLp2!x'), true);
+      assert.strictEqual(validate('Summer2024!'), false);
+      assert.strictEqual(validate(`Vq7#kLp2!x${'7'.repeat(8000)}`), false);
+    });
+
+    it('should create a Joi extension', () => {
+      const base = { string: () => 'string schema' };
+      const extension = passwordToolKit.createJoiExtension({ context })(base);
+      assert.strictEqual(extension.type, 'password');
+      assert.strictEqual(extension.base, 'string schema');
+      assert.deepStrictEqual(extension.messages, {
+        'password.weak': '{{#suggestion}}',
+        'password.tooLong': '{{#message}}',
+      });
+      const helpers = {
+        state: { ancestors: [{ name: 'mariana' }] },
+        error: (code, local) => ({ code, local }),
+      };
+      assert.deepStrictEqual(extension.validate('Vq7#kLp2!x', helpers), { value: 'Vq7#kLp2!x' });
+      assert.deepStrictEqual(extension.validate('Mariana#Lopez92', helpers), {
+        value: 'Mariana#Lopez92',
+        errors: {
+          code: 'password.weak',
+          local: {
+            suggestion: 'Avoid using personal information, such as your name, email or username.',
+            level: 1,
+            minLevel: 3,
+          },
+        },
+      });
+      const long = '7'.repeat(8000);
+      assert.deepStrictEqual(extension.validate(long, helpers), {
+        value: long,
+        errors: {
+          code: 'password.tooLong',
+          local: {
+            message: 'The "password" field must not exceed 256 characters.',
+            maxLength: 256,
+          },
+        },
+      });
+    });
+
+    it('should create a Yup test', () => {
+      const { name, test } = passwordToolKit.createYupTest({ minLevel: 4, context });
+      const testContext = { parent: { name: 'mariana' }, createError: options => options };
+      assert.strictEqual(name, 'passwordLevel');
+      assert.strictEqual(test(undefined, testContext), true);
+      assert.strictEqual(test('Vq7#kLp2!x', testContext), true);
+      assert.deepStrictEqual(test('Summer2024!', testContext), {
+        message: 'Avoid using common passwords or words that are easy to guess.',
+        params: { level: 1, minLevel: 4 },
+      });
+      assert.deepStrictEqual(test('7'.repeat(8000), testContext), {
+        message: 'The "password" field must not exceed 256 characters.',
+        params: { code: 'ERR_PTK_PASSWORD_TOO_LONG', maxLength: 256 },
+      });
+    });
+
+    it('should throw an error if the options are not valid', () => {
+      assert.throws(
+        () => passwordToolKit.createAjvFormat({ minLevel: 2.5 }),
+        THROWS.TYPE_MIN_LEVEL,
+      );
+      assert.throws(
+        () => passwordToolKit.createJoiExtension({ minLevel: -1 }),
+        THROWS.RANGE_MIN_LEVEL,
+      );
+      assert.throws(() => passwordToolKit.createYupTest(null), {
+        name: 'TypeError',
+        code: 'ERR_PTK_INVALID_OPTIONS',
+        message: 'The "options" value must be an object.',
+      });
+    });
+  });
+});
+
+describe('hash()', () => {
+  const FAST_SCRYPT = { ln: 10 };
+
+  it('should encode the scrypt hash as a PHC string', async () => {
+    const phc = await PasswordToolKit.hash('Ma$bel-561', FAST_SCRYPT);
+    assert.match(phc, /^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/);
+    assert.notStrictEqual(await PasswordToolKit.hash('Ma$bel-561', FAST_SCRYPT), phc);
+  });
+
+  it('should encode the PBKDF2 hash as a PHC string', async () => {
+    const phc = await PasswordToolKit.hash('Ma$bel-561', {
+      algorithm: 'pbkdf2-sha512',
+      iterations: 1000,
+      saltLength: 24,
+      keyLength: 64,
+    });
+    assert.match(phc, /^\$pbkdf2-sha512\$i=1000\$[A-Za-z0-9+/]{32}\$[A-Za-z0-9+/]{86}$/);
+  });
+
+  it('should reject invalid passwords and options', async () => {
+    const cases = [
+      [[1], { name: 'TypeError', message: 'The "password" value must be a string type.' }],
+      [['x', null], { name: 'TypeError', message: 'The "options" value must be an object.' }],
+      [
+        ['x', { algorithm: 'md5' }],
+        {
+          name: 'RangeError',
+          message: 'The "algorithm" option must be one of: scrypt, pbkdf2-sha256, pbkdf2-sha512.',
+        },
+      ],
+      [['x', { ln: '10' }], { name: 'TypeError', message: 'The "ln" option must be an integer.' }],
+      [
+        ['x', { algorithm: 'pbkdf2-sha256', iterations: 0 }],
+        {
+          name: 'RangeError',
+          message: 'The "iterations" option must be greater than or equal to 1.',
+        },
+      ],
+      [
+        ['x', { saltLength: 4 }],
+        {
+          name: 'RangeError',
+          message: 'The "saltLength" option must be greater than or equal to 8.',
+        },
+      ],
+      [
+        ['x', { ln: 21 }],
+        {
+          name: 'RangeError',
+          code: 'ERR_PTK_INVALID_LN',
+          message: 'The "ln" option must be less than or equal to 20.',
+        },
+      ],
+      [
+        ['x', { p: 17 }],
+        {
+          name: 'RangeError',
+          code: 'ERR_PTK_INVALID_P',
+          message: 'The "p" option must be less than or equal to 16.',
+        },
+      ],
+      [
+        ['x', { ln: 19 }],
+        {
+          name: 'RangeError',
+          code: 'ERR_PTK_INVALID_SCRYPT_MEMORY',
+          message:
+            'The "ln" and "r" options must not need more than 256 MiB of memory (128 * 2 ** ln * r bytes).',
+        },
+      ],
+    ];
+    await Promise.all(
+      cases.map(([args, error]) => assert.rejects(PasswordToolKit.hash(...args), error)),
+    );
+  });
+});
+
+describe('verify()', () => {
+  it('should verify the password of a scrypt or PBKDF2 hash', async () => {
+    const hashes = await Promise.all([
+      PasswordToolKit.hash('Ma$bel-561', { ln: 10 }),
+      PasswordToolKit.hash('Ma$bel-561', { algorithm: 'pbkdf2-sha256', iterations: 1000 }),
+    ]);
+    await Promise.all(
+      hashes.map(async phc => {
+        assert.strictEqual(await PasswordToolKit.verify('Ma$bel-561', phc), true);
+        assert.strictEqual(await PasswordToolKit.verify('Ma$bel-562', phc), false);
+      }),
+    );
+  });
+
+  it('should verify the hashes of other PHC implementations', async () => {
+    const salt = Buffer.from('salt-of-16-bytes');
+    const key = pbkdf2Sync('Ma$bel-561', salt, 1000, 32, 'sha256');
+    const phc = `$pbkdf2-sha256$i=1000$${salt.toString('base64').replace(/=+$/, '')}$${key
+      .toString('base64')
+      .replace(/=+$/, '')}`;
+    assert.strictEqual(await PasswordToolKit.verify('Ma$bel-561', phc), true);
+  });
+
+  it('should reject the hashes that are not supported PHC strings', async () => {
+    const hashes = [
+      null,
+      'Ma$bel-561',
+      '$argon2id$v=19$m=65536,t=3,p=4$c2FsdA$aGFzaA',
+      '$scrypt$ln=10,r=8$c2FsdA$aGFzaA',
+      '$scrypt$ln=10,r=8,p=0$c2FsdA$aGFzaA',
+      '$pbkdf2-sha256$i=1000$c2FsdA$aGFz*A',
+      '$pbkdf2-sha256$i=1000$c2FsdA$aGFzaA$',
+    ];
+    await Promise.all(
+      hashes.map(phc => assert.rejects(PasswordToolKit.verify('x', phc), THROWS.TYPE_HASH)),
+    );
+  });
+
+  it('should reject the hashes that repeat a parameter or exceed the maximums', async () => {
+    const phc = await PasswordToolKit.hash('Ma$bel-561', { ln: 4 });
+    const [, , , salt, key] = phc.split('$');
+    const hashes = [
+      `$scrypt$ln=4,r=8,p=1,ln=3$${salt}$${key}`,
+      `$scrypt$ln=4,r=8,ln=3$${salt}$${key}`,
+      `$scrypt$ln=21,r=1,p=1$${salt}$${key}`,
+      `$scrypt$ln=4,r=33,p=1$${salt}$${key}`,
+      `$scrypt$ln=4,r=8,p=17$${salt}$${key}`,
+      `$scrypt$ln=20,r=8,p=1$${salt}$${key}`,
+    ];
+    await Promise.all(
+      hashes.map(forged => assert.rejects(PasswordToolKit.verify('x', forged), THROWS.TYPE_HASH)),
+    );
+  });
+
+  it('should reject the hashes whose salt or hash is too short', async () => {
+    const phc = await PasswordToolKit.hash('Ma$bel-561', { ln: 4, saltLength: 8, keyLength: 16 });
+    assert.strictEqual(await PasswordToolKit.verify('Ma$bel-561', phc), true);
+    const [, id, params, salt, key] = phc.split('$');
+    const hashes = [
+      '$scrypt$ln=4,r=8,p=1$c2FsdHNhbHQ$A',
+      `$${id}$${params}$${salt}$${key.slice(0, 20)}`,
+      `$${id}$${params}$${salt.slice(0, 8)}$${key}`,
+    ];
+    await Promise.all(
+      hashes.map(truncated =>
+        assert.rejects(PasswordToolKit.verify('x', truncated), THROWS.TYPE_HASH),
+      ),
+    );
+  });
+});
+
+describe('needsRehash()', () => {
+  it('should return false if the hash uses the current parameters', async () => {
+    const phc = await PasswordToolKit.hash('Ma$bel-561', { ln: 10, r: 4 });
+    assert.strictEqual(PasswordToolKit.needsRehash(phc, { ln: 10, r: 4 }), false);
+  });
+
+  it('should return true if the algorithm, cost parameters or lengths changed', async () => {
+    const phc = await PasswordToolKit.hash('Ma$bel-561', {
+      algorithm: 'pbkdf2-sha256',
+      iterations: 1000,
+    });
+    assert.strictEqual(PasswordToolKit.needsRehash(phc), true);
+    assert.strictEqual(PasswordToolKit.needsRehash(phc, { algorithm: 'pbkdf2-sha256' }), true);
+    assert.strictEqual(
+      PasswordToolKit.needsRehash(phc, { algorithm: 'pbkdf2-sha256', iterations: 1000 }),
+      false,
+    );
+    assert.strictEqual(
+      PasswordToolKit.needsRehash(phc, {
+        algorithm: 'pbkdf2-sha256',
+        iterations: 1000,
+        saltLength: 32,
+      }),
+      true,
+    );
+    assert.strictEqual(
+      PasswordToolKit.needsRehash(phc, {
+        algorithm: 'pbkdf2-sha256',
+        iterations: 1000,
+        keyLength: 64,
+      }),
+      true,
+    );
+  });
+
+  it('should throw a TypeError if the hash is not a supported PHC string', () => {
+    assert.throws(() => PasswordToolKit.needsRehash('$md5$abc'), THROWS.TYPE_HASH);
+  });
+});
+
+describe('checkPassphraseOptions()', () => {
+  it('should return an object with ok:true and no errors when all options are valid', () => {
+    const result = PasswordToolKit.checkPassphraseOptions({
+      words: 5,
+      separator: ' ',
+      capitalization: 'capitalize',
+      digit: true,
+      symbol: true,
+    });
+    assert.deepStrictEqual(result, { ok: true, reason: null, errors: [] });
+    assert.strictEqual(PasswordToolKit.checkPassphraseOptions().ok, true);
+  });
+
+  it('should return every problem of the options', () => {
+    const result = PasswordToolKit.checkPassphraseOptions({
+      words: 0,
+      capitalization: 'camel',
+      symbol: 'yes',
+      wordlist: 'klingon',
+    });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.reason, 'The "words" option must be an integer from 1 to 32.');
+    assert.deepStrictEqual(result.errors, [
+      {
+        code: 'ERR_PTK_INVALID_WORDS',
+        path: 'words',
+        message: 'The "words" option must be an integer from 1 to 32.',
+      },
+      {
+        code: 'ERR_PTK_INVALID_CAPITALIZATION',
+        path: 'capitalization',
+        message:
+          'The "capitalization" option must be "lowercase", "uppercase", "capitalize" or "random".',
+      },
+      {
+        code: 'ERR_PTK_INVALID_SYMBOL',
+        path: 'symbol',
+        message: 'The "symbol" option must be a boolean.',
+      },
+      {
+        code: 'ERR_PTK_INVALID_WORDLIST',
+        path: 'wordlist',
+        message: 'The "wordlist" option must be an array of words or one of: eff-long, eff-short.',
+      },
+    ]);
+  });
+
+  it('should reject the options that are not an object and the invalid custom wordlists', () => {
+    assert.deepStrictEqual(PasswordToolKit.checkPassphraseOptions(null).errors, [
+      { code: 'ERR_PTK_INVALID_OPTIONS', path: '', message: 'Options must be an object.' },
+    ]);
+    assert.strictEqual(
+      PasswordToolKit.checkPassphraseOptions({ wordlist: ['alpha', ''] }).reason,
+      'All "wordlist" values must be non-empty strings.',
+    );
+    assert.strictEqual(
+      PasswordToolKit.checkPassphraseOptions({ wordlist: ['alpha', 'ALPHA'] }).reason,
+      'The "wordlist" option must contain at least 2 different words.',
+    );
+  });
+});
+
+describe('checkPolicy()', () => {
+  it('should return an object with ok:true and null reason for presets and valid policies', () => {
+    assert.deepStrictEqual(PasswordToolKit.checkPolicy('nist-800-63b'), {
+      ok: true,
+      reason: null,
+    });
+    assert.deepStrictEqual(
+      PasswordToolKit.checkPolicy(
+        JSON.parse('{"extends":"pci-dss","maxLength":64,"blocklist":{"words":["acme"]}}'),
+      ),
+      { ok: true, reason: null },
+    );
+  });
+
+  it('should return an object with ok:false and reason when the policy is not valid', () => {
+    assert.deepStrictEqual(PasswordToolKit.checkPolicy({ minLenght: 8 }), {
+      ok: false,
+      reason: 'The "minLenght" property is not a policy rule.',
+    });
+    assert.deepStrictEqual(PasswordToolKit.checkPolicy({ requiredClasses: ['digits'] }), {
+      ok: false,
+      reason:
+        'The "requiredClasses" rule must be an array of: lowercases, uppercases, letters, numbers, symbols.',
+    });
+    assert.deepStrictEqual(PasswordToolKit.checkPolicy({ extends: 'pci-dss', maxLength: 8 }), {
+      ok: false,
+      reason: 'The "maxLength" rule must not be less than "minLength".',
+    });
+  });
+});
+
+describe('parsePasswordRules()', () => {
+  it('should parse the requirements of the rules', () => {
+    const { rules, errors } = PasswordToolKit.parsePasswordRules(
+      'MinLength: 8; minlength: 12; maxlength: 64; max-consecutive: 3; required: upper; required: digit, []-]; allowed: LOWER;',
+    );
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(rules, {
+      minLength: 12,
+      maxLength: 64,
+      maxConsecutive: 3,
+      required: ['ABCDEFGHIJKLMNOPQRSTUVWXYZ', '0123456789]-'],
+      allowed: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789]-',
+      unicode: false,
+    });
+  });
+
+  it('should allow every printable ASCII character when no class is listed', () => {
+    const { rules } = PasswordToolKit.parsePasswordRules('');
+    assert.strictEqual(rules.allowed.length, 94);
+    assert.deepStrictEqual(rules.required, []);
+  });
+
+  it('should throw a TypeError if the rules are not a string', () => {
+    [5, null, undefined, ['minlength: 8']].forEach(text => {
+      assert.throws(() => PasswordToolKit.parsePasswordRules(text), THROWS.TYPE_PASSWORD_RULES);
+    });
+  });
+
+  it('should report every malformed rule with its position and skip it', () => {
+    const { rules, errors } = PasswordToolKit.parsePasswordRules(
+      'colour: red; required: lower upper; maxlength: 0; required: digit; minlength: 9; maxlength: 8',
+    );
+    assert.deepStrictEqual(rules.required, ['0123456789']);
+    assert.deepStrictEqual(errors, [
+      {
+        position: 0,
+        message: 'The "colour" property at position 0 of the password rules is not known.',
+      },
+      { position: 29, message: 'Expected ";" at position 29 of the password rules.' },
+      {
+        position: 47,
+        message:
+          'The "maxlength" value at position 47 of the password rules must be a positive integer.',
+      },
+      {
+        position: 81,
+        message:
+          'The "maxlength" rule at position 81 of the password rules must not be less than the "minlength".',
+      },
+    ]);
+  });
+});
+
+describe('password-toolkit CLI', () => {
+  let directory;
+
+  before(() => {
+    directory = mkdtempSync(join(tmpdir(), 'password-toolkit-cli-'));
+    writeFileSync(join(directory, 'passwords.txt'), 'abc\r\n\nMa$bel-561xQ\n');
+    writeFileSync(join(directory, 'settings.json'), JSON.stringify({ maximum: 8, locale: 'es' }));
+    writeFileSync(join(directory, 'broken.json'), '{');
+  });
+
+  after(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('generate', () => {
+    it('should print the passwords one per line', async () => {
+      const { code, stdout } = await runCli(['generate', '--size', '12', '--count', '3']);
+      assert.strictEqual(code, 0);
+      const passwords = stdout.split('\n');
+      assert.strictEqual(passwords.pop(), '');
+      assert.strictEqual(passwords.length, 3);
+      passwords.forEach(password => assert.strictEqual(password.length, 12));
+    });
+
+    it('should map the flags onto the generate options', async () => {
+      const { code, stdout } = await runCli([
+        'generate',
+        '--size=10',
+        '--count=20',
+        '--unique',
+        '--lowercases',
+        '--symbol-set=-_',
+        '--min',
+        'symbols=2',
+        '--max',
+        'symbols=2',
+        '--set',
+        'hex=0123456789abcdef',
+        '--exclude',
+        'abc',
+        '--json',
+      ]);
+      assert.strictEqual(code, 0);
+      const passwords = JSON.parse(stdout);
+      assert.strictEqual(new Set(passwords).size, 20);
+      passwords.forEach(password => {
+        assert.match(password, /^[d-z0-9-_]{10}$/);
+        assert.strictEqual(password.replace(/[^-_]/g, '').length, 2);
+      });
+    });
+
+    it('should follow the password rules flag instead of the default classes', async () => {
+      const { code, stdout } = await runCli([
+        'generate',
+        '--size',
+        '20',
+        '--password-rules',
+        'required: digit; required: [-]; max-consecutive: 1',
+      ]);
+      assert.strictEqual(code, 0);
+      assert.match(stdout, /^(?=.*\d)(?=.*-)[\d-]{20}\n$/);
+      assert.doesNotMatch(stdout, /(.)\1/);
+    });
+
+    it('should use every class when no class flag is given', async () => {
+      const { stdout } = await runCli(['generate', '--size', '30', '--guaranteed']);
+      assert.match(stdout, /\d/);
+      assert.match(stdout, /[a-z]/);
+      assert.match(stdout, /[A-Z]/);
+      assert.match(stdout, /[^\w\n]/);
+    });
+
+    it('should map the settings file and the maximum flag onto the settings', async () => {
+      const settings = join(directory, 'settings.json');
+      assert.deepStrictEqual(await runCli(['generate', '--settings', settings, '--size', '9']), {
+        code: 2,
+        stdout: '',
+        stderr: 'password-toolkit: The password length must be less than specified maximum.\n',
+      });
+      const { code } = await runCli([
+        'generate',
+        '--settings',
+        settings,
+        '--maximum',
+        '9',
+        '--size',
+        '9',
+      ]);
+      assert.strictEqual(code, 0);
+    });
+
+    it('should exit with code 2 if the flags are invalid', async () => {
+      const cases = [
+        [['generate', '--count', 'x'], 'The "--count" value must be a non-negative integer.'],
+        [['generate', '--min', 'numbers'], 'The "--min" value must be a name=value pair.'],
+        [['generate', '--numbers', '--size', '0'], 'The password length must be greater than 1.'],
+        [
+          ['generate', '--numbers', '--size', '2', '--count', '101', '--unique'],
+          'The "count" value must not exceed the 100 unique passwords the options can produce.',
+        ],
+        [
+          ['generate', '--settings', join(directory, 'broken.json')],
+          `The "--settings" file is not valid JSON: ${(() => {
+            try {
+              return JSON.parse('{');
+            } catch (error) {
+              return error.message;
+            }
+          })()}`,
+        ],
+        [['hash'], 'Unknown command: hash'],
+      ];
+      await Promise.all(
+        cases.map(async ([args, message]) => {
+          assert.deepStrictEqual(await runCli(args), {
+            code: 2,
+            stdout: '',
+            stderr: `password-toolkit: ${message}\n`,
+          });
+        }),
+      );
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should evaluate the passwords of the arguments', async () => {
+      assert.deepStrictEqual(await runCli(['evaluate', 'abc', '--locale', 'fr']), {
+        code: 0,
+        stdout: '0\tnon sûr\tLe mot de passe doit contenir au moins 8 caractères.\n',
+        stderr: '',
+      });
+    });
+
+    it('should evaluate the lines of the standard input and of a file', async () => {
+      const expected = [
+        '0\tinsecure\tThe password must have at least 8 characters.',
+        '4\thigh\tAvoid using common password patterns.',
+        '',
+      ].join('\n');
+      const fromStdin = await runCli(['evaluate'], 'abc\nMa$bel-561xQ\n');
+      const fromFile = await runCli(['evaluate', '--file', join(directory, 'passwords.txt')]);
+      assert.deepStrictEqual(fromStdin, { code: 0, stdout: expected, stderr: '' });
+      assert.deepStrictEqual(fromFile, { code: 0, stdout: expected, stderr: '' });
+    });
+
+    it('should report a file that cannot be read', async () => {
+      const { code, stdout, stderr } = await runCli([
+        'evaluate',
+        '--file',
+        join(directory, 'missing.txt'),
+      ]);
+      assert.strictEqual(code, 2);
+      assert.strictEqual(stdout, '');
+      assert.match(stderr, /^password-toolkit: ENOENT: no such file or directory/);
+    });
+
+    it('should print the evaluations as JSON', async () => {
+      const passwordToolKit = createInstance({ locale: 'es' });
+      const { stdout } = await runCli([
+        'evaluate',
+        'mabel2023!',
+        '--json',
+        '--user-input',
+        'mabel',
+        '--settings',
+        join(directory, 'settings.json'),
+      ]);
+      assert.deepStrictEqual(JSON.parse(stdout), [
+        passwordToolKit.evaluate('mabel2023!', { userInputs: ['mabel'] }),
+      ]);
+    });
+
+    it('should exit with code 1 if a password is below the minimum level', async () => {
+      const below = await runCli(['evaluate', 'Ma$bel-561xQ', 'abc', '--min-level', '3']);
+      const above = await runCli(['evaluate', 'Ma$bel-561xQ', '--min-level', '4']);
+      assert.strictEqual(below.code, 1);
+      assert.strictEqual(below.stdout.split('\n').length, 3);
+      assert.strictEqual(above.code, 0);
+      assert.deepStrictEqual(await runCli(['evaluate', 'abc', '--min-level', '6']), {
+        code: 2,
+        stdout: '',
+        stderr: 'password-toolkit: The "--min-level" value must be an integer from 0 to 5.\n',
+      });
+    });
+
+    it('should set the exit code of the executable', async () => {
+      const bin = join(__dirname, '..', 'bin', 'password-toolkit.js');
+      const code = await new Promise(resolve => {
+        execFile(process.execPath, [bin, 'evaluate', 'abc', '--min-level', '1'], error => {
+          resolve(error ? error.code : 0);
+        });
+      });
+      assert.strictEqual(code, 1);
     });
   });
 });